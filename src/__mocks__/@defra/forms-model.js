@@ -14,9 +14,21 @@ export const Status = {
   COMPLETED: 'COMPLETED'
 }
 
+export const ControllerType = {
+  Start: 'StartPageController',
+  Page: 'PageController',
+  Repeat: 'RepeatPageController',
+  FileUpload: 'FileUploadPageController',
+  Terminal: 'TerminalPageController',
+  Summary: 'SummaryPageController',
+  SummaryWithConfirmationEmail: 'SummaryPageWithConfirmationEmailController',
+  Status: 'StatusPageController'
+}
+
 // Default export with all enums
 export default {
   SectionType,
   AnswerType,
-  Status
+  Status,
+  ControllerType
 }
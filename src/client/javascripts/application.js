@@ -1,4 +1,7 @@
 import { initAll } from '@defra/forms-engine-plugin/shared.js'
 import './cookie-consent.js'
+import './parcel-map.js'
+import './payment-estimate.js'
+import './session-timeout.js'
 
 initAll()
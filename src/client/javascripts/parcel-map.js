@@ -0,0 +1,54 @@
+const parcelMapSelector = '[data-module="app-parcel-map"]'
+const selectedClass = 'app-parcel-map__parcel--selected'
+
+const getRadios = (map) => {
+  const field = map.dataset.field || 'selectedLandParcel'
+  return /** @type {HTMLInputElement[]} */ (
+    Array.from(document.querySelectorAll(`input[type="radio"][name="${field}"]`))
+  )
+}
+
+const highlightSelected = (map, value) => {
+  map.querySelectorAll('[data-parcel]').forEach((parcel) => {
+    parcel.classList.toggle(selectedClass, parcel.getAttribute('data-parcel') === value)
+  })
+}
+
+const initParcelMap = (map) => {
+  const radios = getRadios(map)
+  if (!radios.length) {
+    return
+  }
+
+  map.removeAttribute('hidden')
+  highlightSelected(map, radios.find((radio) => radio.checked)?.value)
+
+  map.addEventListener('click', (event) => {
+    const parcel = event.target.closest('[data-parcel]')
+    const radio = parcel && radios.find((r) => r.value === parcel.getAttribute('data-parcel'))
+    if (!radio) {
+      return
+    }
+
+    radio.checked = true
+    radio.dispatchEvent(new Event('change', { bubbles: true }))
+  })
+
+  radios.forEach((radio) => {
+    radio.addEventListener('change', () => {
+      if (radio.checked) {
+        highlightSelected(map, radio.value)
+      }
+    })
+  })
+}
+
+export const initParcelMaps = () => {
+  document.querySelectorAll(parcelMapSelector).forEach(initParcelMap)
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initParcelMaps)
+} else {
+  initParcelMaps()
+}
@@ -0,0 +1,84 @@
+import { beforeEach, describe, expect, test } from 'vitest'
+import { initParcelMaps } from './parcel-map.js'
+
+const renderPage = (checked = '') => {
+  document.body.innerHTML = `
+    <form>
+      <div class="app-parcel-map" data-module="app-parcel-map" data-field="selectedLandParcel" hidden>
+        <svg>
+          <path data-parcel="SD6843-7039"></path>
+          <path data-parcel="SD6743-6292"></path>
+        </svg>
+      </div>
+      <input type="radio" name="selectedLandParcel" value="SD6843-7039" ${checked === 'SD6843-7039' ? 'checked' : ''}>
+      <input type="radio" name="selectedLandParcel" value="SD6743-6292" ${checked === 'SD6743-6292' ? 'checked' : ''}>
+    </form>`
+}
+
+const getParcel = (value) => document.querySelector(`[data-parcel="${value}"]`)
+const getRadio = (value) => document.querySelector(`input[value="${value}"]`)
+
+describe('parcel map', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('shows the map when there are parcels to select', () => {
+    renderPage()
+
+    initParcelMaps()
+
+    expect(document.querySelector('.app-parcel-map').hasAttribute('hidden')).toBe(false)
+  })
+
+  test('keeps the map hidden when there are no parcel radios', () => {
+    renderPage()
+    document.querySelectorAll('input').forEach((input) => input.remove())
+
+    initParcelMaps()
+
+    expect(document.querySelector('.app-parcel-map').hasAttribute('hidden')).toBe(true)
+  })
+
+  test('highlights the parcel that is already selected', () => {
+    renderPage('SD6743-6292')
+
+    initParcelMaps()
+
+    expect(getParcel('SD6743-6292').classList.contains('app-parcel-map__parcel--selected')).toBe(true)
+    expect(getParcel('SD6843-7039').classList.contains('app-parcel-map__parcel--selected')).toBe(false)
+  })
+
+  test('selects the parcel radio when a parcel is clicked', () => {
+    renderPage('SD6743-6292')
+    initParcelMaps()
+
+    getParcel('SD6843-7039').dispatchEvent(new Event('click', { bubbles: true }))
+
+    expect(getRadio('SD6843-7039').checked).toBe(true)
+    expect(getRadio('SD6743-6292').checked).toBe(false)
+    expect(getParcel('SD6843-7039').classList.contains('app-parcel-map__parcel--selected')).toBe(true)
+    expect(getParcel('SD6743-6292').classList.contains('app-parcel-map__parcel--selected')).toBe(false)
+  })
+
+  test('highlights the parcel when its radio is selected', () => {
+    renderPage()
+    initParcelMaps()
+
+    const radio = getRadio('SD6743-6292')
+    radio.checked = true
+    radio.dispatchEvent(new Event('change', { bubbles: true }))
+
+    expect(getParcel('SD6743-6292').classList.contains('app-parcel-map__parcel--selected')).toBe(true)
+  })
+
+  test('ignores clicks outside a parcel', () => {
+    renderPage()
+    initParcelMaps()
+
+    document.querySelector('svg').dispatchEvent(new Event('click', { bubbles: true }))
+
+    expect(getRadio('SD6843-7039').checked).toBe(false)
+    expect(getRadio('SD6743-6292').checked).toBe(false)
+  })
+})
@@ -0,0 +1,101 @@
+const paymentEstimateSelector = '[data-module="app-payment-estimate"]'
+const actionFieldPrefix = 'landAction_'
+const actionAreaFieldPrefix = 'landActionArea_'
+const debounceMs = 500
+
+const getSelectedActions = (form) => {
+  const checked = /** @type {HTMLInputElement[]} */ (
+    Array.from(form.querySelectorAll(`input[name^="${actionFieldPrefix}"]:checked`))
+  )
+
+  return checked.map(({ value: code }) => {
+    const area = /** @type {HTMLInputElement | null} */ (form.querySelector(`[name="${actionAreaFieldPrefix}${code}"]`))
+    const value = area?.value.trim()
+    return { code, quantity: value ? Number(value) : Number.NaN }
+  })
+}
+
+const show = (element, visible) => {
+  element.toggleAttribute('hidden', !visible)
+}
+
+const initPaymentEstimate = (panel) => {
+  const form = panel.closest('form')
+  if (!form || !panel.dataset.url) {
+    return
+  }
+
+  const parcelTotal = panel.querySelector('[data-estimate="parcel"]')
+  const applicationTotal = panel.querySelector('[data-estimate="application"]')
+  const totals = panel.querySelector('[data-estimate="totals"]')
+  const invalidArea = panel.querySelector('[data-estimate="invalid-area"]')
+  const error = panel.querySelector('[data-estimate="error"]')
+  const crumb = /** @type {HTMLInputElement | null} */ (form.querySelector('input[name="crumb"]'))
+
+  let latestRequest = 0
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let timer
+
+  const showMessage = (message) => {
+    show(totals, message === totals)
+    show(invalidArea, message === invalidArea)
+    show(error, message === error)
+  }
+
+  const update = async () => {
+    const actions = getSelectedActions(form)
+    if (actions.some(({ quantity }) => !Number.isFinite(quantity) || quantity <= 0)) {
+      showMessage(invalidArea)
+      return
+    }
+
+    const requestId = ++latestRequest
+    try {
+      const response = await fetch(panel.dataset.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({ crumb: crumb?.value, parcel: panel.dataset.parcel, actions })
+      })
+      if (!response.ok) {
+        throw new Error(`Payment estimate failed with status ${response.status}`)
+      }
+
+      const estimate = await response.json()
+      if (requestId !== latestRequest) {
+        return
+      }
+      parcelTotal.textContent = estimate.parcelTotal
+      applicationTotal.textContent = estimate.applicationTotal
+      showMessage(totals)
+    } catch {
+      if (requestId === latestRequest) {
+        showMessage(error)
+      }
+    }
+  }
+
+  const scheduleUpdate = (event) => {
+    const name = event.target?.name ?? ''
+    if (!name.startsWith(actionFieldPrefix) && !name.startsWith(actionAreaFieldPrefix)) {
+      return
+    }
+
+    clearTimeout(timer)
+    timer = setTimeout(update, debounceMs)
+  }
+
+  form.addEventListener('change', scheduleUpdate)
+  form.addEventListener('input', scheduleUpdate)
+
+  show(panel, true)
+  return update()
+}
+
+export const initPaymentEstimates = () =>
+  Promise.all(Array.from(document.querySelectorAll(paymentEstimateSelector)).map(initPaymentEstimate))
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initPaymentEstimates)
+} else {
+  initPaymentEstimates()
+}
@@ -0,0 +1,160 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import { initPaymentEstimates } from './payment-estimate.js'
+
+const renderPage = ({ checked = [], areas = {} } = {}) => {
+  const action = (name, code) => `
+    <input type="checkbox" name="${name}" value="${code}" ${checked.includes(code) ? 'checked' : ''}>
+    <input type="text" name="landActionArea_${code}" value="${areas[code] ?? '2.5'}">`
+
+  document.body.innerHTML = `
+    <form>
+      <input type="hidden" name="crumb" value="crumb-token">
+      ${action('landAction_1', 'CMOR1')}
+      ${action('landAction_2', 'UPL1')}
+      <div data-module="app-payment-estimate" data-url="payment-estimate" data-parcel="SD6743-8083" hidden>
+        <div data-estimate="totals" hidden>
+          <strong data-estimate="parcel"></strong>
+          <strong data-estimate="application"></strong>
+        </div>
+        <p data-estimate="invalid-area" hidden></p>
+        <p data-estimate="error" hidden></p>
+      </div>
+    </form>`
+}
+
+const respondWith = (body, ok = true) => ({ ok, status: ok ? 200 : 502, json: async () => body })
+
+const getElement = (name) => document.querySelector(`[data-estimate="${name}"]`)
+const getInput = (name) => /** @type {HTMLInputElement} */ (document.querySelector(`[name="${name}"]`))
+const getSentPayload = (call = 0) => JSON.parse(fetch.mock.calls[call][1].body)
+
+const fire = (input, type) => input.dispatchEvent(new Event(type, { bubbles: true }))
+
+describe('payment estimate', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.stubGlobal(
+      'fetch',
+      vi.fn().mockResolvedValue(respondWith({ parcelTotal: '£26.50', applicationTotal: '£298.50' }))
+    )
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.unstubAllGlobals()
+    document.body.innerHTML = ''
+  })
+
+  test('shows the estimate for the actions already selected', async () => {
+    renderPage({ checked: ['CMOR1'] })
+
+    await initPaymentEstimates()
+
+    expect(document.querySelector('[data-module="app-payment-estimate"]').hasAttribute('hidden')).toBe(false)
+    expect(fetch).toHaveBeenCalledWith('payment-estimate', expect.objectContaining({ method: 'POST' }))
+    expect(getSentPayload()).toEqual({
+      crumb: 'crumb-token',
+      parcel: 'SD6743-8083',
+      actions: [{ code: 'CMOR1', quantity: 2.5 }]
+    })
+    expect(getElement('parcel').textContent).toBe('£26.50')
+    expect(getElement('application').textContent).toBe('£298.50')
+    expect(getElement('totals').hasAttribute('hidden')).toBe(false)
+  })
+
+  test('updates the estimate once actions stop changing', async () => {
+    renderPage()
+    await initPaymentEstimates()
+    fetch.mockClear()
+
+    getInput('landAction_1').checked = true
+    fire(getInput('landAction_1'), 'change')
+    getInput('landAction_2').checked = true
+    fire(getInput('landAction_2'), 'change')
+    getInput('landActionArea_UPL1').value = '1.25'
+    fire(getInput('landActionArea_UPL1'), 'input')
+
+    expect(fetch).not.toHaveBeenCalled()
+
+    await vi.advanceTimersByTimeAsync(500)
+
+    expect(fetch).toHaveBeenCalledTimes(1)
+    expect(getSentPayload().actions).toEqual([
+      { code: 'CMOR1', quantity: 2.5 },
+      { code: 'UPL1', quantity: 1.25 }
+    ])
+  })
+
+  test('ignores changes to other fields', async () => {
+    renderPage()
+    await initPaymentEstimates()
+    fetch.mockClear()
+
+    fire(getInput('crumb'), 'change')
+    await vi.advanceTimersByTimeAsync(500)
+
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  test.each([
+    ['empty', ''],
+    ['not a number', 'abc'],
+    ['0', '0']
+  ])('asks for a valid area when a selected action area is %s', async (_, area) => {
+    renderPage({ checked: ['UPL1'], areas: { UPL1: area } })
+
+    await initPaymentEstimates()
+
+    expect(fetch).not.toHaveBeenCalled()
+    expect(getElement('invalid-area').hasAttribute('hidden')).toBe(false)
+    expect(getElement('totals').hasAttribute('hidden')).toBe(true)
+  })
+
+  test('shows an error when the estimate cannot be calculated', async () => {
+    fetch.mockResolvedValue(respondWith({ error: 'Unable to estimate payment' }, false))
+    renderPage({ checked: ['CMOR1'] })
+
+    await initPaymentEstimates()
+
+    expect(getElement('error').hasAttribute('hidden')).toBe(false)
+    expect(getElement('totals').hasAttribute('hidden')).toBe(true)
+  })
+
+  test('shows an error when the request fails', async () => {
+    fetch.mockRejectedValue(new Error('Network error'))
+    renderPage({ checked: ['CMOR1'] })
+
+    await initPaymentEstimates()
+
+    expect(getElement('error').hasAttribute('hidden')).toBe(false)
+  })
+
+  test('only shows the estimate for the latest selection', async () => {
+    let resolveFirst
+    fetch
+      .mockReturnValueOnce(new Promise((resolve) => (resolveFirst = resolve)))
+      .mockResolvedValueOnce(respondWith({ parcelTotal: '£10.00', applicationTotal: '£20.00' }))
+    renderPage({ checked: ['CMOR1'] })
+
+    const initialised = initPaymentEstimates()
+    getInput('landAction_2').checked = true
+    fire(getInput('landAction_2'), 'change')
+    await vi.advanceTimersByTimeAsync(500)
+    resolveFirst(respondWith({ parcelTotal: '£1.00', applicationTotal: '£2.00' }))
+    await initialised
+
+    expect(getElement('parcel').textContent).toBe('£10.00')
+    expect(getElement('application').textContent).toBe('£20.00')
+  })
+
+  test('stays hidden when the page has no form', async () => {
+    renderPage()
+    const panel = document.querySelector('[data-module="app-payment-estimate"]')
+    document.body.replaceChildren(panel)
+
+    await initPaymentEstimates()
+
+    expect(panel.hasAttribute('hidden')).toBe(true)
+    expect(fetch).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,110 @@
+const sessionTimeoutSelector = '[data-module="app-session-timeout"]'
+const oneSecondMs = 1000
+const oneMinuteSeconds = 60
+const statusUnauthorized = 401
+
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`
+
+/**
+ * @param {number} seconds
+ * @returns {string} The time left in whole minutes, or seconds once it is under a minute
+ */
+export const formatTimeLeft = (seconds) =>
+  seconds >= oneMinuteSeconds ? plural(Math.ceil(seconds / oneMinuteSeconds), 'minute') : plural(seconds, 'second')
+
+const initSessionTimeout = (dialog) => {
+  const { keepAliveUrl, signedOutUrl, crumb } = dialog.dataset
+  const warningMs = Number(dialog.dataset.warning) * oneSecondMs
+  const countdown = dialog.querySelector('[data-session-timeout="countdown"]')
+  const announcement = dialog.querySelector('[data-session-timeout="announcement"]')
+  const error = dialog.querySelector('[data-session-timeout="error"]')
+  const keepAliveButton = dialog.querySelector('[data-session-timeout="keep-alive"]')
+
+  let expiresAt = 0
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let warningTimer
+  /** @type {ReturnType<typeof setInterval> | undefined} */
+  let countdownTimer
+
+  const signOut = () => {
+    const redirect = `${window.location.pathname}${window.location.search}`
+    window.location.assign(`${signedOutUrl}?redirect=${encodeURIComponent(redirect)}`)
+  }
+
+  const tick = () => {
+    const secondsLeft = Math.max(0, Math.ceil((expiresAt - Date.now()) / oneSecondMs))
+    if (secondsLeft === 0) {
+      clearInterval(countdownTimer)
+      signOut()
+      return
+    }
+
+    const timeLeft = formatTimeLeft(secondsLeft)
+    countdown.textContent = timeLeft
+
+    // Screen readers are told each minute rather than every second
+    const minutesLeft = String(Math.ceil(secondsLeft / oneMinuteSeconds))
+    if (announcement.dataset.minutesLeft !== minutesLeft) {
+      announcement.dataset.minutesLeft = minutesLeft
+      announcement.textContent = `For your security, we will sign you out in ${timeLeft}.`
+    }
+  }
+
+  const showWarning = () => {
+    error.toggleAttribute('hidden', true)
+    delete announcement.dataset.minutesLeft
+    tick()
+    countdownTimer = setInterval(tick, oneSecondMs)
+    dialog.showModal()
+  }
+
+  const start = (expiresInSeconds) => {
+    clearTimeout(warningTimer)
+    clearInterval(countdownTimer)
+    expiresAt = Date.now() + expiresInSeconds * oneSecondMs
+    warningTimer = setTimeout(showWarning, Math.max(0, expiresAt - Date.now() - warningMs))
+  }
+
+  const keepAlive = async () => {
+    try {
+      const response = await fetch(keepAliveUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({ crumb })
+      })
+      if (response.status === statusUnauthorized) {
+        signOut()
+        return
+      }
+      if (!response.ok) {
+        throw new Error(`Keep alive failed with status ${response.status}`)
+      }
+
+      const { expiresIn } = await response.json()
+      dialog.close()
+      start(expiresIn)
+    } catch {
+      error.toggleAttribute('hidden', false)
+    }
+  }
+
+  keepAliveButton.addEventListener('click', keepAlive)
+
+  // Closing the warning with the escape key is taken as choosing to stay signed in
+  dialog.addEventListener('cancel', (event) => {
+    event.preventDefault()
+    return keepAlive()
+  })
+
+  start(Number(dialog.dataset.expiresIn))
+}
+
+export const initSessionTimeouts = () => {
+  document.querySelectorAll(sessionTimeoutSelector).forEach(initSessionTimeout)
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initSessionTimeouts)
+} else {
+  initSessionTimeouts()
+}
@@ -0,0 +1,150 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import { formatTimeLeft, initSessionTimeouts } from './session-timeout.js'
+
+const renderPage = ({ expiresIn = 600, warning = 120 } = {}) => {
+  document.body.innerHTML = `
+    <dialog data-module="app-session-timeout" data-expires-in="${expiresIn}" data-warning="${warning}"
+      data-keep-alive-url="/auth/keep-alive" data-signed-out-url="/auth/signed-out" data-crumb="crumb-token">
+      <strong data-session-timeout="countdown"></strong>
+      <p data-session-timeout="announcement"></p>
+      <p data-session-timeout="error" hidden></p>
+      <button type="button" data-session-timeout="keep-alive">Stay signed in</button>
+    </dialog>`
+}
+
+const respondWith = (body, status = 200) => ({ ok: status < 300, status, json: async () => body })
+
+const getDialog = () => /** @type {HTMLDialogElement} */ (document.querySelector('dialog'))
+const getElement = (name) => document.querySelector(`[data-session-timeout="${name}"]`)
+
+describe('session timeout warning', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(respondWith({ signedIn: true, expiresIn: 600 })))
+    vi.stubGlobal('location', { pathname: '/adding-value/business-status', search: '?change=true', assign: vi.fn() })
+    window.HTMLDialogElement.prototype.showModal = vi.fn(function () {
+      this.open = true
+    })
+    window.HTMLDialogElement.prototype.close = vi.fn(function () {
+      this.open = false
+    })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.unstubAllGlobals()
+    document.body.innerHTML = ''
+  })
+
+  test.each([
+    [600, '10 minutes'],
+    [61, '2 minutes'],
+    [60, '1 minute'],
+    [59, '59 seconds'],
+    [1, '1 second']
+  ])('formats %i seconds as %s', (seconds, expected) => {
+    expect(formatTimeLeft(seconds)).toBe(expected)
+  })
+
+  test('warns the user before their session ends', () => {
+    renderPage()
+    initSessionTimeouts()
+
+    vi.advanceTimersByTime(479000)
+    expect(getDialog().open).toBeFalsy()
+
+    vi.advanceTimersByTime(1000)
+    expect(getDialog().showModal).toHaveBeenCalled()
+    expect(getElement('countdown').textContent).toBe('2 minutes')
+    expect(getElement('announcement').textContent).toBe('For your security, we will sign you out in 2 minutes.')
+  })
+
+  test('counts down in seconds for the last minute', () => {
+    renderPage()
+    initSessionTimeouts()
+
+    vi.advanceTimersByTime(555000)
+
+    expect(getElement('countdown').textContent).toBe('45 seconds')
+    expect(getElement('announcement').textContent).toBe('For your security, we will sign you out in 1 minute.')
+  })
+
+  test('sends the user to the signed out page when the countdown ends', () => {
+    renderPage()
+    initSessionTimeouts()
+
+    vi.advanceTimersByTime(600000)
+
+    expect(window.location.assign).toHaveBeenCalledWith(
+      '/auth/signed-out?redirect=%2Fadding-value%2Fbusiness-status%3Fchange%3Dtrue'
+    )
+  })
+
+  test('keeps the user signed in when they choose to stay', async () => {
+    renderPage()
+    initSessionTimeouts()
+    vi.advanceTimersByTime(480000)
+
+    getElement('keep-alive').click()
+    await vi.waitFor(() => expect(getDialog().close).toHaveBeenCalled())
+
+    expect(fetch).toHaveBeenCalledWith('/auth/keep-alive', expect.objectContaining({ method: 'POST' }))
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ crumb: 'crumb-token' })
+
+    vi.advanceTimersByTime(479000)
+    expect(window.location.assign).not.toHaveBeenCalled()
+    expect(getDialog().showModal).toHaveBeenCalledTimes(1)
+
+    vi.advanceTimersByTime(1000)
+    expect(getDialog().showModal).toHaveBeenCalledTimes(2)
+  })
+
+  test('keeps the user signed in when they close the warning', async () => {
+    renderPage()
+    initSessionTimeouts()
+    vi.advanceTimersByTime(480000)
+
+    getDialog().dispatchEvent(new Event('cancel', { cancelable: true }))
+
+    await vi.waitFor(() => expect(getDialog().close).toHaveBeenCalled())
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  test('signs the user out when their session has already ended', async () => {
+    fetch.mockResolvedValue(respondWith({ signedIn: false }, 401))
+    renderPage()
+    initSessionTimeouts()
+    vi.advanceTimersByTime(480000)
+
+    getElement('keep-alive').click()
+
+    await vi.waitFor(() =>
+      expect(window.location.assign).toHaveBeenCalledWith(expect.stringContaining('/auth/signed-out'))
+    )
+  })
+
+  test('shows an error and keeps counting down when the session cannot be extended', async () => {
+    fetch.mockResolvedValue(respondWith({}, 500))
+    renderPage()
+    initSessionTimeouts()
+    vi.advanceTimersByTime(480000)
+
+    getElement('keep-alive').click()
+
+    await vi.waitFor(() => expect(getElement('error').hasAttribute('hidden')).toBe(false))
+    expect(getDialog().close).not.toHaveBeenCalled()
+
+    vi.advanceTimersByTime(120000)
+    expect(window.location.assign).toHaveBeenCalled()
+  })
+
+  test('warns straight away when the session ends sooner than the warning period', () => {
+    renderPage({ expiresIn: 30 })
+    initSessionTimeouts()
+
+    vi.advanceTimersByTime(0)
+
+    expect(getDialog().showModal).toHaveBeenCalled()
+    expect(getElement('countdown').textContent).toBe('30 seconds')
+  })
+})
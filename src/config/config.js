@@ -8,16 +8,20 @@ import defraId from './defra-id.js'
 import landGrants from './land-grants.js'
 import agreements from './agreements.js'
 import { validateBackendAuthConfig } from './validate-backend-auth.js'
+import { validatePermissionsConfig } from './validate-permissions.js'
 
 const dirname = path.dirname(fileURLToPath(import.meta.url))
 
 const oneHourMs = 3600000
 const fourHoursMs = oneHourMs * 4
+const fiveMinutesMs = 300000
 const oneWeekMs = 604800000
+const fourWeeksMs = oneWeekMs * 4
 
 const isProduction = process.env.NODE_ENV === 'production'
 const isTest = process.env.NODE_ENV === 'test'
 const isDevelopment = process.env.NODE_ENV === 'development'
+const isLocalEnvironment = (process.env.ENVIRONMENT ?? 'local') === 'local'
 
 export const config = convict({
   serviceVersion: {
@@ -94,12 +98,56 @@ export const config = convict({
     format: Boolean,
     default: isTest
   },
+  clockOverride: {
+    doc: 'Time the app treats as now, such as 2026-07-01T09:00:00Z, to try out grant schedules. Ignored in the prod environment',
+    format: String,
+    default: '',
+    env: 'CLOCK_OVERRIDE'
+  },
   gas: {
     apiEndpoint: {
       doc: 'GAS API endpoint',
       format: String,
       default: '',
       env: 'GAS_API_URL'
+    },
+    submissionOutbox: {
+      store: {
+        doc: 'Where submissions are kept until GAS has received them: Redis, or memory for local development and tests',
+        format: ['redis', 'memory'],
+        default: isLocalEnvironment && !isProduction ? 'memory' : 'redis',
+        env: 'GAS_SUBMISSION_OUTBOX_STORE'
+      },
+      maxAttempts: {
+        doc: 'Attempts made to send a submission to GAS each time it is delivered',
+        format: Number,
+        default: 3,
+        env: 'GAS_SUBMISSION_MAX_ATTEMPTS'
+      },
+      retryDelay: {
+        doc: 'Delay in milliseconds before retrying a submission, doubled for each further attempt',
+        format: Number,
+        default: 1000,
+        env: 'GAS_SUBMISSION_RETRY_DELAY'
+      },
+      redeliveryInterval: {
+        doc: 'How often in milliseconds submissions GAS has not yet received are delivered again',
+        format: Number,
+        default: 60000,
+        env: 'GAS_SUBMISSION_REDELIVERY_INTERVAL'
+      },
+      maxDeliveries: {
+        doc: 'Deliveries after which a submission GAS has still not received is marked as failed',
+        format: Number,
+        default: 60,
+        env: 'GAS_SUBMISSION_MAX_DELIVERIES'
+      },
+      retention: {
+        doc: 'How long in milliseconds a delivered or reopened submission is kept, so it is never sent twice',
+        format: Number,
+        default: oneWeekMs * 4,
+        env: 'GAS_SUBMISSION_RETENTION'
+      }
     }
   },
   consolidatedView: {
@@ -243,6 +291,26 @@ export const config = convict({
         sensitive: true
       }
     },
+    state: {
+      adapter: {
+        doc: 'Where saved application state and submissions are stored: Grants UI Backend, Redis or memory',
+        format: ['backend', 'redis', 'memory'],
+        default: 'backend',
+        env: 'STATE_ADAPTER'
+      },
+      redisTtl: {
+        doc: 'How long the Redis state adapter keeps state and application instances after they were last written, in milliseconds',
+        format: Number,
+        default: fourWeeksMs,
+        env: 'STATE_REDIS_TTL'
+      }
+    },
+    timeoutWarning: {
+      doc: 'How long before their session ends users are warned they will be signed out, in milliseconds',
+      format: Number,
+      default: fiveMinutesMs,
+      env: 'SESSION_TIMEOUT_WARNING'
+    },
     cookie: {
       name: {
         doc: 'Session cookie name',
@@ -351,6 +419,14 @@ export const config = convict({
       default: isDevelopment
     }
   },
+  forms: {
+    watch: {
+      doc: 'Reload form definitions when they are changed.',
+      format: Boolean,
+      default: isDevelopment,
+      env: 'FORMS_WATCH'
+    }
+  },
   tracing: {
     header: {
       doc: 'Which header to track',
@@ -386,6 +462,105 @@ export const config = convict({
       env: 'COOKIE_CONSENT_EXPIRY_DAYS'
     }
   },
+  notify: {
+    apiUrl: {
+      doc: 'GOV.UK Notify API URL',
+      format: String,
+      default: 'https://api.notifications.service.gov.uk',
+      env: 'NOTIFY_API_URL'
+    },
+    apiKey: {
+      doc: 'GOV.UK Notify API key',
+      format: String,
+      default: '',
+      env: 'NOTIFY_API_KEY',
+      sensitive: true
+    },
+    templateId: {
+      doc: 'ID of the Notify template used for user-facing comms',
+      format: String,
+      default: '',
+      env: 'NOTIFY_TEMPLATE_ID'
+    }
+  },
+  saveAndReturn: {
+    notifier: {
+      doc: 'How save and return links are sent: GOV.UK Notify, appended to a local file or logged',
+      format: ['notify', 'file', 'log'],
+      default: 'log',
+      env: 'SAVE_AND_RETURN_NOTIFIER'
+    },
+    filePath: {
+      doc: 'File the file notifier appends save and return emails to',
+      format: String,
+      default: 'save-and-return-emails.jsonl',
+      env: 'SAVE_AND_RETURN_FILE_PATH'
+    },
+    expiryDays: {
+      doc: 'Number of days returning to an application resumes at the page it was saved on',
+      format: Number,
+      default: 28,
+      env: 'SAVE_AND_RETURN_EXPIRY_DAYS'
+    }
+  },
+  permissions: {
+    provider: {
+      doc: 'Where user roles and privileges come from: the RPS and Siti Agri APIs, or a local fixture file',
+      format: ['api', 'stub'],
+      default: isProduction ? 'api' : 'stub',
+      env: 'PERMISSIONS_PROVIDER'
+    },
+    apiUrl: {
+      doc: 'Base URL of the RPS and Siti Agri APIs',
+      format: String,
+      default: '',
+      env: 'PERMISSIONS_API_URL'
+    },
+    apiTimeout: {
+      doc: 'How long to wait for the RPS and Siti Agri APIs, in milliseconds',
+      format: Number,
+      default: 10000,
+      env: 'PERMISSIONS_API_TIMEOUT'
+    },
+    stubFilePath: {
+      doc: 'Fixture file the stub provider reads roles and privileges from',
+      format: String,
+      default: 'fcp-defra-id-stub/permissions.json',
+      env: 'PERMISSIONS_STUB_FILE_PATH'
+    },
+    cacheTtl: {
+      doc: 'How long to keep the roles and privileges of a user for a business, in milliseconds',
+      format: Number,
+      default: oneHourMs,
+      env: 'PERMISSIONS_CACHE_TTL'
+    }
+  },
+  whitelist: {
+    source: {
+      doc: 'Where grant whitelists come from: env vars named in form metadata, a YAML or JSON file, or Redis sets',
+      format: ['env', 'file', 'redis'],
+      default: 'env',
+      env: 'WHITELIST_SOURCE'
+    },
+    filePath: {
+      doc: 'YAML or JSON file holding the whitelist entries of each grant, used by the file source',
+      format: String,
+      default: 'whitelists.yaml',
+      env: 'WHITELIST_FILE_PATH'
+    },
+    redisKeyPrefix: {
+      doc: 'Prefix of the Redis set holding the whitelist entries of each grant, used by the redis source',
+      format: String,
+      default: 'whitelist',
+      env: 'WHITELIST_REDIS_KEY_PREFIX'
+    },
+    refreshInterval: {
+      doc: 'How long whitelists are kept before being loaded again from their source, in milliseconds',
+      format: Number,
+      default: 60000,
+      env: 'WHITELIST_REFRESH_INTERVAL'
+    }
+  },
   devTools: {
     enabled: {
       doc: 'Enable development tools and routes',
@@ -428,6 +603,7 @@ export const config = convict({
 config.validate({ allowed: 'strict' })
 
 validateBackendAuthConfig(config)
+validatePermissionsConfig(config)
 
 /**
  * @import { Schema, SchemaObj } from 'convict'
@@ -9,7 +9,8 @@ const envBackupPath = path.join(process.cwd(), '.env.backup')
 describe('config', () => {
   beforeEach(() => {
     vi.resetModules()
-    process.env = { ...originalEnv }
+    // Production defaults to the permissions API, which needs a URL for the config to load
+    process.env = { ...originalEnv, PERMISSIONS_API_URL: 'https://permissions.example' }
 
     // Temporarily rename .env file to prevent dotenv from loading it during tests
     if (fs.existsSync(envPath)) {
@@ -125,6 +126,38 @@ describe('config', () => {
     })
   })
 
+  test.each([
+    ['development', undefined, 'memory'],
+    ['test', 'local', 'memory'],
+    ['production', undefined, 'redis'],
+    ['development', 'dev', 'redis'],
+    ['test', 'test', 'redis'],
+    ['production', 'perf-test', 'redis']
+  ])(
+    'keeps GAS submissions in memory only for local development and tests (NODE_ENV %s, ENVIRONMENT %s)',
+    async (nodeEnv, environment, expected) => {
+      process.env.NODE_ENV = nodeEnv
+      if (environment === undefined) {
+        delete process.env.ENVIRONMENT
+      } else {
+        process.env.ENVIRONMENT = environment
+      }
+
+      vi.resetModules()
+      const { config } = await import('./config.js')
+
+      expect(config.get('gas.submissionOutbox.store')).toBe(expected)
+    }
+  )
+
+  test('does not load in production without a permissions API URL', async () => {
+    process.env.NODE_ENV = 'production'
+    delete process.env.PERMISSIONS_API_URL
+
+    vi.resetModules()
+    await expect(import('./config.js')).rejects.toThrow('PERMISSIONS_API_URL must be set')
+  })
+
   test('has correct default values for non-environment dependent settings', async () => {
     const { config } = await import('./config.js')
 
@@ -13,6 +13,7 @@ import 'dotenv/config'
  * @property {number} defaultSbi
  * @property {string} mockSessionCurrentRelationshipId
  * @property {string} mockSessionRelationships
+ * @property {{enabled: boolean, parcelsTtl: number, paymentTtl: number}} cache
  */
 
 const landGrants = convict({
@@ -60,10 +61,30 @@ const landGrants = convict({
     env: 'DEFAULT_CRN'
   },
   mockSessionRelationships: {
-    doc: 'Default relationships array for mock session data when DEFRA_ID is disabled (colon-separated format)',
+    doc: 'Default relationships for mock session data when DEFRA_ID is disabled, comma-separated with each in colon-separated format',
     format: String,
     default: '',
     env: 'MOCK_SESSION_RELATIONSHIPS'
+  },
+  cache: {
+    enabled: {
+      doc: 'Cache Land Grants API and Consolidated View parcel responses and payment calculations',
+      format: Boolean,
+      default: true,
+      env: 'LAND_GRANTS_API_CACHE_ENABLED'
+    },
+    parcelsTtl: {
+      doc: 'How long to cache the parcels of a business and the actions available on them, in milliseconds',
+      format: Number,
+      default: 900000,
+      env: 'LAND_GRANTS_API_CACHE_PARCELS_TTL'
+    },
+    paymentTtl: {
+      doc: 'How long to cache a payment calculation for a set of land actions, in milliseconds',
+      format: Number,
+      default: 300000,
+      env: 'LAND_GRANTS_API_CACHE_PAYMENT_TTL'
+    }
   }
 })
 
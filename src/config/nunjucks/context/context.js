@@ -30,6 +30,7 @@ const usersDetails = (request, tempSbi, role) => {
     organisationId: request?.auth?.credentials?.organisationId,
     organisationName: request?.auth?.credentials?.organisationName,
     relationshipId: request?.auth?.credentials?.relationshipId,
+    relationships: request?.auth?.credentials?.relationships,
     role
   }
 }
@@ -83,6 +84,24 @@ const getSessionData = async (request) => {
   }
 }
 
+/**
+ * Tells the session timeout warning when to warn the user, see `src/client/javascripts/session-timeout.js`
+ * @param {ExtendedRequest | null} request
+ * @returns {{ expiresIn: number, warning: number } | undefined} Seconds until the session ends, and before that to warn
+ */
+const buildSessionTimeout = (request) => {
+  const expiresAt = request?.auth?.isAuthenticated && request.auth.credentials?.expiresAt
+  if (!expiresAt) {
+    return undefined
+  }
+
+  // Rounded up so the countdown never runs out before the session has ended, see `handleSignedOut`
+  return {
+    expiresIn: Math.max(0, Math.ceil((new Date(/** @type {string} */ (expiresAt)).getTime() - Date.now()) / 1000)),
+    warning: Math.floor(config.get('session.timeoutWarning') / 1000)
+  }
+}
+
 /**
  * @param {string} asset
  */
@@ -121,6 +140,7 @@ const buildSuccessContext = (auth, request, serviceName, cookiePolicyUrl, cookie
     ),
     cookieBannerNoscriptConfig: buildCookieBannerNoscriptConfig(serviceName),
     auth,
+    sessionTimeout: buildSessionTimeout(request),
     breadcrumbs: [],
     navigation: buildNavigation(request),
     getAssetPath: createAssetPathGetter
@@ -40,7 +40,8 @@ vi.mock('~/src/config/config.js', async () => {
     'cookieConsent.cookiePolicyUrl': '/cookies',
     'cookieConsent.cookieName': 'cookie_consent',
     'cookieConsent.expiryDays': 365,
-    'googleAnalytics.trackingId': undefined
+    'googleAnalytics.trackingId': undefined,
+    'session.timeoutWarning': 300000
   })
 })
 
@@ -461,6 +462,44 @@ describe('context', () => {
     })
   })
 
+  describe('Session timeout', () => {
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    test('tells the page when the session ends and when to warn', async () => {
+      vi.useFakeTimers({ now: new Date('2026-07-01T09:00:00.000Z'), toFake: ['Date'] })
+      const contextImport = await import('~/src/config/nunjucks/context/context.js')
+
+      const contextResult = await contextImport.context({
+        ...mockRequest,
+        auth: { isAuthenticated: true, credentials: { expiresAt: '2026-07-01T12:00:00.000Z' } }
+      })
+
+      expect(contextResult.sessionTimeout).toEqual({ expiresIn: 10800, warning: 300 })
+    })
+
+    test('rounds the time left up so the countdown does not end before the session', async () => {
+      vi.useFakeTimers({ now: new Date('2026-07-01T09:00:00.500Z'), toFake: ['Date'] })
+      const contextImport = await import('~/src/config/nunjucks/context/context.js')
+
+      const contextResult = await contextImport.context({
+        ...mockRequest,
+        auth: { isAuthenticated: true, credentials: { expiresAt: '2026-07-01T12:00:00.000Z' } }
+      })
+
+      expect(contextResult.sessionTimeout.expiresIn).toBe(10800)
+    })
+
+    test('does not warn users who are not signed in', async () => {
+      const contextImport = await import('~/src/config/nunjucks/context/context.js')
+
+      const contextResult = await contextImport.context(mockRequest)
+
+      expect(contextResult.sessionTimeout).toBeUndefined()
+    })
+  })
+
   describe('Cookie consent configuration in context', () => {
     test('includes cookie consent config values', async () => {
       setupManifestSuccess()
@@ -0,0 +1,23 @@
+/**
+ * Validates user permissions configuration
+ * @param {object} config - The convict config object
+ * @throws {Error} When the stub provider is chosen in the prod CDP environment, or the API provider has no URL
+ */
+export function validatePermissionsConfig(config) {
+  const provider = config.get('permissions.provider')
+  const cdpEnvironment = config.get('cdpEnvironment')
+
+  if (provider === 'stub' && cdpEnvironment?.toLowerCase() === 'prod') {
+    throw new Error(
+      'Stub permissions do not come from Siti Agri and cannot be used in production. ' +
+        'Set PERMISSIONS_PROVIDER to api or leave it unset.'
+    )
+  }
+
+  if (provider === 'api' && !config.get('permissions.apiUrl')) {
+    throw new Error(
+      'PERMISSIONS_API_URL must be set when PERMISSIONS_PROVIDER is api, otherwise no user can be given privileges. ' +
+        'Set PERMISSIONS_PROVIDER to stub outside production.'
+    )
+  }
+}
@@ -0,0 +1,58 @@
+import { vi } from 'vitest'
+import { validatePermissionsConfig } from './validate-permissions.js'
+
+describe('validatePermissionsConfig', () => {
+  let mockConfig
+
+  /**
+   * @param {string} provider
+   * @param {string} cdpEnvironment
+   * @param {string} [apiUrl]
+   */
+  const mockValues = (provider, cdpEnvironment, apiUrl = 'https://permissions.example') => {
+    const configValues = {
+      'permissions.provider': provider,
+      'permissions.apiUrl': apiUrl,
+      cdpEnvironment
+    }
+    mockConfig.get.mockImplementation((key) => configValues[key])
+  }
+
+  beforeEach(() => {
+    mockConfig = {
+      get: vi.fn()
+    }
+  })
+
+  it('should throw when the stub provider is used in prod', () => {
+    mockValues('stub', 'prod')
+
+    expect(() => validatePermissionsConfig(mockConfig)).toThrow(
+      'Stub permissions do not come from Siti Agri and cannot be used in production. ' +
+        'Set PERMISSIONS_PROVIDER to api or leave it unset.'
+    )
+  })
+
+  it.each(['local', 'dev', 'test', 'perf-test'])(
+    'should pass when the stub provider is used in %s',
+    (cdpEnvironment) => {
+      mockValues('stub', cdpEnvironment)
+
+      expect(() => validatePermissionsConfig(mockConfig)).not.toThrow()
+    }
+  )
+
+  it('should pass when the APIs are used in prod', () => {
+    mockValues('api', 'prod')
+
+    expect(() => validatePermissionsConfig(mockConfig)).not.toThrow()
+  })
+
+  it.each(['prod', 'dev', 'local'])('should throw when the APIs are used in %s without a URL', (cdpEnvironment) => {
+    mockValues('api', cdpEnvironment, '')
+
+    expect(() => validatePermissionsConfig(mockConfig)).toThrow(
+      'PERMISSIONS_API_URL must be set when PERMISSIONS_PROVIDER is api'
+    )
+  })
+})
@@ -343,9 +343,13 @@ function getBellOptions(oidcConfig) {
         throw error
       }
     },
-    providerParams: function () {
+    providerParams: function (request) {
+      // When changing organisation, ask Defra Identity to sign the user in to the chosen one
+      const organisationId = request?.path === '/auth/organisation' ? request.query.organisationId : undefined
+
       return {
-        serviceId: config.get('defraId.serviceId')
+        serviceId: config.get('defraId.serviceId'),
+        ...(organisationId && { relationshipId: organisationId })
       }
     }
   }
@@ -434,4 +438,4 @@ function getCookieOptions() {
   }
 }
 
-export { getBellOptions, getCookieOptions }
+export { extractFarmDetails, getBellOptions, getCookieOptions }
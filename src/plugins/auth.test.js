@@ -437,6 +437,18 @@ describe('Auth Plugin', () => {
       })
     })
 
+    test('providerParams function asks for the organisation being changed to', () => {
+      const options = getBellOptions(mockOidcConfig)
+
+      expect(options.providerParams({ path: '/auth/organisation', query: { organisationId: '106284736' } })).toEqual({
+        serviceId: DEFAULT_CONFIG['defraId.serviceId'],
+        relationshipId: '106284736'
+      })
+      expect(options.providerParams({ path: '/auth/sign-in', query: { organisationId: '106284736' } })).toEqual({
+        serviceId: DEFAULT_CONFIG['defraId.serviceId']
+      })
+    })
+
     test('throws error if credentials are undefined after retrieving from Bell OAuth provider', () => {
       const options = getBellOptions(mockOidcConfig)
       const credentials = undefined
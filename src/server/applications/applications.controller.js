@@ -0,0 +1,148 @@
+import { ApplicationStatus } from '~/src/server/common/constants/application-status.js'
+import { getFormsCache } from '~/src/server/common/forms/services/form.js'
+import {
+  isApplicationInstanceId,
+  setCurrentApplicationInstance
+} from '~/src/server/common/helpers/state/application-instance-helper.js'
+import { getCacheKey } from '~/src/server/common/helpers/state/get-cache-key-helper.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import {
+  getApplicationInstances,
+  listApplications,
+  startApplicationInstance
+} from '~/src/server/common/services/application-instances/application-instances.service.js'
+
+/**
+ * Path segment used to resume the default application instance
+ */
+export const DEFAULT_INSTANCE_PATH = 'default'
+
+const HTTP_STATUS_NOT_FOUND = 404
+
+const STATUS_LABELS = {
+  [ApplicationStatus.SUBMITTED]: 'Submitted',
+  [ApplicationStatus.REOPENED]: 'Reopened'
+}
+
+/**
+ * Returns the sbi and grant slug of the request, without the application instance the user is working on
+ * @param {import('@hapi/hapi').Request} request
+ * @returns {{ sbi: string, grantCode: string }}
+ */
+function getGrantKey(request) {
+  const { sbi, grantCode } = getCacheKey(request)
+  return { sbi, grantCode }
+}
+
+/**
+ * Returns the path that resumes an application instance
+ * @param {string} slug
+ * @param {string} [instanceId] - undefined for the default instance
+ * @returns {string}
+ */
+export function getApplicationPath(slug, instanceId) {
+  return `/${slug}/applications/${instanceId ?? DEFAULT_INSTANCE_PATH}`
+}
+
+/**
+ * Builds the rows of the "your applications" page
+ * @param {string} slug
+ * @param {ApplicationSummary[]} applications
+ */
+export function buildApplicationRows(slug, applications) {
+  return applications.map((application) => ({
+    referenceNumber: application.referenceNumber ?? 'Not submitted',
+    status: STATUS_LABELS[application.applicationStatus] ?? 'Draft',
+    createdAt: application.createdAt,
+    submittedAt: application.submittedAt,
+    action: getApplicationPath(slug, application.instanceId)
+  }))
+}
+
+/**
+ * Lists the drafts and submissions for the current business and grant
+ * @satisfies {Partial<ServerRoute>}
+ */
+export const listApplicationsController = {
+  async handler(request, h) {
+    const { slug } = request.params
+    const form = getFormsCache().find((f) => f.slug === slug)
+    if (!form) {
+      return h.response('Form not found').code(HTTP_STATUS_NOT_FOUND)
+    }
+
+    const applications = await listApplications(getGrantKey(request))
+
+    return h.view('applications/views/applications', {
+      pageTitle: 'Your applications',
+      heading: 'Your applications',
+      formTitle: form.title,
+      slug,
+      applications: buildApplicationRows(slug, applications)
+    })
+  }
+}
+
+/**
+ * Starts a new application instance and takes the user to the start of the form
+ * @satisfies {Partial<ServerRoute>}
+ */
+export const startApplicationController = {
+  async handler(request, h) {
+    const { slug } = request.params
+    if (!getFormsCache().some((f) => f.slug === slug)) {
+      return h.response('Form not found').code(HTTP_STATUS_NOT_FOUND)
+    }
+
+    const grantKey = getGrantKey(request)
+    const instanceId = await startApplicationInstance(grantKey)
+    setCurrentApplicationInstance(request, grantKey, instanceId)
+    log(LogCodes.FORMS.APPLICATION_INSTANCE_STARTED, { formName: slug, sbi: grantKey.sbi, instanceId })
+
+    return h.redirect(`/${slug}`)
+  }
+}
+
+/**
+ * Switches to an existing application instance and takes the user back into the form, where the start page resumes it
+ * @param {Request} request
+ * @param {ResponseToolkit} h
+ */
+async function resumeApplication(request, h) {
+  const { slug, instanceId } = request.params
+
+  const grantKey = getGrantKey(request)
+  if (instanceId !== DEFAULT_INSTANCE_PATH) {
+    const instances = isApplicationInstanceId(instanceId) ? await getApplicationInstances(grantKey) : []
+    if (!instances.some((instance) => instance.instanceId === instanceId)) {
+      return h.response('Application not found').code(HTTP_STATUS_NOT_FOUND)
+    }
+  }
+
+  setCurrentApplicationInstance(request, grantKey, instanceId === DEFAULT_INSTANCE_PATH ? undefined : instanceId)
+
+  return h.redirect(`/${slug}`)
+}
+
+/**
+ * Resumes an application from the "your applications" page.
+ * This is a POST, as it changes which application the session is working on.
+ * @satisfies {Partial<ServerRoute>}
+ */
+export const resumeApplicationController = {
+  handler: resumeApplication
+}
+
+/**
+ * Resumes an application from the link emailed by "Save and exit". The link can only switch to an application the
+ * signed-in business started, and is only sent to that business.
+ * @satisfies {Partial<ServerRoute>}
+ */
+export const resumeApplicationLinkController = {
+  handler: resumeApplication
+}
+
+/**
+ * @import { Request, ResponseToolkit, ServerRoute } from '@hapi/hapi'
+ * @import { ApplicationSummary } from '~/src/server/common/services/application-instances/application-instances.service.js'
+ */
@@ -0,0 +1,208 @@
+import { vi } from 'vitest'
+import { mockHapiRequest, mockHapiResponseToolkit } from '~/src/__mocks__/hapi-mocks.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import {
+  getApplicationInstances,
+  listApplications,
+  startApplicationInstance
+} from '~/src/server/common/services/application-instances/application-instances.service.js'
+import {
+  buildApplicationRows,
+  listApplicationsController,
+  resumeApplicationController,
+  resumeApplicationLinkController,
+  startApplicationController
+} from './applications.controller.js'
+
+vi.mock('~/src/server/common/forms/services/form.js', () => ({
+  getFormsCache: vi.fn(() => [{ id: 'form-1', slug: 'example-grant', title: 'Example grant' }])
+}))
+vi.mock('~/src/server/common/services/application-instances/application-instances.service.js', () => ({
+  getApplicationInstances: vi.fn(),
+  listApplications: vi.fn(),
+  startApplicationInstance: vi.fn()
+}))
+vi.mock('~/src/server/common/helpers/logging/log.js', () => ({
+  log: vi.fn(),
+  LogCodes: {
+    AUTH: { AUTH_DEBUG: { level: 'debug', messageFunc: vi.fn() } },
+    FORMS: { APPLICATION_INSTANCE_STARTED: { level: 'info', messageFunc: vi.fn() } }
+  }
+}))
+
+const INSTANCE_ID = '5b3a4d6e-8f21-4c4b-9a7d-1e2f3a4b5c6d'
+
+describe('applications controller', () => {
+  let request
+  let h
+  let session
+
+  const createRequest = (params) => {
+    session = {}
+    return mockHapiRequest({
+      params,
+      auth: { isAuthenticated: true, credentials: { crn: '1100014934', organisationId: '106284736' } },
+      yar: {
+        get: vi.fn((key) => session[key]),
+        set: vi.fn((key, value) => {
+          session[key] = value
+        })
+      }
+    })
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    h = mockHapiResponseToolkit()
+  })
+
+  describe('buildApplicationRows', () => {
+    it('labels drafts and links to the instance', () => {
+      expect(
+        buildApplicationRows('example-grant', [
+          { instanceId: undefined, applicationStatus: 'SUBMITTED', referenceNumber: 'REF-001' },
+          { instanceId: INSTANCE_ID, createdAt: '2026-03-01T10:00:00.000Z' }
+        ])
+      ).toEqual([
+        {
+          referenceNumber: 'REF-001',
+          status: 'Submitted',
+          createdAt: undefined,
+          submittedAt: undefined,
+          action: '/example-grant/applications/default'
+        },
+        {
+          referenceNumber: 'Not submitted',
+          status: 'Draft',
+          createdAt: '2026-03-01T10:00:00.000Z',
+          submittedAt: undefined,
+          action: `/example-grant/applications/${INSTANCE_ID}`
+        }
+      ])
+    })
+  })
+
+  describe('listApplicationsController', () => {
+    it('lists the applications for the business and grant', async () => {
+      listApplications.mockResolvedValue([{ instanceId: INSTANCE_ID }])
+      request = createRequest({ slug: 'example-grant' })
+
+      await listApplicationsController.handler(request, h)
+
+      expect(listApplications).toHaveBeenCalledWith({ sbi: '106284736', grantCode: 'example-grant' })
+      expect(h.view).toHaveBeenCalledWith(
+        'applications/views/applications',
+        expect.objectContaining({
+          formTitle: 'Example grant',
+          slug: 'example-grant',
+          applications: [expect.objectContaining({ action: `/example-grant/applications/${INSTANCE_ID}` })]
+        })
+      )
+    })
+
+    it('lists applications across instances while one is being worked on', async () => {
+      listApplications.mockResolvedValue([])
+      request = createRequest({ slug: 'example-grant' })
+      session.applicationInstances = { '106284736:example-grant': INSTANCE_ID }
+
+      await listApplicationsController.handler(request, h)
+
+      expect(listApplications).toHaveBeenCalledWith({ sbi: '106284736', grantCode: 'example-grant' })
+    })
+
+    it('returns not found for an unknown form', async () => {
+      request = createRequest({ slug: 'unknown' })
+
+      await listApplicationsController.handler(request, h)
+
+      expect(h.response).toHaveBeenCalledWith('Form not found')
+      expect(h.code).toHaveBeenCalledWith(404)
+      expect(listApplications).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('startApplicationController', () => {
+    it('starts a new instance and works on it', async () => {
+      startApplicationInstance.mockResolvedValue(INSTANCE_ID)
+      request = createRequest({ slug: 'example-grant' })
+
+      await startApplicationController.handler(request, h)
+
+      expect(startApplicationInstance).toHaveBeenCalledWith({ sbi: '106284736', grantCode: 'example-grant' })
+      expect(session.applicationInstances).toEqual({ '106284736:example-grant': INSTANCE_ID })
+      expect(log).toHaveBeenCalledWith(LogCodes.FORMS.APPLICATION_INSTANCE_STARTED, {
+        formName: 'example-grant',
+        sbi: '106284736',
+        instanceId: INSTANCE_ID
+      })
+      expect(h.redirect).toHaveBeenCalledWith('/example-grant')
+    })
+
+    it('returns not found for an unknown form', async () => {
+      request = createRequest({ slug: 'unknown' })
+
+      await startApplicationController.handler(request, h)
+
+      expect(h.code).toHaveBeenCalledWith(404)
+      expect(startApplicationInstance).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('resumeApplicationController', () => {
+    it('resumes a started instance', async () => {
+      getApplicationInstances.mockResolvedValue([{ instanceId: INSTANCE_ID, createdAt: '2026-03-01T10:00:00.000Z' }])
+      request = createRequest({ slug: 'example-grant', instanceId: INSTANCE_ID })
+
+      await resumeApplicationController.handler(request, h)
+
+      expect(session.applicationInstances).toEqual({ '106284736:example-grant': INSTANCE_ID })
+      expect(h.redirect).toHaveBeenCalledWith('/example-grant')
+    })
+
+    it('resumes the default instance', async () => {
+      request = createRequest({ slug: 'example-grant', instanceId: 'default' })
+      session.applicationInstances = { '106284736:example-grant': INSTANCE_ID }
+
+      await resumeApplicationController.handler(request, h)
+
+      expect(session.applicationInstances).toEqual({})
+      expect(getApplicationInstances).not.toHaveBeenCalled()
+      expect(h.redirect).toHaveBeenCalledWith('/example-grant')
+    })
+
+    it.each([
+      ['an instance that was not started for the business', INSTANCE_ID],
+      ['a malformed instance id', 'applications']
+    ])('returns not found for %s', async (_name, instanceId) => {
+      getApplicationInstances.mockResolvedValue([])
+      request = createRequest({ slug: 'example-grant', instanceId })
+
+      await resumeApplicationController.handler(request, h)
+
+      expect(h.code).toHaveBeenCalledWith(404)
+      expect(request.yar.set).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('resumeApplicationLinkController', () => {
+    it('resumes the instance in the emailed link', async () => {
+      getApplicationInstances.mockResolvedValue([{ instanceId: INSTANCE_ID, createdAt: '2026-03-01T10:00:00.000Z' }])
+      request = createRequest({ slug: 'example-grant', instanceId: INSTANCE_ID })
+
+      await resumeApplicationLinkController.handler(request, h)
+
+      expect(session.applicationInstances).toEqual({ '106284736:example-grant': INSTANCE_ID })
+      expect(h.redirect).toHaveBeenCalledWith('/example-grant')
+    })
+
+    it('returns not found for an instance that was not started for the business', async () => {
+      getApplicationInstances.mockResolvedValue([])
+      request = createRequest({ slug: 'example-grant', instanceId: INSTANCE_ID })
+
+      await resumeApplicationLinkController.handler(request, h)
+
+      expect(h.code).toHaveBeenCalledWith(404)
+      expect(request.yar.set).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,45 @@
+import {
+  listApplicationsController,
+  resumeApplicationController,
+  resumeApplicationLinkController,
+  startApplicationController
+} from './applications.controller.js'
+
+/**
+ * Sets up the routes for the "your applications" page, where a business can start or resume applications for a grant.
+ * These routes are registered in src/server/router.js.
+ * @satisfies {ServerRegisterPluginObject<void>}
+ */
+export const applications = {
+  plugin: {
+    name: 'applications',
+    register(server) {
+      server.route([
+        {
+          method: 'GET',
+          path: '/{slug}/applications',
+          ...listApplicationsController
+        },
+        {
+          method: 'POST',
+          path: '/{slug}/applications',
+          ...startApplicationController
+        },
+        {
+          method: 'POST',
+          path: '/{slug}/applications/{instanceId}',
+          ...resumeApplicationController
+        },
+        {
+          method: 'GET',
+          path: '/{slug}/applications/{instanceId}/resume',
+          ...resumeApplicationLinkController
+        }
+      ])
+    }
+  }
+}
+
+/**
+ * @import { ServerRegisterPluginObject } from '@hapi/hapi'
+ */
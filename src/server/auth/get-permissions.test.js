@@ -1,50 +1,32 @@
 import { vi } from 'vitest'
-import * as permissionsModule from './get-permissions.js'
 import { getPermissions } from './get-permissions.js'
+import { getPermissionsProvider } from './permissions/permissions-provider.js'
+import { withPermissionsCache } from './permissions/permissions-cache.js'
 
-// TODO: This test currently mocks the actual `getPermissions` implementation.
-vi.mock('./get-permissions', () => {
-  const mockGetPersonId = vi.fn()
-  const mockGetRolesAndPrivileges = vi.fn()
-  const defaultScope = 'user' // Local copy to avoid hoisting issues
-
-  return {
-    __esModule: true,
-    getPermissions: async (crn, organisationId, token) => {
-      const personId = await mockGetPersonId({ crn, token })
-      const { role, privileges } = await mockGetRolesAndPrivileges(personId, organisationId, { crn, token })
-      const scope = [defaultScope, ...privileges]
-      return { role, scope }
-    },
-    getPersonId: mockGetPersonId,
-    getRolesAndPrivileges: mockGetRolesAndPrivileges,
-    DEFAULT_SCOPE: defaultScope
-  }
-})
+const mockProviderGetPermissions = vi.fn()
+
+vi.mock('./permissions/permissions-provider.js', () => ({
+  getPermissionsProvider: vi.fn(() => ({ name: 'api', getPermissions: mockProviderGetPermissions }))
+}))
+vi.mock('./permissions/permissions-cache.js', () => ({
+  withPermissionsCache: vi.fn((_request, _user, fetch) => fetch())
+}))
 
 describe('getPermissions', () => {
+  const request = /** @type {any} */ ({ server: {} })
+  const user = { crn: '1234567890', organisationId: 'org123', token: 'valid-token' }
+
   beforeEach(() => {
     vi.clearAllMocks()
   })
 
-  it('should return the correct role and scope when valid data is provided', async () => {
-    const crn = '1234567890'
-    const organisationId = 'org123'
-    const token = 'valid-token'
-    const personId = '123456'
-    const role = 'Farmer'
-    const privileges = ['Full permission - business']
-
-    permissionsModule.getPersonId.mockResolvedValue(personId)
-    permissionsModule.getRolesAndPrivileges.mockResolvedValue({
-      role,
-      privileges
-    })
+  it('should return the role and the privileges as scope', async () => {
+    mockProviderGetPermissions.mockResolvedValue({ role: 'Farmer', privileges: ['Full permission - business'] })
 
-    const result = await getPermissions(crn, organisationId, token)
+    const result = await getPermissions(request, user)
 
-    expect(permissionsModule.getPersonId).toHaveBeenCalledWith({ crn, token })
-    expect(permissionsModule.getRolesAndPrivileges).toHaveBeenCalledWith(personId, organisationId, { crn, token })
+    expect(getPermissionsProvider).toHaveBeenCalled()
+    expect(mockProviderGetPermissions).toHaveBeenCalledWith(user)
     expect(result).toEqual({
       role: 'Farmer',
       scope: ['user', 'Full permission - business']
@@ -52,19 +34,9 @@ describe('getPermissions', () => {
   })
 
   it('should handle multiple privileges correctly', async () => {
-    const crn = '1234567890'
-    const organisationId = 'org123'
-    const token = 'valid-token'
-    const personId = '123456'
-    const role = 'Agent'
-    const privileges = ['Submit - bps', 'Submit - cs agree']
-
-    permissionsModule.getPersonId.mockResolvedValue(personId)
-    permissionsModule.getRolesAndPrivileges.mockResolvedValue({
-      role,
-      privileges
-    })
-    const result = await getPermissions(crn, organisationId, token)
+    mockProviderGetPermissions.mockResolvedValue({ role: 'Agent', privileges: ['Submit - bps', 'Submit - cs agree'] })
+
+    const result = await getPermissions(request, user)
 
     expect(result).toEqual({
       role: 'Agent',
@@ -73,20 +45,9 @@ describe('getPermissions', () => {
   })
 
   it('should handle when no additional privileges are provided', async () => {
-    const crn = '1234567890'
-    const organisationId = 'org123'
-    const token = 'valid-token'
-    const personId = '123456'
-    const role = 'Viewer'
-    const privileges = []
-
-    permissionsModule.getPersonId.mockResolvedValue(personId)
-    permissionsModule.getRolesAndPrivileges.mockResolvedValue({
-      role,
-      privileges
-    })
+    mockProviderGetPermissions.mockResolvedValue({ role: 'Viewer', privileges: [] })
 
-    const result = await getPermissions(crn, organisationId, token)
+    const result = await getPermissions(request, user)
 
     expect(result).toEqual({
       role: 'Viewer',
@@ -94,52 +55,17 @@ describe('getPermissions', () => {
     })
   })
 
-  it('should propagate errors from getPersonId', async () => {
-    const crn = '1234567890'
-    const organisationId = 'org123'
-    const token = 'valid-token'
-    const error = new Error('API error')
-
-    permissionsModule.getPersonId.mockRejectedValue(error)
-
-    await expect(getPermissions(crn, organisationId, token)).rejects.toThrow('API error')
-    expect(permissionsModule.getPersonId).toHaveBeenCalledWith({ crn, token })
-    expect(permissionsModule.getRolesAndPrivileges).not.toHaveBeenCalled()
-  })
-
-  it('should propagate errors from getRolesAndPrivileges', async () => {
-    const crn = '1234567890'
-    const organisationId = 'org123'
-    const token = 'valid-token'
-    const personId = '123456'
-    const error = new Error('Permission error')
-
-    permissionsModule.getPersonId.mockResolvedValue(personId)
-    permissionsModule.getRolesAndPrivileges.mockRejectedValue(error)
-
-    await expect(getPermissions(crn, organisationId, token)).rejects.toThrow('Permission error')
-    expect(permissionsModule.getPersonId).toHaveBeenCalledWith({ crn, token })
-    expect(permissionsModule.getRolesAndPrivileges).toHaveBeenCalledWith(personId, organisationId, { crn, token })
-  })
-})
+  it('should look up the permissions through the cache', async () => {
+    mockProviderGetPermissions.mockResolvedValue({ role: 'Farmer', privileges: [] })
 
-describe('Integration tests for permission functions', () => {
-  let originalModule
+    await getPermissions(request, user)
 
-  beforeAll(async () => {
-    originalModule = await vi.importActual('./get-permissions')
+    expect(withPermissionsCache).toHaveBeenCalledWith(request, user, expect.any(Function))
   })
 
-  it('should integrate correctly with mock API responses', async () => {
-    const crn = '1234567890'
-    const organisationId = 'org123'
-    const token = 'valid-token'
+  it('should propagate errors from the provider', async () => {
+    mockProviderGetPermissions.mockRejectedValue(new Error('Siti Agri error'))
 
-    const result = await originalModule.getPermissions(crn, organisationId, token)
-
-    expect(result).toEqual({
-      role: 'Farmer',
-      scope: ['user', 'Full permission - business']
-    })
+    await expect(getPermissions(request, user)).rejects.toThrow('Siti Agri error')
   })
 })
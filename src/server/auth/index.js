@@ -3,6 +3,7 @@ import { getSafeRedirect } from '~/src/server/auth/get-safe-redirect.js'
 import { validateState } from '~/src/server/auth/state.js'
 import { verifyToken } from '~/src/server/auth/verify-token.js'
 import { getSignOutUrl } from './get-sign-out-url.js'
+import { getSessionExpiresAt, handleKeepAlive, handleSignedOut } from './session-timeout.js'
 import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
 import { config } from '~/src/config/config.js'
 
@@ -151,6 +152,25 @@ function setupAuthRoutes(server) {
     path: '/auth/journey-unauthorised',
     handler: handleJourneyUnauthorised
   })
+
+  server.route({
+    method: 'POST',
+    path: '/auth/keep-alive',
+    options: {
+      // Answer the session timeout warning with a 401 instead of redirecting it to sign in
+      plugins: { cookie: { redirectTo: false } }
+    },
+    handler: handleKeepAlive
+  })
+
+  server.route({
+    method: 'GET',
+    path: '/auth/signed-out',
+    options: {
+      auth: { strategy: 'session', mode: 'try' }
+    },
+    handler: handleSignedOut
+  })
 }
 
 /**
@@ -336,7 +356,7 @@ async function processAuthenticatedSignIn(request, h) {
 
   await verifyToken(token)
 
-  const { role, scope } = getPermissionsOrDefaults(profile, token)
+  const { role, scope } = await getPermissionsOrDefaults(request, profile, token)
   await storeSessionData(request, profile, role, scope, token, refreshToken)
   setCookieAuth(request, profile)
 
@@ -361,9 +381,13 @@ function validateProfileData(profile) {
   }
 }
 
-function getPermissionsOrDefaults(profile, token) {
+async function getPermissionsOrDefaults(request, profile, token) {
   try {
-    const permissions = getPermissions(profile.crn, profile.organisationId, token)
+    const permissions = await getPermissions(request, {
+      crn: profile.crn,
+      organisationId: profile.organisationId,
+      token
+    })
     return { role: permissions.role, scope: permissions.scope }
   } catch (permissionsError) {
     log(LogCodes.AUTH.SIGN_IN_FAILURE, {
@@ -388,7 +412,8 @@ async function storeSessionData(request, profile, role, scope, token, refreshTok
       role,
       scope,
       token,
-      refreshToken
+      refreshToken,
+      expiresAt: getSessionExpiresAt()
     })
   } catch (cacheError) {
     log(LogCodes.AUTH.SIGN_IN_FAILURE, {
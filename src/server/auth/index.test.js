@@ -0,0 +1,43 @@
+import { vi } from 'vitest'
+import Cookie from '@hapi/cookie'
+import hapi from '@hapi/hapi'
+import { config } from '~/src/config/config.js'
+import { getCookieOptions } from '~/src/plugins/auth.js'
+import { auth } from './index.js'
+
+describe('auth routes', () => {
+  let server
+
+  beforeAll(async () => {
+    // The Defra ID routes need its OIDC strategy, which is not under test here
+    const configGet = config.get.bind(config)
+    vi.spyOn(config, 'get').mockImplementation((key) => (key === 'defraId.enabled' ? false : configGet(key)))
+
+    server = hapi.server()
+    await server.register(Cookie)
+    server.auth.strategy('session', 'cookie', getCookieOptions())
+    server.auth.default('session')
+    await server.register(auth)
+    await server.initialize()
+  })
+
+  afterAll(async () => {
+    await server.stop({ timeout: 0 })
+    vi.restoreAllMocks()
+  })
+
+  test('answers the session timeout warning with a 401 rather than a redirect when signed out', async () => {
+    const response = await server.inject({ method: 'POST', url: '/auth/keep-alive' })
+
+    expect(response.statusCode).toBe(401)
+    expect(response.headers.location).toBeUndefined()
+  })
+
+  test('still sends signed out users of other pages to sign in', async () => {
+    server.route({ method: 'GET', path: '/signed-in-page', handler: () => 'ok' })
+
+    const response = await server.inject({ method: 'GET', url: '/signed-in-page' })
+
+    expect(response.statusCode).toBe(302)
+  })
+})
@@ -0,0 +1,60 @@
+import { config } from '~/src/config/config.js'
+
+const PLUGIN_NAME = 'permissions-cache'
+
+/**
+ * A cached permissions lookup
+ * @typedef {object} CachedLookup
+ * @property {string} id - Cache key
+ * @property {() => Promise<any>} fetch - Looks up the permissions when they are not cached
+ */
+
+/**
+ * Caches the roles and privileges users hold for a business in the server's catbox cache, so signing in again or
+ * switching back to a business does not repeat the RPS and Siti Agri calls
+ * @satisfies {ServerRegisterPluginObject<void>}
+ */
+export const permissionsCache = {
+  plugin: {
+    name: PLUGIN_NAME,
+    register(server) {
+      server.expose(
+        'policy',
+        server.cache({
+          cache: config.get('session.cache.name'),
+          segment: 'permissions',
+          expiresIn: config.get('permissions.cacheTtl'),
+          generateTimeout: false,
+          generateFunc: (id) => /** @type {CachedLookup} */ (id).fetch()
+        })
+      )
+    }
+  }
+}
+
+/**
+ * Returns the cached permissions of a user for a business, or looks them up and caches them. Nothing is cached without
+ * a request or the cache plugin. Failed lookups are not cached.
+ * @template T
+ * @param {Request | undefined} request
+ * @param {{ crn: string, organisationId: string }} user
+ * @param {() => Promise<T>} fetch - Looks up the permissions
+ * @returns {Promise<T>}
+ */
+export function withPermissionsCache(request, { crn, organisationId }, fetch) {
+  /** @type {Policy<any, any> | undefined} */
+  const policy = request?.server?.plugins?.[PLUGIN_NAME]?.policy
+
+  if (!policy) {
+    return fetch()
+  }
+
+  /** @type {CachedLookup} */
+  const lookup = { id: `${crn}:${organisationId}`, fetch }
+  return policy.get(lookup)
+}
+
+/**
+ * @import { Request, ServerRegisterPluginObject } from '@hapi/hapi'
+ * @import { Policy } from '@hapi/catbox'
+ */
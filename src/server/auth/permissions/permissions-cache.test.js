@@ -0,0 +1,63 @@
+import { vi } from 'vitest'
+import hapi from '@hapi/hapi'
+import { Engine as CatboxMemory } from '@hapi/catbox-memory'
+import { config } from '~/src/config/config.js'
+import { permissionsCache, withPermissionsCache } from './permissions-cache.js'
+
+describe('permissions cache', () => {
+  const user = { crn: '1109990001', organisationId: '31' }
+  const permissions = { role: 'Agent', privileges: ['Submit - bps'] }
+  let server
+  let request
+
+  beforeEach(async () => {
+    server = hapi.server({
+      cache: [{ name: config.get('session.cache.name'), provider: { constructor: CatboxMemory } }]
+    })
+    await server.register(permissionsCache)
+    await server.initialize()
+    request = { server }
+  })
+
+  afterEach(async () => {
+    await server.stop()
+  })
+
+  it('should look up the permissions once and then use the cached permissions', async () => {
+    const fetch = vi.fn().mockResolvedValue(permissions)
+
+    expect(await withPermissionsCache(request, user, fetch)).toEqual(permissions)
+    expect(await withPermissionsCache(request, user, fetch)).toEqual(permissions)
+
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('should keep permissions for each business separately', async () => {
+    const fetch = vi.fn().mockResolvedValue(permissions)
+
+    await withPermissionsCache(request, user, fetch)
+    await withPermissionsCache(request, { ...user, organisationId: '30' }, fetch)
+
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  it('should not cache failed lookups', async () => {
+    const fetch = vi.fn().mockRejectedValueOnce(new Error('Siti Agri error')).mockResolvedValue(permissions)
+
+    await expect(withPermissionsCache(request, user, fetch)).rejects.toThrow('Siti Agri error')
+    expect(await withPermissionsCache(request, user, fetch)).toEqual(permissions)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  it.each([
+    ['there is no request', () => undefined],
+    ['the cache plugin is not registered', () => ({ server: { plugins: {} } })]
+  ])('should look up the permissions every time when %s', async (_, getRequest) => {
+    const fetch = vi.fn().mockResolvedValue(permissions)
+
+    await withPermissionsCache(getRequest(), user, fetch)
+    await withPermissionsCache(getRequest(), user, fetch)
+
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+})
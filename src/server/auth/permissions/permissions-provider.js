@@ -0,0 +1,56 @@
+import { config } from '~/src/config/config.js'
+import { logger } from '~/src/server/common/helpers/logging/log.js'
+import { createApiPermissionsProvider } from './providers/api-provider.js'
+import { createStubPermissionsProvider } from './providers/stub-provider.js'
+
+/**
+ * @typedef {'api' | 'stub'} PermissionsProviderName
+ */
+
+/**
+ * A signed in user and the business they are acting for
+ * @typedef {object} PermissionsUser
+ * @property {string} crn - Customer reference number
+ * @property {string} organisationId
+ * @property {string} [token] - Defra Identity token, used to call the RPS and Siti Agri APIs
+ */
+
+/**
+ * The role and privileges a user holds for a business
+ * @typedef {object} UserPermissions
+ * @property {string | undefined} role - Such as Farmer or Agent
+ * @property {string[]} privileges - Such as 'Full permission - business' or 'Submit - bps'
+ */
+
+/**
+ * Looks up the role and privileges users hold for a business
+ * @typedef {object} PermissionsProvider
+ * @property {PermissionsProviderName} name
+ * @property {(user: PermissionsUser) => Promise<UserPermissions>} getPermissions - Throws if they cannot be looked up
+ */
+
+/** @type {PermissionsProvider | undefined} */
+let provider
+
+/**
+ * @param {PermissionsProviderName} [name]
+ * @returns {PermissionsProvider}
+ */
+export function createPermissionsProvider(name) {
+  if (name === 'api') {
+    logger.info('Using the RPS and Siti Agri APIs for user permissions')
+    return createApiPermissionsProvider()
+  }
+
+  logger.info('Using stub user permissions')
+  return createStubPermissionsProvider()
+}
+
+/**
+ * Returns the provider chosen by the `permissions.provider` config, creating it on first use
+ * @returns {PermissionsProvider}
+ */
+export function getPermissionsProvider() {
+  provider ??= createPermissionsProvider(/** @type {PermissionsProviderName} */ (config.get('permissions.provider')))
+  return provider
+}
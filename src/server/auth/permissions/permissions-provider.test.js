@@ -0,0 +1,40 @@
+import { vi } from 'vitest'
+import { config } from '~/src/config/config.js'
+import { createPermissionsProvider, getPermissionsProvider } from './permissions-provider.js'
+
+const mockLoggerInfo = vi.fn()
+
+vi.mock('~/src/server/common/helpers/logging/log.js', async () => {
+  const { mockLoggerFactoryWithCustomMethods } = await import('~/src/__mocks__')
+  return {
+    logger: mockLoggerFactoryWithCustomMethods({
+      info: (...args) => mockLoggerInfo(...args)
+    })
+  }
+})
+
+describe('#createPermissionsProvider', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  test.each([
+    ['api', 'api', 'Using the RPS and Siti Agri APIs for user permissions'],
+    ['stub', 'stub', 'Using stub user permissions'],
+    [undefined, 'stub', 'Using stub user permissions']
+  ])('creates the %s provider', (name, expected, message) => {
+    const provider = createPermissionsProvider(name)
+
+    expect(provider.name).toBe(expected)
+    expect(mockLoggerInfo).toHaveBeenCalledWith(message)
+  })
+})
+
+describe('#getPermissionsProvider', () => {
+  test('creates the configured provider once', () => {
+    const provider = getPermissionsProvider()
+
+    expect(provider.name).toBe(config.get('permissions.provider'))
+    expect(getPermissionsProvider()).toBe(provider)
+  })
+})
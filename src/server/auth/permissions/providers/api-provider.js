@@ -0,0 +1,58 @@
+import { config } from '~/src/config/config.js'
+
+// The RPS API finds the person from the crn header, the ID in the path is not used
+const PERSON_SUMMARY_PATH = '/person/3337243/summary'
+
+/**
+ * Roles and privileges of everyone linked to a business, from the Siti Agri API
+ * @typedef {object} SitiAgriAuthorisation
+ * @property {Array<{ personId: string | number, role: string }>} personRoles
+ * @property {Array<{ personId: string | number, privilegeNames: string[] }>} personPrivileges
+ */
+
+/**
+ * Looks up roles and privileges with the RPS and Siti Agri APIs. They cannot be found in a single call: the person ID
+ * comes from RPS, then Siti Agri returns the roles and privileges of everyone linked to the business.
+ * @param {{ apiUrl: string, apiTimeout: number }} [options] - Defaults to the `permissions` config
+ * @returns {PermissionsProvider}
+ */
+export function createApiPermissionsProvider({ apiUrl, apiTimeout } = config.get('permissions')) {
+  /**
+   * @param {string} path
+   * @param {PermissionsUser} user
+   */
+  const get = async (path, { crn, token }) => {
+    const response = await fetch(`${apiUrl}${path}`, {
+      headers: { crn, Authorization: token ?? '' },
+      signal: AbortSignal.timeout(apiTimeout)
+    })
+
+    if (!response.ok) {
+      throw new Error(`${path} responded with ${response.status} ${response.statusText}`)
+    }
+
+    return response.json()
+  }
+
+  return {
+    name: 'api',
+    getPermissions: async (user) => {
+      const person = await get(PERSON_SUMMARY_PATH, user)
+      const personId = String(person._data.id)
+
+      /** @type {{ data: SitiAgriAuthorisation }} */
+      const { data } = await get(`/SitiAgriApi/authorisation/organisation/${user.organisationId}/authorisation`, user)
+
+      return {
+        role: data.personRoles.find((role) => String(role.personId) === personId)?.role,
+        privileges: data.personPrivileges
+          .filter((privilege) => String(privilege.personId) === personId)
+          .flatMap((privilege) => privilege.privilegeNames)
+      }
+    }
+  }
+}
+
+/**
+ * @import { PermissionsProvider, PermissionsUser } from '../permissions-provider.js'
+ */
@@ -0,0 +1,77 @@
+import { vi } from 'vitest'
+import { mockFetch } from '~/src/__mocks__/hapi-mocks.js'
+import { createApiPermissionsProvider } from './api-provider.js'
+
+const personSummary = { _data: { id: '123456', customerReferenceNumber: '1234567890' } }
+
+const authorisation = {
+  data: {
+    personRoles: [
+      { personId: '123456', role: 'Agent' },
+      { personId: '654321', role: 'Farmer' }
+    ],
+    personPrivileges: [
+      { personId: '123456', privilegeNames: ['Submit - bps'] },
+      { personId: '123456', privilegeNames: ['Submit - cs agree'] },
+      { personId: '654321', privilegeNames: ['Full permission - business'] }
+    ]
+  }
+}
+
+const jsonResponse = (body) => ({ ok: true, status: 200, json: () => Promise.resolve(body) })
+
+describe('createApiPermissionsProvider', () => {
+  const user = { crn: '1234567890', organisationId: '5565448', token: 'defra-id-token' }
+  let fetch
+  let provider
+
+  beforeEach(() => {
+    fetch = mockFetch()
+      .mockResolvedValueOnce(jsonResponse(personSummary))
+      .mockResolvedValueOnce(jsonResponse(authorisation))
+    provider = createApiPermissionsProvider({ apiUrl: 'https://rps.test', apiTimeout: 1000 })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  test('returns the role and privileges of the person for the business', async () => {
+    expect(await provider.getPermissions(user)).toEqual({
+      role: 'Agent',
+      privileges: ['Submit - bps', 'Submit - cs agree']
+    })
+  })
+
+  test('finds the person from the CRN, then the authorisation for the business', async () => {
+    await provider.getPermissions(user)
+
+    const options = {
+      headers: { crn: '1234567890', Authorization: 'defra-id-token' },
+      signal: expect.any(AbortSignal)
+    }
+    expect(fetch).toHaveBeenNthCalledWith(1, 'https://rps.test/person/3337243/summary', options)
+    expect(fetch).toHaveBeenNthCalledWith(
+      2,
+      'https://rps.test/SitiAgriApi/authorisation/organisation/5565448/authorisation',
+      options
+    )
+  })
+
+  test('returns no role or privileges when the person is not linked to the business', async () => {
+    fetch
+      .mockReset()
+      .mockResolvedValueOnce(jsonResponse({ _data: { id: 999999 } }))
+      .mockResolvedValueOnce(jsonResponse(authorisation))
+
+    expect(await provider.getPermissions(user)).toEqual({ role: undefined, privileges: [] })
+  })
+
+  test('throws when an API call fails', async () => {
+    fetch.mockReset().mockResolvedValue({ ok: false, status: 401, statusText: 'Unauthorized' })
+
+    await expect(provider.getPermissions(user)).rejects.toThrow(
+      '/person/3337243/summary responded with 401 Unauthorized'
+    )
+  })
+})
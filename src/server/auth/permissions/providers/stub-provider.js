@@ -0,0 +1,40 @@
+import { readFile } from 'node:fs/promises'
+import { config } from '~/src/config/config.js'
+
+/**
+ * Roles and privileges for local development, in the same shape as the Defra ID stub's users.json
+ * @typedef {object} PermissionsFixture
+ * @property {Array<{ crn: string | number, organisations: Array<UserPermissions & { organisationId: string }> }>} people
+ */
+
+/**
+ * Looks up roles and privileges in a local fixture file instead of Siti Agri. The file is read on first use.
+ * Users and businesses that are not listed have no role or privileges.
+ * @param {string} [filePath] - Defaults to `permissions.stubFilePath`
+ * @returns {PermissionsProvider}
+ */
+export function createStubPermissionsProvider(filePath = config.get('permissions.stubFilePath')) {
+  /** @type {Promise<PermissionsFixture> | undefined} */
+  let fixture
+
+  return {
+    name: 'stub',
+    getPermissions: async ({ crn, organisationId }) => {
+      fixture ??= readFile(filePath, 'utf8').then((raw) => JSON.parse(raw))
+      const { people } = await fixture.catch((error) => {
+        fixture = undefined
+        throw error
+      })
+
+      const organisation = people
+        .find((person) => String(person.crn) === String(crn))
+        ?.organisations.find((org) => String(org.organisationId) === String(organisationId))
+
+      return { role: organisation?.role, privileges: organisation?.privileges ?? [] }
+    }
+  }
+}
+
+/**
+ * @import { PermissionsProvider, UserPermissions } from '../permissions-provider.js'
+ */
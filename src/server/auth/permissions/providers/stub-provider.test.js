@@ -0,0 +1,102 @@
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { parse as parseYaml } from 'yaml'
+import { config } from '~/src/config/config.js'
+import { FORM_DEFINITIONS_DIR } from '~/src/server/common/forms/services/form.js'
+import { getRequiredPrivileges } from '~/src/server/plugins/form-permissions.js'
+import { createStubPermissionsProvider } from './stub-provider.js'
+
+const fixture = {
+  people: [
+    {
+      crn: 1109990001,
+      organisations: [
+        { organisationId: '30', role: 'Agent', privileges: ['Full permission - business'] },
+        { organisationId: '31', role: 'Agent', privileges: ['Submit - bps'] }
+      ]
+    }
+  ]
+}
+
+describe('createStubPermissionsProvider', () => {
+  let dir
+  let filePath
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'stub-permissions-'))
+    filePath = path.join(dir, 'permissions.json')
+    await writeFile(filePath, JSON.stringify(fixture))
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  test('returns the permissions listed for the user and business', async () => {
+    const provider = createStubPermissionsProvider(filePath)
+
+    expect(await provider.getPermissions({ crn: '1109990001', organisationId: '31' })).toEqual({
+      role: 'Agent',
+      privileges: ['Submit - bps']
+    })
+  })
+
+  test.each([
+    ['user', { crn: '1100000000', organisationId: '31' }],
+    ['business', { crn: '1109990001', organisationId: '99' }]
+  ])('returns no privileges when the %s is not listed', async (_, user) => {
+    const provider = createStubPermissionsProvider(filePath)
+
+    expect(await provider.getPermissions(user)).toEqual({ role: undefined, privileges: [] })
+  })
+
+  test('reads the file again after it could not be read', async () => {
+    const missingPath = path.join(dir, 'missing.json')
+    const provider = createStubPermissionsProvider(missingPath)
+
+    await expect(provider.getPermissions({ crn: '1109990001', organisationId: '30' })).rejects.toThrow('ENOENT')
+
+    await writeFile(missingPath, JSON.stringify(fixture))
+    expect(await provider.getPermissions({ crn: '1109990001', organisationId: '30' })).toEqual({
+      role: 'Agent',
+      privileges: ['Full permission - business']
+    })
+  })
+
+  test('reads the fixture next to the Defra ID stub users by default', async () => {
+    const provider = createStubPermissionsProvider()
+
+    expect(config.get('permissions.stubFilePath')).toBe('fcp-defra-id-stub/permissions.json')
+    expect(await provider.getPermissions({ crn: '1109990001', organisationId: '31' })).toEqual({
+      role: 'Agent',
+      privileges: ['Submit - bps']
+    })
+  })
+
+  test('gives users who are not in the Defra ID stub no privileges by default', async () => {
+    const provider = createStubPermissionsProvider()
+
+    expect(await provider.getPermissions({ crn: '1100000000', organisationId: '1' })).toEqual({
+      role: undefined,
+      privileges: []
+    })
+  })
+
+  test.each(['farm-payments', 'adding-value'])(
+    'lets the mock session used when Defra ID is disabled view and submit %s',
+    async (slug) => {
+      const { metadata } = parseYaml(await readFile(path.join(FORM_DEFINITIONS_DIR, `${slug}.yaml`), 'utf8'))
+      const { privileges } = await createStubPermissionsProvider().getPermissions({
+        crn: String(config.get('landGrants.customerReferenceNumber')),
+        organisationId: String(config.get('landGrants.defaultSbi'))
+      })
+      const submitPages = Object.keys(metadata.permissions.pages ?? {}).map((page) => page.slice(1))
+
+      for (const [pagePath, method] of [[undefined, 'get'], ...submitPages.map((page) => [page, 'post'])]) {
+        const required = getRequiredPrivileges(metadata.permissions, pagePath, method)
+        expect(required.some((privilege) => privileges.includes(privilege))).toBe(true)
+      }
+    }
+  )
+})
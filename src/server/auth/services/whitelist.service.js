@@ -1,5 +1,9 @@
-import { log } from '~/src/server/common/helpers/logging/log.js'
+import { log, logger } from '~/src/server/common/helpers/logging/log.js'
 import { LogCodes } from '~/src/server/common/helpers/logging/log-codes.js'
+import { config } from '~/src/config/config.js'
+import { isEntryActive, toWhitelistEntry } from '~/src/server/auth/whitelist/whitelist-entry.js'
+import { getWhitelistSource } from '~/src/server/auth/whitelist/whitelist-source.js'
+import { parseWhitelist } from '~/src/server/auth/whitelist/sources/env-source.js'
 
 const SCENARIO_FLAGS = {
   HAS_CRN_VALIDATION: 8,
@@ -8,36 +12,58 @@ const SCENARIO_FLAGS = {
   SBI_PASSES: 1
 }
 
+/**
+ * Builds the whitelist service for each grant from the configured whitelist source. Services are kept for
+ * `whitelist.refreshInterval`, then loaded again so changes to the source take effect without a restart.
+ */
 class WhitelistServiceFactory {
   static #serviceCache = new Map()
-  static getService(grantMetadata) {
+
+  /**
+   * @param {Record<string, any> | undefined} grantMetadata - Form metadata, naming the whitelist env vars
+   * @param {string} [slug] - The grant the whitelists are for
+   * @returns {Promise<WhitelistService>}
+   */
+  static async getService(grantMetadata, slug) {
     const whitelistCrnEnvVar = grantMetadata?.whitelistCrnEnvVar
     const whitelistSbiEnvVar = grantMetadata?.whitelistSbiEnvVar
 
-    const cacheKey = `${whitelistCrnEnvVar || 'none'}:${whitelistSbiEnvVar || 'none'}`
+    const cacheKey = `${slug || 'none'}:${whitelistCrnEnvVar || 'none'}:${whitelistSbiEnvVar || 'none'}`
+    const cached = this.#serviceCache.get(cacheKey)
 
-    if (this.#serviceCache.has(cacheKey)) {
-      return this.#serviceCache.get(cacheKey)
+    if (cached && Date.now() - cached.loadedAt < config.get('whitelist.refreshInterval')) {
+      return cached.service
     }
 
-    const crnWhitelist = whitelistCrnEnvVar ? this._parseWhitelist(process.env[whitelistCrnEnvVar]) : []
-    const sbiWhitelist = whitelistSbiEnvVar ? this._parseWhitelist(process.env[whitelistSbiEnvVar]) : []
+    try {
+      const whitelistSource = getWhitelistSource()
+      const { crn, sbi } = await whitelistSource.getWhitelists(slug, grantMetadata)
+      const required = { crn: Boolean(whitelistCrnEnvVar), sbi: Boolean(whitelistSbiEnvVar) }
 
-    const service = new WhitelistService(crnWhitelist, sbiWhitelist)
-    this.#serviceCache.set(cacheKey, service)
+      // A grant declaring a whitelist stays restricted when the source has no entries for it
+      Object.entries({ crn, sbi })
+        .filter(([type, entries]) => required[type] && entries.length === 0)
+        .forEach(([type]) =>
+          log(LogCodes.AUTH.WHITELIST_ENTRIES_MISSING, { grantCode: slug, type, source: whitelistSource.name })
+        )
 
-    return service
-  }
+      const service = new WhitelistService(crn, sbi, { crnRequired: required.crn, sbiRequired: required.sbi })
+      this.#serviceCache.set(cacheKey, { service, loadedAt: Date.now() })
 
-  static _parseWhitelist(whitelistValue) {
-    if (!whitelistValue || whitelistValue.trim() === '') {
-      return []
+      return service
+    } catch (error) {
+      if (!cached) {
+        throw error
+      }
+
+      // Keep checking against the last whitelists that loaded rather than locking everyone out
+      logger.error(error, `Failed to reload whitelists for ${slug}, using the previous whitelists`)
+      return cached.service
     }
+  }
 
-    return whitelistValue
-      .split(',')
-      .map((item) => item.trim())
-      .filter((item) => item.length > 0)
+  static _parseWhitelist(whitelistValue) {
+    return parseWhitelist(whitelistValue)
   }
 
   static clearCache() {
@@ -46,9 +72,18 @@ class WhitelistServiceFactory {
 }
 
 class WhitelistService {
-  constructor(crnWhitelist = [], sbiWhitelist = []) {
+  /**
+   * @param {Array<string | WhitelistEntry>} [crnWhitelist]
+   * @param {Array<string | WhitelistEntry>} [sbiWhitelist]
+   * @param {object} [options]
+   * @param {boolean} [options.crnRequired] - Deny every CRN when the CRN whitelist is empty, rather than not checking it
+   * @param {boolean} [options.sbiRequired] - Deny every SBI when the SBI whitelist is empty, rather than not checking it
+   */
+  constructor(crnWhitelist = [], sbiWhitelist = [], { crnRequired = false, sbiRequired = false } = {}) {
     this.crnWhitelist = crnWhitelist
     this.sbiWhitelist = sbiWhitelist
+    this.crnRequired = crnRequired
+    this.sbiRequired = sbiRequired
   }
 
   /**
@@ -79,27 +114,36 @@ class WhitelistService {
   }
 
   /**
-   * Check if a user is whitelisted based on injected CRN whitelist
+   * Check if a user is whitelisted based on injected CRN whitelist. Entries outside their start and end dates do
+   * not give access.
    * @param {string} crn - The user's CRN from DefraID
    * @returns {boolean}
    */
   isCrnWhitelisted(crn) {
     if (this.crnWhitelist.length === 0) {
-      return true
+      return !this.crnRequired
     }
-    return this.crnWhitelist.includes(String(crn))
+    return this._hasActiveEntry(this.crnWhitelist, crn)
   }
 
   /**
-   * Check if an SBI is whitelisted based on injected SBI whitelist
+   * Check if an SBI is whitelisted based on injected SBI whitelist. Entries outside their start and end dates do
+   * not give access.
    * @param {string} sbi - The SBI number
    * @returns {boolean}
    */
   isSbiWhitelisted(sbi) {
     if (this.sbiWhitelist.length === 0) {
-      return true
+      return !this.sbiRequired
     }
-    return this.sbiWhitelist.includes(String(sbi))
+    return this._hasActiveEntry(this.sbiWhitelist, sbi)
+  }
+
+  /**
+   * @private
+   */
+  _hasActiveEntry(whitelist, value) {
+    return whitelist.some((entry) => toWhitelistEntry(entry).value === String(value) && isEntryActive(entry))
   }
 
   /**
@@ -115,8 +159,8 @@ class WhitelistService {
     return {
       crnPassesValidation,
       sbiPassesValidation,
-      hasCrnValidation: this.crnWhitelist.length > 0,
-      hasSbiValidation: this.sbiWhitelist.length > 0,
+      hasCrnValidation: this.crnWhitelist.length > 0 || this.crnRequired,
+      hasSbiValidation: this.sbiWhitelist.length > 0 || this.sbiRequired,
       overallAccess: crnPassesValidation && sbiPassesValidation
     }
   }
@@ -239,3 +283,7 @@ class WhitelistService {
 const whitelistService = new WhitelistService()
 
 export { WhitelistService, WhitelistServiceFactory, whitelistService }
+
+/**
+ * @import { WhitelistEntry } from '~/src/server/auth/whitelist/whitelist-entry.js'
+ */
@@ -1,6 +1,12 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
 import { vi } from 'vitest'
 import { WhitelistService, whitelistService, WhitelistServiceFactory } from './whitelist.service.js'
-import { log } from '~/src/server/common/helpers/logging/log.js'
+import { config } from '~/src/config/config.js'
+import { log, logger } from '~/src/server/common/helpers/logging/log.js'
+import { getWhitelistSource } from '~/src/server/auth/whitelist/whitelist-source.js'
+import { createFileWhitelistSource } from '~/src/server/auth/whitelist/sources/file-source.js'
 import { LogCodes } from '~/src/server/common/helpers/logging/log-codes.js'
 
 vi.mock('~/src/server/common/helpers/logging/log.js')
@@ -56,26 +62,28 @@ const createValidationParams = (overrides = {}) => ({
 describe('WhitelistServiceFactory', () => {
   beforeEach(() => {
     vi.clearAllMocks()
+    vi.restoreAllMocks()
     WhitelistServiceFactory.clearCache()
     delete process.env[TEST_ENV_VARS.CRN_WHITELIST]
     delete process.env[TEST_ENV_VARS.SBI_WHITELIST]
   })
 
   afterEach(() => {
+    vi.useRealTimers()
     delete process.env[TEST_ENV_VARS.CRN_WHITELIST]
     delete process.env[TEST_ENV_VARS.SBI_WHITELIST]
   })
 
   describe('getService', () => {
-    it('should create service with empty whitelists when no env vars configured', () => {
+    it('should create service with empty whitelists when no env vars configured', async () => {
       const grantMetadata = {}
-      const service = WhitelistServiceFactory.getService(grantMetadata)
+      const service = await WhitelistServiceFactory.getService(grantMetadata)
 
       expect(service.crnWhitelist).toEqual([])
       expect(service.sbiWhitelist).toEqual([])
     })
 
-    it('should create service with parsed whitelists from env vars', () => {
+    it('should create service with parsed whitelists from env vars', async () => {
       process.env[TEST_ENV_VARS.CRN_WHITELIST] = TEST_WHITELIST_VALUES.CRN_VALUES
       process.env[TEST_ENV_VARS.SBI_WHITELIST] = TEST_WHITELIST_VALUES.SBI_VALUES
 
@@ -84,31 +92,150 @@ describe('WhitelistServiceFactory', () => {
         whitelistSbiEnvVar: TEST_ENV_VARS.SBI_WHITELIST
       }
 
-      const service = WhitelistServiceFactory.getService(grantMetadata)
+      const service = await WhitelistServiceFactory.getService(grantMetadata)
 
       expect(service.crnWhitelist).toEqual(TEST_WHITELIST_ARRAYS.CRN_VALUES)
       expect(service.sbiWhitelist).toEqual(TEST_WHITELIST_ARRAYS.SBI_VALUES)
     })
 
-    it('should cache and reuse service instances', () => {
+    it('should cache and reuse service instances', async () => {
       const grantMetadata = {}
-      const service1 = WhitelistServiceFactory.getService(grantMetadata)
-      const service2 = WhitelistServiceFactory.getService(grantMetadata)
+      const service1 = await WhitelistServiceFactory.getService(grantMetadata)
+      const service2 = await WhitelistServiceFactory.getService(grantMetadata)
 
       expect(service1).toBe(service2)
     })
 
-    it('should handle whitespace and empty values in env vars', () => {
+    it('should handle whitespace and empty values in env vars', async () => {
       process.env[TEST_ENV_VARS.CRN_WHITELIST] = TEST_WHITELIST_VALUES.WITH_SPACES
 
       const grantMetadata = {
         whitelistCrnEnvVar: TEST_ENV_VARS.CRN_WHITELIST
       }
 
-      const service = WhitelistServiceFactory.getService(grantMetadata)
+      const service = await WhitelistServiceFactory.getService(grantMetadata)
 
       expect(service.crnWhitelist).toEqual(TEST_WHITELIST_ARRAYS.BASIC)
     })
+
+    it('should load the whitelists of the grant from the whitelist source', async () => {
+      const getWhitelists = vi
+        .spyOn(getWhitelistSource(), 'getWhitelists')
+        .mockResolvedValue({ crn: [{ value: TEST_VALUES.CRN_1, cohort: 'private-beta-1' }], sbi: [] })
+
+      const service = await WhitelistServiceFactory.getService({}, 'example-whitelist')
+
+      expect(getWhitelists).toHaveBeenCalledWith('example-whitelist', {})
+      expect(service.crnWhitelist).toEqual([{ value: TEST_VALUES.CRN_1, cohort: 'private-beta-1' }])
+    })
+
+    it('should load the whitelists again once the refresh interval has passed', async () => {
+      vi.useFakeTimers({ now: new Date('2026-03-01T10:00:00.000Z'), toFake: ['Date'] })
+      const grantMetadata = { whitelistCrnEnvVar: TEST_ENV_VARS.CRN_WHITELIST }
+      process.env[TEST_ENV_VARS.CRN_WHITELIST] = TEST_VALUES.CRN_1
+
+      const service1 = await WhitelistServiceFactory.getService(grantMetadata)
+      process.env[TEST_ENV_VARS.CRN_WHITELIST] = TEST_VALUES.CRN_2
+      vi.advanceTimersByTime(config.get('whitelist.refreshInterval'))
+      const service2 = await WhitelistServiceFactory.getService(grantMetadata)
+
+      expect(service1.crnWhitelist).toEqual([TEST_VALUES.CRN_1])
+      expect(service2.crnWhitelist).toEqual([TEST_VALUES.CRN_2])
+    })
+
+    it('should keep the previous whitelists when they fail to load again', async () => {
+      vi.useFakeTimers({ now: new Date('2026-03-01T10:00:00.000Z'), toFake: ['Date'] })
+      const service1 = await WhitelistServiceFactory.getService({}, 'example-whitelist')
+
+      vi.spyOn(getWhitelistSource(), 'getWhitelists').mockRejectedValue(new Error('Bad whitelist file'))
+      vi.spyOn(logger, 'error')
+      vi.advanceTimersByTime(config.get('whitelist.refreshInterval'))
+      const service2 = await WhitelistServiceFactory.getService({}, 'example-whitelist')
+
+      expect(service2).toBe(service1)
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.any(Error),
+        'Failed to reload whitelists for example-whitelist, using the previous whitelists'
+      )
+    })
+
+    it('should fail when the whitelists have never loaded', async () => {
+      vi.spyOn(getWhitelistSource(), 'getWhitelists').mockRejectedValue(new Error('Bad whitelist file'))
+
+      await expect(WhitelistServiceFactory.getService({}, 'example-whitelist')).rejects.toThrow('Bad whitelist file')
+    })
+
+    describe('when a grant declaring a whitelist is missing from the file source', () => {
+      const grantMetadata = {
+        whitelistCrnEnvVar: TEST_ENV_VARS.CRN_WHITELIST,
+        whitelistSbiEnvVar: TEST_ENV_VARS.SBI_WHITELIST
+      }
+      let dir
+      let source
+      let originalSource
+
+      beforeEach(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'whitelist-service-'))
+        const filePath = path.join(dir, 'whitelists.yaml')
+        await writeFile(filePath, `adding-value:\n  crn:\n    - '${TEST_VALUES.CRN_1}'\n`)
+
+        source = getWhitelistSource()
+        originalSource = { ...source }
+        Object.assign(source, createFileWhitelistSource(filePath))
+      })
+
+      afterEach(async () => {
+        Object.assign(source, originalSource)
+        await rm(dir, { recursive: true, force: true })
+      })
+
+      it('should deny access to everyone', async () => {
+        const service = await WhitelistServiceFactory.getService(grantMetadata, 'example-whitelist')
+
+        expect(service.validateGrantAccess(TEST_VALUES.CRN_1, TEST_VALUES.SBI_1)).toEqual({
+          crnPassesValidation: false,
+          sbiPassesValidation: false,
+          hasCrnValidation: true,
+          hasSbiValidation: true,
+          overallAccess: false
+        })
+      })
+
+      it('should log that the entries are missing', async () => {
+        await WhitelistServiceFactory.getService(grantMetadata, 'example-whitelist')
+
+        expect(log).toHaveBeenCalledWith(LogCodes.AUTH.WHITELIST_ENTRIES_MISSING, {
+          grantCode: 'example-whitelist',
+          type: 'crn',
+          source: 'file'
+        })
+        expect(log).toHaveBeenCalledWith(LogCodes.AUTH.WHITELIST_ENTRIES_MISSING, {
+          grantCode: 'example-whitelist',
+          type: 'sbi',
+          source: 'file'
+        })
+      })
+    })
+
+    it('should only deny the type whose entries are missing', async () => {
+      vi.spyOn(getWhitelistSource(), 'getWhitelists').mockResolvedValue({ crn: [TEST_VALUES.CRN_1], sbi: [] })
+
+      const service = await WhitelistServiceFactory.getService(
+        { whitelistCrnEnvVar: TEST_ENV_VARS.CRN_WHITELIST, whitelistSbiEnvVar: TEST_ENV_VARS.SBI_WHITELIST },
+        'example-whitelist'
+      )
+
+      expect(service.isCrnWhitelisted(TEST_VALUES.CRN_1)).toBe(true)
+      expect(service.isSbiWhitelisted(TEST_VALUES.SBI_1)).toBe(false)
+      expect(log).toHaveBeenCalledTimes(1)
+    })
+
+    it('should not deny grants that do not declare a whitelist', async () => {
+      const service = await WhitelistServiceFactory.getService({}, 'adding-value')
+
+      expect(service.validateGrantAccess(TEST_VALUES.CRN_1, TEST_VALUES.SBI_1).overallAccess).toBe(true)
+      expect(log).not.toHaveBeenCalled()
+    })
   })
 
   describe('_parseWhitelist', () => {
@@ -219,6 +346,11 @@ describe('WhitelistService', () => {
       expect(serviceWithWhitelist.isCrnWhitelisted(crn)).toBe(expected)
     })
 
+    it('should return false when the CRN whitelist is empty but required', () => {
+      const serviceWithRequiredWhitelist = new WhitelistService([], [], { crnRequired: true })
+      expect(serviceWithRequiredWhitelist.isCrnWhitelisted(TEST_VALUES.CRN_1)).toBe(false)
+    })
+
     it('should handle numeric CRN values by converting to string', () => {
       const serviceWithCrnWhitelist = new WhitelistService(['12345'], [])
       expect(serviceWithCrnWhitelist.isCrnWhitelisted(12345)).toBe(true)
@@ -236,6 +368,11 @@ describe('WhitelistService', () => {
       expect(serviceWithWhitelist.isSbiWhitelisted(sbi)).toBe(expected)
     })
 
+    it('should return false when the SBI whitelist is empty but required', () => {
+      const serviceWithRequiredWhitelist = new WhitelistService([], [], { sbiRequired: true })
+      expect(serviceWithRequiredWhitelist.isSbiWhitelisted(TEST_VALUES.SBI_1)).toBe(false)
+    })
+
     it('should handle numeric SBI values by converting to string', () => {
       const serviceWithSbiWhitelist = new WhitelistService([], ['67890'])
       expect(serviceWithSbiWhitelist.isSbiWhitelisted(67890)).toBe(true)
@@ -359,6 +496,40 @@ describe('WhitelistService', () => {
     })
   })
 
+  describe('whitelist entries', () => {
+    beforeEach(() => {
+      vi.useFakeTimers({ now: new Date('2026-03-01T10:00:00.000Z'), toFake: ['Date'] })
+    })
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should allow entries within their start and end dates', () => {
+      const serviceWithEntries = new WhitelistService(
+        [{ value: TEST_VALUES.CRN_1, cohort: 'private-beta-1', startDate: '2026-03-01', endDate: '2026-03-01' }],
+        [TEST_VALUES.SBI_1]
+      )
+
+      expect(serviceWithEntries.validateGrantAccess(TEST_VALUES.CRN_1, TEST_VALUES.SBI_1).overallAccess).toBe(true)
+    })
+
+    it.each([
+      ['not started', { startDate: '2026-03-02' }],
+      ['expired', { endDate: '2026-02-28' }]
+    ])('should deny entries that have %s while still checking CRNs', (_description, dates) => {
+      const serviceWithEntries = new WhitelistService([{ value: TEST_VALUES.CRN_1, ...dates }], [])
+
+      expect(serviceWithEntries.validateGrantAccess(TEST_VALUES.CRN_1, TEST_VALUES.SBI_1)).toEqual({
+        crnPassesValidation: false,
+        sbiPassesValidation: true,
+        hasCrnValidation: true,
+        hasSbiValidation: false,
+        overallAccess: false
+      })
+    })
+  })
+
   describe('_logWhitelistEvent', () => {
     it('should log with correct parameters without validationType', () => {
       const logCode = LogCodes.AUTH.WHITELIST_ACCESS_GRANTED
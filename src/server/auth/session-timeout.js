@@ -0,0 +1,132 @@
+import Jwt from '@hapi/jwt'
+import { config } from '~/src/config/config.js'
+import { getSafeRedirect } from '~/src/server/auth/get-safe-redirect.js'
+import { refreshTokens } from '~/src/server/auth/refresh-tokens.js'
+import { statusCodes } from '~/src/server/common/constants/status-codes.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+
+const ONE_SECOND_MS = 1000
+
+/**
+ * How long a session lasts once it is started or extended. The session ends when either its cookie or its cache entry
+ * expires, so it is the shorter of the two.
+ * @returns {number} Milliseconds
+ */
+export function getSessionTtl() {
+  return Math.min(config.get('session.cookie.ttl'), config.get('session.cookie.cache.ttl'))
+}
+
+/**
+ * Returns when a session started or extended now will end, to store with the session as `expiresAt`
+ * @returns {string} ISO 8601 time
+ */
+export function getSessionExpiresAt() {
+  return new Date(Date.now() + getSessionTtl()).toISOString()
+}
+
+/**
+ * Whether the Defra ID token would expire before the session ends
+ * @param {string | undefined} token
+ * @param {string} expiresAt - When the session ends
+ * @returns {boolean}
+ */
+function needsTokenRefresh(token, expiresAt) {
+  if (!config.get('defraId.enabled') || !config.get('defraId.refreshTokens') || !token) {
+    return false
+  }
+
+  const { exp } = Jwt.token.decode(token).decoded.payload
+  return !exp || exp * ONE_SECOND_MS < new Date(expiresAt).getTime()
+}
+
+/**
+ * Extends the session of the signed in user by resetting its cookie and cache entry, and refreshes their Defra ID
+ * token when it would expire first. Called by the session timeout warning when the user chooses to stay signed in.
+ * When the token cannot be refreshed the session is ended, and the warning is told the user is signed out.
+ * @param {object} request - Hapi request object
+ * @param {ResponseToolkit} h
+ */
+export async function handleKeepAlive(request, h) {
+  const { sessionId } = request.auth.credentials
+  const userSession = await request.server.app.cache.get(sessionId)
+  if (!userSession) {
+    return h.response({ signedIn: false }).code(statusCodes.unauthorized)
+  }
+
+  const expiresAt = getSessionExpiresAt()
+  try {
+    if (needsTokenRefresh(userSession.token, expiresAt)) {
+      const { access_token: token, refresh_token: refreshToken } = await refreshTokens(userSession.refreshToken)
+      userSession.token = token
+      userSession.refreshToken = refreshToken
+    }
+  } catch (error) {
+    log(LogCodes.AUTH.TOKEN_VERIFICATION_FAILURE, {
+      userId: userSession.contactId,
+      error: error.message,
+      step: 'keep_alive_token_refresh_failed'
+    })
+
+    await request.server.app.cache.drop(sessionId)
+    request.cookieAuth.clear()
+    return h.response({ signedIn: false }).code(statusCodes.unauthorized)
+  }
+
+  userSession.expiresAt = expiresAt
+  await request.server.app.cache.set(sessionId, userSession)
+  request.cookieAuth.set({ sessionId })
+
+  log(LogCodes.AUTH.SESSION_EXTENDED, {
+    userId: userSession.contactId,
+    sessionId,
+    expiresAt
+  })
+
+  return h.response({
+    signedIn: true,
+    expiresAt,
+    expiresIn: Math.ceil(getSessionTtl() / ONE_SECOND_MS)
+  })
+}
+
+/**
+ * Ends the session when the session timeout warning runs out, and tells the user their answers were saved. Signing in
+ * again takes them back to the page they were on. A session that has not ended yet, such as one extended from another
+ * tab or a link from another site, is left alone and the user is sent back to the page.
+ * @param {object} request - Hapi request object
+ * @param {ResponseToolkit} h
+ */
+export async function handleSignedOut(request, h) {
+  const redirect = getSafeRedirect(/** @type {string | undefined} */ (request.query.redirect))
+
+  if (request.auth.isAuthenticated) {
+    const { contactId, sessionId, expiresAt } = request.auth.credentials
+
+    const hasEnded = new Date(expiresAt).getTime() <= Date.now()
+    if (!hasEnded) {
+      return h.redirect(redirect)
+    }
+
+    log(LogCodes.AUTH.SESSION_EXPIRED, {
+      userId: contactId,
+      sessionId,
+      path: request.path,
+      reason: 'Session timeout warning ran out'
+    })
+
+    await request.server.app.cache.drop(sessionId)
+    request.cookieAuth.clear()
+  }
+
+  // The request was made signed in, so the page must not show the account bar or the timeout warning
+  return h.view('signed-out', {
+    pageTitle: 'You have been signed out',
+    signInUrl: `/auth/sign-in?redirect=${encodeURIComponent(redirect)}`,
+    auth: { isAuthenticated: false },
+    sessionTimeout: null
+  })
+}
+
+/**
+ * @import { ResponseToolkit } from '@hapi/hapi'
+ */
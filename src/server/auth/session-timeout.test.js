@@ -0,0 +1,261 @@
+import { vi } from 'vitest'
+import Jwt from '@hapi/jwt'
+import { mockHapiRequest, mockHapiResponseToolkit } from '~/src/__mocks__/hapi-mocks.js'
+import { refreshTokens } from '~/src/server/auth/refresh-tokens.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { getSessionExpiresAt, getSessionTtl, handleKeepAlive, handleSignedOut } from './session-timeout.js'
+
+const mockConfigValues = vi.hoisted(() => ({}))
+
+vi.mock('~/src/config/config.js', () => ({
+  config: { get: vi.fn((key) => mockConfigValues[key]) }
+}))
+vi.mock('~/src/server/auth/refresh-tokens.js')
+vi.mock('~/src/server/common/helpers/logging/log.js', async () => {
+  const { LogCodes } = await import('~/src/server/common/helpers/logging/log-codes.js')
+  return { log: vi.fn(), LogCodes }
+})
+
+const NOW = new Date('2026-07-01T09:00:00.000Z')
+const EXPIRES_AT = '2026-07-01T12:00:00.000Z'
+
+const TOKEN_PREFIX = 'token-expiring-'
+const tokenExpiringAt = (time) => `${TOKEN_PREFIX}${time}`
+
+describe('session timeout', () => {
+  let h
+  let userSession
+
+  beforeEach(() => {
+    vi.useFakeTimers({ now: NOW, toFake: ['Date'] })
+    Jwt.token.decode.mockImplementation((token) => ({
+      decoded: { payload: { exp: new Date(token.slice(TOKEN_PREFIX.length)).getTime() / 1000 } }
+    }))
+    Object.assign(mockConfigValues, {
+      'session.cookie.ttl': 4 * 60 * 60 * 1000,
+      'session.cookie.cache.ttl': 3 * 60 * 60 * 1000,
+      'defraId.enabled': true,
+      'defraId.refreshTokens': true
+    })
+    h = mockHapiResponseToolkit()
+    userSession = {
+      contactId: '1100014934',
+      sessionId: 'session-1',
+      token: tokenExpiringAt('2026-07-01T13:00:00.000Z'),
+      refreshToken: 'refresh-1'
+    }
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.clearAllMocks()
+  })
+
+  const signedInRequest = (overrides = {}) =>
+    mockHapiRequest({
+      path: '/auth/keep-alive',
+      auth: {
+        isAuthenticated: true,
+        credentials: { sessionId: 'session-1', contactId: '1100014934', expiresAt: '2026-07-01T09:00:00.000Z' }
+      },
+      server: { app: { cache: { get: vi.fn().mockResolvedValue(userSession), set: vi.fn(), drop: vi.fn() } } },
+      cookieAuth: { set: vi.fn(), clear: vi.fn() },
+      ...overrides
+    })
+
+  describe('getSessionTtl', () => {
+    test('is the shorter of the cookie and cache lifetimes', () => {
+      expect(getSessionTtl()).toBe(3 * 60 * 60 * 1000)
+    })
+  })
+
+  describe('getSessionExpiresAt', () => {
+    test('is a session lifetime from now', () => {
+      expect(getSessionExpiresAt()).toBe(EXPIRES_AT)
+    })
+  })
+
+  describe('handleKeepAlive', () => {
+    test('extends the session cookie and cache entry', async () => {
+      const request = signedInRequest()
+
+      await handleKeepAlive(request, h)
+
+      expect(request.server.app.cache.set).toHaveBeenCalledWith('session-1', { ...userSession, expiresAt: EXPIRES_AT })
+      expect(request.cookieAuth.set).toHaveBeenCalledWith({ sessionId: 'session-1' })
+      expect(h.response).toHaveBeenCalledWith({ signedIn: true, expiresAt: EXPIRES_AT, expiresIn: 10800 })
+      expect(log).toHaveBeenCalledWith(LogCodes.AUTH.SESSION_EXTENDED, {
+        userId: '1100014934',
+        sessionId: 'session-1',
+        expiresAt: EXPIRES_AT
+      })
+    })
+
+    test('keeps the Defra ID token when it lasts longer than the session', async () => {
+      await handleKeepAlive(signedInRequest(), h)
+
+      expect(refreshTokens).not.toHaveBeenCalled()
+    })
+
+    test('refreshes the Defra ID token when it would expire before the session', async () => {
+      userSession.token = tokenExpiringAt('2026-07-01T10:00:00.000Z')
+      refreshTokens.mockResolvedValue({ access_token: 'new-token', refresh_token: 'refresh-2' })
+      const request = signedInRequest()
+
+      await handleKeepAlive(request, h)
+
+      expect(refreshTokens).toHaveBeenCalledWith('refresh-1')
+      expect(request.server.app.cache.set).toHaveBeenCalledWith(
+        'session-1',
+        expect.objectContaining({ token: 'new-token', refreshToken: 'refresh-2', expiresAt: EXPIRES_AT })
+      )
+    })
+
+    test('does not refresh tokens when refreshing is turned off', async () => {
+      mockConfigValues['defraId.refreshTokens'] = false
+      userSession.token = tokenExpiringAt('2026-07-01T10:00:00.000Z')
+
+      await handleKeepAlive(signedInRequest(), h)
+
+      expect(refreshTokens).not.toHaveBeenCalled()
+    })
+
+    test('ends the session and answers 401 when the token cannot be refreshed', async () => {
+      userSession.token = tokenExpiringAt('2026-07-01T10:00:00.000Z')
+      refreshTokens.mockRejectedValue(new Error('Token endpoint unavailable'))
+      const request = signedInRequest()
+
+      await handleKeepAlive(request, h)
+
+      expect(log).toHaveBeenCalledWith(LogCodes.AUTH.TOKEN_VERIFICATION_FAILURE, {
+        userId: '1100014934',
+        error: 'Token endpoint unavailable',
+        step: 'keep_alive_token_refresh_failed'
+      })
+      expect(h.response).toHaveBeenCalledWith({ signedIn: false })
+      expect(h.code).toHaveBeenCalledWith(401)
+      expect(request.server.app.cache.set).not.toHaveBeenCalled()
+      expect(request.server.app.cache.drop).toHaveBeenCalledWith('session-1')
+      expect(request.cookieAuth.clear).toHaveBeenCalled()
+      expect(request.cookieAuth.set).not.toHaveBeenCalled()
+    })
+
+    test('ends the session and answers 401 when the token cannot be read', async () => {
+      Jwt.token.decode.mockImplementation(() => {
+        throw new Error('Invalid token format')
+      })
+      const request = signedInRequest()
+
+      await handleKeepAlive(request, h)
+
+      expect(log).toHaveBeenCalledWith(
+        LogCodes.AUTH.TOKEN_VERIFICATION_FAILURE,
+        expect.objectContaining({ error: 'Invalid token format' })
+      )
+      expect(h.code).toHaveBeenCalledWith(401)
+      expect(refreshTokens).not.toHaveBeenCalled()
+      expect(request.cookieAuth.set).not.toHaveBeenCalled()
+    })
+
+    test('answers 401 when the session has gone', async () => {
+      userSession = null
+      const request = signedInRequest()
+
+      await handleKeepAlive(request, h)
+
+      expect(h.response).toHaveBeenCalledWith({ signedIn: false })
+      expect(h.code).toHaveBeenCalledWith(401)
+      expect(request.cookieAuth.set).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('handleSignedOut', () => {
+    test('ends the session and offers to sign in back to the page the user was on', async () => {
+      const request = signedInRequest({
+        path: '/auth/signed-out',
+        query: { redirect: '/adding-value/business-status' }
+      })
+
+      await handleSignedOut(request, h)
+
+      expect(request.server.app.cache.drop).toHaveBeenCalledWith('session-1')
+      expect(request.cookieAuth.clear).toHaveBeenCalled()
+      expect(log).toHaveBeenCalledWith(
+        LogCodes.AUTH.SESSION_EXPIRED,
+        expect.objectContaining({ userId: '1100014934', sessionId: 'session-1' })
+      )
+      expect(h.view).toHaveBeenCalledWith('signed-out', {
+        pageTitle: 'You have been signed out',
+        signInUrl: '/auth/sign-in?redirect=%2Fadding-value%2Fbusiness-status',
+        auth: { isAuthenticated: false },
+        sessionTimeout: null
+      })
+    })
+
+    test('keeps a session that has not ended and sends the user back to the page', async () => {
+      const request = signedInRequest({
+        path: '/auth/signed-out',
+        query: { redirect: '/adding-value/business-status' },
+        auth: {
+          isAuthenticated: true,
+          credentials: { sessionId: 'session-1', contactId: '1100014934', expiresAt: '2026-07-01T09:00:01.000Z' }
+        }
+      })
+
+      await handleSignedOut(request, h)
+
+      expect(request.server.app.cache.drop).not.toHaveBeenCalled()
+      expect(request.cookieAuth.clear).not.toHaveBeenCalled()
+      expect(log).not.toHaveBeenCalled()
+      expect(h.view).not.toHaveBeenCalled()
+      expect(h.redirect).toHaveBeenCalledWith('/adding-value/business-status')
+    })
+
+    test('keeps a session that was extended from another tab', async () => {
+      const request = signedInRequest({ query: { redirect: '/adding-value/business-status' } })
+      await handleKeepAlive(request, h)
+      request.auth.credentials.expiresAt = userSession.expiresAt
+
+      await handleSignedOut(request, h)
+
+      expect(request.cookieAuth.clear).not.toHaveBeenCalled()
+      expect(h.redirect).toHaveBeenCalledWith('/adding-value/business-status')
+    })
+
+    test('does not send the user back to another site', async () => {
+      const request = signedInRequest({
+        query: { redirect: 'https://example.com' },
+        auth: {
+          isAuthenticated: true,
+          credentials: { sessionId: 'session-1', contactId: '1100014934', expiresAt: EXPIRES_AT }
+        }
+      })
+
+      await handleSignedOut(request, h)
+
+      expect(request.cookieAuth.clear).not.toHaveBeenCalled()
+      expect(h.redirect).toHaveBeenCalledWith('/home')
+    })
+
+    test('shows the page to users whose session has already ended', async () => {
+      const request = signedInRequest({ auth: { isAuthenticated: false }, query: {} })
+
+      await handleSignedOut(request, h)
+
+      expect(request.cookieAuth.clear).not.toHaveBeenCalled()
+      expect(h.view).toHaveBeenCalledWith(
+        'signed-out',
+        expect.objectContaining({ signInUrl: '/auth/sign-in?redirect=%2Fhome' })
+      )
+    })
+
+    test('does not sign in back to another site', async () => {
+      await handleSignedOut(signedInRequest({ query: { redirect: 'https://example.com' } }), h)
+
+      expect(h.view).toHaveBeenCalledWith(
+        'signed-out',
+        expect.objectContaining({ signInUrl: '/auth/sign-in?redirect=%2Fhome' })
+      )
+    })
+  })
+})
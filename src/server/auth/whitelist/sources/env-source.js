@@ -0,0 +1,44 @@
+/**
+ * Splits a comma-separated whitelist environment variable into its values
+ * @param {string | undefined} whitelistValue
+ * @returns {string[]}
+ */
+export function parseWhitelist(whitelistValue) {
+  if (!whitelistValue || whitelistValue.trim() === '') {
+    return []
+  }
+
+  return whitelistValue
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0)
+}
+
+/**
+ * Reads grant whitelists from the comma-separated environment variables named by `whitelistCrnEnvVar` and
+ * `whitelistSbiEnvVar` in the form metadata. Entries never expire and cannot be changed while the app runs.
+ * @returns {WhitelistSource}
+ */
+export function createEnvWhitelistSource() {
+  const readOnly = async () => {
+    throw new Error('Whitelists in environment variables cannot be changed, use the file or redis whitelist source')
+  }
+
+  return {
+    name: 'env',
+    getWhitelists: async (_slug, grantMetadata) => {
+      const { whitelistCrnEnvVar, whitelistSbiEnvVar } = grantMetadata ?? {}
+
+      return {
+        crn: whitelistCrnEnvVar ? parseWhitelist(process.env[whitelistCrnEnvVar]) : [],
+        sbi: whitelistSbiEnvVar ? parseWhitelist(process.env[whitelistSbiEnvVar]) : []
+      }
+    },
+    addEntry: readOnly,
+    removeEntry: readOnly
+  }
+}
+
+/**
+ * @import { WhitelistSource } from '../whitelist-source.js'
+ */
@@ -0,0 +1,48 @@
+import { createEnvWhitelistSource, parseWhitelist } from './env-source.js'
+
+describe('parseWhitelist', () => {
+  test.each([undefined, '', '   '])('has no values for %j', (input) => {
+    expect(parseWhitelist(input)).toEqual([])
+  })
+
+  test('splits and trims comma-separated values', () => {
+    expect(parseWhitelist(' 1101009926, 1101010029,, ')).toEqual(['1101009926', '1101010029'])
+  })
+})
+
+describe('createEnvWhitelistSource', () => {
+  const source = createEnvWhitelistSource()
+
+  beforeEach(() => {
+    process.env.TEST_WHITELIST_CRNS = '1101009926,1101010029'
+    process.env.TEST_WHITELIST_SBIS = '105123456'
+  })
+
+  afterEach(() => {
+    delete process.env.TEST_WHITELIST_CRNS
+    delete process.env.TEST_WHITELIST_SBIS
+  })
+
+  test('reads the env vars named in the form metadata', async () => {
+    const whitelists = await source.getWhitelists('example-whitelist', {
+      whitelistCrnEnvVar: 'TEST_WHITELIST_CRNS',
+      whitelistSbiEnvVar: 'TEST_WHITELIST_SBIS'
+    })
+
+    expect(whitelists).toEqual({ crn: ['1101009926', '1101010029'], sbi: ['105123456'] })
+  })
+
+  test('has no whitelists for forms without whitelist env vars', async () => {
+    await expect(source.getWhitelists('example-grant', {})).resolves.toEqual({ crn: [], sbi: [] })
+    await expect(source.getWhitelists(undefined, undefined)).resolves.toEqual({ crn: [], sbi: [] })
+  })
+
+  test('cannot change whitelists', async () => {
+    await expect(source.addEntry('example-whitelist', 'crn', { value: '1101009926' })).rejects.toThrow(
+      'Whitelists in environment variables cannot be changed, use the file or redis whitelist source'
+    )
+    await expect(source.removeEntry('example-whitelist', 'crn', '1101009926')).rejects.toThrow(
+      'Whitelists in environment variables cannot be changed'
+    )
+  })
+})
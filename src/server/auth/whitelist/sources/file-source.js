@@ -0,0 +1,86 @@
+import { readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { parse as parseYaml, stringify as stringifyYaml } from 'yaml'
+import { config } from '~/src/config/config.js'
+import { toWhitelistEntry } from '../whitelist-entry.js'
+
+/**
+ * Whitelist entries keyed by grant slug, then by type. Entries are either plain values or {@link WhitelistEntry}s.
+ * @typedef {Record<string, Partial<GrantWhitelists>>} WhitelistFile
+ */
+
+/**
+ * @param {Array<string | WhitelistEntry> | undefined} entries
+ * @param {string} value
+ */
+const withoutValue = (entries = [], value) => entries.filter((entry) => toWhitelistEntry(entry).value !== value)
+
+/**
+ * Reads grant whitelists from a YAML or JSON file, chosen by its extension. The file is read again each time the
+ * whitelists are loaded, so edits take effect without a restart.
+ * @param {string} [filePath] - Defaults to `whitelist.filePath`
+ * @returns {WhitelistSource}
+ */
+export function createFileWhitelistSource(filePath = config.get('whitelist.filePath')) {
+  const isJson = path.extname(filePath) === '.json'
+
+  /** @returns {Promise<WhitelistFile>} */
+  const read = async () => {
+    const raw = await readFile(filePath, 'utf8')
+    return (isJson ? JSON.parse(raw) : parseYaml(raw)) ?? {}
+  }
+
+  /**
+   * A missing file has no whitelists yet. Grants whose form metadata declares a whitelist are still closed to
+   * everyone, see `WhitelistService.getService`.
+   * @returns {Promise<WhitelistFile>}
+   */
+  const readIfExists = () =>
+    read().catch((error) => {
+      if (error.code === 'ENOENT') {
+        return {}
+      }
+      throw error
+    })
+
+  /** @param {WhitelistFile} whitelists */
+  const write = (whitelists) =>
+    writeFile(filePath, isJson ? `${JSON.stringify(whitelists, null, 2)}\n` : stringifyYaml(whitelists))
+
+  return {
+    name: 'file',
+    getWhitelists: async (slug) => {
+      if (!slug) {
+        return { crn: [], sbi: [] }
+      }
+
+      const grant = (await readIfExists())[slug]
+      return { crn: grant?.crn ?? [], sbi: grant?.sbi ?? [] }
+    },
+    addEntry: async (slug, type, entry) => {
+      const whitelists = await readIfExists()
+      const grant = (whitelists[slug] ??= {})
+
+      grant[type] = [...withoutValue(grant[type], entry.value), entry]
+      await write(whitelists)
+    },
+    removeEntry: async (slug, type, value) => {
+      const whitelists = await readIfExists()
+      const entries = whitelists[slug]?.[type] ?? []
+      const remaining = withoutValue(entries, value)
+
+      if (remaining.length === entries.length) {
+        return false
+      }
+
+      whitelists[slug][type] = remaining
+      await write(whitelists)
+      return true
+    }
+  }
+}
+
+/**
+ * @import { WhitelistEntry } from '../whitelist-entry.js'
+ * @import { GrantWhitelists, WhitelistSource } from '../whitelist-source.js'
+ */
@@ -0,0 +1,96 @@
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { createFileWhitelistSource } from './file-source.js'
+
+const WHITELISTS_YAML = `example-whitelist:
+  crn:
+    - value: '1101009926'
+      cohort: private-beta-1
+      endDate: '2026-12-31'
+    - '1101010029'
+  sbi:
+    - '105123456'
+`
+
+describe('createFileWhitelistSource', () => {
+  let dir
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'whitelist-source-'))
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  test('reads the whitelists of a grant from a YAML file', async () => {
+    const filePath = path.join(dir, 'whitelists.yaml')
+    await writeFile(filePath, WHITELISTS_YAML)
+
+    const whitelists = await createFileWhitelistSource(filePath).getWhitelists('example-whitelist')
+
+    expect(whitelists).toEqual({
+      crn: [{ value: '1101009926', cohort: 'private-beta-1', endDate: '2026-12-31' }, '1101010029'],
+      sbi: ['105123456']
+    })
+  })
+
+  test('picks up changes to the file', async () => {
+    const filePath = path.join(dir, 'whitelists.json')
+    const source = createFileWhitelistSource(filePath)
+
+    await writeFile(filePath, JSON.stringify({ 'example-whitelist': { crn: ['1101009926'] } }))
+    await expect(source.getWhitelists('example-whitelist')).resolves.toEqual({ crn: ['1101009926'], sbi: [] })
+
+    await writeFile(filePath, JSON.stringify({ 'example-whitelist': { crn: ['1101010029'] } }))
+    await expect(source.getWhitelists('example-whitelist')).resolves.toEqual({ crn: ['1101010029'], sbi: [] })
+  })
+
+  test('has no whitelists for grants that are not in the file', async () => {
+    const filePath = path.join(dir, 'whitelists.yaml')
+    await writeFile(filePath, WHITELISTS_YAML)
+    const source = createFileWhitelistSource(filePath)
+
+    await expect(source.getWhitelists('example-grant')).resolves.toEqual({ crn: [], sbi: [] })
+    await expect(source.getWhitelists(undefined)).resolves.toEqual({ crn: [], sbi: [] })
+  })
+
+  test('has no whitelists when the file does not exist yet', async () => {
+    const source = createFileWhitelistSource(path.join(dir, 'missing.yaml'))
+
+    await expect(source.getWhitelists('example-whitelist')).resolves.toEqual({ crn: [], sbi: [] })
+  })
+
+  test('fails when the file cannot be read, rather than opening up whitelisted grants', async () => {
+    const source = createFileWhitelistSource(dir)
+
+    await expect(source.getWhitelists('example-whitelist')).rejects.toThrow('EISDIR')
+  })
+
+  test('adds entries, replacing any with the same value, and creates the file when needed', async () => {
+    const filePath = path.join(dir, 'whitelists.json')
+    const source = createFileWhitelistSource(filePath)
+
+    await source.addEntry('example-whitelist', 'sbi', { value: '105123456' })
+    await source.addEntry('example-whitelist', 'sbi', { value: '105123456', cohort: 'private-beta-2' })
+
+    expect(JSON.parse(await readFile(filePath, 'utf8'))).toEqual({
+      'example-whitelist': { sbi: [{ value: '105123456', cohort: 'private-beta-2' }] }
+    })
+  })
+
+  test('removes entries', async () => {
+    const filePath = path.join(dir, 'whitelists.yaml')
+    await writeFile(filePath, WHITELISTS_YAML)
+    const source = createFileWhitelistSource(filePath)
+
+    await expect(source.removeEntry('example-whitelist', 'crn', '1101009926')).resolves.toBe(true)
+    await expect(source.removeEntry('example-whitelist', 'crn', '9999999999')).resolves.toBe(false)
+
+    await expect(source.getWhitelists('example-whitelist')).resolves.toEqual({
+      crn: ['1101010029'],
+      sbi: ['105123456']
+    })
+  })
+})
@@ -0,0 +1,66 @@
+import { config } from '~/src/config/config.js'
+import { getRedisClient } from '~/src/server/common/helpers/redis-client.js'
+
+/**
+ * Reads grant whitelists from a Redis set per grant, keyed `<prefix>:<slug>`. Each member is a JSON
+ * {@link WhitelistEntry} with its `type`, so entries can be changed from any instance of the app.
+ * @param {Cluster | Redis} [client]
+ * @param {string} [keyPrefix] - Defaults to `whitelist.redisKeyPrefix`
+ * @returns {WhitelistSource}
+ */
+export function createRedisWhitelistSource(
+  client = getRedisClient(),
+  keyPrefix = config.get('whitelist.redisKeyPrefix')
+) {
+  const grantKey = (slug) => `${keyPrefix}:${slug}`
+
+  /** @returns {Promise<Array<{ member: string, type: WhitelistType, entry: WhitelistEntry }>>} */
+  const readMembers = async (slug) =>
+    (await client.smembers(grantKey(slug))).map((member) => {
+      const { type, ...entry } = JSON.parse(member)
+      return { member, type, entry }
+    })
+
+  const findMembers = async (slug, type, value) =>
+    (await readMembers(slug))
+      .filter((item) => item.type === type && item.entry.value === value)
+      .map((item) => item.member)
+
+  return {
+    name: 'redis',
+    getWhitelists: async (slug) => {
+      if (!slug) {
+        return { crn: [], sbi: [] }
+      }
+
+      const members = await readMembers(slug)
+      const ofType = (type) => members.filter((item) => item.type === type).map((item) => item.entry)
+
+      return { crn: ofType('crn'), sbi: ofType('sbi') }
+    },
+    addEntry: async (slug, type, entry) => {
+      const existing = await findMembers(slug, type, entry.value)
+
+      if (existing.length) {
+        await client.srem(grantKey(slug), ...existing)
+      }
+      await client.sadd(grantKey(slug), JSON.stringify({ type, ...entry }))
+    },
+    removeEntry: async (slug, type, value) => {
+      const existing = await findMembers(slug, type, value)
+
+      if (!existing.length) {
+        return false
+      }
+
+      await client.srem(grantKey(slug), ...existing)
+      return true
+    }
+  }
+}
+
+/**
+ * @import { Cluster, Redis } from 'ioredis'
+ * @import { WhitelistEntry, WhitelistType } from '../whitelist-entry.js'
+ * @import { WhitelistSource } from '../whitelist-source.js'
+ */
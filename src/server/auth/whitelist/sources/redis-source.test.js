@@ -0,0 +1,61 @@
+import { vi } from 'vitest'
+import { createRedisWhitelistSource } from './redis-source.js'
+
+describe('createRedisWhitelistSource', () => {
+  const key = 'whitelist:example-whitelist'
+  let sets
+  let client
+  let source
+
+  beforeEach(() => {
+    sets = new Map()
+    const members = (k) => sets.get(k) ?? new Set()
+    client = {
+      smembers: vi.fn(async (k) => [...members(k)]),
+      sadd: vi.fn(async (k, ...values) => sets.set(k, new Set([...members(k), ...values]))),
+      srem: vi.fn(async (k, ...values) => sets.set(k, new Set([...members(k)].filter((v) => !values.includes(v)))))
+    }
+    source = createRedisWhitelistSource(client, 'whitelist')
+  })
+
+  test('reads the whitelists of a grant from its set', async () => {
+    sets.set(
+      key,
+      new Set([
+        JSON.stringify({ type: 'crn', value: '1101009926', cohort: 'private-beta-1' }),
+        JSON.stringify({ type: 'sbi', value: '105123456' })
+      ])
+    )
+
+    await expect(source.getWhitelists('example-whitelist')).resolves.toEqual({
+      crn: [{ value: '1101009926', cohort: 'private-beta-1' }],
+      sbi: [{ value: '105123456' }]
+    })
+    expect(client.smembers).toHaveBeenCalledWith(key)
+  })
+
+  test('has no whitelists without a grant', async () => {
+    await expect(source.getWhitelists(undefined)).resolves.toEqual({ crn: [], sbi: [] })
+    expect(client.smembers).not.toHaveBeenCalled()
+  })
+
+  test('adds entries, replacing any with the same type and value', async () => {
+    await source.addEntry('example-whitelist', 'crn', { value: '1101009926' })
+    await source.addEntry('example-whitelist', 'sbi', { value: '1101009926' })
+    await source.addEntry('example-whitelist', 'crn', { value: '1101009926', endDate: '2026-12-31' })
+
+    await expect(source.getWhitelists('example-whitelist')).resolves.toEqual({
+      crn: [{ value: '1101009926', endDate: '2026-12-31' }],
+      sbi: [{ value: '1101009926' }]
+    })
+    expect(client.srem).toHaveBeenCalledWith(key, JSON.stringify({ type: 'crn', value: '1101009926' }))
+  })
+
+  test('removes entries', async () => {
+    await source.addEntry('example-whitelist', 'crn', { value: '1101009926' })
+
+    await expect(source.removeEntry('example-whitelist', 'crn', '1101009926')).resolves.toBe(true)
+    await expect(source.removeEntry('example-whitelist', 'crn', '1101009926')).resolves.toBe(false)
+    await expect(source.getWhitelists('example-whitelist')).resolves.toEqual({ crn: [], sbi: [] })
+  })
+})
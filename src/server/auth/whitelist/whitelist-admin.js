@@ -0,0 +1,114 @@
+import Joi from 'joi'
+import { findFormMetadata } from '~/src/server/common/forms/services/form.js'
+import { now as clockNow } from '~/src/server/common/helpers/clock.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { isEntryActive, toWhitelistEntry, WHITELIST_TYPES } from './whitelist-entry.js'
+import { getWhitelistSource } from './whitelist-source.js'
+
+const isoDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/, 'YYYY-MM-DD')
+
+const changeSchema = Joi.object({
+  slug: Joi.string().required(),
+  type: Joi.string()
+    .valid(...WHITELIST_TYPES)
+    .required(),
+  value: Joi.string().pattern(/^\d+$/, 'numbers').required(),
+  cohort: Joi.string(),
+  startDate: isoDate,
+  endDate: isoDate,
+  changedBy: Joi.string().required()
+})
+
+/**
+ * @param {object} change
+ */
+function validateChange(change) {
+  const { error, value } = changeSchema.validate(change)
+  if (error) {
+    throw new Error(`Invalid whitelist change: ${error.message}`)
+  }
+  if (value.startDate && value.endDate && value.endDate < value.startDate) {
+    throw new Error('Invalid whitelist change: "endDate" must not be before "startDate"')
+  }
+  return value
+}
+
+/**
+ * Adds a CRN or SBI to a grant's whitelist, replacing any entry with the same value, and records who added it
+ * @param {object} change
+ * @param {string} change.slug - The grant
+ * @param {string} change.type - `crn` or `sbi`
+ * @param {string} change.value - The CRN or SBI
+ * @param {string} [change.cohort]
+ * @param {string} [change.startDate] - First day of access, `YYYY-MM-DD`
+ * @param {string} [change.endDate] - Last day of access, `YYYY-MM-DD`
+ * @param {string} change.changedBy - Who is making the change
+ * @returns {Promise<WhitelistEntry>} The entry that was saved
+ */
+export async function addWhitelistEntry(change) {
+  const { slug, type, changedBy, ...details } = validateChange(change)
+  const entry = { ...details, addedBy: changedBy, addedAt: new Date().toISOString() }
+
+  await getWhitelistSource().addEntry(slug, type, entry)
+  log(LogCodes.AUTH.WHITELIST_ENTRY_ADDED, { grantCode: slug, type, changedBy, ...details })
+
+  return entry
+}
+
+/**
+ * Reads a grant's whitelists, with its form metadata so sources that need it, such as environment variables, find them
+ * @param {WhitelistSource} source
+ * @param {string} slug
+ * @returns {Promise<GrantWhitelists>}
+ */
+async function readWhitelists(source, slug) {
+  return source.getWhitelists(slug, await findFormMetadata(slug))
+}
+
+/**
+ * Removes a CRN or SBI from a grant's whitelist. The last entry of a type cannot be removed: a grant whose metadata
+ * declares that whitelist would let nobody in, and any other grant would stop checking the type. It can be given an
+ * end date instead.
+ * @param {object} change
+ * @param {string} change.slug - The grant
+ * @param {string} change.type - `crn` or `sbi`
+ * @param {string} change.value - The CRN or SBI
+ * @param {string} change.changedBy - Who is making the change
+ * @returns {Promise<boolean>} Whether there was an entry to remove
+ */
+export async function removeWhitelistEntry(change) {
+  const { slug, type, value, changedBy } = validateChange(change)
+  const source = getWhitelistSource()
+  const entries = (await readWhitelists(source, slug))[type]
+
+  if (entries.length && entries.every((entry) => toWhitelistEntry(entry).value === value)) {
+    throw new Error(`Cannot remove the last ${type} whitelisted for ${slug}, give it an end date instead`)
+  }
+
+  const removed = await source.removeEntry(slug, type, value)
+
+  if (removed) {
+    log(LogCodes.AUTH.WHITELIST_ENTRY_REMOVED, { grantCode: slug, type, value, changedBy })
+  }
+
+  return removed
+}
+
+/**
+ * Lists a grant's whitelist entries and whether each gives access today
+ * @param {string} slug
+ * @param {Date} [now] - Defaults to the app clock
+ * @returns {Promise<Array<WhitelistEntry & { type: WhitelistType, active: boolean }>>}
+ */
+export async function listWhitelistEntries(slug, now = clockNow()) {
+  const whitelists = await readWhitelists(getWhitelistSource(), slug)
+
+  return WHITELIST_TYPES.flatMap((type) =>
+    whitelists[type].map((entry) => ({ type, ...toWhitelistEntry(entry), active: isEntryActive(entry, now) }))
+  )
+}
+
+/**
+ * @import { WhitelistEntry, WhitelistType } from './whitelist-entry.js'
+ * @import { GrantWhitelists, WhitelistSource } from './whitelist-source.js'
+ */
@@ -0,0 +1,182 @@
+import { vi } from 'vitest'
+import { resetClock, setClock } from '~/src/server/common/helpers/clock.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { addWhitelistEntry, listWhitelistEntries, removeWhitelistEntry } from './whitelist-admin.js'
+import { getWhitelistSource } from './whitelist-source.js'
+import { createEnvWhitelistSource } from './sources/env-source.js'
+import { findFormMetadata } from '~/src/server/common/forms/services/form.js'
+
+vi.mock('~/src/server/common/helpers/logging/log.js', () => ({
+  log: vi.fn(),
+  LogCodes: {
+    AUTH: {
+      WHITELIST_ENTRY_ADDED: { level: 'info', messageFunc: vi.fn() },
+      WHITELIST_ENTRY_REMOVED: { level: 'info', messageFunc: vi.fn() }
+    }
+  }
+}))
+
+const mockSource = {
+  getWhitelists: vi.fn(),
+  addEntry: vi.fn(),
+  removeEntry: vi.fn()
+}
+
+const grantMetadata = { whitelistCrnEnvVar: 'EXAMPLE_WHITELIST_CRNS', whitelistSbiEnvVar: 'EXAMPLE_WHITELIST_SBIS' }
+
+vi.mock('~/src/server/common/forms/services/form.js', () => ({
+  findFormMetadata: vi.fn(async () => grantMetadata)
+}))
+
+vi.mock('./whitelist-source.js', () => ({
+  getWhitelistSource: vi.fn(() => mockSource)
+}))
+
+describe('whitelist admin', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers({ now: new Date('2026-03-01T10:00:00.000Z'), toFake: ['Date'] })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.unstubAllEnvs()
+    resetClock()
+  })
+
+  describe('addWhitelistEntry', () => {
+    test('adds the entry with who added it and when, and logs the change', async () => {
+      const entry = await addWhitelistEntry({
+        slug: 'example-whitelist',
+        type: 'crn',
+        value: '1101009926',
+        cohort: 'private-beta-1',
+        endDate: '2026-12-31',
+        changedBy: 'jane.smith'
+      })
+
+      expect(entry).toEqual({
+        value: '1101009926',
+        cohort: 'private-beta-1',
+        endDate: '2026-12-31',
+        addedBy: 'jane.smith',
+        addedAt: '2026-03-01T10:00:00.000Z'
+      })
+      expect(getWhitelistSource().addEntry).toHaveBeenCalledWith('example-whitelist', 'crn', entry)
+      expect(log).toHaveBeenCalledWith(LogCodes.AUTH.WHITELIST_ENTRY_ADDED, {
+        grantCode: 'example-whitelist',
+        type: 'crn',
+        value: '1101009926',
+        cohort: 'private-beta-1',
+        endDate: '2026-12-31',
+        changedBy: 'jane.smith'
+      })
+    })
+
+    test.each([
+      ['an unknown type', { type: 'email' }, '"type" must be one of [crn, sbi]'],
+      ['a value that is not a number', { value: 'abc' }, 'numbers pattern'],
+      ['a date in the wrong format', { startDate: '01/03/2026' }, 'YYYY-MM-DD pattern'],
+      [
+        'an end date before the start date',
+        { startDate: '2026-03-02', endDate: '2026-03-01' },
+        '"endDate" must not be before "startDate"'
+      ],
+      ['no record of who made the change', { changedBy: undefined }, '"changedBy" is required']
+    ])('refuses %s', async (_description, overrides, message) => {
+      const change = { slug: 'example-whitelist', type: 'crn', value: '1101009926', changedBy: 'jane.smith' }
+
+      await expect(addWhitelistEntry({ ...change, ...overrides })).rejects.toThrow(message)
+      expect(getWhitelistSource().addEntry).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('removeWhitelistEntry', () => {
+    const change = { slug: 'example-whitelist', type: 'sbi', value: '105123456', changedBy: 'jane.smith' }
+
+    beforeEach(() => {
+      mockSource.getWhitelists.mockResolvedValue({ crn: [], sbi: ['105123456', { value: '105654321' }] })
+    })
+
+    test('removes the entry and logs the change', async () => {
+      mockSource.removeEntry.mockResolvedValue(true)
+
+      await expect(removeWhitelistEntry(change)).resolves.toBe(true)
+
+      expect(mockSource.removeEntry).toHaveBeenCalledWith('example-whitelist', 'sbi', '105123456')
+      expect(log).toHaveBeenCalledWith(LogCodes.AUTH.WHITELIST_ENTRY_REMOVED, {
+        grantCode: 'example-whitelist',
+        type: 'sbi',
+        value: '105123456',
+        changedBy: 'jane.smith'
+      })
+    })
+
+    test('does not log when there was nothing to remove', async () => {
+      mockSource.removeEntry.mockResolvedValue(false)
+
+      await expect(removeWhitelistEntry(change)).resolves.toBe(false)
+      expect(log).not.toHaveBeenCalled()
+    })
+
+    test('refuses to remove the last entry of a type, which would lock everyone out', async () => {
+      mockSource.getWhitelists.mockResolvedValue({ crn: [], sbi: [{ value: '105123456', cohort: 'private-beta-1' }] })
+
+      await expect(removeWhitelistEntry(change)).rejects.toThrow(
+        'Cannot remove the last sbi whitelisted for example-whitelist, give it an end date instead'
+      )
+      expect(mockSource.removeEntry).not.toHaveBeenCalled()
+    })
+
+    test('refuses to remove the last entry of a whitelist kept in environment variables', async () => {
+      vi.stubEnv('EXAMPLE_WHITELIST_SBIS', '105123456')
+      vi.mocked(getWhitelistSource).mockReturnValueOnce(createEnvWhitelistSource())
+
+      await expect(removeWhitelistEntry(change)).rejects.toThrow(
+        'Cannot remove the last sbi whitelisted for example-whitelist, give it an end date instead'
+      )
+    })
+  })
+
+  describe('listWhitelistEntries', () => {
+    test('lists the entries of each type and whether they are active', async () => {
+      mockSource.getWhitelists.mockResolvedValue({
+        crn: ['1101009926', { value: '1101010029', endDate: '2026-02-28' }],
+        sbi: [{ value: '105123456', cohort: 'private-beta-1' }]
+      })
+
+      await expect(listWhitelistEntries('example-whitelist')).resolves.toEqual([
+        { type: 'crn', value: '1101009926', active: true },
+        { type: 'crn', value: '1101010029', endDate: '2026-02-28', active: false },
+        { type: 'sbi', value: '105123456', cohort: 'private-beta-1', active: true }
+      ])
+      expect(findFormMetadata).toHaveBeenCalledWith('example-whitelist')
+      expect(mockSource.getWhitelists).toHaveBeenCalledWith('example-whitelist', grantMetadata)
+    })
+
+    test('lists whitelists kept in the environment variables the grant names', async () => {
+      vi.stubEnv('EXAMPLE_WHITELIST_CRNS', '1101009926,1101010029')
+      vi.stubEnv('EXAMPLE_WHITELIST_SBIS', '105123456')
+      vi.mocked(getWhitelistSource).mockReturnValueOnce(createEnvWhitelistSource())
+
+      await expect(listWhitelistEntries('example-whitelist')).resolves.toEqual([
+        { type: 'crn', value: '1101009926', active: true },
+        { type: 'crn', value: '1101010029', active: true },
+        { type: 'sbi', value: '105123456', active: true }
+      ])
+    })
+
+    test('works out which entries are active on the app clock', async () => {
+      setClock('2026-02-27T10:00:00.000Z')
+      mockSource.getWhitelists.mockResolvedValue({
+        crn: [{ value: '1101010029', endDate: '2026-02-28' }],
+        sbi: [{ value: '105123456', startDate: '2026-03-01' }]
+      })
+
+      await expect(listWhitelistEntries('example-whitelist')).resolves.toEqual([
+        { type: 'crn', value: '1101010029', endDate: '2026-02-28', active: true },
+        { type: 'sbi', value: '105123456', startDate: '2026-03-01', active: false }
+      ])
+    })
+  })
+})
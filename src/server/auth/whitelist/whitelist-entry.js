@@ -0,0 +1,40 @@
+import { now as clockNow } from '~/src/server/common/helpers/clock.js'
+
+/**
+ * @typedef {'crn' | 'sbi'} WhitelistType
+ */
+
+/**
+ * A CRN or SBI allowed into a grant. Dates are `YYYY-MM-DD` and inclusive.
+ * @typedef {object} WhitelistEntry
+ * @property {string} value - The CRN or SBI
+ * @property {string} [cohort] - Such as 'private-beta-1', to tell groups of users apart
+ * @property {string} [startDate] - First day the entry gives access
+ * @property {string} [endDate] - Last day the entry gives access
+ * @property {string} [addedBy] - Who added the entry
+ * @property {string} [addedAt] - When the entry was added
+ */
+
+export const WHITELIST_TYPES = /** @type {const} */ (['crn', 'sbi'])
+
+/**
+ * Returns the entry as an object, so plain string entries can be handled like the others
+ * @param {string | number | WhitelistEntry} entry
+ * @returns {WhitelistEntry}
+ */
+export function toWhitelistEntry(entry) {
+  return typeof entry === 'object' ? { ...entry, value: String(entry.value) } : { value: String(entry) }
+}
+
+/**
+ * Whether an entry gives access on the given day
+ * @param {string | WhitelistEntry} entry
+ * @param {Date} [now] - Defaults to the app clock
+ * @returns {boolean}
+ */
+export function isEntryActive(entry, now = clockNow()) {
+  const { startDate, endDate } = toWhitelistEntry(entry)
+  const today = now.toISOString().slice(0, 10)
+
+  return (!startDate || String(startDate).slice(0, 10) <= today) && (!endDate || today <= String(endDate).slice(0, 10))
+}
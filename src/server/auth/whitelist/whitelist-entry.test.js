@@ -0,0 +1,53 @@
+import { vi } from 'vitest'
+import { config } from '~/src/config/config.js'
+import { resetClock } from '~/src/server/common/helpers/clock.js'
+import { applyClockOverride } from '~/src/server/common/helpers/clock-override.js'
+import { isEntryActive, toWhitelistEntry } from './whitelist-entry.js'
+
+describe('toWhitelistEntry', () => {
+  test('turns plain values into entries', () => {
+    expect(toWhitelistEntry('1101009926')).toEqual({ value: '1101009926' })
+    expect(toWhitelistEntry(105123456)).toEqual({ value: '105123456' })
+  })
+
+  test('keeps the details of entries', () => {
+    expect(toWhitelistEntry({ value: 105123456, cohort: 'private-beta-1' })).toEqual({
+      value: '105123456',
+      cohort: 'private-beta-1'
+    })
+  })
+})
+
+describe('isEntryActive', () => {
+  const now = new Date('2026-03-01T10:00:00.000Z')
+
+  test.each([
+    ['a plain value', '1101009926', true],
+    ['an entry without dates', { value: '1101009926' }, true],
+    ['an entry starting today', { value: '1101009926', startDate: '2026-03-01' }, true],
+    ['an entry ending today', { value: '1101009926', endDate: '2026-03-01' }, true],
+    ['an entry starting tomorrow', { value: '1101009926', startDate: '2026-03-02' }, false],
+    ['an entry that ended yesterday', { value: '1101009926', endDate: '2026-02-28' }, false]
+  ])('works out whether %s is active', (_description, entry, expected) => {
+    expect(isEntryActive(entry, now)).toBe(expected)
+  })
+
+  describe('with CLOCK_OVERRIDE set', () => {
+    afterEach(() => {
+      resetClock()
+      vi.restoreAllMocks()
+    })
+
+    test.each([
+      ['2026-02-28T10:00:00.000Z', false],
+      ['2026-03-01T10:00:00.000Z', true],
+      ['2026-03-08T10:00:00.000Z', false]
+    ])('works out whether an entry is active on the app clock at %s', (clockOverride, expected) => {
+      const values = { clockOverride, cdpEnvironment: 'local' }
+      vi.spyOn(config, 'get').mockImplementation((key) => values[key])
+      applyClockOverride()
+
+      expect(isEntryActive({ value: '1101009926', startDate: '2026-03-01', endDate: '2026-03-07' })).toBe(expected)
+    })
+  })
+})
@@ -0,0 +1,63 @@
+import { config } from '~/src/config/config.js'
+import { logger } from '~/src/server/common/helpers/logging/log.js'
+import { createEnvWhitelistSource } from './sources/env-source.js'
+import { createFileWhitelistSource } from './sources/file-source.js'
+import { createRedisWhitelistSource } from './sources/redis-source.js'
+
+/**
+ * @typedef {'env' | 'file' | 'redis'} WhitelistSourceName
+ */
+
+/**
+ * The CRNs and SBIs allowed into a grant. Plain strings never expire. A grant with no entries of a type does not
+ * check that type, unless its form metadata declares a whitelist, when nobody is let in.
+ * @typedef {object} GrantWhitelists
+ * @property {Array<string | WhitelistEntry>} crn
+ * @property {Array<string | WhitelistEntry>} sbi
+ */
+
+/**
+ * Where the whitelist entries of each grant are kept
+ * @typedef {object} WhitelistSource
+ * @property {WhitelistSourceName} name
+ * @property {(slug: string | undefined, grantMetadata?: Record<string, any>) => Promise<GrantWhitelists>} getWhitelists
+ * @property {(slug: string, type: WhitelistType, entry: WhitelistEntry) => Promise<void>} addEntry - Replaces any
+ *   entry with the same value
+ * @property {(slug: string, type: WhitelistType, value: string) => Promise<boolean>} removeEntry - Resolves false
+ *   when there was no such entry
+ */
+
+/** @type {WhitelistSource | undefined} */
+let source
+
+/**
+ * @param {WhitelistSourceName} [name]
+ * @returns {WhitelistSource}
+ */
+export function createWhitelistSource(name) {
+  if (name === 'file') {
+    logger.info(`Using whitelists from ${config.get('whitelist.filePath')}`)
+    return createFileWhitelistSource()
+  }
+
+  if (name === 'redis') {
+    logger.info('Using whitelists from Redis')
+    return createRedisWhitelistSource()
+  }
+
+  logger.info('Using whitelists from environment variables')
+  return createEnvWhitelistSource()
+}
+
+/**
+ * Returns the source chosen by the `whitelist.source` config, creating it on first use
+ * @returns {WhitelistSource}
+ */
+export function getWhitelistSource() {
+  source ??= createWhitelistSource(/** @type {WhitelistSourceName} */ (config.get('whitelist.source')))
+  return source
+}
+
+/**
+ * @import { WhitelistEntry, WhitelistType } from './whitelist-entry.js'
+ */
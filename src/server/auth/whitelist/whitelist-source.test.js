@@ -0,0 +1,35 @@
+import { vi } from 'vitest'
+import { createWhitelistSource } from './whitelist-source.js'
+
+const mockLoggerInfo = vi.fn()
+
+vi.mock('~/src/server/common/helpers/logging/log.js', async () => {
+  const { mockLoggerFactoryWithCustomMethods } = await import('~/src/__mocks__')
+  return {
+    logger: mockLoggerFactoryWithCustomMethods({
+      info: (...args) => mockLoggerInfo(...args)
+    })
+  }
+})
+
+vi.mock('~/src/server/common/helpers/redis-client.js', () => ({
+  getRedisClient: vi.fn(() => ({}))
+}))
+
+describe('#createWhitelistSource', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  test.each([
+    ['env', 'env', 'Using whitelists from environment variables'],
+    ['file', 'file', 'Using whitelists from whitelists.yaml'],
+    ['redis', 'redis', 'Using whitelists from Redis'],
+    [undefined, 'env', 'Using whitelists from environment variables']
+  ])('creates the %s source', (name, expected, message) => {
+    const source = createWhitelistSource(name)
+
+    expect(source.name).toBe(expected)
+    expect(mockLoggerInfo).toHaveBeenCalledWith(message)
+  })
+})
@@ -0,0 +1,123 @@
+import { config } from '~/src/config/config.js'
+import { extractFarmDetails } from '~/src/plugins/auth.js'
+import { buildApplicationRows } from '~/src/server/applications/applications.controller.js'
+import { getFormsCache } from '~/src/server/common/forms/services/form.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { listApplications } from '~/src/server/common/services/application-instances/application-instances.service.js'
+import { MOCK_SESSION_SBI_KEY } from '~/src/server/sbi/state.js'
+
+/**
+ * Path of the page listing the businesses the user can act for
+ */
+export const BUSINESSES_PATH = '/businesses'
+
+const HTTP_STATUS_NOT_FOUND = 404
+
+/**
+ * A business the signed-in user has a relationship with
+ * @typedef {object} Business
+ * @property {string} relationshipId
+ * @property {string} organisationId - The business SBI
+ * @property {string} organisationName
+ * @property {string} relationship - How the user is related to the business
+ */
+
+/**
+ * Returns the businesses in the Defra ID `relationships` claim of the signed-in user
+ * @param {Record<string, any> | undefined} credentials - Auth credentials holding the `relationships` claim
+ * @returns {Business[]}
+ */
+export function getBusinesses(credentials) {
+  return (credentials?.relationships ?? []).map((entry) => {
+    const [relationshipId, organisationId, organisationName, , relationship] = extractFarmDetails(entry)
+    return {
+      relationshipId: String(relationshipId),
+      organisationId: String(organisationId),
+      organisationName,
+      relationship
+    }
+  })
+}
+
+/**
+ * Lists the drafts and submissions a business has for each grant, leaving out grants it has not applied for.
+ * Applications can only be opened for the business the user is currently acting for.
+ * @param {Business} business
+ * @param {boolean} current - Whether the user is currently acting for the business
+ */
+export async function buildBusinessApplications(business, current) {
+  const grants = await Promise.all(
+    getFormsCache().map(async (form) => {
+      const applications = await listApplications({ sbi: business.organisationId, grantCode: form.slug })
+
+      return buildApplicationRows(form.slug, applications).map((row) => ({
+        ...row,
+        grantName: form.title,
+        action: current ? row.action : undefined
+      }))
+    })
+  )
+
+  return grants.flat()
+}
+
+/**
+ * Lists the businesses the user can act for, with their in-progress and submitted applications
+ * @satisfies {Partial<ServerRoute>}
+ */
+export const businessesController = {
+  async handler(request, h) {
+    const { credentials } = request.auth
+
+    const businesses = await Promise.all(
+      getBusinesses(credentials).map(async (business) => {
+        const current = business.organisationId === credentials.organisationId
+        return { ...business, current, applications: await buildBusinessApplications(business, current) }
+      })
+    )
+
+    return h.view('businesses/views/businesses', {
+      pageTitle: 'Your businesses',
+      heading: 'Your businesses',
+      businesses
+    })
+  }
+}
+
+/**
+ * Changes the business the user is acting for. Saved applications, and the one the user is working on for each
+ * grant, are kept for each business so nothing started for one business carries over to another.
+ * @satisfies {Partial<ServerRoute>}
+ */
+export const switchBusinessController = {
+  handler(request, h) {
+    const { organisationId } = request.params
+    const { credentials } = request.auth
+
+    if (!getBusinesses(credentials).some((business) => business.organisationId === organisationId)) {
+      return h.response('Business not found').code(HTTP_STATUS_NOT_FOUND)
+    }
+
+    if (organisationId === credentials.organisationId) {
+      return h.redirect(BUSINESSES_PATH)
+    }
+
+    log(LogCodes.AUTH.ORGANISATION_SWITCHED, {
+      userId: credentials.crn,
+      fromOrganisationId: credentials.organisationId,
+      toOrganisationId: organisationId
+    })
+
+    if (config.get('defraId.enabled')) {
+      return h.redirect(`/auth/organisation?organisationId=${organisationId}&redirect=${BUSINESSES_PATH}`)
+    }
+
+    // Without Defra ID the mock session acts for the business kept on this user's session
+    request.yar.set(MOCK_SESSION_SBI_KEY, organisationId)
+    return h.redirect(BUSINESSES_PATH)
+  }
+}
+
+/**
+ * @import { ServerRoute } from '@hapi/hapi'
+ */
@@ -0,0 +1,170 @@
+import { vi } from 'vitest'
+import { mockHapiRequest, mockHapiResponseToolkit } from '~/src/__mocks__/hapi-mocks.js'
+import { config } from '~/src/config/config.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { listApplications } from '~/src/server/common/services/application-instances/application-instances.service.js'
+import { getMockSessionSbi, sbiStore } from '~/src/server/sbi/state.js'
+import { businessesController, getBusinesses, switchBusinessController } from './businesses.controller.js'
+
+vi.mock('~/src/server/common/forms/services/form.js', () => ({
+  getFormsCache: vi.fn(() => [
+    { id: 'form-1', slug: 'example-grant', title: 'Example grant' },
+    { id: 'form-2', slug: 'flying-pigs', title: 'Flying pigs' }
+  ])
+}))
+vi.mock('~/src/server/common/services/application-instances/application-instances.service.js', () => ({
+  listApplications: vi.fn()
+}))
+vi.mock('~/src/server/common/helpers/logging/log.js', () => ({
+  log: vi.fn(),
+  LogCodes: {
+    AUTH: { ORGANISATION_SWITCHED: { level: 'info', messageFunc: vi.fn() } }
+  }
+}))
+
+const INSTANCE_ID = '5b3a4d6e-8f21-4c4b-9a7d-1e2f3a4b5c6d'
+
+const credentials = {
+  crn: '1109990001',
+  organisationId: '106284736',
+  relationships: ['1234:106284736:Farm One:1:Agent:0', '5678:106284737:Farm: Two:1:Agent:0']
+}
+
+describe('businesses controller', () => {
+  let h
+  let session
+
+  const createRequest = (params) => {
+    const requestSession = { applicationInstances: { '106284736:example-grant': INSTANCE_ID } }
+    session = requestSession
+    return mockHapiRequest({
+      params,
+      auth: { isAuthenticated: true, credentials },
+      yar: {
+        get: vi.fn((key) => requestSession[key]),
+        set: vi.fn((key, value) => {
+          requestSession[key] = value
+        })
+      }
+    })
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    h = mockHapiResponseToolkit()
+  })
+
+  describe('getBusinesses', () => {
+    it('reads the businesses from the relationships claim', () => {
+      expect(getBusinesses(credentials)).toEqual([
+        { relationshipId: '1234', organisationId: '106284736', organisationName: 'Farm One', relationship: 'Agent' },
+        { relationshipId: '5678', organisationId: '106284737', organisationName: 'Farm: Two', relationship: 'Agent' }
+      ])
+    })
+
+    it('has no businesses without relationships', () => {
+      expect(getBusinesses({})).toEqual([])
+      expect(getBusinesses(undefined)).toEqual([])
+    })
+  })
+
+  describe('businessesController', () => {
+    it('lists the applications of each business, linking only to those of the current business', async () => {
+      listApplications.mockImplementation(async ({ sbi, grantCode }) => {
+        if (grantCode !== 'example-grant') {
+          return []
+        }
+        return sbi === '106284736'
+          ? [{ instanceId: INSTANCE_ID, createdAt: '2026-03-01T10:00:00.000Z' }]
+          : [{ applicationStatus: 'SUBMITTED', referenceNumber: 'REF-001', submittedAt: '2026-03-02T10:00:00.000Z' }]
+      })
+
+      await businessesController.handler(createRequest({}), h)
+
+      expect(listApplications).toHaveBeenCalledWith({ sbi: '106284737', grantCode: 'flying-pigs' })
+      expect(h.view).toHaveBeenCalledWith('businesses/views/businesses', {
+        pageTitle: 'Your businesses',
+        heading: 'Your businesses',
+        businesses: [
+          expect.objectContaining({
+            organisationId: '106284736',
+            current: true,
+            applications: [
+              expect.objectContaining({
+                grantName: 'Example grant',
+                status: 'Draft',
+                action: `/example-grant/applications/${INSTANCE_ID}`
+              })
+            ]
+          }),
+          expect.objectContaining({
+            organisationId: '106284737',
+            current: false,
+            applications: [
+              expect.objectContaining({
+                grantName: 'Example grant',
+                referenceNumber: 'REF-001',
+                status: 'Submitted',
+                action: undefined
+              })
+            ]
+          })
+        ]
+      })
+    })
+  })
+
+  describe('switchBusinessController', () => {
+    afterEach(() => {
+      config.set('defraId.enabled', false)
+      sbiStore.set('sbi', config.get('landGrants.defaultSbi'))
+    })
+
+    it('signs in to the business through Defra ID and keeps the application chosen for the last business', async () => {
+      config.set('defraId.enabled', true)
+
+      await switchBusinessController.handler(createRequest({ organisationId: '106284737' }), h)
+
+      expect(h.redirect).toHaveBeenCalledWith('/auth/organisation?organisationId=106284737&redirect=/businesses')
+      expect(session.applicationInstances).toEqual({ '106284736:example-grant': INSTANCE_ID })
+      expect(log).toHaveBeenCalledWith(LogCodes.AUTH.ORGANISATION_SWITCHED, {
+        userId: '1109990001',
+        fromOrganisationId: '106284736',
+        toOrganisationId: '106284737'
+      })
+    })
+
+    it('keeps the business on the session without Defra ID', async () => {
+      const request = createRequest({ organisationId: '106284737' })
+
+      await switchBusinessController.handler(request, h)
+
+      expect(getMockSessionSbi(request)).toBe('106284737')
+      expect(h.redirect).toHaveBeenCalledWith('/businesses')
+    })
+
+    it('does not change the business of other sessions without Defra ID', async () => {
+      await switchBusinessController.handler(createRequest({ organisationId: '106284737' }), h)
+
+      expect(sbiStore.get('sbi')).toBe(config.get('landGrants.defaultSbi'))
+      expect(getMockSessionSbi(createRequest({}))).toBe(`${config.get('landGrants.defaultSbi')}`)
+    })
+
+    it('stays with the current business', async () => {
+      await switchBusinessController.handler(createRequest({ organisationId: '106284736' }), h)
+
+      expect(h.redirect).toHaveBeenCalledWith('/businesses')
+      expect(session.applicationInstances).toEqual({ '106284736:example-grant': INSTANCE_ID })
+      expect(log).not.toHaveBeenCalled()
+    })
+
+    it('returns not found for a business the user has no relationship with', async () => {
+      await switchBusinessController.handler(createRequest({ organisationId: '999999999' }), h)
+
+      expect(h.response).toHaveBeenCalledWith('Business not found')
+      expect(h.code).toHaveBeenCalledWith(404)
+      expect(session.mockSessionSbi).toBeUndefined()
+      expect(log).not.toHaveBeenCalled()
+    })
+  })
+})
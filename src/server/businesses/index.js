@@ -0,0 +1,30 @@
+import { BUSINESSES_PATH, businessesController, switchBusinessController } from './businesses.controller.js'
+
+/**
+ * Sets up the routes for the "your businesses" page, where agents see the businesses they act for and change between
+ * them. These routes are registered in src/server/router.js.
+ * @satisfies {ServerRegisterPluginObject<void>}
+ */
+export const businesses = {
+  plugin: {
+    name: 'businesses',
+    register(server) {
+      server.route([
+        {
+          method: 'GET',
+          path: BUSINESSES_PATH,
+          ...businessesController
+        },
+        {
+          method: 'POST',
+          path: `${BUSINESSES_PATH}/{organisationId}`,
+          ...switchBusinessController
+        }
+      ])
+    }
+  }
+}
+
+/**
+ * @import { ServerRegisterPluginObject } from '@hapi/hapi'
+ */
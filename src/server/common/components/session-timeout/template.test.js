@@ -0,0 +1,29 @@
+import { renderComponent } from '~/src/server/common/test-helpers/component-helpers.js'
+
+describe('Session Timeout Component', () => {
+  /** @type {CheerioAPI} */
+  let $component
+
+  beforeEach(() => {
+    $component = renderComponent('session-timeout', { expiresIn: 14400, warning: 300, crumb: 'crumb-token' })
+  })
+
+  test('Should render the warning dialog', () => {
+    expect($component('dialog[data-module="app-session-timeout"]')).toHaveLength(1)
+    expect($component('#app-session-timeout-heading').text().trim()).toBe("You're about to be signed out")
+  })
+
+  test('Should pass the session timings and crumb to the script', () => {
+    const $dialog = $component('[data-testid="app-session-timeout"]')
+
+    expect($dialog.attr('data-expires-in')).toBe('14400')
+    expect($dialog.attr('data-warning')).toBe('300')
+    expect($dialog.attr('data-keep-alive-url')).toBe('/auth/keep-alive')
+    expect($dialog.attr('data-signed-out-url')).toBe('/auth/signed-out')
+    expect($dialog.attr('data-crumb')).toBe('crumb-token')
+  })
+})
+
+/**
+ * @import { CheerioAPI } from 'cheerio'
+ */
@@ -9,7 +9,10 @@ export const statusCodes = {
   unauthorized: 401,
   forbidden: 403,
   notFound: 404,
+  requestTimeout: 408,
+  conflict: 409,
   imATeapot: 418,
+  tooManyRequests: 429,
   internalServerError: 500,
   badGateway: 502,
   serviceUnavailable: 503
@@ -0,0 +1,199 @@
+import { ControllerType } from '@defra/forms-model'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { parse as parseYaml } from 'yaml'
+import {
+  FORM_DEFINITIONS_DIR,
+  listYamlFilesRecursively,
+  loadSharedRedirectRules,
+  validateGrantRedirectRules,
+  validatePermissionsConfiguration,
+  validateScheduleConfiguration,
+  validateWhitelistConfiguration,
+  validateWhitelistVariableCompleteness
+} from './form.js'
+import { DEFAULT_FORM_VERSION, groupFormVersions } from './form-versions.js'
+import { compileSubmissionSchema } from './submission.js'
+import { lintActionGroups } from '~/src/server/land-grants/utils/action-groups.js'
+
+/**
+ * @typedef {object} FormLintProblem
+ * @property {string} file - Path of the definition, relative to the definitions directory
+ * @property {string} message - Description of the problem
+ */
+
+/**
+ * @typedef {object} FormLintOptions
+ * @property {string} [baseDir] - Directory holding the form definitions
+ * @property {string[]} controllerNames - Names of the custom controllers registered with the forms engine
+ * @property {boolean} [checkEnv] - Also check that whitelist environment variables are set
+ */
+
+/**
+ * Returns the names of the page controllers a definition can use: the forms engine's own plus the custom ones
+ * @param {string[]} controllerNames
+ * @returns {Set<string>}
+ */
+function knownControllers(controllerNames) {
+  return new Set([...Object.values(ControllerType), ...controllerNames])
+}
+
+function lintWhitelist(form, definition, checkEnv) {
+  const { whitelistCrnEnvVar, whitelistSbiEnvVar } = definition.metadata ?? {}
+
+  if (checkEnv) {
+    validateWhitelistConfiguration(form, definition)
+  } else {
+    validateWhitelistVariableCompleteness(whitelistCrnEnvVar, whitelistSbiEnvVar, form, definition)
+  }
+}
+
+function lintRedirectRules(form, definition, sharedRules) {
+  validateGrantRedirectRules(form, {
+    ...definition,
+    metadata: {
+      ...definition.metadata,
+      grantRedirectRules: { ...sharedRules, ...definition.metadata?.grantRedirectRules }
+    }
+  })
+}
+
+function lintPages(definition, controllers) {
+  const problems = []
+  const pages = definition.pages ?? []
+  const pagePaths = new Set()
+  const conditionIds = new Set((definition.conditions ?? []).map((condition) => condition.id ?? condition.name))
+
+  for (const page of pages) {
+    if (pagePaths.has(page.path)) {
+      problems.push(`Duplicate page path ${page.path}`)
+    }
+    pagePaths.add(page.path)
+
+    if (page.controller && !controllers.has(page.controller)) {
+      problems.push(`Unknown controller ${page.controller} on page ${page.path}`)
+    }
+
+    if (page.condition && !conditionIds.has(page.condition)) {
+      problems.push(`Unknown condition ${page.condition} on page ${page.path}`)
+    }
+  }
+
+  for (const page of pages) {
+    for (const next of page.next ?? []) {
+      if (next?.path && !pagePaths.has(next.path)) {
+        problems.push(`Page ${page.path} has next path ${next.path} which does not match any page`)
+      }
+    }
+  }
+
+  return problems
+}
+
+function lintSubmissionSchema(definition) {
+  const schemaPath = definition.metadata?.submission?.submissionSchemaPath
+  if (!schemaPath) {
+    return []
+  }
+
+  try {
+    compileSubmissionSchema(schemaPath)
+    return []
+  } catch (error) {
+    return [`Submission schema ${schemaPath} could not be loaded: ${error.message}`]
+  }
+}
+
+/**
+ * Collects the result of a check that throws on failure
+ * @param {string[]} problems
+ * @param {() => void} check
+ */
+function collect(problems, check) {
+  try {
+    check()
+  } catch (error) {
+    problems.push(error.message)
+  }
+}
+
+/**
+ * Lints a single parsed form definition
+ * @param {string} file - Definition path, used as the form title fallback
+ * @param {object} definition - Parsed YAML
+ * @param {{ controllers: Set<string>, sharedRules: object, checkEnv: boolean }} context
+ * @returns {string[]} problem messages
+ */
+export function lintFormDefinition(file, definition, { controllers, sharedRules, checkEnv }) {
+  const problems = []
+  const form = { title: file }
+
+  if (!definition.metadata?.id) {
+    problems.push('Missing metadata.id')
+  }
+
+  collect(problems, () => lintWhitelist(form, definition, checkEnv))
+  collect(problems, () => lintRedirectRules(form, definition, sharedRules))
+  collect(problems, () => validateScheduleConfiguration(form, definition))
+  collect(problems, () => validatePermissionsConfiguration(form, definition))
+  problems.push(...lintPages(definition, controllers))
+  problems.push(...lintSubmissionSchema(definition))
+  problems.push(...lintActionGroups(definition.metadata?.landActionGroups))
+
+  return problems
+}
+
+/**
+ * Loads every form definition under the definitions directory and reports all problems found.
+ * Tasklist definitions are skipped.
+ * @param {FormLintOptions} options
+ * @returns {Promise<FormLintProblem[]>}
+ */
+export async function lintFormDefinitions({ baseDir = FORM_DEFINITIONS_DIR, controllerNames, checkEnv = false }) {
+  const controllers = knownControllers(controllerNames)
+  const sharedRules = await loadSharedRedirectRules()
+  const files = await listYamlFilesRecursively(baseDir)
+
+  /** @type {FormLintProblem[]} */
+  const problems = []
+  const formIds = new Map()
+  const formVersions = []
+
+  for (const filePath of files.sort()) {
+    const file = path.relative(baseDir, filePath)
+    let definition
+
+    try {
+      definition = parseYaml(await readFile(filePath, 'utf8'))
+    } catch (error) {
+      problems.push({ file, message: `Failed to parse YAML: ${error.message}` })
+      continue
+    }
+
+    if (!definition || definition.tasklist) {
+      continue
+    }
+
+    const id = definition.metadata?.id
+    if (id && formIds.has(id)) {
+      problems.push({ file, message: `Duplicate metadata.id ${id}, also used by ${formIds.get(id)}` })
+    } else if (id) {
+      formIds.set(id, file)
+    }
+
+    for (const message of lintFormDefinition(file, definition, { controllers, sharedRules, checkEnv })) {
+      problems.push({ file, message })
+    }
+
+    const { slug = path.basename(file, path.extname(file)), version = DEFAULT_FORM_VERSION } = definition.metadata ?? {}
+    formVersions.push({ id, slug, version })
+    try {
+      groupFormVersions(formVersions)
+    } catch (error) {
+      formVersions.pop()
+      problems.push({ file, message: error.message })
+    }
+  }
+
+  return problems
+}
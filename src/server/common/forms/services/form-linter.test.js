@@ -0,0 +1,188 @@
+import { vi } from 'vitest'
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { lintFormDefinition, lintFormDefinitions } from './form-linter.js'
+
+vi.mock('~/src/server/common/helpers/logging/log.js', () => ({
+  logger: {
+    warn: vi.fn(),
+    error: vi.fn(),
+    info: vi.fn(),
+    debug: vi.fn()
+  }
+}))
+
+const sharedRules = {
+  preSubmission: [{ toPath: '/summary' }],
+  postSubmission: [
+    { fromGrantsStatus: 'default', gasStatus: 'default', toGrantsStatus: 'SUBMITTED', toPath: '/confirmation' }
+  ]
+}
+
+const context = {
+  controllers: new Set(['StartPageController', 'TerminalPageController', 'DeclarationPageController']),
+  sharedRules,
+  checkEnv: false
+}
+
+const validDefinition = () => ({
+  name: 'Valid grant',
+  metadata: {
+    id: 'valid-id',
+    submission: { grantCode: 'valid' }
+  },
+  pages: [
+    { path: '/start', controller: 'StartPageController', next: [{ path: '/declaration' }] },
+    { path: '/declaration', controller: 'DeclarationPageController', condition: 'cond-1', next: [] }
+  ],
+  conditions: [{ id: 'cond-1' }]
+})
+
+describe('lintFormDefinition', () => {
+  test('returns no problems for a valid definition', () => {
+    expect(lintFormDefinition('valid.yaml', validDefinition(), context)).toEqual([])
+  })
+
+  test('reports every problem in the definition', () => {
+    const definition = validDefinition()
+    definition.metadata.id = undefined
+    definition.metadata.whitelistCrnEnvVar = 'SOME_CRNS'
+    definition.metadata.grantRedirectRules = { preSubmission: [{}] }
+    definition.metadata.submission.submissionSchemaPath = './schemas/does-not-exist.schema.json'
+    definition.pages.push(
+      { path: '/start', controller: 'UnknownController', next: [{ path: '/nowhere' }] },
+      { path: '/other', condition: 'missing-condition' }
+    )
+
+    const problems = lintFormDefinition('broken.yaml', definition, context)
+
+    expect(problems).toEqual([
+      'Missing metadata.id',
+      expect.stringContaining('whitelistCrnEnvVar is defined but whitelistSbiEnvVar is missing'),
+      expect.stringContaining('"[0].toPath" is required'),
+      'Duplicate page path /start',
+      'Unknown controller UnknownController on page /start',
+      'Unknown condition missing-condition on page /other',
+      'Page /start has next path /nowhere which does not match any page',
+      expect.stringContaining('Submission schema ./schemas/does-not-exist.schema.json could not be loaded')
+    ])
+  })
+
+  test('checks whitelist environment variables only when checkEnv is set', () => {
+    const definition = validDefinition()
+    definition.metadata.whitelistCrnEnvVar = 'LINTER_TEST_UNSET_CRNS'
+    definition.metadata.whitelistSbiEnvVar = 'LINTER_TEST_UNSET_SBIS'
+
+    expect(lintFormDefinition('valid.yaml', definition, context)).toEqual([])
+    expect(lintFormDefinition('valid.yaml', definition, { ...context, checkEnv: true })).toEqual([
+      expect.stringContaining('CRN whitelist environment variable LINTER_TEST_UNSET_CRNS')
+    ])
+  })
+
+  test('compiles a referenced submission schema', () => {
+    const definition = validDefinition()
+    definition.metadata.submission.submissionSchemaPath = './schemas/farm-payments.schema.json'
+
+    expect(lintFormDefinition('valid.yaml', definition, context)).toEqual([])
+  })
+
+  test('checks the grant schedule', () => {
+    const definition = validDefinition()
+    definition.metadata.schedule = { opensAt: '2026-06-30T17:00:00Z', closesAt: '2026-04-01T09:00:00Z' }
+
+    expect(lintFormDefinition('valid.yaml', definition, context)).toEqual([
+      expect.stringContaining('Invalid schedule in form Valid grant: "closesAt" must be greater than')
+    ])
+  })
+
+  test('checks the permissions', () => {
+    const definition = validDefinition()
+    definition.metadata.permissions = { pages: { '/missing': { submit: ['Full permission - business'] } } }
+
+    expect(lintFormDefinition('valid.yaml', definition, context)).toEqual([
+      'Invalid permissions in form Valid grant: there is no page /missing'
+    ])
+  })
+
+  test('checks land action groups', () => {
+    const definition = validDefinition()
+    definition.metadata.landActionGroups = [
+      { name: 'Moorland', actions: ['CMOR1', 'UPL1'] },
+      { name: 'Grazing', exclusive: true, actions: ['UPL1', 'UPL2'] }
+    ]
+
+    expect(lintFormDefinition('valid.yaml', definition, context)).toEqual([
+      'Land action group Grazing includes action UPL1, which is already in Land action group Moorland'
+    ])
+  })
+})
+
+describe('lintFormDefinitions', () => {
+  let baseDir
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), 'form-linter-'))
+    await mkdir(path.join(baseDir, 'nested'))
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  test('passes for the real form definitions', async () => {
+    const problems = await lintFormDefinitions({
+      controllerNames: [
+        'ConfirmationPageController',
+        'DeclarationPageController',
+        'SubmissionPageController',
+        'ConfirmFarmDetailsController',
+        'SelectLandParcelPageController',
+        'SelectLandActionsPageController',
+        'LandActionsCheckPageController',
+        'RemoveActionPageController',
+        'AddActionToParcelsPageController',
+        'SectionEndController',
+        'FlyingPigsSubmissionPageController',
+        'PotentialFundingController',
+        'CheckResponsesPageController',
+        'ConfirmMethaneDetailsController'
+      ]
+    })
+
+    expect(problems).toEqual([])
+  })
+
+  test('reports problems from every file, including nested ones, and skips tasklists', async () => {
+    await writeFile(
+      path.join(baseDir, 'a.yaml'),
+      'metadata:\n  id: same-id\npages:\n  - path: /start\n    controller: MissingController\n'
+    )
+    await writeFile(path.join(baseDir, 'nested', 'b.yaml'), 'metadata:\n  id: same-id\npages:\n  - path: /start\n')
+    await writeFile(path.join(baseDir, 'broken.yaml'), 'pages: [\n')
+    await writeFile(path.join(baseDir, 'tasklist.yaml'), 'tasklist:\n  id: example\n')
+
+    const problems = await lintFormDefinitions({ baseDir, controllerNames: [] })
+
+    expect(problems).toEqual([
+      { file: 'a.yaml', message: 'Unknown controller MissingController on page /start' },
+      { file: 'broken.yaml', message: expect.stringContaining('Failed to parse YAML') },
+      { file: path.join('nested', 'b.yaml'), message: 'Duplicate metadata.id same-id, also used by a.yaml' }
+    ])
+  })
+
+  test('reports two definitions claiming the same version of a form', async () => {
+    await writeFile(path.join(baseDir, 'grant.yaml'), 'metadata:\n  id: grant-v2\n  version: 2\npages: []\n')
+    await writeFile(
+      path.join(baseDir, 'grant-v1.yaml'),
+      'metadata:\n  id: grant-v1\n  slug: grant\n  version: 2\npages: []\n'
+    )
+
+    const problems = await lintFormDefinitions({ baseDir, controllerNames: [] })
+
+    expect(problems).toContainEqual({
+      file: 'grant.yaml',
+      message: 'Form grant has more than one definition for version 2'
+    })
+  })
+})
@@ -0,0 +1,132 @@
+import { AsyncLocalStorage } from 'node:async_hooks'
+
+/**
+ * Version assumed for definitions without `metadata.version` and for saved state that was never stamped
+ */
+export const DEFAULT_FORM_VERSION = 1
+
+/**
+ * Key in the saved form state recording the definition version the application was started on
+ */
+export const FORM_VERSION_STATE_KEY = '$$__grantVersion'
+
+/** @type {AsyncLocalStorage<Map<string, number>>} */
+const pinnedVersions = new AsyncLocalStorage()
+
+/**
+ * @typedef {object} DraftMigration
+ * @property {string} slug - The form slug
+ * @property {number} fromVersion - Version the draft was started on
+ * @property {number} toVersion - Version the draft is moving to
+ * @property {object} state - The saved state
+ */
+
+/**
+ * @callback DraftMigrationHook
+ * @param {DraftMigration} migration
+ * @returns {object | Promise<object>} The state to save against the new version
+ */
+
+/** @type {DraftMigrationHook} */
+const keepAnswers = ({ state }) => state
+
+let draftMigrationHook = keepAnswers
+
+/**
+ * Returns the key the loader registers an older definition version under.
+ * The latest version of a form always keeps the plain slug.
+ * @param {string} slug
+ * @param {number} version
+ * @returns {string}
+ */
+export function versionedSlug(slug, version) {
+  return `${slug}@${version}`
+}
+
+/**
+ * Returns the version a saved state was started on
+ * @param {object | undefined} state
+ * @returns {number}
+ */
+export function getStateFormVersion(state) {
+  return state?.[FORM_VERSION_STATE_KEY] ?? DEFAULT_FORM_VERSION
+}
+
+/**
+ * Groups discovered forms by slug, newest version first, and checks the versions of each slug are distinct.
+ * @template {{ id: string, slug: string, version: number }} T
+ * @param {T[]} forms
+ * @returns {Map<string, T[]>}
+ */
+export function groupFormVersions(forms) {
+  /** @type {Map<string, T[]>} */
+  const versions = new Map()
+
+  for (const form of forms) {
+    const existing = versions.get(form.slug) ?? []
+
+    if (existing.some((other) => other.version === form.version)) {
+      throw new Error(`Form ${form.slug} has more than one definition for version ${form.version}`)
+    }
+    if (existing.some((other) => other.id === form.id)) {
+      throw new Error(`Form ${form.slug} uses id ${form.id} for more than one version`)
+    }
+
+    versions.set(
+      form.slug,
+      [...existing, form].sort((a, b) => b.version - a.version)
+    )
+  }
+
+  return versions
+}
+
+/**
+ * Starts a fresh set of pinned versions for the current request.
+ * Called at the start of every request so pins never carry over from another request.
+ */
+export function resetPinnedFormVersions() {
+  pinnedVersions.enterWith(new Map())
+}
+
+/**
+ * Pins the definition version served for a form for the rest of the current request
+ * @param {string} slug
+ * @param {number} version
+ */
+export function pinFormVersion(slug, version) {
+  const pins = pinnedVersions.getStore()
+
+  if (pins) {
+    pins.set(slug, version)
+  } else {
+    pinnedVersions.enterWith(new Map([[slug, version]]))
+  }
+}
+
+/**
+ * Returns the version pinned for a form in the current request, if any
+ * @param {string} slug
+ * @returns {number | undefined}
+ */
+export function getPinnedFormVersion(slug) {
+  return pinnedVersions.getStore()?.get(slug)
+}
+
+/**
+ * Replaces the hook used to move a draft from an older definition version to the latest one.
+ * The default hook keeps the saved answers unchanged.
+ * @param {DraftMigrationHook} [hook]
+ */
+export function setDraftMigrationHook(hook = keepAnswers) {
+  draftMigrationHook = hook
+}
+
+/**
+ * Runs the configured draft migration hook
+ * @param {DraftMigration} migration
+ * @returns {Promise<object>}
+ */
+export async function migrateDraft(migration) {
+  return draftMigrationHook(migration)
+}
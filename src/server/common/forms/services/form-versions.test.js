@@ -0,0 +1,100 @@
+import {
+  DEFAULT_FORM_VERSION,
+  FORM_VERSION_STATE_KEY,
+  getPinnedFormVersion,
+  getStateFormVersion,
+  groupFormVersions,
+  migrateDraft,
+  pinFormVersion,
+  resetPinnedFormVersions,
+  setDraftMigrationHook,
+  versionedSlug
+} from './form-versions.js'
+
+describe('form-versions', () => {
+  afterEach(() => {
+    setDraftMigrationHook()
+  })
+
+  it('builds the slug an older version is registered under', () => {
+    expect(versionedSlug('example-grant', 2)).toBe('example-grant@2')
+  })
+
+  it('reads the version recorded in state, defaulting for unstamped state', () => {
+    expect(getStateFormVersion({ [FORM_VERSION_STATE_KEY]: 3 })).toBe(3)
+    expect(getStateFormVersion({})).toBe(DEFAULT_FORM_VERSION)
+    expect(getStateFormVersion(undefined)).toBe(DEFAULT_FORM_VERSION)
+  })
+
+  describe('groupFormVersions', () => {
+    it('groups forms by slug, newest version first', () => {
+      const versions = groupFormVersions([
+        { id: 'a1', slug: 'a', version: 1 },
+        { id: 'b1', slug: 'b', version: 1 },
+        { id: 'a3', slug: 'a', version: 3 },
+        { id: 'a2', slug: 'a', version: 2 }
+      ])
+
+      expect(versions.get('a').map((form) => form.version)).toEqual([3, 2, 1])
+      expect(versions.get('b').map((form) => form.id)).toEqual(['b1'])
+    })
+
+    it('throws when a slug has two definitions for the same version', () => {
+      expect(() =>
+        groupFormVersions([
+          { id: 'a1', slug: 'a', version: 1 },
+          { id: 'a1-copy', slug: 'a', version: 1 }
+        ])
+      ).toThrow('Form a has more than one definition for version 1')
+    })
+
+    it('throws when two versions of a slug share an id', () => {
+      expect(() =>
+        groupFormVersions([
+          { id: 'a', slug: 'a', version: 1 },
+          { id: 'a', slug: 'a', version: 2 }
+        ])
+      ).toThrow('Form a uses id a for more than one version')
+    })
+  })
+
+  describe('pinFormVersion', () => {
+    const inRequest = (fn) =>
+      new Promise((resolve) => {
+        setImmediate(() => {
+          resetPinnedFormVersions()
+          resolve(fn())
+        })
+      })
+
+    it('pins a version for the slug in the current request', async () => {
+      const pinned = await inRequest(async () => {
+        pinFormVersion('a', 2)
+        await Promise.resolve()
+        return { a: getPinnedFormVersion('a'), b: getPinnedFormVersion('b') }
+      })
+
+      expect(pinned).toEqual({ a: 2, b: undefined })
+    })
+
+    it('does not share pins between requests', async () => {
+      await inRequest(() => pinFormVersion('a', 2))
+
+      expect(await inRequest(() => getPinnedFormVersion('a'))).toBeUndefined()
+    })
+  })
+
+  describe('migrateDraft', () => {
+    const migration = { slug: 'a', fromVersion: 1, toVersion: 2, state: { answer: 'yes' } }
+
+    it('keeps the answers by default', async () => {
+      expect(await migrateDraft(migration)).toEqual({ answer: 'yes' })
+    })
+
+    it('uses the configured hook', async () => {
+      setDraftMigrationHook(({ state, toVersion }) => ({ ...state, migratedTo: toVersion }))
+
+      expect(await migrateDraft(migration)).toEqual({ answer: 'yes', migratedTo: 2 })
+    })
+  })
+})
@@ -0,0 +1,36 @@
+import { watch } from 'node:fs'
+import { logger } from '~/src/server/common/helpers/logging/log.js'
+
+const DEFAULT_DEBOUNCE_MS = 250
+
+/**
+ * Watches a form definitions directory and calls `onChange` once a burst of YAML changes settles.
+ * Editors often write a file several times when saving, so changes are debounced.
+ * The watcher does not keep the process alive.
+ * @param {string} baseDir - directory to watch recursively
+ * @param {() => Promise<unknown>} onChange - called after YAML files in the directory change
+ * @param {number} [debounceMs] - quiet period before `onChange` is called
+ * @returns {import('node:fs').FSWatcher}
+ */
+export function watchFormDefinitions(baseDir, onChange, debounceMs = DEFAULT_DEBOUNCE_MS) {
+  /** @type {NodeJS.Timeout | undefined} */
+  let timer
+
+  const watcher = watch(baseDir, { recursive: true, persistent: false }, (_eventType, filename) => {
+    if (!filename || !/\.(ya?ml)$/i.test(filename)) {
+      return
+    }
+
+    logger.debug(`Form definition changed: ${filename}`)
+    clearTimeout(timer)
+    timer = setTimeout(() => {
+      onChange().catch((err) => logger.error(`Failed to reload form definitions: ${err?.message}`))
+    }, debounceMs)
+  })
+
+  watcher.on('error', (err) => {
+    logger.error(`Form definitions watcher error for "${baseDir}": ${err?.message}`)
+  })
+
+  return watcher
+}
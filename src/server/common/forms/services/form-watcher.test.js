@@ -0,0 +1,86 @@
+import { vi } from 'vitest'
+import { watch } from 'node:fs'
+import { watchFormDefinitions } from './form-watcher.js'
+import { logger } from '~/src/server/common/helpers/logging/log.js'
+
+vi.mock('node:fs', () => {
+  const watch = vi.fn()
+  return { default: { watch }, watch }
+})
+
+vi.mock('~/src/server/common/helpers/logging/log.js', () => ({
+  logger: {
+    debug: vi.fn(),
+    error: vi.fn()
+  }
+}))
+
+describe('watchFormDefinitions', () => {
+  let listener
+  let mockWatcher
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers()
+    mockWatcher = { on: vi.fn() }
+    watch.mockImplementation((_dir, _options, callback) => {
+      listener = callback
+      return mockWatcher
+    })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  test('watches the directory recursively without keeping the process alive', () => {
+    const watcher = watchFormDefinitions('/defs', vi.fn())
+
+    expect(watch).toHaveBeenCalledWith('/defs', { recursive: true, persistent: false }, expect.any(Function))
+    expect(watcher).toBe(mockWatcher)
+  })
+
+  test('calls onChange once after a burst of YAML changes', async () => {
+    const onChange = vi.fn().mockResolvedValue(true)
+    watchFormDefinitions('/defs', onChange, 100)
+
+    listener('change', 'adding-value/costs.yaml')
+    listener('change', 'adding-value/costs.yaml')
+    listener('rename', 'farm-payments.yml')
+
+    expect(onChange).not.toHaveBeenCalled()
+    await vi.advanceTimersByTimeAsync(100)
+    expect(onChange).toHaveBeenCalledTimes(1)
+  })
+
+  test('ignores changes to non-YAML files', async () => {
+    const onChange = vi.fn().mockResolvedValue(true)
+    watchFormDefinitions('/defs', onChange, 100)
+
+    listener('change', 'notes.txt')
+    listener('change', null)
+
+    await vi.advanceTimersByTimeAsync(100)
+    expect(onChange).not.toHaveBeenCalled()
+  })
+
+  test('logs when onChange rejects', async () => {
+    const onChange = vi.fn().mockRejectedValue(new Error('boom'))
+    watchFormDefinitions('/defs', onChange, 100)
+
+    listener('change', 'farm-payments.yaml')
+    await vi.advanceTimersByTimeAsync(100)
+
+    expect(logger.error).toHaveBeenCalledWith('Failed to reload form definitions: boom')
+  })
+
+  test('logs watcher errors', () => {
+    watchFormDefinitions('/defs', vi.fn())
+
+    const [event, handler] = mockWatcher.on.mock.calls[0]
+    handler(new Error('EMFILE'))
+
+    expect(event).toBe('error')
+    expect(logger.error).toHaveBeenCalledWith('Form definitions watcher error for "/defs": EMFILE')
+  })
+})
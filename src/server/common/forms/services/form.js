@@ -8,11 +8,22 @@ import { parse as parseYaml } from 'yaml'
 import { notFound } from '@hapi/boom'
 import Joi from 'joi'
 import agreements from '~/src/config/agreements.js'
+import { watchFormDefinitions } from './form-watcher.js'
+import { DEFAULT_FORM_VERSION, getPinnedFormVersion, groupFormVersions, versionedSlug } from './form-versions.js'
+import { findStatusTransitionProblems, getGuardNames } from '~/src/server/status/status-transitions.js'
+import { getGracePeriodEnd } from '~/src/server/grant-schedule/grant-schedule.js'
+import { readSubmissionSchemaValidators, setSubmissionSchemaValidators } from './submission.js'
+import { readStateMigrations, setStateMigrations } from './state-migrations.js'
 
-// Simple in-memory cache of discovered forms metadata
+export const FORM_DEFINITIONS_DIR = path.resolve(process.cwd(), 'src/server/common/forms/definitions')
+
+// Simple in-memory cache of discovered forms metadata, latest version of each form only
 let formsCache = []
 
-async function loadSharedRedirectRules() {
+// Every loaded version of each form, keyed by slug, newest first
+let formVersions = new Map()
+
+export async function loadSharedRedirectRules() {
   const filePath = path.resolve(process.cwd(), 'src/server/common/forms/shared-redirect-rules.yaml')
   const raw = await readFile(filePath, 'utf8')
   const parsed = parseYaml(raw)
@@ -62,7 +73,7 @@ class GrantsFormLoader extends FileFormService {
   }
 }
 
-export async function addAllForms(loader, forms) {
+export async function addAllForms(loader, forms, updatedAt) {
   const addedForms = new Set()
 
   const uniqueForms = forms.filter((form) => {
@@ -82,7 +93,9 @@ export async function addAllForms(loader, forms) {
         id: form.id,
         slug: form.slug,
         title: form.title,
-        metadata: form.metadata
+        metadata: form.metadata,
+        // A new updatedAt makes the forms engine rebuild its cached model for this form
+        ...(updatedAt && { updatedAt, live: { ...metadata.live, updatedAt } })
       })
     )
   )
@@ -90,7 +103,7 @@ export async function addAllForms(loader, forms) {
   return addedForms.size
 }
 
-function validateWhitelistVariableCompleteness(whitelistCrnEnvVar, whitelistSbiEnvVar, form, definition) {
+export function validateWhitelistVariableCompleteness(whitelistCrnEnvVar, whitelistSbiEnvVar, form, definition) {
   if ((whitelistCrnEnvVar && !whitelistSbiEnvVar) || (!whitelistCrnEnvVar && whitelistSbiEnvVar)) {
     const missingVar = whitelistCrnEnvVar ? 'whitelistSbiEnvVar' : 'whitelistCrnEnvVar'
     const presentVar = whitelistCrnEnvVar ? 'whitelistCrnEnvVar' : 'whitelistSbiEnvVar'
@@ -119,12 +132,16 @@ export function validateWhitelistConfiguration(form, definition) {
     const whitelistSbiEnvVar = definition.metadata.whitelistSbiEnvVar
 
     validateWhitelistVariableCompleteness(whitelistCrnEnvVar, whitelistSbiEnvVar, form, definition)
-    validateCrnEnvironmentVariable(whitelistCrnEnvVar, form, definition)
-    validateSbiEnvironmentVariable(whitelistSbiEnvVar, form, definition)
+
+    // Other whitelist sources do not read these environment variables
+    if (config.get('whitelist.source') === 'env') {
+      validateCrnEnvironmentVariable(whitelistCrnEnvVar, form, definition)
+      validateSbiEnvironmentVariable(whitelistSbiEnvVar, form, definition)
+    }
   }
 }
 
-async function listYamlFilesRecursively(baseDir) {
+export async function listYamlFilesRecursively(baseDir) {
   const out = []
   const entries = await fs.readdir(baseDir, { withFileTypes: true })
   for (const e of entries) {
@@ -148,7 +165,9 @@ const postSubmissionRuleSchema = Joi.object({
   fromGrantsStatus: Joi.string().required(),
   gasStatus: Joi.string().required(),
   toGrantsStatus: Joi.string().required(),
-  toPath: Joi.string().pattern(/^\/.*/).required()
+  toPath: Joi.string().pattern(/^\/.*/),
+  clearState: Joi.boolean(),
+  guard: Joi.string().valid(...getGuardNames())
 })
 
 export function validateGrantRedirectRules(form, definition) {
@@ -188,15 +207,76 @@ export function validateGrantRedirectRules(form, definition) {
       `Invalid redirect configuration in form ${formName}: missing default/default fallback rule in postSubmission`
     )
   }
+
+  const problems = findStatusTransitionProblems(postSubmission)
+  if (problems.length) {
+    throw new Error(`Invalid redirect configuration in form ${formName}: ${problems.join('; ')}`)
+  }
+}
+
+const privilegesSchema = Joi.array().items(Joi.string()).min(1)
+
+const formPermissionsSchema = Joi.object({
+  view: privilegesSchema,
+  submit: privilegesSchema,
+  pages: Joi.object().pattern(Joi.string(), Joi.object({ view: privilegesSchema, submit: privilegesSchema }))
+})
+
+export function validatePermissionsConfiguration(form, definition) {
+  const formName = definition.name || form.title || 'unnamed'
+  const permissions = definition.metadata?.permissions
+
+  const { error } = formPermissionsSchema.validate(permissions)
+  if (error) {
+    throw new Error(`Invalid permissions in form ${formName}: ${error.message}`)
+  }
+
+  const pagePaths = (definition.pages ?? []).map((page) => page.path)
+  const unknownPage = Object.keys(permissions?.pages ?? {}).find((pagePath) => !pagePaths.includes(pagePath))
+  if (unknownPage) {
+    throw new Error(`Invalid permissions in form ${formName}: there is no page ${unknownPage}`)
+  }
+}
+
+const formScheduleSchema = Joi.object({
+  opensAt: Joi.date().iso(),
+  closesAt: Joi.date()
+    .iso()
+    .when('opensAt', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('opensAt')) }),
+  draftGracePeriodDays: Joi.number().integer().min(0),
+  submissionCutoff: Joi.date()
+    .iso()
+    .when('closesAt', { is: Joi.exist(), then: Joi.date().min(Joi.ref('closesAt')) })
+})
+  .with('draftGracePeriodDays', 'closesAt')
+  // Drafts cannot be changed after the grace period, so a later cut-off could never be met
+  .custom((schedule, helpers) => {
+    const gracePeriodEnd = getGracePeriodEnd(schedule)
+    if (schedule.submissionCutoff && gracePeriodEnd && schedule.submissionCutoff > gracePeriodEnd) {
+      return helpers.message({ custom: '"submissionCutoff" must not be after the end of the draft grace period' })
+    }
+    return schedule
+  })
+
+export function validateScheduleConfiguration(form, definition) {
+  const formName = definition.name || form.title || 'unnamed'
+
+  const { error } = formScheduleSchema.validate(definition.metadata?.schedule)
+  if (error) {
+    throw new Error(`Invalid schedule in form ${formName}: ${error.message}`)
+  }
 }
 
-async function discoverFormsFromYaml(baseDir = path.resolve(process.cwd(), 'src/server/common/forms/definitions')) {
+async function discoverFormsFromYaml(baseDir = FORM_DEFINITIONS_DIR, { failOnError = false } = {}) {
   const isProduction = config.get('cdpEnvironment')?.toLowerCase() === 'prod'
   let files = []
   try {
     files = await listYamlFilesRecursively(baseDir)
   } catch (err) {
     logger.error(`Failed to read forms directory "${baseDir}": ${err?.message}`)
+    if (failOnError) {
+      throw err
+    }
     return []
   }
 
@@ -211,40 +291,58 @@ async function discoverFormsFromYaml(baseDir = path.resolve(process.cwd(), 'src/
         continue
       }
 
-      // Use file name as slug
+      // Use file name as slug, unless the file holds another version of an existing form
       const fileName = path.basename(filePath, path.extname(filePath))
 
-      const { id, enabledInProd } = formMetadata
+      const { id, enabledInProd, slug = fileName, version = DEFAULT_FORM_VERSION } = formMetadata
 
       // Only include forms in production if they have enabledInProd set to true
       if (!isProduction || enabledInProd === true) {
         forms.push({
           path: filePath,
           id,
-          slug: fileName,
+          slug,
+          version,
           title,
           metadata: formMetadata
         })
       }
     } catch (err) {
       logger.error(`Failed to parse YAML form "${filePath}": ${err?.message}`)
+      if (failOnError) {
+        throw err
+      }
     }
   }
 
   return forms
 }
 
-export const formsService = async () => {
-  const loader = new GrantsFormLoader()
+/**
+ * Builds a form loader for the given forms and validates every definition it holds.
+ * Throws on the first definition that fails validation, so a partially valid set is never used.
+ *
+ * The latest version of each form is registered under its slug. Older versions are registered
+ * under a versioned slug so applicants pinned to them can still be served.
+ * @param {Array<{ id: string, slug: string, version: number, title: string }>} forms - forms discovered from YAML
+ * @param {string} phase - 'startup' or 'reload', used for logging
+ * @param {Date} [updatedAt] - timestamp to stamp onto each form's metadata
+ * @returns {Promise<{ loader: GrantsFormLoader, latestForms: object[], versions: Map<string, object[]> }>}
+ */
+async function loadForms(forms, phase, updatedAt) {
+  const versions = groupFormVersions(forms)
+  const latestForms = [...versions.values()].map(([latest]) => latest)
+  const loaderForms = [...versions.values()].flatMap(([latest, ...older]) => [
+    latest,
+    ...older.map((form) => ({ ...form, slug: versionedSlug(form.slug, form.version) }))
+  ])
 
-  const forms = await discoverFormsFromYaml()
-  // Cache the discovered forms for reuse in tasklists
-  formsCache = forms
-  await addAllForms(loader, forms)
+  const loader = new GrantsFormLoader()
+  await addAllForms(loader, loaderForms, updatedAt)
 
   const sharedRules = await loadSharedRedirectRules()
 
-  for (const form of forms) {
+  for (const form of loaderForms) {
     try {
       const definition = loader.getFormDefinition(form.id)
       definition.metadata.grantRedirectRules = {
@@ -257,18 +355,90 @@ export const formsService = async () => {
 
       validateGrantRedirectRules(form, definition)
       logger.info(`Grant redirect rules validated for form: ${form.title}`)
+
+      validatePermissionsConfiguration(form, definition)
+
+      validateScheduleConfiguration(form, definition)
     } catch (error) {
-      logger.error(`Form validation failed during startup for ${form.title}: ${error.message}`)
+      logger.error(`Form validation failed during ${phase} for ${form.title}: ${error.message}`)
       throw error
     }
   }
 
-  const baseService = loader.toFormsService()
+  return { loader, latestForms, versions }
+}
+
+/**
+ * Returns the metadata of the latest version of a form. The definitions are discovered from YAML when the forms
+ * service has not loaded them, so command line tools can read them too.
+ * @param {string} slug
+ * @returns {Promise<Record<string, any> | undefined>}
+ */
+export async function findFormMetadata(slug) {
+  const forms = formsCache.length ? formsCache : await discoverFormsFromYaml()
+  return groupFormVersions(forms).get(slug)?.[0]?.metadata
+}
+
+/**
+ * Returns every loaded version of a form, newest first
+ * @param {string} slug
+ * @returns {Array<{ id: string, slug: string, version: number, metadata: object }>}
+ */
+export function getFormVersions(slug) {
+  return formVersions.get(slug) ?? []
+}
+
+export const formsService = async () => {
+  const forms = await discoverFormsFromYaml()
+  const loaded = await loadForms(forms, 'startup')
+
+  // Cache the discovered forms for reuse in tasklists
+  formsCache = loaded.latestForms
+  formVersions = loaded.versions
+
+  let baseService = loaded.loader.toFormsService()
+
+  /**
+   * Re-discovers and re-validates every form definition, and re-reads the submission schemas and state
+   * migrations they use, then swaps them all into the live service and the forms cache together. The
+   * previous definitions, validators and migrations are kept if any of them fails to load or validate.
+   * @returns {Promise<boolean>} true if the new definitions are now live
+   */
+  const reloadForms = async () => {
+    try {
+      const reloadedForms = await discoverFormsFromYaml(FORM_DEFINITIONS_DIR, { failOnError: true })
+      const reloaded = await loadForms(reloadedForms, 'reload', new Date())
+      const submissionValidators = readSubmissionSchemaValidators()
+      const stateMigrations = readStateMigrations()
+
+      baseService = reloaded.loader.toFormsService()
+      formsCache = reloaded.latestForms
+      formVersions = reloaded.versions
+      setSubmissionSchemaValidators(submissionValidators)
+      setStateMigrations(stateMigrations)
+      logger.info(`Reloaded ${reloadedForms.length} form definitions`)
+      return true
+    } catch (error) {
+      logger.error(`Form definitions not reloaded, keeping previous definitions: ${error.message}`)
+      return false
+    }
+  }
+
+  if (config.get('forms.watch')) {
+    watchFormDefinitions(FORM_DEFINITIONS_DIR, reloadForms)
+    logger.info(`Watching form definitions in ${FORM_DEFINITIONS_DIR} for changes`)
+  }
 
   return {
     getFormMetadata: async (slug) => {
+      // Serve the version the applicant is pinned to, if it is not the latest
+      const pinnedVersion = getPinnedFormVersion(slug)
+      const latestVersion = getFormVersions(slug)[0]?.version
+      const servedSlug = pinnedVersion && pinnedVersion !== latestVersion ? versionedSlug(slug, pinnedVersion) : slug
+
       try {
-        return await baseService.getFormMetadata(slug)
+        const formMetadata = await baseService.getFormMetadata(servedSlug)
+        return servedSlug === slug ? formMetadata : { ...formMetadata, slug }
       } catch (error) {
         throw notFound(`Form '${slug}' not found`, error)
       }
@@ -279,6 +449,7 @@ export const formsService = async () => {
       } catch (error) {
         throw notFound(`Form definition '${id}' not found`, error)
       }
-    }
+    },
+    reloadForms
   }
 }
@@ -3,13 +3,23 @@ import { config } from '~/src/config/config.js'
 import {
   addAllForms,
   configureFormDefinition,
+  findFormMetadata,
+  FORM_DEFINITIONS_DIR,
   formsService,
   getFormsCache,
+  getFormVersions,
   validateGrantRedirectRules,
+  validatePermissionsConfiguration,
+  validateScheduleConfiguration,
   validateWhitelistConfiguration
 } from './form.js'
 import { logger } from '~/src/server/common/helpers/logging/log.js'
 import fs from 'node:fs/promises'
+import path from 'node:path'
+import { parse as parseYaml, stringify as stringifyYaml } from 'yaml'
+import { pinFormVersion, resetPinnedFormVersions } from './form-versions.js'
+import { readSubmissionSchemaValidators, setSubmissionSchemaValidators } from './submission.js'
+import { readStateMigrations, setStateMigrations } from './state-migrations.js'
 
 const mockUrl = { pathname: '/mock/path' }
 global.URL = vi.fn(() => mockUrl)
@@ -24,7 +34,8 @@ const DEFAULT_CONFIG_MOCK = {
     redact: []
   },
   serviceName: 'test-service',
-  serviceVersion: '1.0.0'
+  serviceVersion: '1.0.0',
+  'whitelist.source': 'env'
 }
 
 const TEST_FORMS_ARRAY = [
@@ -98,6 +109,24 @@ vi.mock('~/src/server/common/helpers/logging/log.js', () => ({
   }
 }))
 
+vi.mock('./submission.js', async (importOriginal) => {
+  const actual = await importOriginal()
+  return {
+    ...actual,
+    readSubmissionSchemaValidators: vi.fn(actual.readSubmissionSchemaValidators),
+    setSubmissionSchemaValidators: vi.fn(actual.setSubmissionSchemaValidators)
+  }
+})
+
+vi.mock('./state-migrations.js', async (importOriginal) => {
+  const actual = await importOriginal()
+  return {
+    ...actual,
+    readStateMigrations: vi.fn(actual.readStateMigrations),
+    setStateMigrations: vi.fn(actual.setStateMigrations)
+  }
+})
+
 vi.mock('../config.js', () => ({
   metadata: {
     organisation: 'Test Org',
@@ -199,6 +228,175 @@ describe('form', () => {
     })
   })
 
+  describe('findFormMetadata', () => {
+    test('reads the metadata of a form by its slug', async () => {
+      await expect(findFormMetadata('example-whitelist')).resolves.toEqual(
+        expect.objectContaining({
+          whitelistCrnEnvVar: 'EXAMPLE_WHITELIST_CRNS',
+          whitelistSbiEnvVar: 'EXAMPLE_WHITELIST_SBIS'
+        })
+      )
+    })
+
+    test('is undefined for an unknown form', async () => {
+      await expect(findFormMetadata('unknown-slug')).resolves.toBeUndefined()
+    })
+  })
+
+  describe('reloadForms', () => {
+    const farmPaymentsId = '5c67688f-3c61-4839-a6e1-d48b598257f1'
+
+    test('swaps in re-parsed definitions and bumps updatedAt so models are rebuilt', async () => {
+      const service = await formsService()
+      await expect(service.reloadForms()).resolves.toBe(true)
+
+      const after = await service.getFormMetadata('farm-payments')
+      expect(after.live.updatedAt).toBeInstanceOf(Date)
+      expect(after.updatedAt).toBe(after.live.updatedAt)
+      await expect(service.getFormDefinition(farmPaymentsId)).resolves.toBeDefined()
+      expect(getFormsCache().some((form) => form.slug === 'farm-payments')).toBe(true)
+    })
+
+    test('swaps in re-read submission schema validators and state migrations with the definitions', async () => {
+      const service = await formsService()
+      await expect(service.reloadForms()).resolves.toBe(true)
+
+      expect(setSubmissionSchemaValidators).toHaveBeenCalledWith(
+        vi.mocked(readSubmissionSchemaValidators).mock.results[0].value
+      )
+      expect(setStateMigrations).toHaveBeenCalledWith(vi.mocked(readStateMigrations).mock.results[0].value)
+    })
+
+    test.each([
+      ['a submission schema does not compile', readSubmissionSchemaValidators],
+      ['a state migration is not valid', readStateMigrations]
+    ])('keeps previous definitions, validators and migrations when %s', async (_, read) => {
+      const service = await formsService()
+      const formsBefore = getFormsCache()
+      vi.mocked(read).mockImplementationOnce(() => {
+        throw new Error('Unreadable file')
+      })
+
+      await expect(service.reloadForms()).resolves.toBe(false)
+
+      expect(getFormsCache()).toBe(formsBefore)
+      expect(setSubmissionSchemaValidators).not.toHaveBeenCalled()
+      expect(setStateMigrations).not.toHaveBeenCalled()
+      expect(mockError).toHaveBeenCalledWith(
+        'Form definitions not reloaded, keeping previous definitions: Unreadable file'
+      )
+    })
+
+    test('keeps previous definitions when a reloaded definition fails validation', async () => {
+      const service = await formsService()
+      const formsBefore = getFormsCache()
+      const definitionBefore = await service.getFormDefinition(farmPaymentsId)
+
+      deletedEnvVars.add('EXAMPLE_WHITELIST_CRNS')
+
+      await expect(service.reloadForms()).resolves.toBe(false)
+
+      expect(getFormsCache()).toBe(formsBefore)
+      await expect(service.getFormDefinition(farmPaymentsId)).resolves.toBe(definitionBefore)
+      expect(mockError).toHaveBeenCalledWith(
+        expect.stringContaining('Form definitions not reloaded, keeping previous definitions')
+      )
+    })
+
+    test('keeps previous definitions when a YAML file cannot be parsed', async () => {
+      const service = await formsService()
+      const formsBefore = getFormsCache()
+
+      const readdirSpy = vi
+        .spyOn(fs, 'readdir')
+        .mockResolvedValueOnce([{ name: 'bad.yaml', isDirectory: () => false, isFile: () => true }])
+      const readFileSpy = vi.spyOn(fs, 'readFile').mockRejectedValueOnce(new Error('YAML read error'))
+
+      await expect(service.reloadForms()).resolves.toBe(false)
+      expect(getFormsCache()).toBe(formsBefore)
+
+      readFileSpy.mockRestore()
+      readdirSpy.mockRestore()
+    })
+  })
+
+  describe('versioned forms', () => {
+    const readFile = fs.readFile
+
+    /**
+     * Serves two versions of the flying pigs definition, each from its own file
+     */
+    const mockVersionedDefinitions = async () => {
+      const source = parseYaml(await readFile(path.join(FORM_DEFINITIONS_DIR, 'flying-pigs.yaml'), 'utf8'))
+      const files = {
+        'flying-pigs.yaml': { ...source, metadata: { ...source.metadata, id: 'pigs-v2', version: 2 } },
+        'flying-pigs-v1.yaml': {
+          ...source,
+          metadata: { ...source.metadata, id: 'pigs-v1', slug: 'flying-pigs', version: 1 }
+        }
+      }
+
+      vi.spyOn(fs, 'readdir').mockResolvedValue(
+        Object.keys(files).map((name) => ({ name, isDirectory: () => false, isFile: () => true }))
+      )
+      vi.spyOn(fs, 'readFile').mockImplementation((filePath, ...args) => {
+        const definition = files[path.basename(String(filePath))]
+        return definition ? Promise.resolve(stringifyYaml(definition)) : readFile(filePath, ...args)
+      })
+    }
+
+    const inRequest = (fn) =>
+      new Promise((resolve, reject) => {
+        setImmediate(() => {
+          resetPinnedFormVersions()
+          fn().then(resolve, reject)
+        })
+      })
+
+    afterEach(() => {
+      vi.restoreAllMocks()
+    })
+
+    test('serves the latest version under the form slug', async () => {
+      await mockVersionedDefinitions()
+      const service = await formsService()
+
+      const formMetadata = await service.getFormMetadata('flying-pigs')
+
+      expect(formMetadata.id).toBe('pigs-v2')
+      expect(getFormVersions('flying-pigs').map((form) => form.version)).toEqual([2, 1])
+      expect(getFormsCache().map((form) => form.id)).toEqual(['pigs-v2'])
+    })
+
+    test('serves the pinned version under the form slug', async () => {
+      await mockVersionedDefinitions()
+      const service = await formsService()
+
+      const formMetadata = await inRequest(async () => {
+        pinFormVersion('flying-pigs', 1)
+        return service.getFormMetadata('flying-pigs')
+      })
+
+      expect(formMetadata).toEqual(expect.objectContaining({ id: 'pigs-v1', slug: 'flying-pigs' }))
+      await expect(service.getFormDefinition('pigs-v1')).resolves.toBeDefined()
+    })
+
+    test('fails to start when two definitions claim the same version', async () => {
+      await mockVersionedDefinitions()
+      const source = parseYaml(await readFile(path.join(FORM_DEFINITIONS_DIR, 'flying-pigs.yaml'), 'utf8'))
+      fs.readFile.mockImplementation((filePath) =>
+        Promise.resolve(
+          stringifyYaml({
+            ...source,
+            metadata: { ...source.metadata, id: path.basename(filePath), slug: 'flying-pigs' }
+          })
+        )
+      )
+
+      await expect(formsService()).rejects.toThrow(/more than one definition for version 1/)
+    })
+  })
+
   describe('configureFormDefinition', () => {
     it.each([
       [
@@ -477,6 +675,18 @@ tasklist:
         'SBI whitelist environment variable MISSING_SBI_VAR is defined in form Test Form but not configured in environment'
       )
     })
+
+    test('does not check the environment variables when whitelists come from another source', () => {
+      config.get.mockImplementation((key) => (key === 'whitelist.source' ? 'file' : DEFAULT_CONFIG_MOCK[key]))
+      const definition = {
+        metadata: {
+          whitelistCrnEnvVar: 'MISSING_CRN_VAR',
+          whitelistSbiEnvVar: 'MISSING_SBI_VAR'
+        }
+      }
+
+      expect(() => validateWhitelistConfiguration(testForm, definition)).not.toThrow()
+    })
   })
 
   describe('startup configuration validation', () => {
@@ -515,10 +725,10 @@ tasklist:
             ],
             postSubmission: [
               {
-                // Missing required toPath
+                // Missing required toGrantsStatus
                 fromGrantsStatus: 'SUBMITTED',
                 gasStatus: 'RECEIVED',
-                toGrantsStatus: 'SUBMITTED'
+                toPath: '/confirmation'
               }
             ]
           }
@@ -526,7 +736,7 @@ tasklist:
       }
 
       expect(() => validateGrantRedirectRules(testForm, badDefinition)).toThrow(
-        'Invalid redirect rules in form Test Form: "[0].toPath" is required'
+        'Invalid redirect rules in form Test Form: "[0].toGrantsStatus" is required'
       )
     })
 
@@ -577,6 +787,157 @@ tasklist:
 
       expect(() => validateGrantRedirectRules(testForm, goodDefinition)).not.toThrow()
     })
+
+    test('throws if a postSubmission transition can never apply', async () => {
+      const badDefinition = {
+        metadata: {
+          grantRedirectRules: {
+            preSubmission: [{ toPath: '/start' }],
+            postSubmission: [
+              { fromGrantsStatus: 'SUBMITTED', gasStatus: 'default', toGrantsStatus: 'SUBMITTED', toPath: '/a' },
+              { fromGrantsStatus: 'SUBMITTED', gasStatus: 'RECEIVED', toGrantsStatus: 'SUBMITTED', toPath: '/b' },
+              { fromGrantsStatus: 'default', gasStatus: 'default', toGrantsStatus: 'SUBMITTED', toPath: '/c' }
+            ]
+          }
+        }
+      }
+
+      expect(() => validateGrantRedirectRules(testForm, badDefinition)).toThrow(
+        'Invalid redirect configuration in form Test Form: rule 2 (SUBMITTED + RECEIVED) is unreachable'
+      )
+    })
+
+    test('throws if a postSubmission transition names an unknown guard', async () => {
+      const badDefinition = {
+        metadata: {
+          grantRedirectRules: {
+            preSubmission: [{ toPath: '/start' }],
+            postSubmission: [
+              { fromGrantsStatus: 'default', gasStatus: 'default', toGrantsStatus: 'SUBMITTED', guard: 'isFullMoon' }
+            ]
+          }
+        }
+      }
+
+      expect(() => validateGrantRedirectRules(testForm, badDefinition)).toThrow(
+        /Invalid redirect rules in form Test Form: "\[0\].guard" must be one of/
+      )
+    })
+  })
+
+  describe('validatePermissionsConfiguration', () => {
+    const testForm = { title: 'Test Form' }
+    const pages = [{ path: '/start' }, { path: '/declaration' }]
+
+    test('does not throw when the form declares no permissions', () => {
+      expect(() => validatePermissionsConfiguration(testForm, { metadata: {}, pages })).not.toThrow()
+    })
+
+    test('does not throw when the permissions are valid', () => {
+      const definition = {
+        metadata: {
+          permissions: {
+            view: ['Full permission - business', 'View - business'],
+            pages: { '/declaration': { submit: ['Full permission - business'] } }
+          }
+        },
+        pages
+      }
+
+      expect(() => validatePermissionsConfiguration(testForm, definition)).not.toThrow()
+    })
+
+    test('throws when a privilege list is empty', () => {
+      const definition = { metadata: { permissions: { submit: [] } }, pages }
+
+      expect(() => validatePermissionsConfiguration(testForm, definition)).toThrow(
+        'Invalid permissions in form Test Form: "submit" must contain at least 1 items'
+      )
+    })
+
+    test.each(['adding-value.yaml', 'farm-payments.yaml'])('declares valid permissions in %s', async (file) => {
+      const definition = parseYaml(await fs.readFile(path.join(FORM_DEFINITIONS_DIR, file), 'utf8'))
+
+      expect(definition.metadata.permissions).toEqual(
+        expect.objectContaining({ view: expect.arrayContaining(['Full permission - business']) })
+      )
+      expect(() => validatePermissionsConfiguration({ title: definition.name }, definition)).not.toThrow()
+    })
+
+    test('throws when permissions are declared for a page the form does not have', () => {
+      const definition = { metadata: { permissions: { pages: { '/missing': { view: ['View - business'] } } } }, pages }
+
+      expect(() => validatePermissionsConfiguration(testForm, definition)).toThrow(
+        'Invalid permissions in form Test Form: there is no page /missing'
+      )
+    })
+  })
+
+  describe('validateScheduleConfiguration', () => {
+    const testForm = { title: 'Test Form' }
+
+    test('does not throw when the form has no schedule', () => {
+      expect(() => validateScheduleConfiguration(testForm, { metadata: {} })).not.toThrow()
+    })
+
+    test('does not throw when the schedule is valid', () => {
+      const definition = {
+        metadata: {
+          schedule: {
+            opensAt: '2026-04-01T09:00:00Z',
+            closesAt: '2026-06-30T17:00:00Z',
+            draftGracePeriodDays: 7,
+            submissionCutoff: '2026-07-07T17:00:00Z'
+          }
+        }
+      }
+
+      expect(() => validateScheduleConfiguration(testForm, definition)).not.toThrow()
+    })
+
+    test('throws when the grant closes before it opens', () => {
+      const definition = {
+        metadata: { schedule: { opensAt: '2026-06-30T17:00:00Z', closesAt: '2026-04-01T09:00:00Z' } }
+      }
+
+      expect(() => validateScheduleConfiguration(testForm, definition)).toThrow(
+        /Invalid schedule in form Test Form: "closesAt" must be greater than/
+      )
+    })
+
+    test('throws when the submission cut-off is before the grant closes', () => {
+      const definition = {
+        metadata: { schedule: { closesAt: '2026-06-30T17:00:00Z', submissionCutoff: '2026-06-01T17:00:00Z' } }
+      }
+
+      expect(() => validateScheduleConfiguration(testForm, definition)).toThrow(
+        /Invalid schedule in form Test Form: "submissionCutoff" must be greater than or equal to/
+      )
+    })
+
+    test('throws when the submission cut-off is after the end of the grace period', () => {
+      const definition = {
+        metadata: {
+          schedule: {
+            closesAt: '2026-06-01T00:00:00Z',
+            draftGracePeriodDays: 7,
+            submissionCutoff: '2026-07-01T00:00:00Z'
+          }
+        }
+      }
+
+      expect(() => validateScheduleConfiguration(testForm, definition)).toThrow(
+        'Invalid schedule in form Test Form: "submissionCutoff" must not be after the end of the draft grace period'
+      )
+    })
+
+    test('throws when a grace period is given for a grant that does not close', () => {
+      const definition = { metadata: { schedule: { draftGracePeriodDays: 7 } } }
+
+      expect(() => validateScheduleConfiguration(testForm, definition)).toThrow(
+        'Invalid schedule in form Test Form: "draftGracePeriodDays" missing required peer "closesAt"'
+      )
+    })
   })
 
   describe('formsService error handling', () => {
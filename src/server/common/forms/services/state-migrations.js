@@ -0,0 +1,198 @@
+import Joi from 'joi'
+import fs from 'node:fs'
+import path from 'node:path'
+import YAML from 'yaml'
+import { ApplicationStatus } from '~/src/server/common/constants/application-status.js'
+import { DEFAULT_FORM_VERSION, getStateFormVersion } from './form-versions.js'
+
+export const STATE_MIGRATIONS_DIR = path.resolve(process.cwd(), 'src/server/common/forms/migrations')
+
+/**
+ * Key in the saved form state listing the migrations already applied to it
+ */
+export const APPLIED_MIGRATIONS_STATE_KEY = '$$__migrations'
+
+/**
+ * @typedef {{ rename: { from: string, to: string } }
+ *   | { drop: string }
+ *   | { mapValues: { field: string, values: Record<string, unknown> } }
+ *   | { setDefault: { field: string, value: unknown } }} MigrationStep
+ */
+
+/**
+ * @typedef {object} StateMigration
+ * @property {string} id - File name of the migration without its extension
+ * @property {number} version - Form version the migration moves state to
+ * @property {MigrationStep[]} steps - Steps applied in order
+ */
+
+const fieldSchema = Joi.string().required()
+
+const stepSchema = Joi.alternatives().try(
+  Joi.object({ rename: Joi.object({ from: fieldSchema, to: fieldSchema }).required() }),
+  Joi.object({ drop: fieldSchema }),
+  Joi.object({
+    mapValues: Joi.object({ field: fieldSchema, values: Joi.object().required() }).required()
+  }),
+  Joi.object({ setDefault: Joi.object({ field: fieldSchema, value: Joi.any().required() }).required() })
+)
+
+const migrationSchema = Joi.object({
+  description: Joi.string(),
+  version: Joi.number().integer().min(DEFAULT_FORM_VERSION).default(DEFAULT_FORM_VERSION),
+  steps: Joi.array().items(stepSchema).min(1).required()
+})
+
+/** @type {Map<string, StateMigration[]>} */
+let migrations = new Map()
+
+/**
+ * Reads and validates the migrations for one grant, ordered by file name
+ * @param {string} grantDir - Directory holding the grant's migration files
+ * @returns {StateMigration[]}
+ * @throws {Error} If a migration file is not valid
+ */
+function readGrantMigrations(grantDir) {
+  const files = fs
+    .readdirSync(grantDir)
+    .filter((file) => /\.(ya?ml)$/i.test(file))
+    .sort()
+
+  return files.map((file) => {
+    const { error, value } = migrationSchema.validate(YAML.parse(fs.readFileSync(path.join(grantDir, file), 'utf8')))
+    if (error) {
+      throw new Error(`Invalid state migration ${path.join(path.basename(grantDir), file)}: ${error.message}`)
+    }
+
+    return { id: path.basename(file, path.extname(file)), version: value.version, steps: value.steps }
+  })
+}
+
+/**
+ * Reads the state migrations for every grant, keyed by grant. Each grant has its own folder, named after the grant slug.
+ * @param {string} [baseDir]
+ * @returns {Map<string, StateMigration[]>}
+ * @throws {Error} If a migration file is not valid
+ */
+export function readStateMigrations(baseDir = STATE_MIGRATIONS_DIR) {
+  const read = new Map()
+
+  if (!fs.existsSync(baseDir)) {
+    return read
+  }
+
+  for (const entry of fs.readdirSync(baseDir, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      read.set(entry.name, readGrantMigrations(path.join(baseDir, entry.name)))
+    }
+  }
+
+  return read
+}
+
+/**
+ * Replaces the migrations applied to saved state
+ * @param {Map<string, StateMigration[]>} read - From {@link readStateMigrations}
+ */
+export function setStateMigrations(read) {
+  migrations = read
+}
+
+/**
+ * Loads the state migrations for every grant and applies them to saved state from now on
+ * @param {string} [baseDir]
+ * @throws {Error} If a migration file is not valid
+ */
+export function loadStateMigrations(baseDir = STATE_MIGRATIONS_DIR) {
+  setStateMigrations(readStateMigrations(baseDir))
+}
+
+/**
+ * Returns the ids of the migrations that already hold for state created on a form version
+ * @param {string} grantCode
+ * @param {number} version
+ * @returns {string[]}
+ */
+export function getMigrationIdsUpToVersion(grantCode, version) {
+  return (migrations.get(grantCode) ?? [])
+    .filter((migration) => migration.version <= version)
+    .map((migration) => migration.id)
+}
+
+/**
+ * @param {Record<string, unknown>} values
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+function mapValue(values, value) {
+  const key = String(value)
+  return Object.keys(values).includes(key) ? values[key] : value
+}
+
+/**
+ * Applies a single migration step, returning a new state
+ * @param {object} state
+ * @param {MigrationStep} step
+ * @returns {object}
+ */
+function applyStep(state, step) {
+  const next = { ...state }
+
+  if ('rename' in step) {
+    const { from, to } = step.rename
+    if (from in next) {
+      // An answer already saved under the new name wins over the old one
+      if (next[to] === undefined) {
+        next[to] = next[from]
+      }
+      delete next[from]
+    }
+  } else if ('drop' in step) {
+    delete next[step.drop]
+  } else if ('mapValues' in step) {
+    const { field, values } = step.mapValues
+    const current = next[field]
+    if (Array.isArray(current)) {
+      next[field] = current.map((value) => mapValue(values, value))
+    } else if (current !== undefined && current !== null) {
+      next[field] = mapValue(values, current)
+    } else {
+      // Nothing to map
+    }
+  } else if (next[step.setDefault.field] === undefined) {
+    next[step.setDefault.field] = step.setDefault.value
+  } else {
+    // Field already has a value
+  }
+
+  return next
+}
+
+/**
+ * Applies the migrations a saved draft has not had yet and records them in the state.
+ * Migrations for a later form version than the one the draft is on are left until the draft moves to it.
+ * Empty and cleared states are returned unchanged.
+ * @param {string} grantCode
+ * @param {object} state
+ * @returns {{ state: object, applied: string[] }} the migrated state and the ids of the migrations applied
+ */
+export function migrateSavedState(grantCode, state) {
+  if (!Object.keys(state).length || state.applicationStatus === ApplicationStatus.CLEARED) {
+    return { state, applied: [] }
+  }
+
+  const alreadyApplied = state[APPLIED_MIGRATIONS_STATE_KEY] ?? []
+  const version = getStateFormVersion(state)
+  const pending = (migrations.get(grantCode) ?? []).filter(
+    (migration) => migration.version <= version && !alreadyApplied.includes(migration.id)
+  )
+
+  if (!pending.length) {
+    return { state, applied: [] }
+  }
+
+  const applied = pending.map((migration) => migration.id)
+  const migrated = pending.flatMap((migration) => migration.steps).reduce(applyStep, state)
+
+  return { state: { ...migrated, [APPLIED_MIGRATIONS_STATE_KEY]: [...alreadyApplied, ...applied] }, applied }
+}
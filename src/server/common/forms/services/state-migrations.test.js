@@ -0,0 +1,165 @@
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { getMigrationIdsUpToVersion, loadStateMigrations, migrateSavedState } from './state-migrations.js'
+
+describe('state-migrations', () => {
+  let baseDir
+
+  const writeMigration = async (grantCode, file, content) => {
+    await mkdir(path.join(baseDir, grantCode), { recursive: true })
+    await writeFile(path.join(baseDir, grantCode, file), content)
+  }
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(path.join(os.tmpdir(), 'state-migrations-'))
+  })
+
+  afterEach(async () => {
+    loadStateMigrations(path.join(baseDir, 'missing'))
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  describe('loadStateMigrations', () => {
+    test('loads nothing when the migrations directory does not exist', () => {
+      loadStateMigrations(path.join(baseDir, 'missing'))
+
+      expect(getMigrationIdsUpToVersion('example-grant', 1)).toEqual([])
+    })
+
+    test('orders each grant’s migrations by file name', async () => {
+      await writeMigration('example-grant', '002-drop.yaml', 'steps:\n  - drop: legacyField\n')
+      await writeMigration('example-grant', '001-rename.yaml', 'steps:\n  - rename: { from: a, to: b }\n')
+      await writeMigration('example-grant', 'README.md', 'Not a migration')
+
+      loadStateMigrations(baseDir)
+
+      expect(getMigrationIdsUpToVersion('example-grant', 1)).toEqual(['001-rename', '002-drop'])
+    })
+
+    test('throws for a migration with an unknown step', async () => {
+      await writeMigration('example-grant', '001-bad.yaml', 'steps:\n  - explode: everything\n')
+
+      expect(() => loadStateMigrations(baseDir)).toThrow(/Invalid state migration example-grant\/001-bad.yaml/)
+    })
+
+    test('keeps the loaded migrations when a migration file is not valid', async () => {
+      await writeMigration('example-grant', '001-rename.yaml', 'steps:\n  - rename: { from: a, to: b }\n')
+      loadStateMigrations(baseDir)
+      await writeMigration('example-grant', '002-bad.yaml', 'steps:\n  - explode: everything\n')
+
+      expect(() => loadStateMigrations(baseDir)).toThrow(/Invalid state migration/)
+      expect(getMigrationIdsUpToVersion('example-grant', 1)).toEqual(['001-rename'])
+    })
+
+    test('throws for a migration without steps', async () => {
+      await writeMigration('example-grant', '001-empty.yaml', 'description: nothing to do\nsteps: []\n')
+
+      expect(() => loadStateMigrations(baseDir)).toThrow(/Invalid state migration/)
+    })
+  })
+
+  describe('migrateSavedState', () => {
+    beforeEach(async () => {
+      await writeMigration(
+        'example-grant',
+        '001-rename-business.yaml',
+        'steps:\n  - rename: { from: businessName, to: organisationName }\n  - drop: legacyField\n'
+      )
+      await writeMigration(
+        'example-grant',
+        '002-crops.yaml',
+        [
+          'steps:',
+          '  - mapValues:',
+          '      field: crops',
+          '      values: { wheat: cereals, barley: cereals }',
+          '  - mapValues:',
+          '      field: farmType',
+          '      values: { arable: crops }',
+          '  - setDefault: { field: hasOrganicStatus, value: false }',
+          ''
+        ].join('\n')
+      )
+      await writeMigration('example-grant', '003-version-two.yaml', 'version: 2\nsteps:\n  - drop: removedInV2\n')
+      loadStateMigrations(baseDir)
+    })
+
+    test('applies pending migrations in order and records them', () => {
+      const { state, applied } = migrateSavedState('example-grant', {
+        businessName: 'Farm Ltd',
+        legacyField: 'old',
+        crops: ['wheat', 'oats'],
+        farmType: 'arable',
+        removedInV2: 'kept on version 1'
+      })
+
+      expect(applied).toEqual(['001-rename-business', '002-crops'])
+      expect(state).toEqual({
+        organisationName: 'Farm Ltd',
+        crops: ['cereals', 'oats'],
+        farmType: 'crops',
+        hasOrganicStatus: false,
+        removedInV2: 'kept on version 1',
+        $$__migrations: ['001-rename-business', '002-crops']
+      })
+    })
+
+    test('does not apply a migration twice', () => {
+      const first = migrateSavedState('example-grant', { businessName: 'Farm Ltd' })
+      const second = migrateSavedState('example-grant', { ...first.state, businessName: 'Added later' })
+
+      expect(second.applied).toEqual([])
+      expect(second.state.businessName).toBe('Added later')
+    })
+
+    test('keeps an answer already saved under the new name', () => {
+      const { state } = migrateSavedState('example-grant', { businessName: 'Old', organisationName: 'New' })
+
+      expect(state.organisationName).toBe('New')
+      expect(state).not.toHaveProperty('businessName')
+    })
+
+    test('does not overwrite an existing answer with a default', () => {
+      const { state } = migrateSavedState('example-grant', { hasOrganicStatus: true })
+
+      expect(state.hasOrganicStatus).toBe(true)
+    })
+
+    test('applies migrations for later form versions once the draft is on them', () => {
+      const { state, applied } = migrateSavedState('example-grant', {
+        removedInV2: 'gone',
+        $$__grantVersion: 2,
+        $$__migrations: ['001-rename-business', '002-crops']
+      })
+
+      expect(applied).toEqual(['003-version-two'])
+      expect(state).not.toHaveProperty('removedInV2')
+    })
+
+    test.each([
+      ['empty state', {}],
+      ['a cleared application', { applicationStatus: 'CLEARED', businessName: 'Farm Ltd' }]
+    ])('leaves %s unchanged', (_name, saved) => {
+      const { state, applied } = migrateSavedState('example-grant', saved)
+
+      expect(state).toBe(saved)
+      expect(applied).toEqual([])
+    })
+
+    test('leaves state for a grant without migrations unchanged', () => {
+      const saved = { businessName: 'Farm Ltd' }
+
+      expect(migrateSavedState('other-grant', saved)).toEqual({ state: saved, applied: [] })
+    })
+
+    test('lists the migrations that hold for a form version', () => {
+      expect(getMigrationIdsUpToVersion('example-grant', 1)).toEqual(['001-rename-business', '002-crops'])
+      expect(getMigrationIdsUpToVersion('example-grant', 2)).toEqual([
+        '001-rename-business',
+        '002-crops',
+        '003-version-two'
+      ])
+    })
+  })
+})
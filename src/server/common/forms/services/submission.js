@@ -18,29 +18,78 @@ const ajv = new Ajv2020({
 })
 addFormats(ajv, ['date-time', 'date', 'time', 'duration', 'email', 'uri'])
 
-const validators = new Map()
+/** @type {Map<string, import('ajv').ValidateFunction>} */
+let validators = new Map()
 
-export function loadSubmissionSchemaValidators() {
-  // Load all YAML files in the grants folder
-  const files = fs.readdirSync(DEFINITIONS_BASE_PATH).filter((f) => f.endsWith('.yaml'))
+/**
+ * Reads a submission schema referenced by a form definition and compiles it with the shared Ajv instance
+ * @param {string} schemaPath - The `submissionSchemaPath` from the form metadata
+ * @returns {import('ajv').ValidateFunction} - The compiled validator
+ * @throws {Error} If the schema file is missing, is not valid JSON or does not compile
+ */
+export function compileSubmissionSchema(schemaPath) {
+  const fullSchemaPath = path.resolve(SCHEMAS_BASE_PATH, path.basename(schemaPath))
+  const schema = JSON.parse(fs.readFileSync(fullSchemaPath, 'utf8'))
+  return ajv.compile(schema)
+}
+
+/**
+ * Thrown when the answers of a submission do not match the submission schema of its grant
+ */
+export class SubmissionValidationError extends Error {
+  /**
+   * @param {string} grantCode
+   * @param {import('ajv').ErrorObject[]} errors - Ajv validation errors
+   */
+  constructor(grantCode, errors) {
+    super(`Submission answers for grantCode: ${grantCode} do not match its schema`)
+    this.name = 'SubmissionValidationError'
+    this.grantCode = grantCode
+    this.errors = errors
+  }
+}
+
+/**
+ * Compiles the submission schema of every form definition, including those in nested folders, keyed by grant code
+ * @returns {Map<string, import('ajv').ValidateFunction>}
+ * @throws {Error} If a schema file is missing, is not valid JSON or does not compile
+ */
+export function readSubmissionSchemaValidators() {
+  const files = fs
+    .readdirSync(DEFINITIONS_BASE_PATH, { recursive: true, encoding: 'utf8' })
+    .filter((f) => f.endsWith('.yaml'))
 
+  const compiled = new Map()
   for (const file of files) {
     const yamlPath = path.join(DEFINITIONS_BASE_PATH, file)
     const data = YAML.parse(fs.readFileSync(yamlPath, 'utf8'))
 
-    const grantCode = data.metadata?.submission?.grantCode
-    const schemaPath = data.metadata?.submission?.submissionSchemaPath
+    const grantCode = data?.metadata?.submission?.grantCode
+    const schemaPath = data?.metadata?.submission?.submissionSchemaPath
 
     if (!grantCode || !schemaPath) {
       continue
     }
 
-    const fullSchemaPath = path.resolve(SCHEMAS_BASE_PATH, path.basename(schemaPath))
-    const schema = JSON.parse(fs.readFileSync(fullSchemaPath, 'utf8'))
-    const validate = ajv.compile(schema)
-
-    validators.set(grantCode, validate)
+    compiled.set(grantCode, compileSubmissionSchema(schemaPath))
   }
+
+  return compiled
+}
+
+/**
+ * Replaces the validators submissions are checked against
+ * @param {Map<string, import('ajv').ValidateFunction>} compiled - From {@link readSubmissionSchemaValidators}
+ */
+export function setSubmissionSchemaValidators(compiled) {
+  validators = compiled
+}
+
+/**
+ * Compiles the submission schema of every form definition and checks submissions against them from now on
+ */
+export function loadSubmissionSchemaValidators() {
+  setSubmissionSchemaValidators(readSubmissionSchemaValidators())
 }
 
 /**
@@ -61,3 +110,43 @@ export function validateSubmissionAnswers(payload, grantCode) {
   }
   return { valid: true, value: payload }
 }
+
+/**
+ * Validates the answers of a submission against the submission schema of its grant, if it has one.
+ * A copy is validated, because the validator removes properties the schema does not define and applies
+ * its defaults. The answers sent to GAS are the ones the applicant gave.
+ * @param {string} grantCode
+ * @param {object} answers - The answers to be sent to GAS
+ * @throws {SubmissionValidationError} If the answers do not match the schema
+ */
+export function validateSubmission(grantCode, answers) {
+  if (!validators.has(grantCode)) {
+    return
+  }
+
+  const result = validateSubmissionAnswers(structuredClone(answers), grantCode)
+  if (!result.valid) {
+    throw new SubmissionValidationError(grantCode, result.errors)
+  }
+}
+
+/**
+ * Returns the answers that validation errors are about, in the order they are first reported
+ * @param {import('ajv').ErrorObject[]} errors - Ajv validation errors
+ * @returns {Array<{ name: string, missing: boolean }>} - Top level answer names, and whether the answer is missing
+ */
+export function getSubmissionErrorFields(errors) {
+  const fields = new Map()
+
+  for (const error of errors) {
+    const [name] = error.instancePath.split('/').filter(Boolean)
+    const missing = !name && error.keyword === 'required'
+    const fieldName = name ?? (missing ? error.params.missingProperty : undefined)
+
+    if (fieldName && !fields.has(fieldName)) {
+      fields.set(fieldName, { name: fieldName, missing })
+    }
+  }
+
+  return [...fields.values()]
+}
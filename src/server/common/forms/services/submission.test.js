@@ -1,4 +1,13 @@
-import { loadSubmissionSchemaValidators, validateSubmissionAnswers } from './submission.js'
+import fs from 'node:fs'
+import { vi } from 'vitest'
+import {
+  getSubmissionErrorFields,
+  loadSubmissionSchemaValidators,
+  readSubmissionSchemaValidators,
+  SubmissionValidationError,
+  validateSubmission,
+  validateSubmissionAnswers
+} from './submission.js'
 
 describe('Validate submission answers', () => {
   const GRANT_CODE = 'adding-value' // update this to match the real code, e.g., 'GAS123'
@@ -107,4 +116,88 @@ describe('Validate submission answers', () => {
     expect(result.errors).toBeDefined()
     expect(result.errors[0].message).toContain("must have required property 'applicantFirstName'")
   })
+
+  describe('validateSubmission', () => {
+    it('accepts any answers for a grant without a submission schema', () => {
+      expect(() => validateSubmission('pigs-might-fly', { anything: 'goes' })).not.toThrow()
+    })
+
+    it('does not remove answers the schema does not define or add its defaults', () => {
+      const answers = { ...validPayload, notInSchema: 'kept' }
+      const original = structuredClone(answers)
+
+      validateSubmission(GRANT_CODE, answers)
+
+      expect(answers).toEqual(original)
+    })
+
+    it('throws a SubmissionValidationError when the answers do not match the schema', () => {
+      let error
+      try {
+        validateSubmission(GRANT_CODE, { ...validPayload, isInEngland: 'yes' })
+      } catch (e) {
+        error = e
+      }
+
+      expect(error).toBeInstanceOf(SubmissionValidationError)
+      expect(error.grantCode).toBe(GRANT_CODE)
+      expect(error.errors).toEqual(expect.arrayContaining([expect.objectContaining({ instancePath: '/isInEngland' })]))
+    })
+  })
+})
+
+describe('loadSubmissionSchemaValidators', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('loads schemas from definitions in nested folders', () => {
+    const readFileSync = fs.readFileSync.bind(fs)
+    vi.spyOn(fs, 'readdirSync').mockReturnValue(/** @type {any} */ (['nested/nested-grant.yaml', 'schema.json']))
+    vi.spyOn(fs, 'readFileSync').mockImplementation((filePath, options) =>
+      String(filePath).endsWith('nested-grant.yaml')
+        ? 'metadata:\n  submission:\n    grantCode: nested-grant\n    submissionSchemaPath: ./schemas/adding-value-submission.schema.json\n'
+        : readFileSync(filePath, options)
+    )
+
+    loadSubmissionSchemaValidators()
+
+    expect(fs.readdirSync).toHaveBeenCalledWith(expect.any(String), { recursive: true, encoding: 'utf8' })
+    expect(validateSubmissionAnswers({}, 'nested-grant').valid).toBe(false)
+  })
+
+  it('compiles schemas without replacing the validators in use until they are loaded', () => {
+    const readFileSync = fs.readFileSync.bind(fs)
+    vi.spyOn(fs, 'readdirSync').mockReturnValue(/** @type {any} */ (['unloaded-grant.yaml']))
+    vi.spyOn(fs, 'readFileSync').mockImplementation((filePath, options) =>
+      String(filePath).endsWith('unloaded-grant.yaml')
+        ? 'metadata:\n  submission:\n    grantCode: unloaded-grant\n    submissionSchemaPath: ./schemas/adding-value-submission.schema.json\n'
+        : readFileSync(filePath, options)
+    )
+
+    const compiled = readSubmissionSchemaValidators()
+
+    expect([...compiled.keys()]).toEqual(['unloaded-grant'])
+    expect(() => validateSubmissionAnswers({}, 'unloaded-grant')).toThrow(
+      'No validator found for grantCode: unloaded-grant'
+    )
+  })
+})
+
+describe('getSubmissionErrorFields', () => {
+  it('returns the answers errors are about, once each', () => {
+    const errors = [
+      { instancePath: '', keyword: 'required', params: { missingProperty: 'applicantFirstName' } },
+      { instancePath: '/isInEngland', keyword: 'type', params: { type: 'boolean' } },
+      { instancePath: '/eligibleItemsNeeded/0', keyword: 'type', params: { type: 'string' } },
+      { instancePath: '/eligibleItemsNeeded/1', keyword: 'type', params: { type: 'string' } },
+      { instancePath: '', keyword: 'type', params: { type: 'object' } }
+    ]
+
+    expect(getSubmissionErrorFields(/** @type {any} */ (errors))).toEqual([
+      { name: 'applicantFirstName', missing: true },
+      { name: 'isInEngland', missing: false },
+      { name: 'eligibleItemsNeeded', missing: false }
+    ])
+  })
 })
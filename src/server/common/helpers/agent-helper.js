@@ -0,0 +1,25 @@
+/**
+ * Role held by users acting on behalf of client businesses, see `src/server/auth/permissions`
+ */
+export const AGENT_ROLE = 'Agent'
+
+/**
+ * Returns true if the signed-in user is an agent acting on behalf of the business
+ * @param {{ role?: string } | undefined} credentials
+ * @returns {boolean}
+ */
+export function isAgent(credentials) {
+  return credentials?.role === AGENT_ROLE
+}
+
+/**
+ * Returns who submitted an application, recorded in the application state and the submission
+ * @param {{ crn?: string, role?: string } | undefined} credentials
+ * @returns {{ submittedBy: string | undefined, submittedAsAgent: boolean }}
+ */
+export function getSubmittedBy(credentials) {
+  return {
+    submittedBy: credentials?.crn,
+    submittedAsAgent: isAgent(credentials)
+  }
+}
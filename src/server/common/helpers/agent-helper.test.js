@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest'
+import { AGENT_ROLE, getSubmittedBy, isAgent } from './agent-helper.js'
+
+describe('agent-helper', () => {
+  describe('isAgent', () => {
+    it.each([
+      [{ role: AGENT_ROLE }, true],
+      [{ role: 'Farmer' }, false],
+      [{}, false],
+      [undefined, false]
+    ])('should return %s for %j', (credentials, expected) => {
+      expect(isAgent(credentials)).toBe(expected)
+    })
+  })
+
+  describe('getSubmittedBy', () => {
+    it('should record that an agent submitted on behalf of the business', () => {
+      expect(getSubmittedBy({ crn: '1109990001', role: AGENT_ROLE })).toEqual({
+        submittedBy: '1109990001',
+        submittedAsAgent: true
+      })
+    })
+
+    it('should record a submission by the business itself', () => {
+      expect(getSubmittedBy({ crn: '1100014934', role: 'Farmer' })).toEqual({
+        submittedBy: '1100014934',
+        submittedAsAgent: false
+      })
+    })
+  })
+})
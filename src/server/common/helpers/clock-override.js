@@ -0,0 +1,13 @@
+import { config } from '~/src/config/config.js'
+import { setClock } from '~/src/server/common/helpers/clock.js'
+
+/**
+ * Sets the clock to `CLOCK_OVERRIDE` when there is one, so grant schedules can be tried out against a running app.
+ * Every CDP environment runs with `NODE_ENV=production`, so the override is turned off by the CDP environment instead.
+ */
+export function applyClockOverride() {
+  const clockOverride = config.get('clockOverride')
+  if (clockOverride && config.get('cdpEnvironment')?.toLowerCase() !== 'prod') {
+    setClock(clockOverride)
+  }
+}
@@ -0,0 +1,40 @@
+import { vi } from 'vitest'
+import { config } from '~/src/config/config.js'
+import { now, resetClock } from './clock.js'
+import { applyClockOverride } from './clock-override.js'
+
+vi.mock('~/src/config/config.js', () => ({
+  config: { get: vi.fn() }
+}))
+
+describe('applyClockOverride', () => {
+  const withConfig = (values) => config.get.mockImplementation((key) => values[key])
+
+  afterEach(() => {
+    resetClock()
+  })
+
+  test.each(['local', 'dev', 'test', 'perf-test'])('sets the clock in the %s environment', (cdpEnvironment) => {
+    withConfig({ clockOverride: '2026-07-01T09:00:00.000Z', cdpEnvironment })
+
+    applyClockOverride()
+
+    expect(now()).toEqual(new Date('2026-07-01T09:00:00.000Z'))
+  })
+
+  test('is ignored in the prod environment', () => {
+    withConfig({ clockOverride: '2020-01-01T00:00:00.000Z', cdpEnvironment: 'prod' })
+
+    applyClockOverride()
+
+    expect(now().getFullYear()).toBeGreaterThan(2020)
+  })
+
+  test('leaves the real time when there is no override', () => {
+    withConfig({ clockOverride: '', cdpEnvironment: 'local' })
+
+    applyClockOverride()
+
+    expect(now().getFullYear()).toBeGreaterThan(2020)
+  })
+})
@@ -0,0 +1,26 @@
+/** @type {(() => Date) | undefined} */
+let override
+
+/**
+ * Returns the current time. Rules that depend on the time, such as grant schedules, read it from here so tests can
+ * set it with `setClock`. Outside the prod environment, `CLOCK_OVERRIDE` sets it when the server starts.
+ * @returns {Date}
+ */
+export function now() {
+  return override ? override() : new Date()
+}
+
+/**
+ * Makes `now` return the given time, or call the given function, until the clock is reset
+ * @param {Date | string | (() => Date)} time
+ */
+export function setClock(time) {
+  override = typeof time === 'function' ? time : () => new Date(time)
+}
+
+/**
+ * Puts the clock back to the real time
+ */
+export function resetClock() {
+  override = undefined
+}
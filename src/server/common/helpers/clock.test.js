@@ -0,0 +1,37 @@
+import { vi } from 'vitest'
+import { now, resetClock, setClock } from './clock.js'
+
+describe('clock', () => {
+  afterEach(() => {
+    resetClock()
+  })
+
+  test('tells the real time by default', () => {
+    const before = Date.now()
+    const time = now().getTime()
+
+    expect(time).toBeGreaterThanOrEqual(before)
+    expect(time).toBeLessThanOrEqual(Date.now())
+  })
+
+  test('can be set to a time', () => {
+    setClock('2026-07-01T09:00:00.000Z')
+
+    expect(now()).toEqual(new Date('2026-07-01T09:00:00.000Z'))
+  })
+
+  test('can be set to a function', () => {
+    const time = vi.fn(() => new Date('2026-07-01T09:00:00.000Z'))
+    setClock(time)
+
+    expect(now()).toEqual(new Date('2026-07-01T09:00:00.000Z'))
+    expect(time).toHaveBeenCalled()
+  })
+
+  test('can be reset to the real time', () => {
+    setClock('2020-01-01T00:00:00.000Z')
+    resetClock()
+
+    expect(now().getFullYear()).toBeGreaterThan(2020)
+  })
+})
@@ -0,0 +1,29 @@
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+const NEEDS_QUOTES = /[",\r\n]/
+
+/**
+ * Formats a value as a CSV field. Text that a spreadsheet would run as a formula is prefixed with a quote.
+ * @param {string | number | null | undefined} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+  if (value == null) {
+    return ''
+  }
+
+  let field = String(value)
+  if (typeof value === 'string' && FORMULA_PREFIX.test(field)) {
+    field = `'${field}`
+  }
+
+  return NEEDS_QUOTES.test(field) ? `"${field.replaceAll('"', '""')}"` : field
+}
+
+/**
+ * Builds a CSV file from rows of values, with CRLF line endings as RFC 4180 describes
+ * @param {Array<Array<string | number | null | undefined>>} rows - The header row first, then the data rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return rows.map((row) => row.map(toCsvField).join(',')).join('\r\n') + '\r\n'
+}
@@ -0,0 +1,30 @@
+import { toCsv } from './csv.js'
+
+describe('toCsv', () => {
+  it('should join fields with commas and rows with CRLF', () => {
+    expect(
+      toCsv([
+        ['Land parcel', 'Quantity'],
+        ['SD6743 8083', 4.53]
+      ])
+    ).toBe('Land parcel,Quantity\r\nSD6743 8083,4.53\r\n')
+  })
+
+  it('should quote fields with commas, quotes or line breaks', () => {
+    expect(toCsv([['£1,234.56', 'A "quoted" word', 'Two\nlines']])).toBe(
+      '"£1,234.56","A ""quoted"" word","Two\nlines"\r\n'
+    )
+  })
+
+  it('should leave missing values empty', () => {
+    expect(toCsv([['CMOR1', null, undefined, '']])).toBe('CMOR1,,,\r\n')
+  })
+
+  it('should stop text being run as a spreadsheet formula', () => {
+    expect(toCsv([['=SUM(A1:A2)', '+44', '-1', '@cmd']])).toBe("'=SUM(A1:A2),'+44,'-1,'@cmd\r\n")
+  })
+
+  it('should not change negative numbers', () => {
+    expect(toCsv([[-1.5]])).toBe('-1.5\r\n')
+  })
+})
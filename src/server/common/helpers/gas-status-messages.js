@@ -0,0 +1,44 @@
+/**
+ * Maps GAS application status codes to user-friendly descriptions
+ * @param {string | null | undefined} gasStatus - Status code returned by GAS
+ * @returns {{heading: string, message: string}} - User-friendly status information
+ */
+export function getGasStatusMessage(gasStatus) {
+  const inProgress = {
+    heading: 'Application in progress',
+    message: 'We are processing your application.'
+  }
+
+  const messages = {
+    RECEIVED: {
+      heading: 'Application received',
+      message: 'We have received your application and will check it.'
+    },
+    AWAITING_AMENDMENTS: {
+      heading: 'Changes needed',
+      message: 'Your application has been returned to you so you can change your answers and submit it again.'
+    },
+    APPLICATION_WITHDRAWN: {
+      heading: 'Application withdrawn',
+      message: 'Your application has been withdrawn. You can start a new application.'
+    },
+    OFFER_SENT: {
+      heading: 'Offer sent',
+      message: 'We have sent you an agreement offer to review.'
+    },
+    OFFER_WITHDRAWN: {
+      heading: 'Offer withdrawn',
+      message: 'The agreement offer we sent you has been withdrawn.'
+    },
+    OFFER_ACCEPTED: {
+      heading: 'Offer accepted',
+      message: 'You have accepted your agreement offer.'
+    }
+  }
+
+  if (gasStatus && messages[gasStatus]) {
+    return messages[gasStatus]
+  }
+
+  return inProgress
+}
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest'
+import { getGasStatusMessage } from './gas-status-messages.js'
+
+describe('gas-status-messages', () => {
+  describe('getGasStatusMessage', () => {
+    it.each([
+      { gasStatus: 'RECEIVED', heading: 'Application received' },
+      { gasStatus: 'AWAITING_AMENDMENTS', heading: 'Changes needed' },
+      { gasStatus: 'APPLICATION_WITHDRAWN', heading: 'Application withdrawn' },
+      { gasStatus: 'OFFER_SENT', heading: 'Offer sent' },
+      { gasStatus: 'OFFER_WITHDRAWN', heading: 'Offer withdrawn' },
+      { gasStatus: 'OFFER_ACCEPTED', heading: 'Offer accepted' }
+    ])('should return correct heading for status $gasStatus', ({ gasStatus, heading }) => {
+      const result = getGasStatusMessage(gasStatus)
+
+      expect(result.heading).toBe(heading)
+      expect(result.message).toBeDefined()
+    })
+
+    it.each([['UNDER_REVIEW'], [null], [undefined]])('should return fallback message for status %s', (gasStatus) => {
+      const result = getGasStatusMessage(gasStatus)
+
+      expect(result.heading).toBe('Application in progress')
+      expect(result.message).toBeDefined()
+    })
+  })
+})
@@ -36,6 +36,11 @@ export const LogCodes = {
       messageFunc: (messageOptions) =>
         `Session expired for user=${messageOptions.userId}, session=${messageOptions.sessionId}`
     },
+    SESSION_EXTENDED: {
+      level: 'info',
+      messageFunc: (messageOptions) =>
+        `Session extended for user=${messageOptions.userId}, session=${messageOptions.sessionId} until ${messageOptions.expiresAt}`
+    },
     UNAUTHORIZED_ACCESS: {
       level: 'error',
       messageFunc: (messageOptions) =>
@@ -65,6 +70,31 @@ export const LogCodes = {
       level: 'info',
       messageFunc: (messageOptions) =>
         `Whitelist access denied to path=${messageOptions.path}: SBI ${messageOptions.sbi || 'unknown'} passed but CRN ${messageOptions.userId || 'unknown'} failed validation`
+    },
+    WHITELIST_ENTRIES_MISSING: {
+      level: 'error',
+      messageFunc: (messageOptions) =>
+        `Whitelist ${messageOptions.type} entries missing for grant=${messageOptions.grantCode} from the ${messageOptions.source} whitelist source, denying access`
+    },
+    WHITELIST_ENTRY_ADDED: {
+      level: 'info',
+      messageFunc: (messageOptions) =>
+        `Whitelist ${messageOptions.type} ${messageOptions.value} added to grant=${messageOptions.grantCode} by ${messageOptions.changedBy || 'unknown'}, cohort=${messageOptions.cohort || 'none'}, startDate=${messageOptions.startDate || 'none'}, endDate=${messageOptions.endDate || 'none'}`
+    },
+    WHITELIST_ENTRY_REMOVED: {
+      level: 'info',
+      messageFunc: (messageOptions) =>
+        `Whitelist ${messageOptions.type} ${messageOptions.value} removed from grant=${messageOptions.grantCode} by ${messageOptions.changedBy || 'unknown'}`
+    },
+    PERMISSION_DENIED: {
+      level: 'info',
+      messageFunc: (messageOptions) =>
+        `Permission denied to ${messageOptions.method} path=${messageOptions.path} for user=${messageOptions.userId || 'unknown'}, sbi=${messageOptions.sbi || 'N/A'}, role=${messageOptions.role || 'unknown'}`
+    },
+    ORGANISATION_SWITCHED: {
+      level: 'info',
+      messageFunc: (messageOptions) =>
+        `User ${messageOptions.userId || 'unknown'} switched from organisation ${messageOptions.fromOrganisationId || 'unknown'} to ${messageOptions.toOrganisationId}`
     }
   },
   FORMS: {
@@ -94,6 +124,36 @@ export const LogCodes = {
       level: 'info',
       messageFunc: (messageOptions) =>
         `Form saved: ${messageOptions.formName} for user=${messageOptions.userId || 'unknown'}`
+    },
+    FORM_VERSION_PINNED: {
+      level: 'debug',
+      messageFunc: (messageOptions) =>
+        `Form ${messageOptions.formName} served at pinned version=${messageOptions.version} for sbi=${messageOptions.sbi}`
+    },
+    FORM_DRAFT_MIGRATED: {
+      level: 'info',
+      messageFunc: (messageOptions) =>
+        `Draft for form ${messageOptions.formName} moved from version=${messageOptions.fromVersion} to version=${messageOptions.toVersion} for sbi=${messageOptions.sbi}`
+    },
+    FORM_STATE_MIGRATED: {
+      level: 'info',
+      messageFunc: (messageOptions) =>
+        `Saved state for form ${messageOptions.formName} migrated with ${messageOptions.migrations} for sbi=${messageOptions.sbi}`
+    },
+    APPLICATION_INSTANCE_STARTED: {
+      level: 'info',
+      messageFunc: (messageOptions) =>
+        `New application ${messageOptions.instanceId} started for form ${messageOptions.formName} for sbi=${messageOptions.sbi}`
+    },
+    SAVE_AND_RETURN_LINK_SENT: {
+      level: 'info',
+      messageFunc: (messageOptions) =>
+        `Save and return link for form ${messageOptions.formName} sent by ${messageOptions.notifier} for sbi=${messageOptions.sbi}`
+    },
+    SAVE_AND_RETURN_LINK_FAILED: {
+      level: 'error',
+      messageFunc: (messageOptions) =>
+        `Save and return link for form ${messageOptions.formName} could not be sent for sbi=${messageOptions.sbi}: ${messageOptions.error}`
     }
   },
   SUBMISSION: {
@@ -122,6 +182,16 @@ export const LogCodes = {
       messageFunc: (messageOptions) =>
         `Submission validation error for grantType=${messageOptions.grantType}, referenceNumber=${messageOptions.referenceNumber}, validationId=${messageOptions.validationId}`
     },
+    SUBMISSION_CLOSED: {
+      level: 'info',
+      messageFunc: (messageOptions) =>
+        `Submission refused after the submission cut-off for grantType=${messageOptions.grantType}, referenceNumber=${messageOptions.referenceNumber}`
+    },
+    SUBMISSION_SCHEMA_VALIDATION_FAILED: {
+      level: 'error',
+      messageFunc: (messageOptions) =>
+        `Submission answers do not match the submission schema for grantType=${messageOptions.grantType}, referenceNumber=${messageOptions.referenceNumber}, errors=${messageOptions.errors}`
+    },
     SUBMISSION_PAYLOAD_LOG: {
       level: 'debug',
       messageFunc: (messageOptions) =>
@@ -131,6 +201,36 @@ export const LogCodes = {
       level: 'error',
       messageFunc: (messageOptions) =>
         `Submission redirect failure for grantType=${messageOptions.grantType}, referenceNumber=${messageOptions.referenceNumber}. Error: ${messageOptions.error}`
+    },
+    SUBMISSION_QUEUED: {
+      level: 'info',
+      messageFunc: (messageOptions) =>
+        `Grant submission queued for redelivery for grantType=${messageOptions.grantType}, referenceNumber=${messageOptions.referenceNumber}, deliveries=${messageOptions.deliveries}, error=${messageOptions.error}`
+    },
+    SUBMISSION_DELIVERED: {
+      level: 'info',
+      messageFunc: (messageOptions) =>
+        `Queued grant submission delivered for grantType=${messageOptions.grantType}, referenceNumber=${messageOptions.referenceNumber}, deliveries=${messageOptions.deliveries}`
+    },
+    SUBMISSION_DELIVERY_FAILED: {
+      level: 'error',
+      messageFunc: (messageOptions) =>
+        `Grant submission could not be delivered for grantType=${messageOptions.grantType}, referenceNumber=${messageOptions.referenceNumber}, deliveries=${messageOptions.deliveries}, error=${messageOptions.error}`
+    },
+    SUBMISSIONS_UNDELIVERED: {
+      level: 'error',
+      messageFunc: (messageOptions) =>
+        `Grant submissions never delivered and not yet reopened for the applicant: count=${messageOptions.count}, referenceNumbers=${messageOptions.referenceNumbers}`
+    },
+    SUBMISSION_REOPENED_AFTER_DELIVERY_FAILURE: {
+      level: 'info',
+      messageFunc: (messageOptions) =>
+        `Grant submission could not be delivered, reopened application for grantType=${messageOptions.grantType}, referenceNumber=${messageOptions.referenceNumber} so it can be submitted again`
+    },
+    APPLICATION_STATUS_LOOKUP_FAILURE: {
+      level: 'error',
+      messageFunc: (messageOptions) =>
+        `Application status lookup failed for grantType=${messageOptions.grantType}, referenceNumber=${messageOptions.referenceNumber}. Error: ${messageOptions.error}`
     }
   },
   DECLARATION: {
@@ -116,6 +116,12 @@ describe('LogCodes', () => {
         { userId: TEST_USER_IDS.DEFAULT, sessionId: TEST_SESSIONS.SESSION_123 },
         `Session expired for user=${TEST_USER_IDS.DEFAULT}, session=${TEST_SESSIONS.SESSION_123}`
       ],
+      [
+        'SESSION_EXTENDED',
+        'info',
+        { userId: TEST_USER_IDS.DEFAULT, sessionId: TEST_SESSIONS.SESSION_123, expiresAt: '2026-07-01T13:00:00.000Z' },
+        `Session extended for user=${TEST_USER_IDS.DEFAULT}, session=${TEST_SESSIONS.SESSION_123} until 2026-07-01T13:00:00.000Z`
+      ],
       [
         'UNAUTHORIZED_ACCESS',
         'error',
@@ -194,6 +200,53 @@ describe('LogCodes', () => {
           sbi: TEST_SBI.DEFAULT
         },
         `Whitelist access denied to path=${TEST_PATHS.EXAMPLE_GRANT}: SBI ${TEST_SBI.DEFAULT} passed but CRN test123 failed validation`
+      ],
+      [
+        'PERMISSION_DENIED',
+        'info',
+        {
+          path: TEST_PATHS.EXAMPLE_GRANT,
+          method: 'post',
+          userId: 'test123',
+          sbi: TEST_SBI.DEFAULT,
+          role: 'Agent'
+        },
+        `Permission denied to post path=${TEST_PATHS.EXAMPLE_GRANT} for user=test123, sbi=${TEST_SBI.DEFAULT}, role=Agent`
+      ],
+      [
+        'WHITELIST_ENTRIES_MISSING',
+        'error',
+        { grantCode: 'example-whitelist', type: 'sbi', source: 'file' },
+        'Whitelist sbi entries missing for grant=example-whitelist from the file whitelist source, denying access'
+      ],
+      [
+        'WHITELIST_ENTRY_ADDED',
+        'info',
+        {
+          grantCode: 'example-whitelist',
+          type: 'crn',
+          value: '1101009926',
+          changedBy: 'jane.smith',
+          cohort: 'private-beta-1',
+          endDate: '2026-12-31'
+        },
+        'Whitelist crn 1101009926 added to grant=example-whitelist by jane.smith, cohort=private-beta-1, startDate=none, endDate=2026-12-31'
+      ],
+      [
+        'WHITELIST_ENTRY_REMOVED',
+        'info',
+        { grantCode: 'example-whitelist', type: 'sbi', value: TEST_SBI.DEFAULT, changedBy: 'jane.smith' },
+        `Whitelist sbi ${TEST_SBI.DEFAULT} removed from grant=example-whitelist by jane.smith`
+      ],
+      [
+        'ORGANISATION_SWITCHED',
+        'info',
+        {
+          userId: 'test123',
+          fromOrganisationId: TEST_SBI.DEFAULT,
+          toOrganisationId: '106284737'
+        },
+        `User test123 switched from organisation ${TEST_SBI.DEFAULT} to 106284737`
       ]
     ])('should have valid %s log code', (logCodeName, expectedLevel, testParams, expectedMessage) => {
       const logCode = LogCodes.AUTH[logCodeName]
@@ -240,6 +293,30 @@ describe('LogCodes', () => {
         'info',
         { formName: TEST_FORM_NAMES.DECLARATION, userId: TEST_USER_IDS.DEFAULT },
         `Form saved: ${TEST_FORM_NAMES.DECLARATION} for user=${TEST_USER_IDS.DEFAULT}`
+      ],
+      [
+        'FORM_VERSION_PINNED',
+        'debug',
+        { formName: TEST_FORM_NAMES.DECLARATION, version: 1, sbi: TEST_SBI.DEFAULT },
+        `Form ${TEST_FORM_NAMES.DECLARATION} served at pinned version=1 for sbi=${TEST_SBI.DEFAULT}`
+      ],
+      [
+        'FORM_DRAFT_MIGRATED',
+        'info',
+        { formName: TEST_FORM_NAMES.DECLARATION, fromVersion: 1, toVersion: 2, sbi: TEST_SBI.DEFAULT },
+        `Draft for form ${TEST_FORM_NAMES.DECLARATION} moved from version=1 to version=2 for sbi=${TEST_SBI.DEFAULT}`
+      ],
+      [
+        'FORM_STATE_MIGRATED',
+        'info',
+        { formName: TEST_FORM_NAMES.DECLARATION, migrations: '001-rename, 002-drop', sbi: TEST_SBI.DEFAULT },
+        `Saved state for form ${TEST_FORM_NAMES.DECLARATION} migrated with 001-rename, 002-drop for sbi=${TEST_SBI.DEFAULT}`
+      ],
+      [
+        'APPLICATION_INSTANCE_STARTED',
+        'info',
+        { formName: TEST_FORM_NAMES.DECLARATION, instanceId: 'abc-123', sbi: TEST_SBI.DEFAULT },
+        `New application abc-123 started for form ${TEST_FORM_NAMES.DECLARATION} for sbi=${TEST_SBI.DEFAULT}`
       ]
     ])('should have valid %s log code', (logCodeName, expectedLevel, testParams, expectedMessage) => {
       const logCode = LogCodes.FORMS[logCodeName]
@@ -284,6 +361,75 @@ describe('LogCodes', () => {
           validationId: 'VAL123'
         },
         `Submission validation error for grantType=${TEST_GRANT_TYPES.ADDING_VALUE}, referenceNumber=${TEST_REFERENCE_NUMBERS.REF_123}, validationId=VAL123`
+      ],
+      [
+        'SUBMISSION_CLOSED',
+        'info',
+        {
+          grantType: TEST_GRANT_TYPES.ADDING_VALUE,
+          referenceNumber: TEST_REFERENCE_NUMBERS.REF_123
+        },
+        `Submission refused after the submission cut-off for grantType=${TEST_GRANT_TYPES.ADDING_VALUE}, referenceNumber=${TEST_REFERENCE_NUMBERS.REF_123}`
+      ],
+      [
+        'SUBMISSION_SCHEMA_VALIDATION_FAILED',
+        'error',
+        {
+          grantType: TEST_GRANT_TYPES.ADDING_VALUE,
+          referenceNumber: TEST_REFERENCE_NUMBERS.REF_123,
+          errors: '/isInEngland must be boolean'
+        },
+        `Submission answers do not match the submission schema for grantType=${TEST_GRANT_TYPES.ADDING_VALUE}, referenceNumber=${TEST_REFERENCE_NUMBERS.REF_123}, errors=/isInEngland must be boolean`
+      ],
+      [
+        'SUBMISSION_QUEUED',
+        'info',
+        {
+          grantType: TEST_GRANT_TYPES.ADDING_VALUE,
+          referenceNumber: TEST_REFERENCE_NUMBERS.REF_123,
+          deliveries: 1,
+          error: TEST_ERRORS.NETWORK_ERROR
+        },
+        `Grant submission queued for redelivery for grantType=${TEST_GRANT_TYPES.ADDING_VALUE}, referenceNumber=${TEST_REFERENCE_NUMBERS.REF_123}, deliveries=1, error=${TEST_ERRORS.NETWORK_ERROR}`
+      ],
+      [
+        'SUBMISSION_DELIVERED',
+        'info',
+        { grantType: TEST_GRANT_TYPES.ADDING_VALUE, referenceNumber: TEST_REFERENCE_NUMBERS.REF_123, deliveries: 2 },
+        `Queued grant submission delivered for grantType=${TEST_GRANT_TYPES.ADDING_VALUE}, referenceNumber=${TEST_REFERENCE_NUMBERS.REF_123}, deliveries=2`
+      ],
+      [
+        'SUBMISSION_DELIVERY_FAILED',
+        'error',
+        {
+          grantType: TEST_GRANT_TYPES.ADDING_VALUE,
+          referenceNumber: TEST_REFERENCE_NUMBERS.REF_123,
+          deliveries: 60,
+          error: TEST_ERRORS.NETWORK_ERROR
+        },
+        `Grant submission could not be delivered for grantType=${TEST_GRANT_TYPES.ADDING_VALUE}, referenceNumber=${TEST_REFERENCE_NUMBERS.REF_123}, deliveries=60, error=${TEST_ERRORS.NETWORK_ERROR}`
+      ],
+      [
+        'SUBMISSIONS_UNDELIVERED',
+        'error',
+        { count: 2, referenceNumbers: 'egwa-123-abc,egwa-456-def' },
+        'Grant submissions never delivered and not yet reopened for the applicant: count=2, referenceNumbers=egwa-123-abc,egwa-456-def'
+      ],
+      [
+        'SUBMISSION_REOPENED_AFTER_DELIVERY_FAILURE',
+        'info',
+        { grantType: TEST_GRANT_TYPES.ADDING_VALUE, referenceNumber: TEST_REFERENCE_NUMBERS.REF_123 },
+        `Grant submission could not be delivered, reopened application for grantType=${TEST_GRANT_TYPES.ADDING_VALUE}, referenceNumber=${TEST_REFERENCE_NUMBERS.REF_123} so it can be submitted again`
+      ],
+      [
+        'APPLICATION_STATUS_LOOKUP_FAILURE',
+        'error',
+        {
+          grantType: TEST_GRANT_TYPES.ADDING_VALUE,
+          referenceNumber: TEST_REFERENCE_NUMBERS.REF_123,
+          error: TEST_ERRORS.NETWORK_ERROR
+        },
+        `Application status lookup failed for grantType=${TEST_GRANT_TYPES.ADDING_VALUE}, referenceNumber=${TEST_REFERENCE_NUMBERS.REF_123}. Error: ${TEST_ERRORS.NETWORK_ERROR}`
       ]
     ])('should have valid %s log code', (logCodeName, expectedLevel, testParams, expectedMessage) => {
       const logCode = LogCodes.SUBMISSION[logCodeName]
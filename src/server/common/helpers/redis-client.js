@@ -1,5 +1,6 @@
 import { Cluster, Redis } from 'ioredis'
 
+import { config } from '~/src/config/config.js'
 import { logger } from '~/src/server/common/helpers/logging/log.js'
 
 /**
@@ -94,6 +95,19 @@ export function buildRedisClient(redisConfig) {
   return redisClient
 }
 
+/** @type {Cluster | Redis | undefined} */
+let sharedClient
+
+/**
+ * The client for the configured Redis, built on first use. The session cache, state adapter, submission outbox and
+ * whitelist share it, so each process opens one connection rather than one each.
+ * @returns {Cluster | Redis}
+ */
+export function getRedisClient() {
+  sharedClient ??= buildRedisClient(config.get('redis'))
+  return sharedClient
+}
+
 /**
  * @import { RedisOptions } from 'ioredis'
  */
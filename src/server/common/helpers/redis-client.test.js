@@ -2,7 +2,7 @@ import { vi } from 'vitest'
 import { Cluster, Redis } from 'ioredis'
 import { config } from '~/src/config/config.js'
 
-import { buildRedisClient } from '~/src/server/common/helpers/redis-client.js'
+import { buildRedisClient, getRedisClient } from '~/src/server/common/helpers/redis-client.js'
 
 vi.mock('ioredis')
 
@@ -92,3 +92,15 @@ describe('#buildRedisClient', () => {
     })
   })
 })
+
+describe('#getRedisClient', () => {
+  test('Should build one client for the configured Redis and share it', () => {
+    vi.mocked(Redis).mockClear()
+    vi.mocked(Cluster).mockClear()
+
+    const client = getRedisClient()
+
+    expect(getRedisClient()).toBe(client)
+    expect(vi.mocked(Redis).mock.calls.length + vi.mocked(Cluster).mock.calls.length).toBe(1)
+  })
+})
@@ -1,4 +1,4 @@
-import { buildRedisClient } from '~/src/server/common/helpers/redis-client.js'
+import { getRedisClient } from '~/src/server/common/helpers/redis-client.js'
 import { Engine as CatboxRedis } from '@hapi/catbox-redis'
 import { Engine as CatboxMemory } from '@hapi/catbox-memory'
 
@@ -16,8 +16,7 @@ import { logger } from '~/src/server/common/helpers/logging/log.js'
 export function getCacheEngine(engine) {
   if (engine === 'redis') {
     logger.info('Using Redis session cache')
-    const redisClient = buildRedisClient(config.get('redis'))
-    return new CatboxRedis({ client: redisClient })
+    return new CatboxRedis({ client: getRedisClient() })
   }
 
   if (config.get('isProduction')) {
@@ -0,0 +1,101 @@
+import { randomUUID } from 'node:crypto'
+
+/**
+ * Session key holding the application instance the user is working on, per business and grant slug
+ */
+export const APPLICATION_INSTANCES_SESSION_KEY = 'applicationInstances'
+
+/**
+ * Reserved grant segment of the key under which Grants UI Backend lists the instances started for a business and grant,
+ * so the list is never stored alongside a grant's form state
+ */
+export const APPLICATIONS_INDEX_GRANT_CODE = 'applications'
+
+const INSTANCE_ID_PATTERN = /^[0-9a-f-]{36}$/
+
+/**
+ * Returns true if the value looks like an id made by `createApplicationInstanceId`
+ * @param {unknown} instanceId
+ * @returns {boolean}
+ */
+export function isApplicationInstanceId(instanceId) {
+  return typeof instanceId === 'string' && INSTANCE_ID_PATTERN.test(instanceId)
+}
+
+/**
+ * @returns {string} a new application instance id
+ */
+export function createApplicationInstanceId() {
+  return randomUUID()
+}
+
+/**
+ * Returns the application instance the user is working on for a business and grant, or undefined for the default instance.
+ * The choice is kept per business, so it never carries over when the user acts for another business.
+ * @param {import('@hapi/hapi').Request} request
+ * @param {{ sbi: string, grantCode: string }} parts - `grantCode` is the grant slug
+ * @returns {string | undefined}
+ */
+export function getCurrentApplicationInstance(request, { sbi, grantCode }) {
+  const instances = request.yar?.get(APPLICATION_INSTANCES_SESSION_KEY)
+  return instances?.[buildSessionKey({ sbi, grantCode })] ?? undefined
+}
+
+/**
+ * Sets the application instance the user is working on for a business and grant.
+ * Pass no instance id to go back to the default instance.
+ * @param {import('@hapi/hapi').Request} request
+ * @param {{ sbi: string, grantCode: string }} parts - `grantCode` is the grant slug
+ * @param {string} [instanceId]
+ */
+export function setCurrentApplicationInstance(request, { sbi, grantCode }, instanceId) {
+  /** @type {Record<string, string>} */
+  const instances = { ...(request.yar.get(APPLICATION_INSTANCES_SESSION_KEY) ?? {}) }
+  const key = buildSessionKey({ sbi, grantCode })
+
+  if (instanceId) {
+    instances[key] = instanceId
+  } else {
+    delete instances[key]
+  }
+
+  request.yar.set(APPLICATION_INSTANCES_SESSION_KEY, instances)
+}
+
+/**
+ * Builds the state key for an application: `sbi:grantCode`, or `sbi:grantCode:instanceId` for an additional instance
+ * @param {{ sbi: string, grantCode: string, instanceId?: string }} parts
+ * @returns {string}
+ */
+export function buildSessionKey({ sbi, grantCode, instanceId }) {
+  return instanceId ? `${sbi}:${grantCode}:${instanceId}` : `${sbi}:${grantCode}`
+}
+
+/**
+ * Builds the Grants UI Backend key under which the application instances for a business and grant are listed:
+ * `sbi:applications:grantCode`, which is sent to the backend with the grant code `applications~grantCode`
+ * @param {{ sbi: string, grantCode: string }} parts
+ * @returns {string}
+ */
+export function buildApplicationsIndexKey({ sbi, grantCode }) {
+  return buildSessionKey({ sbi, grantCode: APPLICATIONS_INDEX_GRANT_CODE, instanceId: grantCode })
+}
+
+/**
+ * Returns true if the key is for the list of application instances rather than an application's state
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isApplicationsIndexKey(key) {
+  return key.split(':')[1] === APPLICATIONS_INDEX_GRANT_CODE
+}
+
+/**
+ * Grant code sent to the backend, which keys state by sbi and grant code only.
+ * Additional instances are stored under `grantCode~instanceId` so each keeps its own state.
+ * @param {{ grantCode: string, instanceId?: string }} parts
+ * @returns {string}
+ */
+export function toBackendGrantCode({ grantCode, instanceId }) {
+  return instanceId ? `${grantCode}~${instanceId}` : grantCode
+}
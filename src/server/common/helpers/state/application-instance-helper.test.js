@@ -0,0 +1,109 @@
+import { vi } from 'vitest'
+import {
+  APPLICATION_INSTANCES_SESSION_KEY,
+  buildApplicationsIndexKey,
+  buildSessionKey,
+  createApplicationInstanceId,
+  getCurrentApplicationInstance,
+  isApplicationInstanceId,
+  isApplicationsIndexKey,
+  setCurrentApplicationInstance,
+  toBackendGrantCode
+} from './application-instance-helper.js'
+import { parseSessionKey } from './get-cache-key-helper.js'
+
+const INSTANCE_ID = '5b3a4d6e-8f21-4c4b-9a7d-1e2f3a4b5c6d'
+
+describe('application-instance-helper', () => {
+  describe('createApplicationInstanceId', () => {
+    it('creates a new valid id each time', () => {
+      const first = createApplicationInstanceId()
+
+      expect(isApplicationInstanceId(first)).toBe(true)
+      expect(createApplicationInstanceId()).not.toBe(first)
+    })
+
+    it.each([undefined, 'default', 'applications', `${INSTANCE_ID}:x`])('rejects %s as an instance id', (value) => {
+      expect(isApplicationInstanceId(value)).toBe(false)
+    })
+  })
+
+  describe('current application instance', () => {
+    const createRequest = (instances) => {
+      const session = { [APPLICATION_INSTANCES_SESSION_KEY]: instances }
+      return {
+        yar: {
+          get: vi.fn((key) => session[key]),
+          set: vi.fn((key, value) => {
+            session[key] = value
+          })
+        }
+      }
+    }
+
+    const grant = { sbi: '106284736', grantCode: 'example-grant' }
+
+    it('is undefined without a session', () => {
+      expect(getCurrentApplicationInstance({}, grant)).toBeUndefined()
+    })
+
+    it('is undefined when the user has not chosen an instance for the grant', () => {
+      expect(getCurrentApplicationInstance(createRequest({ '106284736:other': INSTANCE_ID }), grant)).toBeUndefined()
+    })
+
+    it('is kept per grant', () => {
+      const request = createRequest({ '106284736:other': 'other-instance' })
+
+      setCurrentApplicationInstance(request, grant, INSTANCE_ID)
+
+      expect(getCurrentApplicationInstance(request, grant)).toBe(INSTANCE_ID)
+      expect(getCurrentApplicationInstance(request, { ...grant, grantCode: 'other' })).toBe('other-instance')
+    })
+
+    it('is kept per business, so it does not carry over to another business', () => {
+      const request = createRequest({})
+
+      setCurrentApplicationInstance(request, grant, INSTANCE_ID)
+
+      expect(getCurrentApplicationInstance(request, { ...grant, sbi: '106284737' })).toBeUndefined()
+      expect(getCurrentApplicationInstance(request, grant)).toBe(INSTANCE_ID)
+    })
+
+    it('goes back to the default instance when no id is given', () => {
+      const request = createRequest({ '106284736:example-grant': INSTANCE_ID })
+
+      setCurrentApplicationInstance(request, grant)
+
+      expect(request.yar.set).toHaveBeenCalledWith(APPLICATION_INSTANCES_SESSION_KEY, {})
+    })
+  })
+
+  describe('keys', () => {
+    it('builds the default instance key without an instance id', () => {
+      expect(buildSessionKey({ sbi: '106284736', grantCode: 'example-grant' })).toBe('106284736:example-grant')
+    })
+
+    it('builds an instance key with the instance id', () => {
+      expect(buildSessionKey({ sbi: '106284736', grantCode: 'example-grant', instanceId: INSTANCE_ID })).toBe(
+        `106284736:example-grant:${INSTANCE_ID}`
+      )
+    })
+
+    it('keeps the applications index out of the grant it lists', () => {
+      const key = buildApplicationsIndexKey({ sbi: '106284736', grantCode: 'example-grant' })
+
+      expect(key).toBe('106284736:applications:example-grant')
+      expect(toBackendGrantCode(parseSessionKey(key))).toBe('applications~example-grant')
+      expect(isApplicationsIndexKey(key)).toBe(true)
+      expect(isApplicationsIndexKey(`106284736:example-grant:${INSTANCE_ID}`)).toBe(false)
+      expect(isApplicationsIndexKey('106284736:example-grant:applications')).toBe(false)
+    })
+
+    it('sends the backend the grant code, suffixed with the instance for additional instances', () => {
+      expect(toBackendGrantCode({ grantCode: 'example-grant' })).toBe('example-grant')
+      expect(toBackendGrantCode({ grantCode: 'example-grant', instanceId: INSTANCE_ID })).toBe(
+        `example-grant~${INSTANCE_ID}`
+      )
+    })
+  })
+})
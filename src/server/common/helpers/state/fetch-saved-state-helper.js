@@ -2,8 +2,10 @@ import { statusCodes } from '~/src/server/common/constants/status-codes.js'
 import 'dotenv/config'
 import { config } from '~/src/config/config.js'
 import { parseSessionKey } from './get-cache-key-helper.js'
+import { toBackendGrantCode } from './application-instance-helper.js'
 import { createApiHeadersForGrantsUiBackend } from './backend-auth-helper.js'
 import { log, LogCodes } from '../logging/log.js'
+import { migrateSavedStateForKey } from './migrate-saved-state-helper.js'
 
 const GRANTS_UI_BACKEND_ENDPOINT = config.get('session.cache.apiEndpoint')
 
@@ -11,17 +13,18 @@ const GRANTS_UI_BACKEND_ENDPOINT = config.get('session.cache.apiEndpoint')
  * Makes an API call to the state endpoint with the specified HTTP method
  * @param {string} key - The session key
  * @param {string} method - HTTP method (GET or DELETE)
+ * @param {{ throwOnError?: boolean }} [options] - Throw on failure, instead of returning null as for no state
  * @returns {Promise<Object|null>} The response JSON or null
  */
-async function callStateApi(key, method) {
+async function callStateApi(key, method, { throwOnError = false } = {}) {
   if (!GRANTS_UI_BACKEND_ENDPOINT?.length) {
     return null
   }
 
-  const { sbi, grantCode } = parseSessionKey(key)
+  const { sbi, ...grant } = parseSessionKey(key)
   const url = new URL('/state/', GRANTS_UI_BACKEND_ENDPOINT)
   url.searchParams.set('sbi', sbi)
-  url.searchParams.set('grantCode', grantCode)
+  url.searchParams.set('grantCode', toBackendGrantCode(grant))
 
   try {
     log(LogCodes.SYSTEM.EXTERNAL_API_CALL_DEBUG, {
@@ -51,6 +54,9 @@ async function callStateApi(key, method) {
     const json = await response.json()
 
     if (!json || typeof json !== 'object') {
+      if (throwOnError) {
+        throw new Error(`Unexpected or empty state format: ${json}`)
+      }
       log(LogCodes.SYSTEM.EXTERNAL_API_ERROR, {
         method,
         endpoint: url.href,
@@ -68,12 +74,22 @@ async function callStateApi(key, method) {
       identity: key,
       error: err.message
     })
+    if (throwOnError) {
+      throw err
+    }
     return null
   }
 }
 
-export async function fetchSavedStateFromApi(key) {
-  return callStateApi(key, 'GET')
+/**
+ * Fetches saved state from the backend, applying any state migrations the draft has not had yet
+ * @param {string} key - The session key
+ * @param {{ throwOnError?: boolean }} [options] - Throw when the backend fails, so only a 404 returns null
+ * @returns {Promise<Object|null>} The saved state or null
+ */
+export async function fetchSavedStateFromApi(key, options) {
+  const state = await callStateApi(key, 'GET', options)
+  return state ? migrateSavedStateForKey(key, state) : state
 }
 
 export async function clearSavedStateFromApi(key) {
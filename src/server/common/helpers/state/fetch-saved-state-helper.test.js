@@ -27,6 +27,11 @@ vi.mock('./get-cache-key-helper.js', () => ({
   parseSessionKey: mockParseSessionKey
 }))
 
+const mockMigrateSavedState = vi.hoisted(() => vi.fn((_grantCode, state) => ({ state, applied: [] })))
+vi.mock('~/src/server/common/forms/services/state-migrations.js', () => ({
+  migrateSavedState: mockMigrateSavedState
+}))
+
 let fetchSavedStateFromApi
 let clearSavedStateFromApi
 let log
@@ -65,6 +70,9 @@ describe('State API helpers', () => {
             SYSTEM: {
               EXTERNAL_API_CALL_DEBUG: { level: 'debug', messageFunc: vi.fn() },
               EXTERNAL_API_ERROR: { level: 'error', messageFunc: vi.fn() }
+            },
+            FORMS: {
+              FORM_STATE_MIGRATED: { level: 'info', messageFunc: vi.fn() }
             }
           }
         }))
@@ -100,6 +108,32 @@ describe('State API helpers', () => {
         )
       })
 
+      it('returns the migrated state and logs the migrations applied', async () => {
+        mockFetch.mockResolvedValue(createSuccessfulResponse({ oldName: 'value' }))
+        mockMigrateSavedState.mockReturnValueOnce({
+          state: { newName: 'value', $$__migrations: ['001-rename'] },
+          applied: ['001-rename']
+        })
+
+        const result = await fetchSavedStateFromApi(key)
+
+        expect(mockMigrateSavedState).toHaveBeenCalledWith(TEST_USER_IDS.GRANT_ID, { oldName: 'value' })
+        expect(result).toEqual({ newName: 'value', $$__migrations: ['001-rename'] })
+        expect(log).toHaveBeenCalledWith(LogCodes.FORMS.FORM_STATE_MIGRATED, {
+          formName: TEST_USER_IDS.GRANT_ID,
+          sbi: TEST_USER_IDS.ORGANISATION_ID,
+          migrations: '001-rename'
+        })
+      })
+
+      it('does not log when no migrations are applied', async () => {
+        mockFetch.mockResolvedValue(createSuccessfulResponse())
+
+        await fetchSavedStateFromApi(key)
+
+        expect(log).not.toHaveBeenCalledWith(LogCodes.FORMS.FORM_STATE_MIGRATED, expect.anything())
+      })
+
       it('includes authorization header in fetch request', async () => {
         mockFetch.mockResolvedValue(createSuccessfulResponse())
 
@@ -120,6 +154,22 @@ describe('State API helpers', () => {
         )
       })
 
+      it('fetches an additional application instance by its own grant code', async () => {
+        mockParseSessionKey.mockReturnValue({
+          sbi: TEST_USER_IDS.ORGANISATION_ID,
+          grantCode: TEST_USER_IDS.GRANT_ID,
+          instanceId: 'instance-1'
+        })
+        mockFetch.mockResolvedValue(createSuccessfulResponse())
+
+        await fetchSavedStateFromApi(`${key}:instance-1`)
+
+        expect(mockFetch).toHaveBeenCalledWith(
+          expect.stringContaining(`grantCode=${TEST_USER_IDS.GRANT_ID}%7Einstance-1`),
+          expect.anything()
+        )
+      })
+
       it('returns null on 404', async () => {
         mockFetch.mockResolvedValue(createFailedResponse(HTTP_STATUS.NOT_FOUND))
 
@@ -188,6 +238,40 @@ describe('State API helpers', () => {
           })
         )
       })
+
+      describe('when asked to throw on error', () => {
+        it('returns null when no state is found', async () => {
+          mockFetch.mockResolvedValue(createFailedResponse(HTTP_STATUS.NOT_FOUND))
+
+          await expect(fetchSavedStateFromApi(key, { throwOnError: true })).resolves.toBeNull()
+        })
+
+        it('throws on non-200 (not 404)', async () => {
+          mockFetch.mockResolvedValue(createFailedResponse(HTTP_STATUS.INTERNAL_SERVER_ERROR))
+
+          await expect(fetchSavedStateFromApi(key, { throwOnError: true })).rejects.toThrow(
+            'Failed to fetch saved state: 500'
+          )
+          expect(log).toHaveBeenCalledWith(
+            LogCodes.SYSTEM.EXTERNAL_API_ERROR,
+            expect.objectContaining({ error: 'Failed to fetch saved state: 500' })
+          )
+        })
+
+        it('throws when response JSON is invalid', async () => {
+          mockFetch.mockResolvedValue(createSuccessfulResponse(123))
+
+          await expect(fetchSavedStateFromApi(key, { throwOnError: true })).rejects.toThrow(
+            'Unexpected or empty state format: 123'
+          )
+        })
+
+        it('throws on fetch failure', async () => {
+          mockFetch.mockRejectedValue(new Error(ERROR_MESSAGES.NETWORK_ERROR))
+
+          await expect(fetchSavedStateFromApi(key, { throwOnError: true })).rejects.toThrow('Network error')
+        })
+      })
     })
 
     describe('Without backend endpoint configured', () => {
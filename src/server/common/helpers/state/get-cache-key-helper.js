@@ -1,5 +1,6 @@
 import { log } from '~/src/server/common/helpers/logging/log.js'
 import { LogCodes } from '~/src/server/common/helpers/logging/log-codes.js'
+import { getCurrentApplicationInstance } from './application-instance-helper.js'
 
 const outputLog = (request, message) => {
   log(LogCodes.AUTH.AUTH_DEBUG, {
@@ -16,9 +17,10 @@ const outputLog = (request, message) => {
 
 /**
  * Generates a cache key from a Hapi request by extracting user, business, and grant identifiers.
+ * The application instance is included when the user is working on an instance other than the default one.
  *
  * @param {import('@hapi/hapi').Request} request - The Hapi request object containing authentication credentials and route parameters.
- * @returns {{ sbi: string, grantCode: string }} An object containing identifiers to be used as a cache key.
+ * @returns {{ sbi: string, grantCode: string, instanceId?: string }} An object containing identifiers to be used as a cache key.
  * @throws {Error} If authentication credentials, user ID, business relationship, or grant ID are missing or malformed.
  */
 export const getCacheKey = (request) => {
@@ -46,14 +48,16 @@ export const getCacheKey = (request) => {
     outputLog(request, 'Missing grantCode')
     throw new Error('Missing grantCode')
   }
-  return { sbi, grantCode }
+
+  const instanceId = getCurrentApplicationInstance(request, { sbi, grantCode })
+  return instanceId ? { sbi, grantCode, instanceId } : { sbi, grantCode }
 }
 
 /**
  * Parses a session key into its components.
  *
- * @param {string} sessionKey - Colon-separated key (sbi:grantCode)
- * @returns {{ sbi: string, grantCode: string }} Parsed values
+ * @param {string} sessionKey - Colon-separated key (sbi:grantCode or sbi:grantCode:instanceId)
+ * @returns {{ sbi: string, grantCode: string, instanceId?: string }} Parsed values
  * @throws {Error} If sessionKey is invalid or missing parts
  */
 export function parseSessionKey(sessionKey) {
@@ -61,11 +65,11 @@ export function parseSessionKey(sessionKey) {
     throw new Error('Invalid session key: must be a non-empty string')
   }
 
-  const [sbi, grantCode] = sessionKey.split(':')
+  const [sbi, grantCode, instanceId] = sessionKey.split(':')
 
   if (!sbi || !grantCode) {
     throw new Error(`Invalid session key format: ${sessionKey}`)
   }
 
-  return { sbi, grantCode }
+  return instanceId ? { sbi, grantCode, instanceId } : { sbi, grantCode }
 }
@@ -90,6 +90,53 @@ describe('getCacheKey', () => {
 
     expect(() => getCacheKey(request)).toThrow('Missing grantCode')
   })
+
+  it('includes the application instance the user is working on for the grant', () => {
+    const request = {
+      auth: {
+        credentials: {
+          crn: 'user123',
+          organisationId: 'business456'
+        }
+      },
+      params: {
+        slug: 'grant789'
+      },
+      yar: {
+        get: () => ({ 'business456:grant789': 'instance-1', 'business456:otherGrant': 'instance-2' })
+      }
+    }
+
+    expect(getCacheKey(request)).toEqual({
+      sbi: 'business456',
+      grantCode: 'grant789',
+      instanceId: 'instance-1'
+    })
+  })
+
+  it('does not use the instance chosen for the last business after signing in to another through /auth/organisation', () => {
+    // Signing in again through /auth/organisation changes the organisation in the credentials but keeps the yar session
+    const session = { applicationInstances: { 'business456:grant789': 'instance-1' } }
+    const request = {
+      auth: {
+        credentials: {
+          crn: 'user123',
+          organisationId: 'business999'
+        }
+      },
+      params: {
+        slug: 'grant789'
+      },
+      yar: {
+        get: (key) => session[key]
+      }
+    }
+
+    expect(getCacheKey(request)).toEqual({
+      sbi: 'business999',
+      grantCode: 'grant789'
+    })
+  })
 })
 
 describe('parseSessionKey', () => {
@@ -103,6 +150,14 @@ describe('parseSessionKey', () => {
     })
   })
 
+  it('parses the application instance from an instance key', () => {
+    expect(parseSessionKey('business456:grant789:instance-1')).toEqual({
+      sbi: 'business456',
+      grantCode: 'grant789',
+      instanceId: 'instance-1'
+    })
+  })
+
   it('throws error for empty string', () => {
     expect(() => parseSessionKey('')).toThrow('Invalid session key')
   })
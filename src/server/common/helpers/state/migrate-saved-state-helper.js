@@ -0,0 +1,26 @@
+import { migrateSavedState } from '~/src/server/common/forms/services/state-migrations.js'
+import { parseSessionKey } from './get-cache-key-helper.js'
+import { isApplicationsIndexKey } from './application-instance-helper.js'
+import { log, LogCodes } from '../logging/log.js'
+
+/**
+ * Applies any state migrations a loaded draft has not had yet, whichever store it was loaded from.
+ * The list of application instances is not form state, so is returned unchanged.
+ * @param {string} key - The session key
+ * @param {object} state - The saved state
+ * @returns {object} The migrated state
+ */
+export function migrateSavedStateForKey(key, state) {
+  if (isApplicationsIndexKey(key)) {
+    return state
+  }
+
+  const { sbi, grantCode } = parseSessionKey(key)
+  const { state: migratedState, applied } = migrateSavedState(grantCode, state)
+
+  if (applied.length) {
+    log(LogCodes.FORMS.FORM_STATE_MIGRATED, { formName: grantCode, sbi, migrations: applied.join(', ') })
+  }
+
+  return migratedState
+}
@@ -0,0 +1,51 @@
+import { vi } from 'vitest'
+import { migrateSavedState } from '~/src/server/common/forms/services/state-migrations.js'
+import { log, LogCodes } from '../logging/log.js'
+import { migrateSavedStateForKey } from './migrate-saved-state-helper.js'
+
+vi.mock('~/src/server/common/forms/services/state-migrations.js', () => ({
+  migrateSavedState: vi.fn()
+}))
+vi.mock('../logging/log.js', () => ({
+  log: vi.fn(),
+  LogCodes: {
+    FORMS: {
+      FORM_STATE_MIGRATED: { level: 'info', messageFunc: vi.fn() }
+    }
+  }
+}))
+
+describe('migrateSavedStateForKey', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  test('migrates state for the grant in the key and logs the migrations applied', () => {
+    migrateSavedState.mockReturnValue({ state: { newName: 'value' }, applied: ['001-rename', '002-drop'] })
+
+    const result = migrateSavedStateForKey('106284736:example-grant', { oldName: 'value' })
+
+    expect(result).toEqual({ newName: 'value' })
+    expect(migrateSavedState).toHaveBeenCalledWith('example-grant', { oldName: 'value' })
+    expect(log).toHaveBeenCalledWith(LogCodes.FORMS.FORM_STATE_MIGRATED, {
+      formName: 'example-grant',
+      sbi: '106284736',
+      migrations: '001-rename, 002-drop'
+    })
+  })
+
+  test('does not log when nothing was migrated', () => {
+    const state = { answer: 'yes' }
+    migrateSavedState.mockReturnValue({ state, applied: [] })
+
+    expect(migrateSavedStateForKey('106284736:example-grant', state)).toBe(state)
+    expect(log).not.toHaveBeenCalled()
+  })
+
+  test('leaves the list of application instances unchanged', () => {
+    const index = { applications: [] }
+
+    expect(migrateSavedStateForKey('106284736:applications:example-grant', index)).toBe(index)
+    expect(migrateSavedState).not.toHaveBeenCalled()
+  })
+})
@@ -1,8 +1,10 @@
 import 'dotenv/config'
 import { config } from '~/src/config/config.js'
 import { parseSessionKey } from './get-cache-key-helper.js'
+import { toBackendGrantCode } from './application-instance-helper.js'
 import { createApiHeadersForGrantsUiBackend } from './backend-auth-helper.js'
 import { log, LogCodes } from '../logging/log.js'
+import { getStateFormVersion } from '~/src/server/common/forms/services/form-versions.js'
 
 const GRANTS_UI_BACKEND_ENDPOINT = config.get('session.cache.apiEndpoint')
 
@@ -13,7 +15,7 @@ export async function persistStateToApi(state, key) {
 
   const url = new URL('/state/', GRANTS_UI_BACKEND_ENDPOINT)
 
-  const { sbi, grantCode } = parseSessionKey(key)
+  const { sbi, ...grant } = parseSessionKey(key)
 
   log(LogCodes.SYSTEM.EXTERNAL_API_CALL_DEBUG, {
     method: 'POST',
@@ -31,8 +33,8 @@ export async function persistStateToApi(state, key) {
       headers: createApiHeadersForGrantsUiBackend(),
       body: JSON.stringify({
         sbi,
-        grantCode,
-        grantVersion: 1, // NOSONAR TODO: Update when support for same grant versioning is implemented
+        grantCode: toBackendGrantCode(grant),
+        grantVersion: getStateFormVersion(state),
         state
       })
     })
@@ -74,6 +74,24 @@ describe('persistStateToApi', () => {
       statusText
     })
 
+    it('persists an additional application instance under its own grant code', async () => {
+      mockParseSessionKey.mockReturnValue({
+        sbi: TEST_USER_IDS.ORGANISATION_ID,
+        grantCode: TEST_USER_IDS.GRANT_ID,
+        instanceId: 'instance-1'
+      })
+      fetch.mockResolvedValue(createSuccessfulFetchResponse())
+
+      await persistStateToApi(testState, `${key}:instance-1`)
+
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual(
+        expect.objectContaining({
+          sbi: TEST_USER_IDS.ORGANISATION_ID,
+          grantCode: `${TEST_USER_IDS.GRANT_ID}~instance-1`
+        })
+      )
+    })
+
     it('persists state successfully when response is ok', async () => {
       fetch.mockResolvedValue(createSuccessfulFetchResponse())
 
@@ -112,6 +130,15 @@ describe('persistStateToApi', () => {
       )
     })
 
+    it('sends the grant version recorded in the state', async () => {
+      fetch.mockResolvedValue(createSuccessfulFetchResponse())
+
+      await persistStateToApi({ ...testState, $$__grantVersion: 2 }, key)
+
+      const [, options] = fetch.mock.calls[0]
+      expect(JSON.parse(options.body).grantVersion).toBe(2)
+    })
+
     it('logs error when response is not ok', async () => {
       const failedResponse = createFailedFetchResponse()
       fetch.mockResolvedValue(failedResponse)
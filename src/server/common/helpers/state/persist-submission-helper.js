@@ -2,6 +2,7 @@ import 'dotenv/config'
 import { config } from '~/src/config/config.js'
 import { createApiHeadersForGrantsUiBackend } from './backend-auth-helper.js'
 import { log, LogCodes } from '../logging/log.js'
+import { DEFAULT_FORM_VERSION } from '~/src/server/common/forms/services/form-versions.js'
 
 const GRANTS_UI_BACKEND_ENDPOINT = config.get('session.cache.apiEndpoint')
 
@@ -27,7 +28,7 @@ export async function persistSubmissionToApi(submission) {
       headers: createApiHeadersForGrantsUiBackend(),
       body: JSON.stringify({
         ...submission,
-        grantVersion: 1 // NOSONAR TODO: Update when support for same grant versioning is implemented
+        grantVersion: submission.grantVersion ?? DEFAULT_FORM_VERSION
       })
     })
 
@@ -121,6 +121,15 @@ describe('persistSubmissionToApi', () => {
       expect(log).not.toHaveBeenCalledWith(LogCodes.SYSTEM.EXTERNAL_API_ERROR, expect.anything())
     })
 
+    it('sends the grant version the application was started on', async () => {
+      fetch.mockResolvedValue(createSuccessfulFetchResponse())
+
+      await persistSubmissionToApi({ ...TEST_SUBMISSION, grantVersion: 2 })
+
+      const [, options] = fetch.mock.calls[0]
+      expect(JSON.parse(options.body).grantVersion).toBe(2)
+    })
+
     it('logs error when response is not ok', async () => {
       const failedResponse = createFailedFetchResponse()
       fetch.mockResolvedValue(failedResponse)
@@ -1,19 +1,27 @@
 import 'dotenv/config'
 import { config } from '~/src/config/config.js'
 import { parseSessionKey } from '../state/get-cache-key-helper.js'
+import { toBackendGrantCode } from '../state/application-instance-helper.js'
 import { createApiHeadersForGrantsUiBackend } from '../state/backend-auth-helper.js'
 import { log, LogCodes } from '../logging/log.js'
+import { STATUS_HISTORY_STATE_KEY } from '~/src/server/status/status-transitions.js'
 
 const GRANTS_UI_BACKEND_ENDPOINT = config.get('session.cache.apiEndpoint')
 
-export async function updateApplicationStatus(applicationStatus, key) {
+/**
+ * Updates the status of saved state in the backend, along with its status history when given
+ * @param {string} applicationStatus
+ * @param {string} key - The session key
+ * @param {object[]} [statusHistory]
+ */
+export async function updateApplicationStatus(applicationStatus, key, statusHistory) {
   if (!GRANTS_UI_BACKEND_ENDPOINT?.length) {
     return
   }
 
-  const { sbi, grantCode } = parseSessionKey(key)
+  const { sbi, ...grant } = parseSessionKey(key)
 
-  const url = new URL(`/state/${sbi}/${grantCode}`, GRANTS_UI_BACKEND_ENDPOINT)
+  const url = new URL(`/state/${sbi}/${toBackendGrantCode(grant)}`, GRANTS_UI_BACKEND_ENDPOINT)
 
   log(LogCodes.SYSTEM.EXTERNAL_API_CALL_DEBUG, {
     method: 'PATCH',
@@ -30,7 +38,8 @@ export async function updateApplicationStatus(applicationStatus, key) {
       headers: createApiHeadersForGrantsUiBackend(),
       body: JSON.stringify({
         state: {
-          applicationStatus
+          applicationStatus,
+          ...(statusHistory && { [STATUS_HISTORY_STATE_KEY]: statusHistory })
         }
       })
     })
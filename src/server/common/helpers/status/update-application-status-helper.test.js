@@ -132,6 +132,21 @@ describe('updateApplicationStatus', () => {
       expect(log).not.toHaveBeenCalledWith(LogCodes.SYSTEM.EXTERNAL_API_ERROR, expect.anything())
     })
 
+    it('sends the status history along with the status when given', async () => {
+      fetch.mockResolvedValue(createSuccessfulFetchResponse())
+      const statusHistory = [{ from: 'SUBMITTED', to: APPLICATION_STATUS }]
+
+      await updateApplicationStatus(APPLICATION_STATUS, KEY, statusHistory)
+
+      const [, options] = fetch.mock.calls[0]
+      expect(JSON.parse(options.body)).toEqual({
+        state: {
+          applicationStatus: APPLICATION_STATUS,
+          $$__statusHistory: statusHistory
+        }
+      })
+    })
+
     it('logs error when response is not ok', async () => {
       const failedResponse = createFailedFetchResponse()
       fetch.mockResolvedValue(failedResponse)
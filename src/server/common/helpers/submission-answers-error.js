@@ -0,0 +1,69 @@
+import { statusCodes } from '~/src/server/common/constants/status-codes.js'
+import { getSubmissionErrorFields } from '~/src/server/common/forms/services/submission.js'
+
+const CHECK_ANSWERS_TEXT = 'Check your answers and submit your application again'
+
+/**
+ * Builds an error summary list for answers that do not match the submission schema, linking each answer
+ * to the page that asks for it. Answers no page asks for, such as ones derived from other answers, are
+ * covered by a single item without a link.
+ * @param {ErrorObject[]} errors - Errors from `SubmissionValidationError`
+ * @param {PageController[]} pages - Pages of the form
+ * @param {string} returnUrl - Path to return to once an answer is changed
+ * @returns {Array<{ text: string, href?: string }>}
+ */
+export function getSubmissionErrorList(errors, pages, returnUrl) {
+  const fields = pages.flatMap((page) => (page.collection?.fields ?? []).map((field) => ({ page, field })))
+
+  const errorList = []
+  const listed = new Set()
+  let hasUnlinkedErrors = false
+
+  for (const { name, missing } of getSubmissionErrorFields(errors)) {
+    // Answers from components with several inputs, such as addresses, are named `<component>__<input>`
+    const [componentName] = name.split('__')
+    const match = fields.find(({ field }) => field.name === componentName)
+
+    if (!match) {
+      hasUnlinkedErrors = true
+    } else if (!listed.has(componentName)) {
+      listed.add(componentName)
+      errorList.push({
+        text: missing ? `Answer ‘${match.field.label}’` : `Check your answer to ‘${match.field.label}’`,
+        href: `${match.page.href}?returnUrl=${encodeURIComponent(returnUrl)}`
+      })
+    }
+  }
+
+  if (hasUnlinkedErrors || !errorList.length) {
+    errorList.push({ text: CHECK_ANSWERS_TEXT })
+  }
+
+  return errorList
+}
+
+/**
+ * Returns a page listing the answers to fix when a submission does not match its submission schema
+ * @param {object} h - Response toolkit
+ * @param {object} context - Form context
+ * @param {SubmissionValidationError} error
+ * @param {PageController[]} pages - Pages of the form
+ * @param {string} returnUrl - Path to return to once an answer is changed
+ * @returns {object} - Error view response
+ */
+export function handleSubmissionValidationError(h, context, error, pages, returnUrl) {
+  return h
+    .view('submission-answers-error', {
+      backLink: null,
+      heading: 'There is a problem with your answers',
+      errorList: getSubmissionErrorList(error.errors, pages, returnUrl),
+      refNumber: context.referenceNumber || 'N/A'
+    })
+    .code(statusCodes.badRequest)
+}
+
+/**
+ * @import { ErrorObject } from 'ajv'
+ * @import { PageController } from '@defra/forms-engine-plugin/controllers/PageController.js'
+ * @import { SubmissionValidationError } from '~/src/server/common/forms/services/submission.js'
+ */
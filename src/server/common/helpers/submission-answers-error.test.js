@@ -0,0 +1,81 @@
+import { vi } from 'vitest'
+import { getSubmissionErrorList, handleSubmissionValidationError } from './submission-answers-error.js'
+
+const pages = [
+  {
+    href: '/example-grant/business-name',
+    collection: { fields: [{ name: 'businessName', label: 'Business name' }] }
+  },
+  {
+    href: '/example-grant/business-address',
+    collection: {
+      fields: [
+        { name: 'isInEngland', label: 'Is the business in England?' },
+        { name: 'businessAddress', label: 'Business address' }
+      ]
+    }
+  },
+  { href: '/example-grant/summary' }
+]
+const returnUrl = '/example-grant/declaration'
+const linkTo = (href) => `${href}?returnUrl=%2Fexample-grant%2Fdeclaration`
+
+describe('getSubmissionErrorList', () => {
+  test('links a missing answer to the page that asks for it', () => {
+    const errors = [{ instancePath: '', keyword: 'required', params: { missingProperty: 'businessName' } }]
+
+    expect(getSubmissionErrorList(errors, pages, returnUrl)).toEqual([
+      { text: 'Answer ‘Business name’', href: linkTo('/example-grant/business-name') }
+    ])
+  })
+
+  test('links an invalid answer to the page that asks for it', () => {
+    const errors = [{ instancePath: '/isInEngland', keyword: 'type', params: { type: 'boolean' } }]
+
+    expect(getSubmissionErrorList(errors, pages, returnUrl)).toEqual([
+      { text: 'Check your answer to ‘Is the business in England?’', href: linkTo('/example-grant/business-address') }
+    ])
+  })
+
+  test('lists a component with several inputs once', () => {
+    const errors = [
+      { instancePath: '', keyword: 'required', params: { missingProperty: 'businessAddress__addressLine1' } },
+      { instancePath: '/businessAddress__postcode', keyword: 'pattern', params: {} }
+    ]
+
+    expect(getSubmissionErrorList(errors, pages, returnUrl)).toEqual([
+      { text: 'Answer ‘Business address’', href: linkTo('/example-grant/business-address') }
+    ])
+  })
+
+  test('adds an item without a link for answers no page asks for', () => {
+    const errors = [
+      { instancePath: '/actionApplications/0/appliedFor', keyword: 'type', params: {} },
+      { instancePath: '/businessName', keyword: 'type', params: {} }
+    ]
+
+    expect(getSubmissionErrorList(errors, pages, returnUrl)).toEqual([
+      { text: 'Check your answer to ‘Business name’', href: linkTo('/example-grant/business-name') },
+      { text: 'Check your answers and submit your application again' }
+    ])
+  })
+})
+
+describe('handleSubmissionValidationError', () => {
+  test('renders the answers to fix', () => {
+    const response = { code: vi.fn().mockReturnValue('answers error view') }
+    const h = { view: vi.fn().mockReturnValue(response) }
+    const error = { errors: [{ instancePath: '/businessName', keyword: 'type', params: {} }] }
+
+    const result = handleSubmissionValidationError(h, { referenceNumber: 'REF123' }, error, pages, returnUrl)
+
+    expect(h.view).toHaveBeenCalledWith('submission-answers-error', {
+      backLink: null,
+      heading: 'There is a problem with your answers',
+      errorList: [{ text: 'Check your answer to ‘Business name’', href: linkTo('/example-grant/business-name') }],
+      refNumber: 'REF123'
+    })
+    expect(response.code).toHaveBeenCalledWith(400)
+    expect(result).toBe('answers error view')
+  })
+})
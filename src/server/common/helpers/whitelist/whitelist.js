@@ -10,7 +10,7 @@ export default {
   }
 }
 
-const whitelistHandler = (request, h) => {
+const whitelistHandler = async (request, h) => {
   if (!request.auth.isAuthenticated) {
     return h.continue
   }
@@ -18,9 +18,10 @@ const whitelistHandler = (request, h) => {
   const crn = request.auth.credentials.crn
   const sbi = request.auth.credentials.sbi
 
-  const grantMetadata = getAllForms().find((form) => form.slug === request.params.slug)?.metadata
+  const slug = request.params.slug
+  const grantMetadata = getAllForms().find((form) => form.slug === slug)?.metadata
 
-  const whitelistService = WhitelistServiceFactory.getService(grantMetadata)
+  const whitelistService = await WhitelistServiceFactory.getService(grantMetadata, slug)
   const validation = whitelistService.validateGrantAccess(crn, sbi)
 
   whitelistService.logWhitelistValidation({
@@ -94,7 +94,7 @@ describe('whitelist plugin', () => {
     const result = await handler(request, h)
 
     expect(getAllForms).toHaveBeenCalledTimes(1)
-    expect(WhitelistServiceFactory.getService).toHaveBeenCalledWith(metadata)
+    expect(WhitelistServiceFactory.getService).toHaveBeenCalledWith(metadata, testSlug)
     expect(mockService.validateGrantAccess).toHaveBeenCalledWith(testCrn, testSbi)
 
     expect(mockService.logWhitelistValidation).toHaveBeenCalledWith({
@@ -158,7 +158,7 @@ describe('whitelist plugin', () => {
 
     const result = await handler(request, h)
 
-    expect(WhitelistServiceFactory.getService).toHaveBeenCalledWith(undefined)
+    expect(WhitelistServiceFactory.getService).toHaveBeenCalledWith(undefined, 'missing-form')
     expect(mockService.validateGrantAccess).toHaveBeenCalledWith(testCrn, testSbi)
     expect(result).toBe(h.continue)
   })
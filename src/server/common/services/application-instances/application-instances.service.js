@@ -0,0 +1,83 @@
+import { ApplicationStatus } from '~/src/server/common/constants/application-status.js'
+import {
+  buildSessionKey,
+  createApplicationInstanceId
+} from '~/src/server/common/helpers/state/application-instance-helper.js'
+import { getStateAdapter } from '~/src/server/common/services/state-persistence/state-adapter.js'
+
+/**
+ * @typedef {object} ApplicationInstance
+ * @property {string} instanceId
+ * @property {string} createdAt - ISO 8601 timestamp the instance was started
+ */
+
+/**
+ * @typedef {object} ApplicationSummary
+ * @property {string} [instanceId] - Undefined for the default instance
+ * @property {string} [referenceNumber]
+ * @property {string} [applicationStatus] - Undefined while the application is a draft
+ * @property {string} [createdAt]
+ * @property {string} [submittedAt]
+ */
+
+/**
+ * Returns the additional application instances started for a business and grant, oldest first
+ * @param {{ sbi: string, grantCode: string }} parts
+ * @param {StateAdapter} [adapter]
+ * @returns {Promise<ApplicationInstance[]>}
+ */
+export async function getApplicationInstances(parts, adapter = getStateAdapter()) {
+  return adapter.getApplicationInstances(parts)
+}
+
+/**
+ * Starts a new application instance for a business and grant
+ * @param {{ sbi: string, grantCode: string }} parts
+ * @param {StateAdapter} [adapter]
+ * @returns {Promise<string>} the new instance id
+ */
+export async function startApplicationInstance(parts, adapter = getStateAdapter()) {
+  const instanceId = createApplicationInstanceId()
+
+  await adapter.addApplicationInstance(parts, { instanceId, createdAt: new Date().toISOString() })
+
+  return instanceId
+}
+
+/**
+ * Summarises the drafts and submissions for a business and grant.
+ * The default instance is listed only once it has saved state, and cleared applications are left out.
+ * @param {{ sbi: string, grantCode: string }} parts
+ * @param {StateAdapter} [adapter]
+ * @returns {Promise<ApplicationSummary[]>}
+ */
+export async function listApplications(parts, adapter = getStateAdapter()) {
+  const instances = [
+    { instanceId: undefined, createdAt: undefined },
+    ...(await getApplicationInstances(parts, adapter))
+  ]
+
+  const summaries = await Promise.all(
+    instances.map(async ({ instanceId, createdAt }) => {
+      const state = await adapter.getState(buildSessionKey({ ...parts, instanceId }))
+
+      if ((!instanceId && !Object.keys(state ?? {}).length) || state?.applicationStatus === ApplicationStatus.CLEARED) {
+        return null
+      }
+
+      return {
+        instanceId,
+        referenceNumber: state?.$$__referenceNumber,
+        applicationStatus: state?.applicationStatus,
+        createdAt,
+        submittedAt: state?.submittedAt
+      }
+    })
+  )
+
+  return summaries.filter((summary) => summary !== null)
+}
+
+/**
+ * @import { StateAdapter } from '~/src/server/common/services/state-persistence/state-adapter.js'
+ */
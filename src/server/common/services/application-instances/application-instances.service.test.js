@@ -0,0 +1,72 @@
+import { createMemoryStateAdapter } from '~/src/server/common/services/state-persistence/adapters/memory-state-adapter.js'
+import { getApplicationInstances, listApplications, startApplicationInstance } from './application-instances.service.js'
+
+const parts = { sbi: '106284736', grantCode: 'example-grant' }
+
+describe('application-instances.service', () => {
+  let adapter
+
+  beforeEach(() => {
+    adapter = createMemoryStateAdapter()
+  })
+
+  it('has no additional instances to begin with', async () => {
+    expect(await getApplicationInstances(parts, adapter)).toEqual([])
+  })
+
+  it('records each instance started, oldest first', async () => {
+    const first = await startApplicationInstance(parts, adapter)
+    const second = await startApplicationInstance(parts, adapter)
+
+    expect(await getApplicationInstances(parts, adapter)).toEqual([
+      { instanceId: first, createdAt: expect.any(String) },
+      { instanceId: second, createdAt: expect.any(String) }
+    ])
+    expect(await getApplicationInstances({ ...parts, grantCode: 'other-grant' }, adapter)).toEqual([])
+  })
+
+  it('keeps the instances apart from form state', async () => {
+    await startApplicationInstance(parts, adapter)
+
+    expect(await adapter.getState('106284736:example-grant')).toBeNull()
+    expect(await adapter.getState('106284736:example-grant:applications')).toBeNull()
+    expect(await listApplications(parts, adapter)).toHaveLength(1)
+  })
+
+  it('lists nothing when no application has been started', async () => {
+    expect(await listApplications(parts, adapter)).toEqual([])
+  })
+
+  it('lists the default instance and each started instance with their state', async () => {
+    await adapter.setState('106284736:example-grant', {
+      applicationStatus: 'SUBMITTED',
+      $$__referenceNumber: 'REF-001',
+      submittedAt: '2026-03-01T10:00:00.000Z'
+    })
+    const instanceId = await startApplicationInstance(parts, adapter)
+
+    expect(await listApplications(parts, adapter)).toEqual([
+      {
+        instanceId: undefined,
+        referenceNumber: 'REF-001',
+        applicationStatus: 'SUBMITTED',
+        createdAt: undefined,
+        submittedAt: '2026-03-01T10:00:00.000Z'
+      },
+      {
+        instanceId,
+        referenceNumber: undefined,
+        applicationStatus: undefined,
+        createdAt: expect.any(String),
+        submittedAt: undefined
+      }
+    ])
+  })
+
+  it('leaves out cleared applications', async () => {
+    const instanceId = await startApplicationInstance(parts, adapter)
+    await adapter.setState(`106284736:example-grant:${instanceId}`, { applicationStatus: 'CLEARED' })
+
+    expect(await listApplications(parts, adapter)).toEqual([])
+  })
+})
@@ -26,6 +26,14 @@ import { retry } from '~/src/server/common/helpers/retry.js'
  * @property {string} [data.business.customer.role] - Customer's role
  */
 
+/**
+ * @typedef {object} ParcelAgreements
+ * @property {string} parcelId - The parcel identifier
+ * @property {string} sheetId - The sheet identifier
+ * @property {Array<{reference: string, scheme: string, actionCode: string, area: number}>} agreements
+ *   - Existing agreements on the parcel, with the action and area in hectares each commits
+ */
+
 class ConsolidatedViewApiError extends Error {
   constructor(message, statusCode, responseBody, sbi) {
     super(message)
@@ -182,6 +190,42 @@ export async function fetchParcelsFromDal(request) {
   return fetchFromConsolidatedView(request, { query, formatResponse })
 }
 
+/**
+ * Fetches the land on each business parcel already committed to existing agreements, by agreement and action
+ * @param {AnyFormRequest} request
+ * @returns {Promise<ParcelAgreements[]>} - Promise that resolves to the parcels, each with its agreements
+ * @throws {ConsolidatedViewApiError} - If the API request fails
+ * @throws {Error} - For other unexpected errors
+ */
+export async function fetchParcelAgreementsFromDal(request) {
+  const { credentials: { sbi } = {} } = request.auth ?? {}
+  const query = `
+    query Business {
+      business(sbi: "${sbi}") {
+        land {
+          parcels(date: "${new Date().toISOString()}") {
+            parcelId
+            sheetId
+            agreements {
+              reference
+              scheme
+              actionCode
+              area
+            }
+          }
+        }
+      }
+    }`
+
+  const formatResponse = (r) =>
+    (r.data?.business?.land?.parcels || []).map((p) => ({
+      parcelId: p.parcelId,
+      sheetId: p.sheetId,
+      agreements: p.agreements || []
+    }))
+  return fetchFromConsolidatedView(request, { query, formatResponse })
+}
+
 /**
  * Fetches business and customer information from Consolidated View
  * @param {AnyFormRequest} request
@@ -6,6 +6,7 @@ import { mockFetch } from '~/src/__mocks__'
 import { getValidToken } from '~/src/server/common/helpers/entra/token-manager.js'
 import {
   fetchBusinessAndCustomerInformation,
+  fetchParcelAgreementsFromDal,
   fetchParcelsFromDal
 } from '~/src/server/common/services/consolidated-view/consolidated-view.service.js'
 import { fetchBusinessAndCPH } from './consolidated-view.service.js'
@@ -191,6 +192,46 @@ describe('Consolidated View Service', () => {
     })
   })
 
+  describe('fetchParcelAgreementsFromDal', () => {
+    it('should fetch the agreements on each parcel', async () => {
+      const agreement = { reference: 'SFI123456789', scheme: 'SFI 2023', actionCode: 'CSAM1', area: 1.5 }
+      mockFetchInstance.mockResolvedValueOnce({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            data: {
+              business: {
+                land: {
+                  parcels: [
+                    { parcelId: '0155', sheetId: 'SD7946', agreements: [agreement] },
+                    { parcelId: '4509', sheetId: 'SD7846' }
+                  ]
+                }
+              }
+            }
+          })
+      })
+
+      const result = await fetchParcelAgreementsFromDal(mockRequest)
+
+      expect(result).toEqual([
+        { parcelId: '0155', sheetId: 'SD7946', agreements: [agreement] },
+        { parcelId: '4509', sheetId: 'SD7846', agreements: [] }
+      ])
+      const [[, calledOptions]] = mockFetchInstance.mock.calls
+      expect(JSON.parse(calledOptions.body).query).toContain('agreements {')
+    })
+
+    it('should return empty array when parcels data is missing', async () => {
+      mockFetchInstance.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ data: { business: { land: {} } } })
+      })
+
+      expect(await fetchParcelAgreementsFromDal(mockRequest)).toEqual([])
+    })
+  })
+
   describe('fetchBusinessAndCPH', () => {
     it('should fetch business and CPH information successfully', async () => {
       const mockCPHResponse = {
@@ -122,12 +122,13 @@ export async function invokeGasGetAction(code, name, queryParams = {}) {
  * Submits a grant application to the Grant Application Service (GAS)
  * @param {string} code - Grant code
  * @param {object} payload - Application payload
+ * @param {object} [retryConfig] - Configuration for the retry mechanism
  * @returns {Promise} - Promise that resolves to the submission response
  * @throws {GrantApplicationServiceApiError} - If the API request fails
  */
-export async function submitGrantApplication(code, payload) {
+export async function submitGrantApplication(code, payload, retryConfig) {
   const url = `${GAS_API_ENDPOINT}/grants/${code}/applications`
-  return makeGasApiRequest(url, code, { method: 'POST', payload })
+  return makeGasApiRequest(url, code, { method: 'POST', payload, retryConfig })
 }
 
 /**
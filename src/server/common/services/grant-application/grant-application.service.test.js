@@ -98,6 +98,15 @@ describe('submitGrantApplication', () => {
       body: JSON.stringify(payload)
     })
   })
+
+  test('should pass the retry config to the request', async () => {
+    const mockedFetch = mockFetch()
+    mockedFetch.mockRejectedValue(new Error('Network error'))
+
+    await expect(submitGrantApplication(code, payload, { maxAttempts: 1 })).rejects.toThrow('Network error')
+
+    expect(mockedFetch).toHaveBeenCalledTimes(1)
+  })
 })
 
 describe('invokeGasPostAction', () => {
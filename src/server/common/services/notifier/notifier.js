@@ -0,0 +1,59 @@
+import { config } from '~/src/config/config.js'
+import { logger } from '~/src/server/common/helpers/logging/log.js'
+import { createFileNotifier } from './notifiers/file-notifier.js'
+import { createLogNotifier } from './notifiers/log-notifier.js'
+import { createNotifyNotifier } from './notifiers/notify-notifier.js'
+
+/**
+ * @typedef {'notify' | 'file' | 'log'} NotifierName
+ */
+
+/**
+ * An email to an applicant
+ * @typedef {object} Email
+ * @property {string} emailAddress
+ * @property {Record<string, string>} personalisation - Values for the placeholders in the template
+ * @property {string} [reference] - Identifies the email, such as the application reference number
+ */
+
+/**
+ * Sends emails to applicants
+ * @typedef {object} Notifier
+ * @property {NotifierName} name
+ * @property {(email: Email) => Promise<void>} sendEmail - Sends an email, throwing if it cannot be sent
+ */
+
+/** @type {Notifier | undefined} */
+let notifier
+
+/**
+ * @param {NotifierName} [name]
+ * @returns {Notifier}
+ */
+export function createNotifier(name) {
+  if (name === 'notify') {
+    logger.info('Using GOV.UK Notify to send emails')
+    return createNotifyNotifier()
+  }
+
+  if (config.get('cdpEnvironment')?.toLowerCase() === 'prod') {
+    logger.error('Emails are not sent by the file and log notifiers, they should not be used in production!')
+  }
+
+  if (name === 'file') {
+    logger.info('Writing emails to a file')
+    return createFileNotifier()
+  }
+
+  logger.info('Logging emails')
+  return createLogNotifier()
+}
+
+/**
+ * Returns the notifier chosen by the `saveAndReturn.notifier` config, creating it on first use
+ * @returns {Notifier}
+ */
+export function getNotifier() {
+  notifier ??= createNotifier(/** @type {NotifierName} */ (config.get('saveAndReturn.notifier')))
+  return notifier
+}
@@ -0,0 +1,84 @@
+import { vi } from 'vitest'
+import { config } from '~/src/config/config.js'
+import { createNotifier, getNotifier } from './notifier.js'
+
+const mockLoggerInfo = vi.fn()
+const mockLoggerError = vi.fn()
+
+vi.mock('~/src/server/common/helpers/logging/log.js', async () => {
+  const { mockLoggerFactoryWithCustomMethods } = await import('~/src/__mocks__')
+  return {
+    logger: mockLoggerFactoryWithCustomMethods({
+      info: (...args) => mockLoggerInfo(...args),
+      error: (...args) => mockLoggerError(...args)
+    })
+  }
+})
+
+describe('#createNotifier', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  test.each([
+    ['notify', 'Using GOV.UK Notify to send emails'],
+    ['file', 'Writing emails to a file'],
+    ['log', 'Logging emails'],
+    [undefined, 'Logging emails']
+  ])('creates the %s notifier', (name, message) => {
+    const notifier = createNotifier(name)
+
+    expect(notifier.name).toBe(name ?? 'log')
+    expect(mockLoggerInfo).toHaveBeenCalledWith(message)
+  })
+
+  /**
+   * Runs as CDP does, where every environment sets NODE_ENV=production
+   * @param {string} cdpEnvironment
+   */
+  const mockEnvironment = (cdpEnvironment) => {
+    const configGet = config.get.bind(config)
+    return vi.spyOn(config, 'get').mockImplementation((key) => {
+      if (key === 'cdpEnvironment') {
+        return cdpEnvironment
+      }
+      return key === 'isProduction' || configGet(key)
+    })
+  }
+
+  test.each(['file', 'log'])('warns when the %s notifier is used in production', (name) => {
+    const spy = mockEnvironment('prod')
+
+    createNotifier(name)
+
+    expect(mockLoggerError).toHaveBeenCalledWith(
+      'Emails are not sent by the file and log notifiers, they should not be used in production!'
+    )
+    spy.mockRestore()
+  })
+
+  test.each(['dev', 'test', 'perf-test'])('does not warn when the log notifier is used in %s', (cdpEnvironment) => {
+    const spy = mockEnvironment(cdpEnvironment)
+
+    createNotifier('log')
+
+    expect(mockLoggerError).not.toHaveBeenCalled()
+    spy.mockRestore()
+  })
+
+  test('does not warn when GOV.UK Notify is used in production', () => {
+    const spy = mockEnvironment('prod')
+
+    createNotifier('notify')
+
+    expect(mockLoggerError).not.toHaveBeenCalled()
+    spy.mockRestore()
+  })
+
+  test('getNotifier returns the configured notifier and reuses it', () => {
+    const notifier = getNotifier()
+
+    expect(notifier.name).toBe(config.get('saveAndReturn.notifier'))
+    expect(getNotifier()).toBe(notifier)
+  })
+})
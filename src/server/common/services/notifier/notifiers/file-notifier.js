@@ -0,0 +1,20 @@
+import { appendFile } from 'node:fs/promises'
+import { config } from '~/src/config/config.js'
+
+/**
+ * Appends emails to a local file, one JSON object per line, instead of sending them
+ * @param {string} [filePath] - Defaults to `saveAndReturn.filePath`
+ * @returns {Notifier}
+ */
+export function createFileNotifier(filePath = config.get('saveAndReturn.filePath')) {
+  return {
+    name: 'file',
+    sendEmail: async (email) => {
+      await appendFile(filePath, `${JSON.stringify({ ...email, sentAt: new Date().toISOString() })}\n`)
+    }
+  }
+}
+
+/**
+ * @import { Notifier } from '../notifier.js'
+ */
@@ -0,0 +1,30 @@
+import { mkdtemp, readFile, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { createFileNotifier } from './file-notifier.js'
+
+describe('createFileNotifier', () => {
+  let dir
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'file-notifier-'))
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  test('appends each email to the file as a line of JSON', async () => {
+    const filePath = path.join(dir, 'emails.jsonl')
+    const notifier = createFileNotifier(filePath)
+
+    await notifier.sendEmail({ emailAddress: 'farm@example.com', personalisation: { link: 'first' } })
+    await notifier.sendEmail({ emailAddress: 'farm@example.com', personalisation: { link: 'second' } })
+
+    const lines = (await readFile(filePath, 'utf8')).trim().split('\n').map(JSON.parse)
+    expect(lines).toEqual([
+      { emailAddress: 'farm@example.com', personalisation: { link: 'first' }, sentAt: expect.any(String) },
+      { emailAddress: 'farm@example.com', personalisation: { link: 'second' }, sentAt: expect.any(String) }
+    ])
+  })
+})
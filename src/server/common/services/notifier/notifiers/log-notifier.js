@@ -0,0 +1,43 @@
+import { logger } from '~/src/server/common/helpers/logging/log.js'
+
+const REDACTED = '[redacted]'
+
+/**
+ * Keeps the first character and the domain, so emails can be told apart without logging the address
+ * @param {string} emailAddress
+ * @returns {string}
+ */
+const redactEmailAddress = (emailAddress) => {
+  const [, first, domain] = /^([^@])[^@]*(@[^@]+)$/.exec(emailAddress) ?? []
+  return first ? `${first}***${domain}` : REDACTED
+}
+
+/**
+ * Replaces links, which let anyone holding them resume the application, and keeps the other values
+ * @param {Record<string, string>} personalisation
+ * @returns {Record<string, string>}
+ */
+const redactLinks = (personalisation) =>
+  Object.fromEntries(
+    Object.entries(personalisation).map(([key, value]) => [key, /^https?:\/\//i.test(value) ? REDACTED : value])
+  )
+
+/**
+ * Logs emails instead of sending them. Logs are shipped off the server, so the address and any links are redacted;
+ * use the file notifier to follow links when running locally.
+ * @returns {Notifier}
+ */
+export function createLogNotifier() {
+  return {
+    name: 'log',
+    sendEmail: async ({ emailAddress, personalisation, reference }) => {
+      logger.info(
+        `Email to ${redactEmailAddress(emailAddress)}${reference ? ` for ${reference}` : ''}: ${JSON.stringify(redactLinks(personalisation))}`
+      )
+    }
+  }
+}
+
+/**
+ * @import { Notifier } from '../notifier.js'
+ */
@@ -0,0 +1,36 @@
+import { vi } from 'vitest'
+import { logger } from '~/src/server/common/helpers/logging/log.js'
+import { createLogNotifier } from './log-notifier.js'
+
+vi.mock('~/src/server/common/helpers/logging/log.js', async () => {
+  const { mockLoggerFactory } = await import('~/src/__mocks__')
+  return { logger: mockLoggerFactory() }
+})
+
+describe('createLogNotifier', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  test('logs the email without the address or the resume link', async () => {
+    await createLogNotifier().sendEmail({
+      emailAddress: 'farm@example.com',
+      personalisation: {
+        grantName: 'Farm payments',
+        link: 'http://localhost:3000/farm-payments/select-land-parcel',
+        savedUntil: '18 November 2026'
+      },
+      reference: 'FPTT-AB12-CD34'
+    })
+
+    expect(logger.info).toHaveBeenCalledWith(
+      'Email to f***@example.com for FPTT-AB12-CD34: {"grantName":"Farm payments","link":"[redacted]","savedUntil":"18 November 2026"}'
+    )
+  })
+
+  test('redacts an address it cannot make out', async () => {
+    await createLogNotifier().sendEmail({ emailAddress: 'not-an-address', personalisation: {} })
+
+    expect(logger.info).toHaveBeenCalledWith('Email to [redacted]: {}')
+  })
+})
@@ -0,0 +1,37 @@
+import Jwt from '@hapi/jwt'
+import { config } from '~/src/config/config.js'
+
+const UUID_LENGTH = 36
+
+/**
+ * Sends emails with the GOV.UK Notify API. The API key ends with the service ID and the secret used to sign requests.
+ * @param {{ apiUrl: string, apiKey: string, templateId: string }} [options] - Defaults to the `notify` config
+ * @returns {Notifier}
+ */
+export function createNotifyNotifier({ apiUrl, apiKey, templateId } = config.get('notify')) {
+  const secretKey = apiKey.slice(-UUID_LENGTH)
+  const serviceId = apiKey.slice(-2 * UUID_LENGTH - 1, -UUID_LENGTH - 1)
+
+  return {
+    name: 'notify',
+    sendEmail: async ({ emailAddress, personalisation, reference }) => {
+      const token = Jwt.token.generate({ iss: serviceId }, { key: secretKey, algorithm: 'HS256' })
+      const response = await fetch(`${apiUrl}/v2/notifications/email`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ email_address: emailAddress, template_id: templateId, personalisation, reference })
+      })
+
+      if (!response.ok) {
+        throw new Error(`GOV.UK Notify responded with ${response.status} ${response.statusText}`)
+      }
+    }
+  }
+}
+
+/**
+ * @import { Notifier } from '../notifier.js'
+ */
@@ -0,0 +1,58 @@
+import Jwt from '@hapi/jwt'
+import { vi } from 'vitest'
+import { mockFetch } from '~/src/__mocks__/hapi-mocks.js'
+import { createNotifyNotifier } from './notify-notifier.js'
+
+const serviceId = '26785a09-ab16-4eb0-8407-a37497a57506'
+const secretKey = '3d844edf-8d35-48ac-975b-e847b4f122b0'
+
+describe('createNotifyNotifier', () => {
+  const email = {
+    emailAddress: 'farm@example.com',
+    personalisation: { link: 'http://localhost:3000/farm-payments/select-land-parcel' },
+    reference: 'FPTT-AB12-CD34'
+  }
+  let fetch
+  let notifier
+
+  beforeEach(() => {
+    fetch = mockFetch().mockResolvedValue({ ok: true, status: 201 })
+    notifier = createNotifyNotifier({
+      apiUrl: 'https://notify.test',
+      apiKey: `grants_ui-${serviceId}-${secretKey}`,
+      templateId: 'template-id'
+    })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  test('sends the email with the template', async () => {
+    await notifier.sendEmail(email)
+
+    expect(fetch).toHaveBeenCalledWith('https://notify.test/v2/notifications/email', {
+      method: 'POST',
+      headers: { Authorization: expect.stringMatching(/^Bearer /), 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        email_address: 'farm@example.com',
+        template_id: 'template-id',
+        personalisation: email.personalisation,
+        reference: 'FPTT-AB12-CD34'
+      })
+    })
+  })
+
+  test('signs requests with the secret from the API key', async () => {
+    await notifier.sendEmail(email)
+
+    expect(Jwt.token.generate).toHaveBeenCalledWith({ iss: serviceId }, { key: secretKey, algorithm: 'HS256' })
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer mocked-jwt-token')
+  })
+
+  test('throws when GOV.UK Notify rejects the email', async () => {
+    fetch.mockResolvedValue({ ok: false, status: 400, statusText: 'Bad Request' })
+
+    await expect(notifier.sendEmail(email)).rejects.toThrow('GOV.UK Notify responded with 400 Bad Request')
+  })
+})
@@ -0,0 +1,42 @@
+import { buildApplicationsIndexKey } from '../../../helpers/state/application-instance-helper.js'
+import { clearSavedStateFromApi, fetchSavedStateFromApi } from '../../../helpers/state/fetch-saved-state-helper.js'
+import { persistStateToApi } from '../../../helpers/state/persist-state-helper.js'
+import { persistSubmissionToApi } from '../../../helpers/state/persist-submission-helper.js'
+import { updateApplicationStatus } from '../../../helpers/status/update-application-status-helper.js'
+
+/**
+ * Stores state and submissions in Grants UI Backend over HTTP.
+ * The backend only stores state, so application instances are listed in a state record of their own,
+ * under a grant code no form uses (see `buildApplicationsIndexKey`).
+ * Only a 404 is read as an empty list; any other failure throws, so adding an instance never overwrites the list
+ * with just that instance. The backend has no atomic update, so an instance added while another is being added
+ * for the same business and grant can still be lost.
+ * @returns {StateAdapter}
+ */
+export function createBackendStateAdapter() {
+  const getApplicationInstances = async (parts) => {
+    const index = await fetchSavedStateFromApi(buildApplicationsIndexKey(parts), { throwOnError: true })
+    return index?.applications ?? []
+  }
+
+  return {
+    name: 'backend',
+    getState: (key) => fetchSavedStateFromApi(key),
+    setState: (key, state) => persistStateToApi(state, key),
+    clearState: async (key) => {
+      await clearSavedStateFromApi(key)
+    },
+    updateApplicationStatus: (key, applicationStatus, statusHistory) =>
+      updateApplicationStatus(applicationStatus, key, statusHistory),
+    saveSubmission: (submission) => persistSubmissionToApi(submission),
+    getApplicationInstances,
+    addApplicationInstance: async (parts, instance) => {
+      const applications = await getApplicationInstances(parts)
+      await persistStateToApi({ applications: [...applications, instance] }, buildApplicationsIndexKey(parts))
+    }
+  }
+}
+
+/**
+ * @import { StateAdapter } from '../state-adapter.js'
+ */
@@ -0,0 +1,92 @@
+import { vi } from 'vitest'
+import { clearSavedStateFromApi, fetchSavedStateFromApi } from '../../../helpers/state/fetch-saved-state-helper.js'
+import { persistStateToApi } from '../../../helpers/state/persist-state-helper.js'
+import { persistSubmissionToApi } from '../../../helpers/state/persist-submission-helper.js'
+import { updateApplicationStatus } from '../../../helpers/status/update-application-status-helper.js'
+import { createBackendStateAdapter } from './backend-state-adapter.js'
+
+vi.mock('../../../helpers/state/fetch-saved-state-helper.js', () => ({
+  fetchSavedStateFromApi: vi.fn(),
+  clearSavedStateFromApi: vi.fn()
+}))
+vi.mock('../../../helpers/state/persist-state-helper.js', () => ({
+  persistStateToApi: vi.fn()
+}))
+vi.mock('../../../helpers/state/persist-submission-helper.js', () => ({
+  persistSubmissionToApi: vi.fn()
+}))
+vi.mock('../../../helpers/status/update-application-status-helper.js', () => ({
+  updateApplicationStatus: vi.fn()
+}))
+
+describe('createBackendStateAdapter', () => {
+  const key = '106284736:example-grant'
+  const adapter = createBackendStateAdapter()
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  test('loads state from the backend', async () => {
+    fetchSavedStateFromApi.mockResolvedValue({ answer: 'yes' })
+
+    await expect(adapter.getState(key)).resolves.toEqual({ answer: 'yes' })
+    expect(fetchSavedStateFromApi).toHaveBeenCalledWith(key)
+  })
+
+  test('saves and clears state in the backend', async () => {
+    await adapter.setState(key, { answer: 'yes' })
+    await adapter.clearState(key)
+
+    expect(persistStateToApi).toHaveBeenCalledWith({ answer: 'yes' }, key)
+    expect(clearSavedStateFromApi).toHaveBeenCalledWith(key)
+  })
+
+  test('updates the application status and records submissions in the backend', async () => {
+    const submission = { sbi: '106284736', grantCode: 'example-grant' }
+
+    const statusHistory = [{ from: 'SUBMITTED', to: 'REOPENED' }]
+
+    await adapter.updateApplicationStatus(key, 'REOPENED', statusHistory)
+    await adapter.saveSubmission(submission)
+
+    expect(updateApplicationStatus).toHaveBeenCalledWith('REOPENED', key, statusHistory)
+    expect(persistSubmissionToApi).toHaveBeenCalledWith(submission)
+  })
+
+  test('lists application instances in a state record of their own', async () => {
+    const parts = { sbi: '106284736', grantCode: 'example-grant' }
+    const existing = { instanceId: 'instance-1', createdAt: '2026-03-01T10:00:00.000Z' }
+    const added = { instanceId: 'instance-2', createdAt: '2026-03-02T10:00:00.000Z' }
+    fetchSavedStateFromApi.mockResolvedValue({ applications: [existing] })
+
+    await expect(adapter.getApplicationInstances(parts)).resolves.toEqual([existing])
+    await adapter.addApplicationInstance(parts, added)
+
+    expect(fetchSavedStateFromApi).toHaveBeenCalledWith('106284736:applications:example-grant', {
+      throwOnError: true
+    })
+    expect(persistStateToApi).toHaveBeenCalledWith(
+      { applications: [existing, added] },
+      '106284736:applications:example-grant'
+    )
+  })
+
+  test('has no application instances when none have been listed', async () => {
+    fetchSavedStateFromApi.mockResolvedValue(null)
+
+    await expect(adapter.getApplicationInstances({ sbi: '106284736', grantCode: 'example-grant' })).resolves.toEqual([])
+  })
+
+  test('does not overwrite the list of application instances when it cannot be loaded', async () => {
+    fetchSavedStateFromApi.mockRejectedValue(new Error('Failed to fetch saved state: 500'))
+
+    await expect(
+      adapter.addApplicationInstance(
+        { sbi: '106284736', grantCode: 'example-grant' },
+        { instanceId: 'instance-2', createdAt: '2026-03-02T10:00:00.000Z' }
+      )
+    ).rejects.toThrow('Failed to fetch saved state: 500')
+    expect(persistStateToApi).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,55 @@
+import { DEFAULT_FORM_VERSION } from '~/src/server/common/forms/services/form-versions.js'
+import { buildSessionKey } from '../../../helpers/state/application-instance-helper.js'
+import { migrateSavedStateForKey } from '../../../helpers/state/migrate-saved-state-helper.js'
+import { STATUS_HISTORY_STATE_KEY } from '~/src/server/status/status-transitions.js'
+
+/**
+ * Stores state and submissions in process memory, so the app runs without Grants UI Backend.
+ * Everything is lost on restart and is not shared between instances.
+ * State is copied on the way in and out, as it would be serialised by a real store.
+ * Updates read and write the maps with no await in between, so concurrent requests cannot undo each other's changes.
+ * @returns {StateAdapter & { submissions: object[] }}
+ */
+export function createMemoryStateAdapter() {
+  /** @type {Map<string, object>} */
+  const states = new Map()
+  /** @type {object[]} */
+  const submissions = []
+  /** @type {Map<string, ApplicationInstance[]>} */
+  const applicationInstances = new Map()
+
+  return {
+    name: 'memory',
+    submissions,
+    getState: async (key) => {
+      const state = states.get(key)
+      return state ? migrateSavedStateForKey(key, structuredClone(state)) : null
+    },
+    setState: async (key, state) => {
+      states.set(key, structuredClone(state))
+    },
+    clearState: async (key) => {
+      states.delete(key)
+    },
+    updateApplicationStatus: async (key, applicationStatus, statusHistory) => {
+      states.set(key, {
+        ...states.get(key),
+        applicationStatus,
+        ...(statusHistory && { [STATUS_HISTORY_STATE_KEY]: structuredClone(statusHistory) })
+      })
+    },
+    saveSubmission: async (submission) => {
+      submissions.push({ ...submission, grantVersion: submission.grantVersion ?? DEFAULT_FORM_VERSION })
+    },
+    getApplicationInstances: async (parts) => structuredClone(applicationInstances.get(buildSessionKey(parts)) ?? []),
+    addApplicationInstance: async (parts, instance) => {
+      const key = buildSessionKey(parts)
+      applicationInstances.set(key, [...(applicationInstances.get(key) ?? []), structuredClone(instance)])
+    }
+  }
+}
+
+/**
+ * @import { ApplicationInstance } from '~/src/server/common/services/application-instances/application-instances.service.js'
+ * @import { StateAdapter } from '../state-adapter.js'
+ */
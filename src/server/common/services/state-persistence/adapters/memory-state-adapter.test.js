@@ -0,0 +1,77 @@
+import { vi } from 'vitest'
+import { createMemoryStateAdapter } from './memory-state-adapter.js'
+
+vi.mock('../../../helpers/state/migrate-saved-state-helper.js', () => ({
+  migrateSavedStateForKey: vi.fn((_key, state) => state)
+}))
+
+describe('createMemoryStateAdapter', () => {
+  const key = '106284736:example-grant'
+  let adapter
+
+  beforeEach(() => {
+    adapter = createMemoryStateAdapter()
+  })
+
+  test('returns null when nothing has been saved', async () => {
+    await expect(adapter.getState(key)).resolves.toBeNull()
+  })
+
+  test('returns a copy of the saved state', async () => {
+    const state = { answer: { nested: 'yes' } }
+    await adapter.setState(key, state)
+    state.answer.nested = 'changed'
+
+    const saved = await adapter.getState(key)
+    saved.answer.nested = 'changed again'
+
+    await expect(adapter.getState(key)).resolves.toEqual({ answer: { nested: 'yes' } })
+  })
+
+  test('clears saved state', async () => {
+    await adapter.setState(key, { answer: 'yes' })
+    await adapter.clearState(key)
+
+    await expect(adapter.getState(key)).resolves.toBeNull()
+  })
+
+  test('updates the application status in saved state', async () => {
+    await adapter.setState(key, { answer: 'yes' })
+    await adapter.updateApplicationStatus(key, 'REOPENED')
+
+    await expect(adapter.getState(key)).resolves.toEqual({ answer: 'yes', applicationStatus: 'REOPENED' })
+  })
+
+  test('updates the status history along with the application status', async () => {
+    const statusHistory = [{ from: 'SUBMITTED', to: 'REOPENED' }]
+    await adapter.setState(key, { answer: 'yes' })
+    await adapter.updateApplicationStatus(key, 'REOPENED', statusHistory)
+
+    await expect(adapter.getState(key)).resolves.toEqual({
+      answer: 'yes',
+      applicationStatus: 'REOPENED',
+      $$__statusHistory: statusHistory
+    })
+  })
+
+  test('records submissions with a grant version', async () => {
+    await adapter.saveSubmission({ sbi: '106284736', grantCode: 'example-grant', referenceNumber: 'REF1' })
+    await adapter.saveSubmission({ sbi: '106284736', grantCode: 'example-grant', grantVersion: 2 })
+
+    expect(adapter.submissions).toEqual([
+      { sbi: '106284736', grantCode: 'example-grant', referenceNumber: 'REF1', grantVersion: 1 },
+      { sbi: '106284736', grantCode: 'example-grant', grantVersion: 2 }
+    ])
+  })
+
+  test('lists application instances per business and grant, apart from state', async () => {
+    const parts = { sbi: '106284736', grantCode: 'example-grant' }
+    const instance = { instanceId: 'instance-1', createdAt: '2026-03-01T10:00:00.000Z' }
+
+    await adapter.addApplicationInstance(parts, instance)
+
+    await expect(adapter.getApplicationInstances(parts)).resolves.toEqual([instance])
+    await expect(adapter.getApplicationInstances({ ...parts, grantCode: 'other-grant' })).resolves.toEqual([])
+    await expect(adapter.getState(key)).resolves.toBeNull()
+  })
+})
@@ -0,0 +1,87 @@
+import { config } from '~/src/config/config.js'
+import { DEFAULT_FORM_VERSION } from '~/src/server/common/forms/services/form-versions.js'
+import { getRedisClient } from '~/src/server/common/helpers/redis-client.js'
+import { migrateSavedStateForKey } from '../../../helpers/state/migrate-saved-state-helper.js'
+import { STATUS_HISTORY_STATE_KEY } from '~/src/server/status/status-transitions.js'
+
+const stateKey = (key) => `state:${key}`
+const submissionsKey = ({ sbi, grantCode }) => `submissions:${sbi}:${grantCode}`
+const applicationInstancesKey = ({ sbi, grantCode }) => `application-instances:${sbi}:${grantCode}`
+
+/**
+ * Stores state and submissions in Redis, so the app runs without Grants UI Backend.
+ * Submissions and application instances are appended to lists per business and grant.
+ * Each state is a hash, so the application status can be set in its own fields without reading the answers first,
+ * and a status update never undoes answers saved at the same time. The fields are cleared when state is replaced.
+ * State and application instance lists expire once they have not been written for `ttl`, so abandoned applications
+ * do not stay in Redis for ever. Submissions do not expire.
+ * @param {Cluster | Redis} [client]
+ * @param {number} [ttl] - Milliseconds state is kept after it was last written
+ * @returns {StateAdapter}
+ */
+export function createRedisStateAdapter(client = getRedisClient(), ttl = config.get('session.state.redisTtl')) {
+  const readState = async (key) => {
+    const { state, applicationStatus, statusHistory } = await client.hgetall(stateKey(key))
+    if (!state && !applicationStatus) {
+      return null
+    }
+
+    return {
+      ...(state && JSON.parse(state)),
+      ...(applicationStatus && { applicationStatus }),
+      ...(statusHistory && { [STATUS_HISTORY_STATE_KEY]: JSON.parse(statusHistory) })
+    }
+  }
+
+  return {
+    name: 'redis',
+    getState: async (key) => {
+      const state = await readState(key)
+      return state ? migrateSavedStateForKey(key, state) : null
+    },
+    setState: async (key, state) => {
+      await client
+        .multi()
+        .del(stateKey(key))
+        .hset(stateKey(key), 'state', JSON.stringify(state))
+        .pexpire(stateKey(key), ttl)
+        .exec()
+    },
+    clearState: async (key) => {
+      await client.del(stateKey(key))
+    },
+    updateApplicationStatus: async (key, applicationStatus, statusHistory) => {
+      await client
+        .multi()
+        .hset(stateKey(key), {
+          applicationStatus,
+          ...(statusHistory && { statusHistory: JSON.stringify(statusHistory) })
+        })
+        .pexpire(stateKey(key), ttl)
+        .exec()
+    },
+    saveSubmission: async (submission) => {
+      await client.rpush(
+        submissionsKey(submission),
+        JSON.stringify({ ...submission, grantVersion: submission.grantVersion ?? DEFAULT_FORM_VERSION })
+      )
+    },
+    getApplicationInstances: async (parts) => {
+      const instances = await client.lrange(applicationInstancesKey(parts), 0, -1)
+      return instances.map((instance) => JSON.parse(instance))
+    },
+    addApplicationInstance: async (parts, instance) => {
+      await client
+        .multi()
+        .rpush(applicationInstancesKey(parts), JSON.stringify(instance))
+        .pexpire(applicationInstancesKey(parts), ttl)
+        .exec()
+    }
+  }
+}
+
+/**
+ * @import { Cluster, Redis } from 'ioredis'
+ * @import { ApplicationInstance } from '~/src/server/common/services/application-instances/application-instances.service.js'
+ * @import { StateAdapter } from '../state-adapter.js'
+ */
@@ -0,0 +1,138 @@
+import { vi } from 'vitest'
+import { config } from '~/src/config/config.js'
+import { migrateSavedStateForKey } from '../../../helpers/state/migrate-saved-state-helper.js'
+import { createRedisStateAdapter } from './redis-state-adapter.js'
+
+vi.mock('../../../helpers/state/migrate-saved-state-helper.js', () => ({
+  migrateSavedStateForKey: vi.fn((_key, state) => state)
+}))
+
+describe('createRedisStateAdapter', () => {
+  const key = '106284736:example-grant'
+  const ttl = 60000
+  let client
+  let adapter
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    const store = new Map()
+    const hset = (k, ...args) => {
+      const fields = typeof args[0] === 'object' ? args[0] : { [args[0]]: args[1] }
+      store.set(k, { ...store.get(k), ...fields })
+    }
+    client = {
+      hgetall: vi.fn(async (k) => ({ ...store.get(k) })),
+      hset: vi.fn(async (...args) => hset(...args)),
+      del: vi.fn(async (k) => store.delete(k)),
+      pexpire: vi.fn(),
+      multi: vi.fn(() => {
+        const commands = []
+        const transaction = Object.fromEntries(
+          ['del', 'hset', 'rpush', 'pexpire'].map((name) => [
+            name,
+            (...args) => commands.push(() => client[name](...args)) && transaction
+          ])
+        )
+        transaction.exec = vi.fn(async () => Promise.all(commands.map(async (command) => [null, await command()])))
+        return transaction
+      }),
+      rpush: vi.fn(),
+      lrange: vi.fn()
+    }
+    adapter = createRedisStateAdapter(client, ttl)
+  })
+
+  test('returns null when nothing has been saved', async () => {
+    await expect(adapter.getState(key)).resolves.toBeNull()
+    expect(client.hgetall).toHaveBeenCalledWith(`state:${key}`)
+  })
+
+  test('saves state as JSON and migrates it when loaded', async () => {
+    await adapter.setState(key, { answer: 'yes' })
+
+    expect(client.multi).toHaveBeenCalled()
+    await expect(adapter.getState(key)).resolves.toEqual({ answer: 'yes' })
+    expect(migrateSavedStateForKey).toHaveBeenCalledWith(key, { answer: 'yes' })
+  })
+
+  test('expires saved state once it has not been written for the TTL', async () => {
+    await adapter.setState(key, { answer: 'yes' })
+    expect(client.pexpire).toHaveBeenCalledWith(`state:${key}`, ttl)
+
+    client.pexpire.mockClear()
+    await adapter.updateApplicationStatus(key, 'SUBMITTED')
+    expect(client.pexpire).toHaveBeenCalledWith(`state:${key}`, ttl)
+  })
+
+  test('expires saved state after the configured TTL by default', async () => {
+    await createRedisStateAdapter(client).setState(key, { answer: 'yes' })
+
+    expect(client.pexpire).toHaveBeenCalledWith(`state:${key}`, config.get('session.state.redisTtl'))
+  })
+
+  test('clears saved state', async () => {
+    await adapter.setState(key, { answer: 'yes' })
+    await adapter.clearState(key)
+
+    expect(client.del).toHaveBeenCalledWith(`state:${key}`)
+    await expect(adapter.getState(key)).resolves.toBeNull()
+  })
+
+  test('updates the application status in saved state', async () => {
+    await adapter.setState(key, { answer: 'yes' })
+    await adapter.updateApplicationStatus(key, 'REOPENED')
+
+    await expect(adapter.getState(key)).resolves.toEqual({ answer: 'yes', applicationStatus: 'REOPENED' })
+  })
+
+  test('updates the application status without reading or rewriting the saved answers', async () => {
+    await adapter.updateApplicationStatus(key, 'REOPENED')
+
+    expect(client.hgetall).not.toHaveBeenCalled()
+    expect(client.hset).toHaveBeenCalledWith(`state:${key}`, { applicationStatus: 'REOPENED' })
+  })
+
+  test('replaces the application status when state is replaced', async () => {
+    await adapter.setState(key, { answer: 'yes' })
+    await adapter.updateApplicationStatus(key, 'SUBMITTED', [{ from: null, to: 'SUBMITTED' }])
+    await adapter.setState(key, { answer: 'yes', applicationStatus: 'CLEARED' })
+
+    await expect(adapter.getState(key)).resolves.toEqual({ answer: 'yes', applicationStatus: 'CLEARED' })
+  })
+
+  test('updates the status history along with the application status', async () => {
+    const statusHistory = [{ from: 'SUBMITTED', to: 'REOPENED' }]
+    await adapter.setState(key, { answer: 'yes' })
+    await adapter.updateApplicationStatus(key, 'REOPENED', statusHistory)
+
+    await expect(adapter.getState(key)).resolves.toEqual({
+      answer: 'yes',
+      applicationStatus: 'REOPENED',
+      $$__statusHistory: statusHistory
+    })
+  })
+
+  test('appends submissions to a list per business and grant', async () => {
+    await adapter.saveSubmission({ sbi: '106284736', grantCode: 'example-grant', referenceNumber: 'REF1' })
+
+    expect(client.rpush).toHaveBeenCalledWith(
+      'submissions:106284736:example-grant',
+      JSON.stringify({ sbi: '106284736', grantCode: 'example-grant', referenceNumber: 'REF1', grantVersion: 1 })
+    )
+  })
+
+  test('appends application instances to a list per business and grant, apart from state', async () => {
+    const instance = { instanceId: 'instance-1', createdAt: '2026-03-01T10:00:00.000Z' }
+    client.lrange.mockResolvedValue([JSON.stringify(instance)])
+
+    await adapter.addApplicationInstance({ sbi: '106284736', grantCode: 'example-grant' }, instance)
+
+    expect(client.rpush).toHaveBeenCalledWith('application-instances:106284736:example-grant', JSON.stringify(instance))
+    await expect(adapter.getApplicationInstances({ sbi: '106284736', grantCode: 'example-grant' })).resolves.toEqual([
+      instance
+    ])
+    expect(client.pexpire).toHaveBeenCalledWith('application-instances:106284736:example-grant', ttl)
+    expect(client.lrange).toHaveBeenCalledWith('application-instances:106284736:example-grant', 0, -1)
+    expect(client.hset).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,64 @@
+import { config } from '~/src/config/config.js'
+import { logger } from '~/src/server/common/helpers/logging/log.js'
+import { createBackendStateAdapter } from './adapters/backend-state-adapter.js'
+import { createMemoryStateAdapter } from './adapters/memory-state-adapter.js'
+import { createRedisStateAdapter } from './adapters/redis-state-adapter.js'
+
+/**
+ * @typedef {'backend' | 'redis' | 'memory'} StateAdapterName
+ */
+
+/**
+ * Storage used for saved application state and submissions. Keys are `sbi:grantCode` session keys.
+ * @typedef {object} StateAdapter
+ * @property {StateAdapterName} name
+ * @property {(key: string) => Promise<object | null>} getState - Loads saved state, or null if there is none
+ * @property {(key: string, state: object) => Promise<void>} setState - Replaces saved state
+ * @property {(key: string) => Promise<void>} clearState - Deletes saved state
+ * @property {(key: string, applicationStatus: string, statusHistory?: object[]) => Promise<void>} updateApplicationStatus - Sets
+ *   `applicationStatus`, and the status history when given, in saved state
+ * @property {(submission: object) => Promise<void>} saveSubmission - Records a submitted application
+ * @property {(parts: { sbi: string, grantCode: string }) => Promise<ApplicationInstance[]>} getApplicationInstances - Lists
+ *   the additional application instances started for a business and grant, oldest first
+ * @property {(parts: { sbi: string, grantCode: string }, instance: ApplicationInstance) => Promise<void>} addApplicationInstance -
+ *   Adds an instance to the list, which is kept apart from saved state
+ */
+
+/** @type {StateAdapter | undefined} */
+let stateAdapter
+
+/**
+ * @param {StateAdapterName} [name]
+ * @returns {StateAdapter}
+ */
+export function createStateAdapter(name) {
+  if (name === 'redis') {
+    logger.info('Using Redis state persistence')
+    return createRedisStateAdapter()
+  }
+
+  if (name === 'memory') {
+    if (config.get('cdpEnvironment')?.toLowerCase() === 'prod') {
+      logger.error('In memory state persistence is for local development only, it should not be used in production!')
+    }
+
+    logger.info('Using in memory state persistence')
+    return createMemoryStateAdapter()
+  }
+
+  logger.info('Using Grants UI Backend state persistence')
+  return createBackendStateAdapter()
+}
+
+/**
+ * Returns the state adapter chosen by the `session.state.adapter` config, creating it on first use
+ * @returns {StateAdapter}
+ */
+export function getStateAdapter() {
+  stateAdapter ??= createStateAdapter(/** @type {StateAdapterName} */ (config.get('session.state.adapter')))
+  return stateAdapter
+}
+
+/**
+ * @import { ApplicationInstance } from '~/src/server/common/services/application-instances/application-instances.service.js'
+ */
@@ -0,0 +1,83 @@
+import { vi } from 'vitest'
+import { config } from '~/src/config/config.js'
+import { createStateAdapter, getStateAdapter } from './state-adapter.js'
+
+const mockLoggerInfo = vi.fn()
+const mockLoggerError = vi.fn()
+
+vi.mock('ioredis', async () => ({
+  ...(await vi.importActual('ioredis')),
+  Cluster: vi.fn().mockReturnValue({ on: () => ({}) }),
+  Redis: vi.fn().mockReturnValue({ on: () => ({}) })
+}))
+vi.mock('~/src/server/common/helpers/logging/log.js', async () => {
+  const { mockLoggerFactoryWithCustomMethods } = await import('~/src/__mocks__')
+  return {
+    logger: mockLoggerFactoryWithCustomMethods({
+      info: (...args) => mockLoggerInfo(...args),
+      error: (...args) => mockLoggerError(...args)
+    })
+  }
+})
+
+describe('#createStateAdapter', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  test.each([
+    ['redis', 'Using Redis state persistence'],
+    ['memory', 'Using in memory state persistence'],
+    ['backend', 'Using Grants UI Backend state persistence'],
+    [undefined, 'Using Grants UI Backend state persistence']
+  ])('creates the %s adapter', (name, message) => {
+    const adapter = createStateAdapter(name)
+
+    expect(adapter.name).toBe(name ?? 'backend')
+    expect(mockLoggerInfo).toHaveBeenCalledWith(message)
+  })
+
+  /**
+   * Runs as CDP does, where every environment sets NODE_ENV=production
+   * @param {string} cdpEnvironment
+   */
+  const mockEnvironment = (cdpEnvironment) => {
+    const configGet = config.get.bind(config)
+    return vi.spyOn(config, 'get').mockImplementation((key) => {
+      if (key === 'cdpEnvironment') {
+        return cdpEnvironment
+      }
+      return key === 'isProduction' || configGet(key)
+    })
+  }
+
+  test('warns when the in memory adapter is used in production', () => {
+    const spy = mockEnvironment('prod')
+
+    createStateAdapter('memory')
+
+    expect(mockLoggerError).toHaveBeenCalledWith(
+      'In memory state persistence is for local development only, it should not be used in production!'
+    )
+    spy.mockRestore()
+  })
+
+  test.each(['dev', 'test', 'perf-test'])(
+    'does not warn when the in memory adapter is used in %s',
+    (cdpEnvironment) => {
+      const spy = mockEnvironment(cdpEnvironment)
+
+      createStateAdapter('memory')
+
+      expect(mockLoggerError).not.toHaveBeenCalled()
+      spy.mockRestore()
+    }
+  )
+
+  test('getStateAdapter returns the configured adapter and reuses it', () => {
+    const adapter = getStateAdapter()
+
+    expect(adapter.name).toBe(config.get('session.state.adapter'))
+    expect(getStateAdapter()).toBe(adapter)
+  })
+})
@@ -1,44 +1,58 @@
 import { getCacheKey } from '~/src/server/common/helpers/state/get-cache-key-helper.js'
-import { clearSavedStateFromApi, fetchSavedStateFromApi } from '../../helpers/state/fetch-saved-state-helper.js'
-import { persistStateToApi } from '../../helpers/state/persist-state-helper.js'
+import { buildSessionKey } from '~/src/server/common/helpers/state/application-instance-helper.js'
 import { ADDITIONAL_IDENTIFIER, CacheService } from '@defra/forms-engine-plugin/cache-service.js'
+import { ApplicationStatus } from '~/src/server/common/constants/application-status.js'
+import {
+  DEFAULT_FORM_VERSION,
+  FORM_VERSION_STATE_KEY,
+  getStateFormVersion
+} from '~/src/server/common/forms/services/form-versions.js'
+import {
+  APPLIED_MIGRATIONS_STATE_KEY,
+  getMigrationIdsUpToVersion
+} from '~/src/server/common/forms/services/state-migrations.js'
+import { getStateAdapter } from './state-adapter.js'
 
 /**
- * Service responsible for persisting form/session state to the backend API.
+ * Service responsible for persisting form/session state through a state adapter, by default the backend API.
  * Can be used in place of a traditional Hapi cache in Forms Engine Plugin.
  */
 export class StatePersistenceService extends CacheService {
   /**
-   * @param {{server: Server}} options.server - Hapi server (used for logging)
+   * @param {object} options
+   * @param {Server} options.server - Hapi server (used for logging)
+   * @param {StateAdapter} [options.adapter] - Storage for state, defaults to the configured adapter
    */
-  constructor({ server }) {
+  constructor({ server, adapter = getStateAdapter() }) {
     super({ server })
     this.logger = server.logger
+    this.adapter = adapter
   }
 
   UNKNOWN_SESSION = 'unknown session'
 
   /**
-   * Get form state from backend persistence.
+   * Get form state from the state adapter.
    * @param {AnyRequest} request
    * @returns {Promise<object>} resolved state or empty object
    */
   async getState(request) {
     const key = this._Key(request)
-    const state = await fetchSavedStateFromApi(key)
+    const state = await this.adapter.getState(key)
     return state ?? {}
   }
 
   /**
-   * Persist form state to backend.
+   * Persist form state through the state adapter.
    * @param {AnyFormRequest} request
    * @param {object} state
    * @returns {Promise<object>} the persisted state
    */
   async setState(request, state) {
     const key = this._Key(request)
-    await persistStateToApi(state, key)
-    return state
+    const stampedState = this._StampAppliedMigrations(request, this._StampFormVersion(request, state))
+    await this.adapter.setState(key, stampedState)
+    return stampedState
   }
 
   /**
@@ -71,7 +85,7 @@ export class StatePersistenceService extends CacheService {
   }
 
   /**
-   * Clear state in backend (no-op if you don’t want to clear on submission).
+   * Clear state in the state adapter (no-op if you don’t want to clear on submission).
    * @param {AnyFormRequest} request
    */
   async clearState(request, force = false) {
@@ -80,18 +94,53 @@ export class StatePersistenceService extends CacheService {
     this.logger?.info(`clearState called for ${key || this.UNKNOWN_SESSION}, but no action taken.`)
 
     if (force) {
-      await clearSavedStateFromApi(key)
+      await this.adapter.clearState(key)
     }
   }
 
   /**
-   * Generate a unique key for this request.
+   * Records the form definition version an application was started on, so later requests
+   * can be served the same version. Cleared applications are not stamped because the
+   * applicant starts again on the latest version.
+   * @param {AnyRequest} request
+   * @param {object} state
+   * @returns {object} state including the form version
+   */
+  _StampFormVersion(request, state) {
+    if (state?.[FORM_VERSION_STATE_KEY] !== undefined || state?.applicationStatus === ApplicationStatus.CLEARED) {
+      return state
+    }
+
+    const version = /** @type {any} */ (request.app)?.model?.def?.metadata?.version ?? DEFAULT_FORM_VERSION
+    return { ...state, [FORM_VERSION_STATE_KEY]: version }
+  }
+
+  /**
+   * Records the state migrations that already hold for a new application, so they are
+   * not applied when its state is next loaded.
+   * @param {AnyRequest} request
+   * @param {object} state
+   * @returns {object} state including the applied migrations
+   */
+  _StampAppliedMigrations(request, state) {
+    if (state?.[APPLIED_MIGRATIONS_STATE_KEY] !== undefined || state?.applicationStatus === ApplicationStatus.CLEARED) {
+      return state
+    }
+
+    const { grantCode } = getCacheKey(request)
+    return {
+      ...state,
+      [APPLIED_MIGRATIONS_STATE_KEY]: getMigrationIdsUpToVersion(grantCode, getStateFormVersion(state))
+    }
+  }
+
+  /**
+   * Generate a unique key for this request, including the application instance the user is working on.
    * @param {AnyRequest} request
    * @returns string
    */
   _Key(request) {
-    const { sbi, grantCode } = getCacheKey(request)
-    return `${sbi}:${grantCode}`
+    return buildSessionKey(getCacheKey(request))
   }
 
   /**
@@ -108,4 +157,5 @@ export class StatePersistenceService extends CacheService {
 /**
  * @import { AnyRequest, AnyFormRequest } from '@defra/forms-engine-plugin/engine/types.js'
  * @import { Request, Server } from '@hapi/hapi'
+ * @import { StateAdapter } from './state-adapter.js'
  */
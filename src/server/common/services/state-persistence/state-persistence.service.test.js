@@ -3,6 +3,7 @@ import { StatePersistenceService } from './state-persistence.service.js'
 import * as fetchModule from '../../helpers/state/fetch-saved-state-helper.js'
 import * as persistModule from '../../helpers/state/persist-state-helper.js'
 import { getCacheKey } from '~/src/server/common/helpers/state/get-cache-key-helper.js'
+import { getMigrationIdsUpToVersion } from '~/src/server/common/forms/services/state-migrations.js'
 
 vi.mock('../../helpers/state/fetch-saved-state-helper.js', () => ({
   fetchSavedStateFromApi: vi.fn()
@@ -13,6 +14,10 @@ vi.mock('../../helpers/state/persist-state-helper.js', () => ({
 vi.mock('~/src/server/common/helpers/state/get-cache-key-helper.js', () => ({
   getCacheKey: vi.fn()
 }))
+vi.mock('~/src/server/common/forms/services/state-migrations.js', () => ({
+  APPLIED_MIGRATIONS_STATE_KEY: '$$__migrations',
+  getMigrationIdsUpToVersion: vi.fn(() => [])
+}))
 
 describe('StatePersistenceService', () => {
   let service
@@ -35,6 +40,12 @@ describe('StatePersistenceService', () => {
     expect(key).toBe('biz-1:grant-a')
   })
 
+  test('Key includes the application instance being worked on', () => {
+    getCacheKey.mockReturnValue({ sbi: 'biz-1', grantCode: 'grant-a', instanceId: 'instance-1' })
+    const key = service._Key(fakeRequest)
+    expect(key).toBe('biz-1:grant-a:instance-1')
+  })
+
   test('ConfirmationKey appends the confirmation identifier', () => {
     getCacheKey.mockReturnValue({ sbi: 'biz-1', grantCode: 'grant-a' })
     const key = service._ConfirmationKey(fakeRequest)
@@ -50,9 +61,52 @@ describe('StatePersistenceService', () => {
     expect(fetchModule.fetchSavedStateFromApi).toHaveBeenCalledWith('biz-1:grant-a')
   })
 
-  test('setState calls persistStateToApi and returns state', async () => {
+  test('setState calls persistStateToApi and returns state stamped with the default form version', async () => {
     getCacheKey.mockReturnValue({ sbi: 'biz-1', grantCode: 'grant-a' })
     const state = { foo: 'bar' }
+    const result = await service.setState(fakeRequest, state)
+    expect(persistModule.persistStateToApi).toHaveBeenCalledWith(
+      { foo: 'bar', $$__grantVersion: 1, $$__migrations: [] },
+      'biz-1:grant-a'
+    )
+    expect(result).toEqual({ foo: 'bar', $$__grantVersion: 1, $$__migrations: [] })
+  })
+
+  test('setState stamps the version of the form being served', async () => {
+    getCacheKey.mockReturnValue({ sbi: 'biz-1', grantCode: 'grant-a' })
+    const request = { ...fakeRequest, app: { model: { def: { metadata: { version: 3 } } } } }
+    await service.setState(request, { foo: 'bar' })
+    expect(persistModule.persistStateToApi).toHaveBeenCalledWith(
+      { foo: 'bar', $$__grantVersion: 3, $$__migrations: [] },
+      'biz-1:grant-a'
+    )
+  })
+
+  test('setState keeps an existing form version', async () => {
+    getCacheKey.mockReturnValue({ sbi: 'biz-1', grantCode: 'grant-a' })
+    const request = { ...fakeRequest, app: { model: { def: { metadata: { version: 3 } } } } }
+    const state = { foo: 'bar', $$__grantVersion: 2, $$__migrations: [] }
+    await service.setState(request, state)
+    expect(persistModule.persistStateToApi).toHaveBeenCalledWith(state, 'biz-1:grant-a')
+  })
+
+  test('setState records the migrations that already hold for a new application', async () => {
+    getCacheKey.mockReturnValue({ sbi: 'biz-1', grantCode: 'grant-a' })
+    getMigrationIdsUpToVersion.mockReturnValueOnce(['001-rename'])
+    const request = { ...fakeRequest, app: { model: { def: { metadata: { version: 2 } } } } }
+
+    await service.setState(request, { foo: 'bar' })
+
+    expect(getMigrationIdsUpToVersion).toHaveBeenCalledWith('grant-a', 2)
+    expect(persistModule.persistStateToApi).toHaveBeenCalledWith(
+      { foo: 'bar', $$__grantVersion: 2, $$__migrations: ['001-rename'] },
+      'biz-1:grant-a'
+    )
+  })
+
+  test('setState does not stamp a cleared application', async () => {
+    getCacheKey.mockReturnValue({ sbi: 'biz-1', grantCode: 'grant-a' })
+    const state = { applicationStatus: 'CLEARED' }
     await service.setState(fakeRequest, state)
     expect(persistModule.persistStateToApi).toHaveBeenCalledWith(state, 'biz-1:grant-a')
   })
@@ -71,6 +125,21 @@ describe('StatePersistenceService', () => {
     expect(fakeLogger).toHaveBeenCalledWith(expect.stringContaining('setConfirmationState called for biz-1:grant-a'))
   })
 
+  test('uses the state adapter it is given', async () => {
+    getCacheKey.mockReturnValue({ sbi: 'biz-1', grantCode: 'grant-a' })
+    const adapter = { getState: vi.fn().mockResolvedValue(null), setState: vi.fn(), clearState: vi.fn() }
+    const adapterService = new StatePersistenceService({ server, adapter })
+
+    await expect(adapterService.getState(fakeRequest)).resolves.toEqual({})
+    await adapterService.setState(fakeRequest, { applicationStatus: 'CLEARED' })
+    await adapterService.clearState(fakeRequest, true)
+
+    expect(adapter.getState).toHaveBeenCalledWith('biz-1:grant-a')
+    expect(adapter.setState).toHaveBeenCalledWith('biz-1:grant-a', { applicationStatus: 'CLEARED' })
+    expect(adapter.clearState).toHaveBeenCalledWith('biz-1:grant-a')
+    expect(persistModule.persistStateToApi).not.toHaveBeenCalled()
+  })
+
   test('clearState logs info and does nothing', async () => {
     getCacheKey.mockReturnValue({ sbi: 'biz-1', grantCode: 'grant-a' })
     await service.clearState(fakeRequest)
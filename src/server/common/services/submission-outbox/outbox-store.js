@@ -0,0 +1,70 @@
+import { config } from '~/src/config/config.js'
+import { logger } from '~/src/server/common/helpers/logging/log.js'
+import { createMemoryOutboxStore } from './stores/memory-outbox-store.js'
+import { createRedisOutboxStore } from './stores/redis-outbox-store.js'
+
+/**
+ * @typedef {'redis' | 'memory'} OutboxStoreName
+ */
+
+/**
+ * A submission waiting to be, or already, received by GAS
+ * @typedef {object} OutboxEntry
+ * @property {string} key - Identifies one submission of an application, see `getSubmissionKey`
+ * @property {string} clientRef - Lower case reference number, which GAS uses to identify the application
+ * @property {string} grantCode - GAS grant code
+ * @property {object} payload - GAS application payload
+ * @property {string} status - See `SubmissionDeliveryStatus`
+ * @property {number} deliveries - Deliveries that did not reach GAS
+ * @property {string} createdAt - ISO 8601 timestamp the submission was made
+ * @property {string} [deliveredAt] - ISO 8601 timestamp GAS received the submission
+ * @property {string} [lastError] - Why the last delivery did not reach GAS
+ * @property {string} [reopenedAt] - ISO 8601 timestamp a failed submission was reopened for the applicant to submit again
+ */
+
+/**
+ * Storage for submissions until GAS has received them
+ * @typedef {object} OutboxStore
+ * @property {OutboxStoreName} name
+ * @property {(entry: OutboxEntry) => Promise<{ entry: OutboxEntry, created: boolean }>} add - Adds an entry unless
+ *   there is already one with the same key, returning the stored entry
+ * @property {(key: string) => Promise<OutboxEntry | null>} get
+ * @property {(entry: OutboxEntry) => Promise<void>} update - Replaces an entry. Failed entries are kept until they
+ *   are reopened; other entries no longer pending are kept for the configured retention period only.
+ * @property {(key: string) => Promise<void>} remove
+ * @property {() => Promise<OutboxEntry[]>} listPending - Entries GAS has not yet received
+ * @property {() => Promise<OutboxEntry[]>} listFailed - Failed entries not yet reopened for the applicant
+ * @property {(key: string) => Promise<boolean>} claim - Takes the lock on an entry while it is delivered,
+ *   returning false if it is already being delivered
+ * @property {(key: string) => Promise<void>} release - Releases the lock on an entry
+ */
+
+/** @type {OutboxStore | undefined} */
+let outboxStore
+
+/**
+ * @param {OutboxStoreName} [name]
+ * @returns {OutboxStore}
+ */
+export function createOutboxStore(name) {
+  if (name === 'redis') {
+    logger.info('Using Redis GAS submission outbox')
+    return createRedisOutboxStore()
+  }
+
+  if (config.get('cdpEnvironment')?.toLowerCase() === 'prod') {
+    logger.error('In memory GAS submission outbox is for local development only, it should not be used in production!')
+  }
+
+  logger.info('Using in memory GAS submission outbox')
+  return createMemoryOutboxStore()
+}
+
+/**
+ * Returns the outbox store chosen by the `gas.submissionOutbox.store` config, creating it on first use
+ * @returns {OutboxStore}
+ */
+export function getOutboxStore() {
+  outboxStore ??= createOutboxStore(/** @type {OutboxStoreName} */ (config.get('gas.submissionOutbox.store')))
+  return outboxStore
+}
@@ -0,0 +1,72 @@
+import { vi } from 'vitest'
+import { config } from '~/src/config/config.js'
+import { createOutboxStore } from './outbox-store.js'
+
+const mockLoggerInfo = vi.fn()
+const mockLoggerError = vi.fn()
+
+vi.mock('ioredis', async () => ({
+  ...(await vi.importActual('ioredis')),
+  Cluster: vi.fn().mockReturnValue({ on: () => ({}) }),
+  Redis: vi.fn().mockReturnValue({ on: () => ({}) })
+}))
+vi.mock('~/src/server/common/helpers/logging/log.js', async () => {
+  const { mockLoggerFactoryWithCustomMethods } = await import('~/src/__mocks__')
+  return {
+    logger: mockLoggerFactoryWithCustomMethods({
+      info: (...args) => mockLoggerInfo(...args),
+      error: (...args) => mockLoggerError(...args)
+    })
+  }
+})
+
+describe('#createOutboxStore', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  test.each([
+    ['redis', 'redis', 'Using Redis GAS submission outbox'],
+    ['memory', 'memory', 'Using in memory GAS submission outbox'],
+    [undefined, 'memory', 'Using in memory GAS submission outbox']
+  ])('creates the %s store', (name, expected, message) => {
+    const store = createOutboxStore(name)
+
+    expect(store.name).toBe(expected)
+    expect(mockLoggerInfo).toHaveBeenCalledWith(message)
+  })
+
+  /**
+   * Runs as CDP does, where every environment sets NODE_ENV=production
+   * @param {string} cdpEnvironment
+   */
+  const mockEnvironment = (cdpEnvironment) => {
+    const configGet = config.get.bind(config)
+    return vi.spyOn(config, 'get').mockImplementation((key) => {
+      if (key === 'cdpEnvironment') {
+        return cdpEnvironment
+      }
+      return key === 'isProduction' || configGet(key)
+    })
+  }
+
+  test('warns when the in memory store is used in production', () => {
+    const spy = mockEnvironment('prod')
+
+    createOutboxStore('memory')
+
+    expect(mockLoggerError).toHaveBeenCalledWith(
+      'In memory GAS submission outbox is for local development only, it should not be used in production!'
+    )
+    spy.mockRestore()
+  })
+
+  test.each(['dev', 'test', 'perf-test'])('does not warn when the in memory store is used in %s', (cdpEnvironment) => {
+    const spy = mockEnvironment(cdpEnvironment)
+
+    createOutboxStore('memory')
+
+    expect(mockLoggerError).not.toHaveBeenCalled()
+    spy.mockRestore()
+  })
+})
@@ -0,0 +1,53 @@
+/**
+ * Keeps the outbox in process memory. Entries are lost on restart and are not shared between instances.
+ * Entries are copied on the way in and out, as they would be serialised by a real store.
+ * @returns {OutboxStore}
+ */
+export function createMemoryOutboxStore() {
+  /** @type {Map<string, OutboxEntry>} */
+  const entries = new Map()
+  /** @type {Set<string>} */
+  const locks = new Set()
+
+  return {
+    name: 'memory',
+    add: async (entry) => {
+      const existing = entries.get(entry.key)
+      if (existing) {
+        return { entry: structuredClone(existing), created: false }
+      }
+      entries.set(entry.key, structuredClone(entry))
+      return { entry: structuredClone(entry), created: true }
+    },
+    get: async (key) => {
+      const entry = entries.get(key)
+      return entry ? structuredClone(entry) : null
+    },
+    update: async (entry) => {
+      entries.set(entry.key, structuredClone(entry))
+    },
+    remove: async (key) => {
+      entries.delete(key)
+    },
+    listPending: async () =>
+      [...entries.values()].filter((entry) => entry.status === 'PENDING').map((entry) => structuredClone(entry)),
+    listFailed: async () =>
+      [...entries.values()]
+        .filter((entry) => entry.status === 'FAILED' && !entry.reopenedAt)
+        .map((entry) => structuredClone(entry)),
+    claim: async (key) => {
+      if (locks.has(key)) {
+        return false
+      }
+      locks.add(key)
+      return true
+    },
+    release: async (key) => {
+      locks.delete(key)
+    }
+  }
+}
+
+/**
+ * @import { OutboxEntry, OutboxStore } from '../outbox-store.js'
+ */
@@ -0,0 +1,71 @@
+import { createMemoryOutboxStore } from './memory-outbox-store.js'
+
+const entry = {
+  key: 'egwa-123-abc:0',
+  clientRef: 'egwa-123-abc',
+  grantCode: 'adding-value',
+  payload: { answers: { scheme: 'SFI' } },
+  status: 'PENDING',
+  deliveries: 0,
+  createdAt: '2026-01-01T00:00:00.000Z'
+}
+
+describe('createMemoryOutboxStore', () => {
+  let store
+
+  beforeEach(() => {
+    store = createMemoryOutboxStore()
+  })
+
+  test('adds an entry once', async () => {
+    await expect(store.add(entry)).resolves.toEqual({ entry, created: true })
+    await expect(store.add({ ...entry, deliveries: 5 })).resolves.toEqual({ entry, created: false })
+    await expect(store.get(entry.key)).resolves.toEqual(entry)
+  })
+
+  test('returns null for an unknown entry', async () => {
+    await expect(store.get('unknown')).resolves.toBeNull()
+  })
+
+  test('copies entries so they cannot be changed outside the store', async () => {
+    await store.add(entry)
+    const stored = await store.get(entry.key)
+    stored.payload.answers.scheme = 'changed'
+
+    await expect(store.get(entry.key)).resolves.toEqual(entry)
+  })
+
+  test('updates and removes entries', async () => {
+    await store.add(entry)
+    await store.update({ ...entry, status: 'DELIVERED' })
+
+    await expect(store.get(entry.key)).resolves.toEqual({ ...entry, status: 'DELIVERED' })
+
+    await store.remove(entry.key)
+    await expect(store.get(entry.key)).resolves.toBeNull()
+  })
+
+  test('lists pending entries only', async () => {
+    await store.add(entry)
+    await store.add({ ...entry, key: 'egwa-456-def:0', status: 'FAILED' })
+
+    await expect(store.listPending()).resolves.toEqual([entry])
+  })
+
+  test('lists failed entries that have not been reopened', async () => {
+    const failed = { ...entry, key: 'egwa-456-def:0', status: 'FAILED' }
+    await store.add(entry)
+    await store.add(failed)
+    await store.add({ ...failed, key: 'egwa-789-ghi:0', reopenedAt: '2026-01-02T00:00:00.000Z' })
+
+    await expect(store.listFailed()).resolves.toEqual([failed])
+  })
+
+  test('claims an entry until it is released', async () => {
+    await expect(store.claim(entry.key)).resolves.toBe(true)
+    await expect(store.claim(entry.key)).resolves.toBe(false)
+
+    await store.release(entry.key)
+    await expect(store.claim(entry.key)).resolves.toBe(true)
+  })
+})
@@ -0,0 +1,81 @@
+import { config } from '~/src/config/config.js'
+import { getRedisClient } from '~/src/server/common/helpers/redis-client.js'
+
+const entryKey = (key) => `submission-outbox:entry:${key}`
+const lockKey = (key) => `submission-outbox:lock:${key}`
+const PENDING_KEY = 'submission-outbox:pending'
+const FAILED_KEY = 'submission-outbox:failed'
+
+const isUnresolvedFailure = (entry) => entry.status === 'FAILED' && !entry.reopenedAt
+
+// Long enough for a delivery with every retry to finish, so a crashed delivery does not hold the lock for ever
+const LOCK_TTL_MS = 5 * 60 * 1000
+
+/**
+ * Keeps the outbox in Redis, so submissions survive restarts and are shared between instances.
+ * Pending entry keys, and those of failed entries not yet reopened, are indexed in sets. Those failed entries never
+ * expire, so no submission GAS did not receive is forgotten; other entries expire after the retention period.
+ * @param {Cluster | Redis} [client]
+ * @param {number} [retention] - Milliseconds entries are kept once no longer pending
+ * @returns {OutboxStore}
+ */
+export function createRedisOutboxStore(
+  client = getRedisClient(),
+  retention = config.get('gas.submissionOutbox.retention')
+) {
+  const readEntry = async (key) => {
+    const raw = await client.get(entryKey(key))
+    return raw ? JSON.parse(raw) : null
+  }
+
+  const listIndexed = async (indexKey, isIndexed) => {
+    const keys = await client.smembers(indexKey)
+    const entries = await Promise.all(keys.map(readEntry))
+    return entries.filter((entry) => entry && isIndexed(entry))
+  }
+
+  return {
+    name: 'redis',
+    add: async (entry) => {
+      const created = (await client.set(entryKey(entry.key), JSON.stringify(entry), 'NX')) === 'OK'
+      if (!created) {
+        return { entry: await readEntry(entry.key), created }
+      }
+      await client.sadd(PENDING_KEY, entry.key)
+      return { entry, created }
+    },
+    get: readEntry,
+    update: async (entry) => {
+      if (entry.status === 'PENDING') {
+        await client.set(entryKey(entry.key), JSON.stringify(entry))
+        await client.sadd(PENDING_KEY, entry.key)
+        return
+      }
+      if (isUnresolvedFailure(entry)) {
+        await client.set(entryKey(entry.key), JSON.stringify(entry))
+        await client.sadd(FAILED_KEY, entry.key)
+        await client.srem(PENDING_KEY, entry.key)
+        return
+      }
+      await client.set(entryKey(entry.key), JSON.stringify(entry), 'PX', retention)
+      await client.srem(PENDING_KEY, entry.key)
+      await client.srem(FAILED_KEY, entry.key)
+    },
+    remove: async (key) => {
+      await client.del(entryKey(key))
+      await client.srem(PENDING_KEY, key)
+      await client.srem(FAILED_KEY, key)
+    },
+    listPending: () => listIndexed(PENDING_KEY, (entry) => entry.status === 'PENDING'),
+    listFailed: () => listIndexed(FAILED_KEY, isUnresolvedFailure),
+    claim: async (key) => (await client.set(lockKey(key), '1', 'PX', LOCK_TTL_MS, 'NX')) === 'OK',
+    release: async (key) => {
+      await client.del(lockKey(key))
+    }
+  }
+}
+
+/**
+ * @import { Cluster, Redis } from 'ioredis'
+ * @import { OutboxStore } from '../outbox-store.js'
+ */
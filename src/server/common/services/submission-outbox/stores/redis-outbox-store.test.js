@@ -0,0 +1,121 @@
+import { vi } from 'vitest'
+import { createRedisOutboxStore } from './redis-outbox-store.js'
+
+const entry = {
+  key: 'egwa-123-abc:0',
+  clientRef: 'egwa-123-abc',
+  grantCode: 'adding-value',
+  payload: { answers: { scheme: 'SFI' } },
+  status: 'PENDING',
+  deliveries: 0,
+  createdAt: '2026-01-01T00:00:00.000Z'
+}
+const retention = 1000
+
+describe('createRedisOutboxStore', () => {
+  let client
+  let store
+
+  beforeEach(() => {
+    const values = new Map()
+    const sets = new Map()
+    const setOf = (k) => sets.get(k) ?? sets.set(k, new Set()).get(k)
+    client = {
+      get: vi.fn(async (k) => values.get(k) ?? null),
+      set: vi.fn(async (k, v, ...options) => {
+        if (options.includes('NX') && values.has(k)) {
+          return null
+        }
+        values.set(k, v)
+        return 'OK'
+      }),
+      del: vi.fn(async (k) => values.delete(k)),
+      sadd: vi.fn(async (k, member) => setOf(k).add(member)),
+      srem: vi.fn(async (k, member) => setOf(k).delete(member)),
+      smembers: vi.fn(async (k) => [...setOf(k)])
+    }
+    store = createRedisOutboxStore(client, retention)
+  })
+
+  test('adds an entry once and indexes it as pending', async () => {
+    await expect(store.add(entry)).resolves.toEqual({ entry, created: true })
+    await expect(store.add({ ...entry, deliveries: 5 })).resolves.toEqual({ entry, created: false })
+
+    expect(client.set).toHaveBeenCalledWith(`submission-outbox:entry:${entry.key}`, JSON.stringify(entry), 'NX')
+    expect(client.sadd).toHaveBeenCalledTimes(1)
+    expect(client.sadd).toHaveBeenCalledWith('submission-outbox:pending', entry.key)
+  })
+
+  test('returns null for an unknown entry', async () => {
+    await expect(store.get('unknown')).resolves.toBeNull()
+  })
+
+  test('keeps a pending entry indexed when it is updated', async () => {
+    await store.add(entry)
+    await store.update({ ...entry, deliveries: 1 })
+
+    await expect(store.get(entry.key)).resolves.toEqual({ ...entry, deliveries: 1 })
+    await expect(store.listPending()).resolves.toEqual([{ ...entry, deliveries: 1 }])
+  })
+
+  test('expires an entry that is no longer pending', async () => {
+    const delivered = { ...entry, status: 'DELIVERED' }
+    await store.add(entry)
+    await store.update(delivered)
+
+    expect(client.set).toHaveBeenLastCalledWith(
+      `submission-outbox:entry:${entry.key}`,
+      JSON.stringify(delivered),
+      'PX',
+      retention
+    )
+    expect(client.srem).toHaveBeenCalledWith('submission-outbox:pending', entry.key)
+    await expect(store.listPending()).resolves.toEqual([])
+  })
+
+  test('keeps a failed entry without expiry and lists it until it is reopened', async () => {
+    const failed = { ...entry, status: 'FAILED' }
+    const reopened = { ...failed, reopenedAt: '2026-01-02T00:00:00.000Z' }
+    await store.add(entry)
+    await store.update(failed)
+
+    expect(client.set).toHaveBeenLastCalledWith(`submission-outbox:entry:${entry.key}`, JSON.stringify(failed))
+    await expect(store.listPending()).resolves.toEqual([])
+    await expect(store.listFailed()).resolves.toEqual([failed])
+
+    await store.update(reopened)
+
+    expect(client.set).toHaveBeenLastCalledWith(
+      `submission-outbox:entry:${entry.key}`,
+      JSON.stringify(reopened),
+      'PX',
+      retention
+    )
+    await expect(store.listFailed()).resolves.toEqual([])
+  })
+
+  test('removes an entry', async () => {
+    await store.add(entry)
+    await store.remove(entry.key)
+
+    await expect(store.get(entry.key)).resolves.toBeNull()
+    await expect(store.listPending()).resolves.toEqual([])
+  })
+
+  test('ignores indexed entries that have expired', async () => {
+    await store.add(entry)
+    await client.del(`submission-outbox:entry:${entry.key}`)
+
+    await expect(store.listPending()).resolves.toEqual([])
+  })
+
+  test('claims an entry with an expiring lock until it is released', async () => {
+    await expect(store.claim(entry.key)).resolves.toBe(true)
+    await expect(store.claim(entry.key)).resolves.toBe(false)
+
+    expect(client.set).toHaveBeenCalledWith(`submission-outbox:lock:${entry.key}`, '1', 'PX', 300000, 'NX')
+
+    await store.release(entry.key)
+    await expect(store.claim(entry.key)).resolves.toBe(true)
+  })
+})
@@ -0,0 +1,290 @@
+import { config } from '~/src/config/config.js'
+import { ApplicationStatus } from '~/src/server/common/constants/application-status.js'
+import { statusCodes } from '~/src/server/common/constants/status-codes.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { metricsCounter } from '~/src/server/common/helpers/metrics.js'
+import { retry } from '~/src/server/common/helpers/retry.js'
+import { submitGrantApplication } from '~/src/server/common/services/grant-application/grant-application.service.js'
+import { validateSubmission } from '~/src/server/common/forms/services/submission.js'
+import { STATUS_HISTORY_STATE_KEY } from '~/src/server/status/status-transitions.js'
+import { getOutboxStore } from './outbox-store.js'
+
+export const SubmissionDeliveryStatus = {
+  PENDING: 'PENDING',
+  DELIVERED: 'DELIVERED',
+  FAILED: 'FAILED'
+}
+
+/**
+ * Returns true if a request to GAS failed in a way that may not happen if it is made again,
+ * rather than because GAS rejected the application
+ * @param {Error & { status?: number }} error
+ * @returns {boolean}
+ */
+export function isTransientGasError(error) {
+  const status = error?.status
+  return (
+    !status ||
+    status === statusCodes.requestTimeout ||
+    status === statusCodes.tooManyRequests ||
+    status >= statusCodes.internalServerError
+  )
+}
+
+/**
+ * Returns how many times an application has been submitted, according to its status history
+ * @param {object} [state] - Saved form state
+ * @returns {number}
+ */
+function countSubmissions(state) {
+  /** @type {StatusHistoryEntry[]} */
+  const history = state?.[STATUS_HISTORY_STATE_KEY] ?? []
+  return history.filter((entry) => entry.to === ApplicationStatus.SUBMITTED && !entry.gasStatus).length
+}
+
+/**
+ * Builds the outbox key for one submission of an application. An application reopened for amendments is submitted
+ * again with the same client reference, so the key also counts the submissions made before it.
+ * @param {string} clientRef
+ * @param {number} previousSubmissions
+ * @returns {string}
+ */
+export function getSubmissionKey(clientRef, previousSubmissions) {
+  return `${clientRef}:${previousSubmissions}`
+}
+
+/**
+ * @param {string} clientRef
+ * @param {object} state - Saved form state after the submission
+ * @returns {string} the outbox key of the latest submission of an application
+ */
+function getLatestSubmissionKey(clientRef, state) {
+  return getSubmissionKey(clientRef, Math.max(countSubmissions(state) - 1, 0))
+}
+
+/**
+ * Sends an entry to GAS, retrying with backoff while the failure is transient.
+ * fg-gas-backend answers POST /grants/{code}/applications with 409 Conflict when it already has an application with
+ * the client reference, so a 409 means an earlier attempt reached it and the entry is treated as delivered.
+ * The GAS pact (src/contracts/grants-ui-gas.contract.test.js) does not cover that response yet; if GAS starts using
+ * 409 for anything else, submissions it never received would be marked as delivered.
+ * @param {OutboxEntry} entry
+ */
+async function sendToGas(entry) {
+  const { maxAttempts, retryDelay } = config.get('gas.submissionOutbox')
+
+  try {
+    await retry(() => submitGrantApplication(entry.grantCode, entry.payload, { maxAttempts: 1 }), {
+      maxAttempts,
+      initialDelay: retryDelay,
+      shouldRetry: isTransientGasError
+    })
+  } catch (error) {
+    if (error.status !== statusCodes.conflict) {
+      throw error
+    }
+  }
+}
+
+/**
+ * Sends a claimed entry to GAS and records the outcome.
+ * If GAS cannot be reached the entry stays pending, or is marked as failed after the configured number of deliveries.
+ * @param {OutboxEntry} entry
+ * @param {OutboxStore} store
+ * @returns {Promise<OutboxEntry>} the entry as it was left
+ * @throws {GrantApplicationServiceApiError} If GAS rejects the application
+ */
+async function sendClaimedEntry(entry, store) {
+  const logOptions = { grantType: entry.grantCode, referenceNumber: entry.clientRef }
+
+  try {
+    await sendToGas(entry)
+
+    const delivered = { ...entry, status: SubmissionDeliveryStatus.DELIVERED, deliveredAt: new Date().toISOString() }
+    await store.update(delivered)
+    if (entry.deliveries > 0) {
+      log(LogCodes.SUBMISSION.SUBMISSION_DELIVERED, { ...logOptions, deliveries: entry.deliveries })
+    }
+    return delivered
+  } catch (error) {
+    if (!isTransientGasError(error)) {
+      throw error
+    }
+
+    const deliveries = entry.deliveries + 1
+    const failed = deliveries >= config.get('gas.submissionOutbox.maxDeliveries')
+    const updated = {
+      ...entry,
+      deliveries,
+      lastError: error.message,
+      status: failed ? SubmissionDeliveryStatus.FAILED : SubmissionDeliveryStatus.PENDING
+    }
+    await store.update(updated)
+
+    log(failed ? LogCodes.SUBMISSION.SUBMISSION_DELIVERY_FAILED : LogCodes.SUBMISSION.SUBMISSION_QUEUED, {
+      ...logOptions,
+      deliveries,
+      error: error.message
+    })
+    return updated
+  }
+}
+
+/**
+ * Delivers a pending entry to GAS, unless it is already being delivered.
+ * The entry is read again once claimed, as another delivery may have finished since it was listed, and is returned
+ * unchanged if it is no longer pending.
+ * @param {OutboxEntry} entry
+ * @param {OutboxStore} [store]
+ * @returns {Promise<OutboxEntry>} the entry as it was left
+ * @throws {GrantApplicationServiceApiError} If GAS rejects the application
+ */
+export async function deliverSubmission(entry, store = getOutboxStore()) {
+  if (entry.status !== SubmissionDeliveryStatus.PENDING || !(await store.claim(entry.key))) {
+    return entry
+  }
+
+  try {
+    const stored = await store.get(entry.key)
+    if (stored?.status !== SubmissionDeliveryStatus.PENDING) {
+      return stored ?? entry
+    }
+
+    return await sendClaimedEntry(stored, store)
+  } finally {
+    await store.release(entry.key)
+  }
+}
+
+/**
+ * Validates the answers of a submission against the submission schema of its grant, logging any failure
+ * @param {string} grantCode
+ * @param {string} clientRef
+ * @param {object} answers
+ * @throws {SubmissionValidationError} If the answers do not match the schema
+ */
+function validateAnswers(grantCode, clientRef, answers) {
+  try {
+    validateSubmission(grantCode, answers)
+  } catch (error) {
+    log(LogCodes.SUBMISSION.SUBMISSION_SCHEMA_VALIDATION_FAILED, {
+      grantType: grantCode,
+      referenceNumber: clientRef,
+      errors: error.errors?.map((e) => `${e.instancePath || '/'} ${e.message}`).join('; ')
+    })
+    throw error
+  }
+}
+
+/**
+ * Submits an application to GAS through the outbox. The answers are validated against the grant's submission schema
+ * first. The submission is stored before it is sent, so one GAS cannot receive yet is delivered again later, and
+ * posting the same submission twice only sends it once.
+ * @param {string} grantCode - GAS grant code
+ * @param {GASPayload} payload - Application payload, including the client reference
+ * @param {object} state - Saved form state before the submission, used to tell a resubmission from a duplicate
+ * @param {OutboxStore} [store]
+ * @returns {Promise<OutboxEntry & { duplicate: boolean }>} the entry, marked as a duplicate if it was already submitted
+ * @throws {SubmissionValidationError} If the answers do not match the submission schema. Nothing is sent.
+ * @throws {GrantApplicationServiceApiError} If GAS rejects the application. It is not kept, so it can be submitted again.
+ */
+export async function submitViaOutbox(grantCode, payload, state, store = getOutboxStore()) {
+  const clientRef = /** @type {string} */ (payload.metadata?.clientRef)
+  validateAnswers(grantCode, clientRef, payload.answers)
+  const { entry, created } = await store.add({
+    key: getSubmissionKey(clientRef, countSubmissions(state)),
+    clientRef,
+    grantCode,
+    payload,
+    status: SubmissionDeliveryStatus.PENDING,
+    deliveries: 0,
+    createdAt: new Date().toISOString()
+  })
+
+  if (!created) {
+    return { ...entry, duplicate: true }
+  }
+
+  try {
+    return { ...(await deliverSubmission(entry, store)), duplicate: false }
+  } catch (error) {
+    await store.remove(entry.key)
+    throw error
+  }
+}
+
+/**
+ * Delivers every pending submission again. Submissions GAS rejects are marked as failed.
+ * @param {OutboxStore} [store]
+ * @returns {Promise<void>}
+ */
+export async function deliverPendingSubmissions(store = getOutboxStore()) {
+  for (const entry of await store.listPending()) {
+    try {
+      await deliverSubmission(entry, store)
+    } catch (error) {
+      await store.update({ ...entry, status: SubmissionDeliveryStatus.FAILED, lastError: error.message })
+      log(LogCodes.SUBMISSION.SUBMISSION_DELIVERY_FAILED, {
+        grantType: entry.grantCode,
+        referenceNumber: entry.clientRef,
+        deliveries: entry.deliveries + 1,
+        error: error.message
+      })
+    }
+  }
+}
+
+/**
+ * Reports submissions that were never delivered and have not been reopened for their applicant, so they are not left
+ * unnoticed until the applicant comes back to the confirmation page. Runs with each redelivery, sending the number of
+ * them as the GasSubmissionsUndelivered metric, and logging an error while there are any.
+ * @param {OutboxStore} [store]
+ * @returns {Promise<OutboxEntry[]>} the undelivered submissions
+ */
+export async function reportUndeliveredSubmissions(store = getOutboxStore()) {
+  const failed = await store.listFailed()
+
+  await metricsCounter('GasSubmissionsUndelivered', failed.length)
+  if (failed.length) {
+    log(LogCodes.SUBMISSION.SUBMISSIONS_UNDELIVERED, {
+      count: failed.length,
+      referenceNumbers: failed.map((entry) => entry.clientRef).join(',')
+    })
+  }
+
+  return failed
+}
+
+/**
+ * Records that a submission GAS never received was reopened for the applicant to submit again,
+ * so it is no longer reported as undelivered
+ * @param {string} clientRef
+ * @param {object} state - Saved form state before it was reopened
+ * @param {OutboxStore} [store]
+ * @returns {Promise<void>}
+ */
+export async function markSubmissionReopened(clientRef, state, store = getOutboxStore()) {
+  const entry = await store.get(getLatestSubmissionKey(clientRef, state))
+  if (entry?.status === SubmissionDeliveryStatus.FAILED) {
+    await store.update({ ...entry, reopenedAt: new Date().toISOString() })
+  }
+}
+
+/**
+ * Returns whether GAS has received the latest submission of an application
+ * @param {string} clientRef
+ * @param {object} state - Saved form state after the submission
+ * @param {OutboxStore} [store]
+ * @returns {Promise<string | null>} the delivery status, or null if the submission did not go through the outbox
+ */
+export async function getSubmissionDeliveryStatus(clientRef, state, store = getOutboxStore()) {
+  const entry = await store.get(getLatestSubmissionKey(clientRef, state))
+  return entry?.status ?? null
+}
+
+/**
+ * @import { SubmissionValidationError } from '~/src/server/common/forms/services/submission.js'
+ * @import { GASPayload } from '~/src/server/common/helpers/grant-application-service/state-to-gas-payload-mapper.js'
+ * @import { StatusHistoryEntry } from '~/src/server/status/status-transitions.js'
+ * @import { OutboxEntry, OutboxStore } from './outbox-store.js'
+ */
@@ -0,0 +1,362 @@
+import { vi } from 'vitest'
+import { config } from '~/src/config/config.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { metricsCounter } from '~/src/server/common/helpers/metrics.js'
+import { SubmissionValidationError, validateSubmission } from '~/src/server/common/forms/services/submission.js'
+import { submitGrantApplication } from '~/src/server/common/services/grant-application/grant-application.service.js'
+import { createMemoryOutboxStore } from './stores/memory-outbox-store.js'
+import {
+  deliverPendingSubmissions,
+  deliverSubmission,
+  getSubmissionDeliveryStatus,
+  getSubmissionKey,
+  isTransientGasError,
+  markSubmissionReopened,
+  reportUndeliveredSubmissions,
+  submitViaOutbox
+} from './submission-outbox.service.js'
+
+vi.mock('~/src/server/common/services/grant-application/grant-application.service.js', () => ({
+  submitGrantApplication: vi.fn()
+}))
+vi.mock('~/src/server/common/helpers/metrics.js', () => ({
+  metricsCounter: vi.fn()
+}))
+vi.mock('~/src/server/common/forms/services/submission.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  validateSubmission: vi.fn()
+}))
+vi.mock('~/src/server/common/helpers/logging/log.js', async () => {
+  const { mockLoggerFactory } = await import('~/src/__mocks__')
+  return {
+    logger: mockLoggerFactory(),
+    log: vi.fn(),
+    LogCodes: {
+      SUBMISSION: {
+        SUBMISSION_QUEUED: { level: 'info', messageFunc: vi.fn() },
+        SUBMISSION_DELIVERED: { level: 'info', messageFunc: vi.fn() },
+        SUBMISSION_DELIVERY_FAILED: { level: 'error', messageFunc: vi.fn() },
+        SUBMISSION_SCHEMA_VALIDATION_FAILED: { level: 'error', messageFunc: vi.fn() },
+        SUBMISSIONS_UNDELIVERED: { level: 'error', messageFunc: vi.fn() }
+      }
+    }
+  }
+})
+
+const gasError = (status) => Object.assign(new Error(`GAS error ${status ?? 'network'}`), { status })
+
+const payload = { metadata: { clientRef: 'egwa-123-abc' }, answers: { scheme: 'SFI' } }
+const submittedState = {
+  applicationStatus: 'SUBMITTED',
+  $$__statusHistory: [{ from: 'IN_PROGRESS', to: 'SUBMITTED', timestamp: '2026-01-01T00:00:00.000Z' }]
+}
+
+describe('submission-outbox.service', () => {
+  let store
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    store = createMemoryOutboxStore()
+
+    const configGet = config.get.bind(config)
+    vi.spyOn(config, 'get').mockImplementation((key) => {
+      if (key === 'gas.submissionOutbox') {
+        return { ...configGet(key), maxAttempts: 2, retryDelay: 0 }
+      }
+      return key === 'gas.submissionOutbox.maxDeliveries' ? 2 : configGet(key)
+    })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('isTransientGasError', () => {
+    test.each([
+      [undefined, true],
+      [408, true],
+      [429, true],
+      [500, true],
+      [503, true],
+      [400, false],
+      [409, false],
+      [422, false]
+    ])('treats status %s as transient: %s', (status, expected) => {
+      expect(isTransientGasError(gasError(status))).toBe(expected)
+    })
+  })
+
+  describe('getSubmissionKey', () => {
+    test('includes the number of previous submissions', () => {
+      expect(getSubmissionKey('egwa-123-abc', 2)).toBe('egwa-123-abc:2')
+    })
+  })
+
+  describe('submitViaOutbox', () => {
+    test('sends the submission to GAS and marks it delivered', async () => {
+      const submission = await submitViaOutbox('adding-value', payload, {}, store)
+
+      expect(submitGrantApplication).toHaveBeenCalledWith('adding-value', payload, { maxAttempts: 1 })
+      expect(submission).toEqual(
+        expect.objectContaining({ key: 'egwa-123-abc:0', status: 'DELIVERED', duplicate: false, deliveries: 0 })
+      )
+      await expect(store.get('egwa-123-abc:0')).resolves.toEqual(expect.objectContaining({ status: 'DELIVERED' }))
+    })
+
+    test('validates the answers and sends them as they were given', async () => {
+      await submitViaOutbox('adding-value', payload, {}, store)
+
+      expect(validateSubmission).toHaveBeenCalledWith('adding-value', payload.answers)
+      expect(submitGrantApplication).toHaveBeenCalledWith('adding-value', payload, { maxAttempts: 1 })
+      await expect(store.get('egwa-123-abc:0')).resolves.toEqual(expect.objectContaining({ payload }))
+    })
+
+    test('does not store or send answers that do not match the submission schema', async () => {
+      const error = new SubmissionValidationError('adding-value', [
+        { instancePath: '/scheme', keyword: 'type', params: {}, schemaPath: '', message: 'must be string' }
+      ])
+      vi.mocked(validateSubmission).mockImplementationOnce(() => {
+        throw error
+      })
+
+      await expect(submitViaOutbox('adding-value', payload, {}, store)).rejects.toBe(error)
+
+      expect(submitGrantApplication).not.toHaveBeenCalled()
+      await expect(store.get('egwa-123-abc:0')).resolves.toBeNull()
+      expect(log).toHaveBeenCalledWith(LogCodes.SUBMISSION.SUBMISSION_SCHEMA_VALIDATION_FAILED, {
+        grantType: 'adding-value',
+        referenceNumber: 'egwa-123-abc',
+        errors: '/scheme must be string'
+      })
+    })
+
+    test('does not send the same submission twice', async () => {
+      await submitViaOutbox('adding-value', payload, {}, store)
+      const submission = await submitViaOutbox('adding-value', payload, {}, store)
+
+      expect(submitGrantApplication).toHaveBeenCalledTimes(1)
+      expect(submission).toEqual(expect.objectContaining({ status: 'DELIVERED', duplicate: true }))
+    })
+
+    test('sends a resubmission of a reopened application', async () => {
+      const reopenedState = {
+        $$__statusHistory: [
+          ...submittedState.$$__statusHistory,
+          { from: 'SUBMITTED', to: 'AWAITING_AMENDMENTS', gasStatus: 'AWAITING_AMENDMENTS' },
+          { from: 'AWAITING_AMENDMENTS', to: 'REOPENED' }
+        ]
+      }
+      await submitViaOutbox('adding-value', payload, {}, store)
+      const submission = await submitViaOutbox('adding-value', payload, reopenedState, store)
+
+      expect(submitGrantApplication).toHaveBeenCalledTimes(2)
+      expect(submission).toEqual(expect.objectContaining({ key: 'egwa-123-abc:1', duplicate: false }))
+    })
+
+    test('retries a transient error', async () => {
+      vi.mocked(submitGrantApplication).mockRejectedValueOnce(gasError(503)).mockResolvedValueOnce({})
+
+      const submission = await submitViaOutbox('adding-value', payload, {}, store)
+
+      expect(submitGrantApplication).toHaveBeenCalledTimes(2)
+      expect(submission.status).toBe('DELIVERED')
+    })
+
+    test('treats GAS already having the application as delivered', async () => {
+      vi.mocked(submitGrantApplication).mockRejectedValueOnce(gasError(409))
+
+      const submission = await submitViaOutbox('adding-value', payload, {}, store)
+
+      expect(submission.status).toBe('DELIVERED')
+    })
+
+    test('keeps the submission pending when GAS cannot be reached', async () => {
+      vi.mocked(submitGrantApplication).mockRejectedValue(gasError(503))
+
+      const submission = await submitViaOutbox('adding-value', payload, {}, store)
+
+      expect(submitGrantApplication).toHaveBeenCalledTimes(2)
+      expect(submission).toEqual(
+        expect.objectContaining({ status: 'PENDING', deliveries: 1, lastError: 'GAS error 503', duplicate: false })
+      )
+      expect(log).toHaveBeenCalledWith(
+        LogCodes.SUBMISSION.SUBMISSION_QUEUED,
+        expect.objectContaining({ grantType: 'adding-value', referenceNumber: 'egwa-123-abc', deliveries: 1 })
+      )
+    })
+
+    test('removes the submission and rethrows when GAS rejects it', async () => {
+      vi.mocked(submitGrantApplication).mockRejectedValue(gasError(422))
+
+      await expect(submitViaOutbox('adding-value', payload, {}, store)).rejects.toThrow('GAS error 422')
+
+      expect(submitGrantApplication).toHaveBeenCalledTimes(1)
+      await expect(store.get('egwa-123-abc:0')).resolves.toBeNull()
+    })
+  })
+
+  describe('deliverSubmission', () => {
+    test('does not deliver an entry that is already being delivered', async () => {
+      const { entry } = await store.add({ ...payloadEntry(), status: 'PENDING' })
+      await store.claim(entry.key)
+
+      await expect(deliverSubmission(entry, store)).resolves.toEqual(entry)
+      expect(submitGrantApplication).not.toHaveBeenCalled()
+    })
+
+    test('does not deliver an entry that is no longer pending', async () => {
+      const entry = { ...payloadEntry(), status: 'DELIVERED' }
+
+      await expect(deliverSubmission(entry, store)).resolves.toEqual(entry)
+      expect(submitGrantApplication).not.toHaveBeenCalled()
+    })
+
+    test('does not deliver an entry that was removed after it was listed', async () => {
+      await store.add(payloadEntry())
+      const [listed] = await store.listPending()
+      await store.remove(listed.key)
+
+      await expect(deliverSubmission(listed, store)).resolves.toEqual(listed)
+      expect(submitGrantApplication).not.toHaveBeenCalled()
+      await expect(store.get(listed.key)).resolves.toBeNull()
+    })
+
+    test('marks the entry failed after the maximum number of deliveries', async () => {
+      vi.mocked(submitGrantApplication).mockRejectedValue(gasError(500))
+      const { entry } = await store.add({ ...payloadEntry(), deliveries: 1 })
+
+      const result = await deliverSubmission(entry, store)
+
+      expect(result).toEqual(expect.objectContaining({ status: 'FAILED', deliveries: 2 }))
+      expect(log).toHaveBeenCalledWith(
+        LogCodes.SUBMISSION.SUBMISSION_DELIVERY_FAILED,
+        expect.objectContaining({ deliveries: 2, error: 'GAS error 500' })
+      )
+    })
+
+    test('releases the entry after delivery', async () => {
+      const { entry } = await store.add(payloadEntry())
+
+      await deliverSubmission(entry, store)
+
+      await expect(store.claim(entry.key)).resolves.toBe(true)
+    })
+  })
+
+  describe('deliverPendingSubmissions', () => {
+    test('delivers pending submissions and logs the delivery', async () => {
+      await store.add({ ...payloadEntry(), deliveries: 1 })
+
+      await deliverPendingSubmissions(store)
+
+      await expect(store.listPending()).resolves.toEqual([])
+      expect(log).toHaveBeenCalledWith(
+        LogCodes.SUBMISSION.SUBMISSION_DELIVERED,
+        expect.objectContaining({ referenceNumber: 'egwa-123-abc', deliveries: 1 })
+      )
+    })
+
+    test('leaves a submission delivered by a request after it was listed', async () => {
+      vi.mocked(submitGrantApplication).mockRejectedValue(gasError(503))
+      const { entry } = await store.add(payloadEntry())
+      const delivered = { ...entry, status: 'DELIVERED', deliveredAt: '2026-01-01T00:00:00.000Z' }
+      const claim = store.claim
+      store.claim = async (key) => {
+        // The request that made the submission finishes delivering it between listPending and claim
+        await store.update(delivered)
+        return claim(key)
+      }
+
+      await deliverPendingSubmissions(store)
+
+      expect(submitGrantApplication).not.toHaveBeenCalled()
+      await expect(store.get(entry.key)).resolves.toEqual(delivered)
+      await expect(claim(entry.key)).resolves.toBe(true)
+    })
+
+    test('marks a submission GAS rejects as failed', async () => {
+      vi.mocked(submitGrantApplication).mockRejectedValue(gasError(400))
+      await store.add(payloadEntry())
+
+      await deliverPendingSubmissions(store)
+
+      await expect(store.get('egwa-123-abc:0')).resolves.toEqual(
+        expect.objectContaining({ status: 'FAILED', lastError: 'GAS error 400' })
+      )
+      expect(log).toHaveBeenCalledWith(
+        LogCodes.SUBMISSION.SUBMISSION_DELIVERY_FAILED,
+        expect.objectContaining({ deliveries: 1, error: 'GAS error 400' })
+      )
+    })
+  })
+
+  describe('reportUndeliveredSubmissions', () => {
+    test('sends the number of failed submissions as a metric and logs their references', async () => {
+      await store.add({ ...payloadEntry(), status: 'FAILED' })
+      await store.add({ ...payloadEntry(), key: 'egwa-456-def:0', clientRef: 'egwa-456-def', status: 'FAILED' })
+
+      await expect(reportUndeliveredSubmissions(store)).resolves.toHaveLength(2)
+
+      expect(metricsCounter).toHaveBeenCalledWith('GasSubmissionsUndelivered', 2)
+      expect(log).toHaveBeenCalledWith(LogCodes.SUBMISSION.SUBMISSIONS_UNDELIVERED, {
+        count: 2,
+        referenceNumbers: 'egwa-123-abc,egwa-456-def'
+      })
+    })
+
+    test('sends a zero metric and logs nothing when every submission was delivered', async () => {
+      await store.add({ ...payloadEntry(), status: 'DELIVERED' })
+
+      await expect(reportUndeliveredSubmissions(store)).resolves.toEqual([])
+
+      expect(metricsCounter).toHaveBeenCalledWith('GasSubmissionsUndelivered', 0)
+      expect(log).not.toHaveBeenCalled()
+    })
+
+    test('no longer reports a submission once it is reopened for the applicant', async () => {
+      await store.add({ ...payloadEntry(), status: 'FAILED' })
+
+      await markSubmissionReopened('egwa-123-abc', submittedState, store)
+
+      await expect(reportUndeliveredSubmissions(store)).resolves.toEqual([])
+      await expect(store.get('egwa-123-abc:0')).resolves.toEqual(
+        expect.objectContaining({ status: 'FAILED', reopenedAt: expect.any(String) })
+      )
+    })
+  })
+
+  describe('markSubmissionReopened', () => {
+    test('leaves a submission that did not fail as it is', async () => {
+      await store.add({ ...payloadEntry(), status: 'DELIVERED' })
+
+      await markSubmissionReopened('egwa-123-abc', submittedState, store)
+
+      await expect(store.get('egwa-123-abc:0')).resolves.toEqual({ ...payloadEntry(), status: 'DELIVERED' })
+    })
+  })
+
+  describe('getSubmissionDeliveryStatus', () => {
+    test('returns the status of the latest submission', async () => {
+      vi.mocked(submitGrantApplication).mockRejectedValue(gasError(503))
+      await submitViaOutbox('adding-value', payload, {}, store)
+
+      await expect(getSubmissionDeliveryStatus('egwa-123-abc', submittedState, store)).resolves.toBe('PENDING')
+    })
+
+    test('returns null when the submission did not go through the outbox', async () => {
+      await expect(getSubmissionDeliveryStatus('egwa-123-abc', submittedState, store)).resolves.toBeNull()
+    })
+  })
+})
+
+function payloadEntry() {
+  return {
+    key: 'egwa-123-abc:0',
+    clientRef: 'egwa-123-abc',
+    grantCode: 'adding-value',
+    payload,
+    status: 'PENDING',
+    deliveries: 0,
+    createdAt: '2026-01-01T00:00:00.000Z'
+  }
+}
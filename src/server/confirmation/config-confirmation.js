@@ -2,6 +2,16 @@ import { ConfirmationService } from './services/confirmation.service.js'
 import { getFormsCacheService } from '~/src/server/common/helpers/forms-cache/forms-cache.js'
 import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
 import { ApplicationStatus } from '~/src/server/common/constants/application-status.js'
+import {
+  getSubmissionDeliveryStatus,
+  markSubmissionReopened,
+  SubmissionDeliveryStatus
+} from '~/src/server/common/services/submission-outbox/submission-outbox.service.js'
+import {
+  appendStatusHistory,
+  isUndeliveredSubmission,
+  STATUS_HISTORY_STATE_KEY
+} from '~/src/server/status/status-transitions.js'
 
 const HTTP_STATUS = {
   BAD_REQUEST: 400,
@@ -49,6 +59,31 @@ async function loadConfirmationContent(form) {
   return rawConfirmationContent ? ConfirmationService.processConfirmationContent(rawConfirmationContent) : null
 }
 
+/**
+ * Reopens an application whose submission GAS never received, so the applicant can submit it again.
+ * The reopening is recorded in the status history without a GAS status, see `isUndeliveredSubmission`.
+ * @param {object} request - Hapi request object
+ * @param {object} state - Saved form state
+ * @returns {Promise<void>}
+ */
+async function reopenUndeliveredSubmission(request, state) {
+  await getFormsCacheService(request.server).setState(request, {
+    ...state,
+    applicationStatus: ApplicationStatus.REOPENED,
+    [STATUS_HISTORY_STATE_KEY]: appendStatusHistory(state, {
+      from: state.applicationStatus,
+      to: ApplicationStatus.REOPENED,
+      crn: request.auth?.credentials?.crn
+    })
+  })
+  await markSubmissionReopened(state.$$__referenceNumber.toLowerCase(), state)
+
+  log(LogCodes.SUBMISSION.SUBMISSION_REOPENED_AFTER_DELIVERY_FAILURE, {
+    grantType: request.params.slug,
+    referenceNumber: state.$$__referenceNumber
+  })
+}
+
 /**
  * Retrieves reference number from various sources
  * @param {object} request - Hapi request object
@@ -59,12 +94,28 @@ async function getReferenceNumber(request) {
   const state = await cacheService.getState(request)
   const referenceNumber = state.$$__referenceNumber
 
+  let submissionPending = false
+  let submissionFailed = isUndeliveredSubmission(state)
   if (state && state.applicationStatus === ApplicationStatus.SUBMITTED) {
     request.logger.info('ConfirmationController: Application submitted, showing confirmation page')
+
+    if (referenceNumber) {
+      const deliveryStatus = await getSubmissionDeliveryStatus(referenceNumber.toLowerCase(), state)
+
+      if (deliveryStatus === SubmissionDeliveryStatus.FAILED) {
+        submissionFailed = true
+        await reopenUndeliveredSubmission(request, state)
+      } else {
+        submissionPending = deliveryStatus !== null && deliveryStatus !== SubmissionDeliveryStatus.DELIVERED
+      }
+    }
   }
 
   return {
     referenceNumber: referenceNumber || 'Not available',
+    submissionPending,
+    submissionFailed,
+    hasPaymentSummary: state.payment?.annualTotalPence != null,
     businessName: request.yar?.get('businessName'),
     sbi: request.yar?.get('sbi'),
     contactName: request.yar?.get('contactName')
@@ -87,6 +138,9 @@ function buildConfirmationResponse(confirmationContent, sessionData, form, slug,
     sbi: sessionData.sbi,
     contactName: sessionData.contactName,
     confirmationContent,
+    submissionPending: sessionData.submissionPending,
+    submissionFailed: sessionData.submissionFailed,
+    hasPaymentSummary: sessionData.hasPaymentSummary,
     form,
     slug
   })
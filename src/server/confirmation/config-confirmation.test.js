@@ -8,9 +8,14 @@ import {
   MOCK_FORMS
 } from './__test-fixtures__/confirmation-test-fixtures.js'
 import { log } from '~/src/server/common/helpers/logging/log.js'
+import {
+  getSubmissionDeliveryStatus,
+  markSubmissionReopened
+} from '~/src/server/common/services/submission-outbox/submission-outbox.service.js'
 
 const mockFormsCacheService = {
-  getState: vi.fn()
+  getState: vi.fn(),
+  setState: vi.fn()
 }
 
 const mockYarSession = {
@@ -21,6 +26,11 @@ vi.mock('./services/confirmation.service.js')
 vi.mock('~/src/server/common/helpers/forms-cache/forms-cache.js', () => ({
   getFormsCacheService: () => mockFormsCacheService
 }))
+vi.mock('~/src/server/common/services/submission-outbox/submission-outbox.service.js', () => ({
+  getSubmissionDeliveryStatus: vi.fn(),
+  markSubmissionReopened: vi.fn(),
+  SubmissionDeliveryStatus: { PENDING: 'PENDING', DELIVERED: 'DELIVERED', FAILED: 'FAILED' }
+}))
 vi.mock('~/src/server/common/forms/services/form.js', () => ({
   getFormsCache: vi.fn(() => [MOCK_FORMS.basic])
 }))
@@ -31,6 +41,9 @@ vi.mock('~/src/server/common/helpers/logging/log.js', () => ({
       CONFIRMATION_ERROR: { level: 'error', messageFunc: vi.fn() },
       CONFIRMATION_SUCCESS: { level: 'info', messageFunc: vi.fn() },
       CONFIRMATION_LOAD: { level: 'info', messageFunc: vi.fn() }
+    },
+    SUBMISSION: {
+      SUBMISSION_REOPENED_AFTER_DELIVERY_FAILURE: { level: 'info', messageFunc: vi.fn() }
     }
   }
 }))
@@ -105,6 +118,9 @@ describe('config-confirmation', () => {
         sbi: '123456789',
         contactName: 'Test Contact',
         confirmationContent: processedConfirmationContent,
+        submissionPending: false,
+        submissionFailed: false,
+        hasPaymentSummary: false,
         form: mockForm,
         slug: 'test-slug'
       })
@@ -146,6 +162,9 @@ describe('config-confirmation', () => {
         sbi: '123456789',
         contactName: 'Test Contact',
         confirmationContent: null,
+        submissionPending: false,
+        submissionFailed: false,
+        hasPaymentSummary: false,
         form: mockForm,
         slug: 'test-slug'
       })
@@ -195,6 +214,121 @@ describe('config-confirmation', () => {
       )
     })
 
+    test.each([
+      ['PENDING', true],
+      ['DELIVERED', false],
+      [null, false]
+    ])('should set submissionPending when the submission delivery status is %s', async (deliveryStatus, expected) => {
+      const state = { $$__referenceNumber: 'REF123', applicationStatus: 'SUBMITTED' }
+      mockFormsCacheService.getState.mockResolvedValue(state)
+      vi.mocked(getSubmissionDeliveryStatus).mockResolvedValue(deliveryStatus)
+
+      ConfirmationService.findFormBySlug.mockReturnValue(mockForm)
+      ConfirmationService.loadConfirmationContent.mockResolvedValue({ confirmationContent: null })
+      ConfirmationService.buildViewModel.mockReturnValue({})
+
+      await handler(mockRequest, mockH)
+
+      expect(getSubmissionDeliveryStatus).toHaveBeenCalledWith('ref123', state)
+      expect(ConfirmationService.buildViewModel).toHaveBeenCalledWith(
+        expect.objectContaining({ submissionPending: expected })
+      )
+    })
+
+    describe('when GAS never received the submission', () => {
+      const state = {
+        $$__referenceNumber: 'REF123',
+        applicationStatus: 'SUBMITTED',
+        $$__statusHistory: [
+          { from: null, to: 'SUBMITTED', gasStatus: null, timestamp: '2026-07-01T09:00:00.000Z', crn: '1100014934' }
+        ]
+      }
+
+      beforeEach(() => {
+        mockFormsCacheService.getState.mockResolvedValue(state)
+        vi.mocked(getSubmissionDeliveryStatus).mockResolvedValue('FAILED')
+        ConfirmationService.findFormBySlug.mockReturnValue(mockForm)
+        ConfirmationService.loadConfirmationContent.mockResolvedValue({ confirmationContent: null })
+        ConfirmationService.buildViewModel.mockReturnValue({})
+      })
+
+      test('should show that the application was not sent', async () => {
+        await handler(mockRequest, mockH)
+
+        expect(ConfirmationService.buildViewModel).toHaveBeenCalledWith(
+          expect.objectContaining({ submissionFailed: true, submissionPending: false })
+        )
+      })
+
+      test('should reopen the application so it can be submitted again', async () => {
+        await handler(mockRequest, mockH)
+
+        expect(mockFormsCacheService.setState).toHaveBeenCalledWith(mockRequest, {
+          ...state,
+          applicationStatus: 'REOPENED',
+          $$__statusHistory: [
+            ...state.$$__statusHistory,
+            expect.objectContaining({ from: 'SUBMITTED', to: 'REOPENED', gasStatus: null })
+          ]
+        })
+        expect(log).toHaveBeenCalledWith(expect.objectContaining({ level: 'info' }), {
+          grantType: 'test-slug',
+          referenceNumber: 'REF123'
+        })
+      })
+
+      test('should stop reporting the submission as undelivered', async () => {
+        await handler(mockRequest, mockH)
+
+        expect(markSubmissionReopened).toHaveBeenCalledWith('ref123', state)
+      })
+
+      test('should keep showing that the application was not sent once it is reopened', async () => {
+        mockFormsCacheService.getState.mockResolvedValue({
+          ...state,
+          applicationStatus: 'REOPENED',
+          $$__statusHistory: [
+            ...state.$$__statusHistory,
+            { from: 'SUBMITTED', to: 'REOPENED', gasStatus: null, timestamp: '2026-07-01T10:00:00.000Z', crn: null }
+          ]
+        })
+
+        await handler(mockRequest, mockH)
+
+        expect(mockFormsCacheService.setState).not.toHaveBeenCalled()
+        expect(ConfirmationService.buildViewModel).toHaveBeenCalledWith(
+          expect.objectContaining({ submissionFailed: true })
+        )
+      })
+    })
+
+    test('should not look up the submission delivery status when the application is not submitted', async () => {
+      ConfirmationService.findFormBySlug.mockReturnValue(mockForm)
+      ConfirmationService.loadConfirmationContent.mockResolvedValue({ confirmationContent: null })
+      ConfirmationService.buildViewModel.mockReturnValue({})
+
+      await handler(mockRequest, mockH)
+
+      expect(getSubmissionDeliveryStatus).not.toHaveBeenCalled()
+    })
+
+    test('should offer the payment summary download when the application has a payment calculation', async () => {
+      mockFormsCacheService.getState.mockResolvedValue({
+        $$__referenceNumber: 'REF123',
+        payment: { annualTotalPence: 0 }
+      })
+
+      ConfirmationService.findFormBySlug.mockReturnValue(mockForm)
+      ConfirmationService.loadConfirmationContent.mockResolvedValue({ confirmationContent: null })
+      ConfirmationService.buildViewModel.mockReturnValue({})
+
+      await handler(mockRequest, mockH)
+
+      expect(ConfirmationService.buildViewModel).toHaveBeenCalledWith(
+        expect.objectContaining({ hasPaymentSummary: true })
+      )
+    })
+
     test('should handle errors gracefully', async () => {
       ConfirmationService.findFormBySlug.mockImplementation(() => {
         throw new Error('Service error')
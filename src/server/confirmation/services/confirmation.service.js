@@ -58,6 +58,9 @@ export class ConfirmationService {
    * @param {string} options.sbi - SBI number
    * @param {string} options.contactName - Contact name
    * @param {object} options.confirmationContent - Confirmation content from config
+   * @param {boolean} [options.submissionPending] - Whether GAS has yet to receive the submission
+   * @param {boolean} [options.submissionFailed] - Whether GAS never received the submission, so it must be made again
+   * @param {boolean} [options.hasPaymentSummary] - Whether the application has land actions and payments to download
    * @param {boolean} [options.isDevelopmentMode] - Whether in development mode
    * @param {object} [options.form] - Form object (optional)
    * @param {string | null} [options.slug] - Form slug (optional)
@@ -69,6 +72,9 @@ export class ConfirmationService {
     sbi,
     contactName,
     confirmationContent,
+    submissionPending = false,
+    submissionFailed = false,
+    hasPaymentSummary = false,
     isDevelopmentMode = false,
     form = null,
     slug = null
@@ -83,6 +89,9 @@ export class ConfirmationService {
       sbi,
       contactName,
       confirmationContent,
+      submissionPending,
+      submissionFailed,
+      hasPaymentSummary,
       serviceName: title,
       serviceUrl: url,
       auth: {},
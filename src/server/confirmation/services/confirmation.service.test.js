@@ -92,6 +92,9 @@ describe('ConfirmationService', () => {
         sbi: '123456789',
         contactName: 'John Doe',
         confirmationContent: { html: '<h2>Test content</h2>' },
+        submissionPending: false,
+        submissionFailed: false,
+        hasPaymentSummary: false,
         serviceName: 'Test Form',
         serviceUrl: '/test-form',
         auth: {},
@@ -99,6 +102,18 @@ describe('ConfirmationService', () => {
       })
     })
 
+    test('should include whether the submission is pending', () => {
+      const result = ConfirmationService.buildViewModel({ ...baseOptions, submissionPending: true })
+
+      expect(result.submissionPending).toBe(true)
+    })
+
+    test('should include whether the submission failed', () => {
+      const result = ConfirmationService.buildViewModel({ ...baseOptions, submissionFailed: true })
+
+      expect(result.submissionFailed).toBe(true)
+    })
+
     test('should include development mode properties when enabled', () => {
       const options = {
         ...baseOptions,
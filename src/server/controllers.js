@@ -0,0 +1,37 @@
+import { SummaryPageController } from '@defra/forms-engine-plugin/controllers/SummaryPageController.js'
+import CheckResponsesPageController from '~/src/server/check-responses/check-responses.controller.js'
+import ConfirmationPageController from '~/src/server/confirmation/confirmation-page.controller.js'
+import DeclarationPageController from '~/src/server/declaration/declaration-page.controller.js'
+import AddActionToParcelsPageController from '~/src/server/land-grants/controllers/add-action-to-parcels-page.controller.js'
+import ConfirmFarmDetailsController from '~/src/server/land-grants/controllers/confirm-farm-details.controller.js'
+import LandActionsCheckPageController from '~/src/server/land-grants/controllers/land-actions-check-page.controller.js'
+import RemoveActionPageController from '~/src/server/land-grants/controllers/remove-action-page.controller.js'
+import SelectLandActionsPageController from '~/src/server/land-grants/controllers/select-land-actions-page.controller.js'
+import SelectLandParcelPageController from '~/src/server/land-grants/controllers/select-land-parcel-page.controller.js'
+import SubmissionPageController from '~/src/server/land-grants/controllers/submission-page.controller.js'
+import ConfirmMethaneDetailsController from '~/src/server/non-land-grants/methane/controllers/confirm-methane-details.controller.js'
+import FlyingPigsSubmissionPageController from '~/src/server/non-land-grants/pigs-might-fly/controllers/flying-pigs-submission-page.controller.js'
+import { PotentialFundingController } from '~/src/server/non-land-grants/pigs-might-fly/controllers/potential-funding.controller.js'
+import SectionEndController from '~/src/server/section-end/section-end.controller.js'
+
+/**
+ * Custom page controllers registered with the forms engine plugin.
+ * Form definitions refer to these by name in a page's `controller` property.
+ */
+export const controllers = {
+  ConfirmationPageController,
+  DeclarationPageController,
+  SubmissionPageController,
+  ConfirmFarmDetailsController,
+  SelectLandParcelPageController,
+  SelectLandActionsPageController,
+  LandActionsCheckPageController,
+  RemoveActionPageController,
+  AddActionToParcelsPageController,
+  SectionEndController,
+  FlyingPigsSubmissionPageController,
+  PotentialFundingController,
+  SummaryPageController,
+  CheckResponsesPageController,
+  ConfirmMethaneDetailsController
+}
@@ -1,13 +1,18 @@
 import { SummaryPageController } from '@defra/forms-engine-plugin/controllers/SummaryPageController.js'
-import { getConfirmationPath, storeSlugInContext } from '~/src/server/common/helpers/form-slug-helper.js'
+import { getConfirmationPath, getFormSlug, storeSlugInContext } from '~/src/server/common/helpers/form-slug-helper.js'
 import { getFormsCacheService } from '~/src/server/common/helpers/forms-cache/forms-cache.js'
-import { submitGrantApplication } from '~/src/server/common/services/grant-application/grant-application.service.js'
+import { submitViaOutbox } from '~/src/server/common/services/submission-outbox/submission-outbox.service.js'
 import { transformStateObjectToGasApplication } from '~/src/server/common/helpers/grant-application-service/state-to-gas-payload-mapper.js'
 import { transformAnswerKeysToText } from './state-to-gas-answers-mapper.js'
-import { statusCodes } from '~/src/server/common/constants/status-codes.js'
-import { persistSubmissionToApi } from '~/src/server/common/helpers/state/persist-submission-helper.js'
+import { getStateAdapter } from '~/src/server/common/services/state-persistence/state-adapter.js'
+import { getStateFormVersion } from '~/src/server/common/forms/services/form-versions.js'
+import { appendStatusHistory, STATUS_HISTORY_STATE_KEY } from '~/src/server/status/status-transitions.js'
 import { ApplicationStatus } from '~/src/server/common/constants/application-status.js'
 import { handleGasApiError } from '~/src/server/common/helpers/gas-error-messages.js'
+import { handleSubmissionValidationError } from '~/src/server/common/helpers/submission-answers-error.js'
+import { getSubmittedBy, isAgent } from '~/src/server/common/helpers/agent-helper.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { isSubmissionOpen, SchedulePaths } from '~/src/server/grant-schedule/grant-schedule.js'
 
 export default class DeclarationPageController extends SummaryPageController {
   /**
@@ -31,6 +36,17 @@ export default class DeclarationPageController extends SummaryPageController {
     return getConfirmationPath(request, context, 'DeclarationController')
   }
 
+  /**
+   * Adds whether the user is making the declaration as an agent on behalf of the business
+   * @param {object} request - The request object
+   * @param {object} context - The form context
+   */
+  getSummaryViewModel(request, context) {
+    const viewModel = super.getSummaryViewModel(request, context)
+    viewModel.submittingAsAgent = isAgent(request?.auth?.credentials)
+    return viewModel
+  }
+
   /**
    * Override the GET handler to store the slug in context
    */
@@ -53,6 +69,14 @@ export default class DeclarationPageController extends SummaryPageController {
         // Store the slug in context for later use
         storeSlugInContext(request, context, 'DeclarationController')
 
+        if (!isSubmissionOpen(this.model.def.metadata?.schedule)) {
+          log(LogCodes.SUBMISSION.SUBMISSION_CLOSED, {
+            grantType: this.grantCode,
+            referenceNumber: context.referenceNumber
+          })
+          return h.redirect(`/${getFormSlug(request, context, 'DeclarationController')}/${SchedulePaths.CLOSED}`)
+        }
+
         // Get cache service for later use
         const cacheService = getFormsCacheService(request.server)
 
@@ -60,7 +84,9 @@ export default class DeclarationPageController extends SummaryPageController {
         request.logger.debug('DeclarationController: Processing form submission')
         request.logger.debug('DeclarationController: Current URL:', request.path)
 
-        const { sbi, crn } = request.auth.credentials
+        const { credentials } = request.auth
+        const { sbi, crn } = credentials
+        const submittedBy = getSubmittedBy(credentials)
         const grantCode = request.params?.slug
 
         const identifiers = {
@@ -84,10 +110,10 @@ export default class DeclarationPageController extends SummaryPageController {
           (state) => state
         )
 
-        const result = await submitGrantApplication(this.grantCode, applicationData)
+        const submission = await submitViaOutbox(this.grantCode, applicationData, context.state)
 
-        // Log submission details if available
-        if (result.status === statusCodes.noContent) {
+        // A repeated post of a submission already made leaves the state as the first one set it
+        if (!submission.duplicate) {
           request.logger.info({
             message: 'Form submission completed',
             referenceNumber: context.referenceNumber,
@@ -102,18 +128,25 @@ export default class DeclarationPageController extends SummaryPageController {
             ...currentState,
             applicationStatus: ApplicationStatus.SUBMITTED,
             submittedAt: applicationData.metadata?.submittedAt,
-            submittedBy: crn
+            ...submittedBy,
+            [STATUS_HISTORY_STATE_KEY]: appendStatusHistory(currentState, {
+              from: currentState?.applicationStatus,
+              to: ApplicationStatus.SUBMITTED,
+              crn,
+              timestamp: applicationData.metadata?.submittedAt
+            })
           })
           request.logger.debug('DeclarationController: Set application status to SUBMITTED')
 
           // Add to submissions collection
-          await persistSubmissionToApi({
+          await getStateAdapter().saveSubmission({
             crn,
             sbi,
             grantCode,
-            grantVersion: context.grantVersion,
+            grantVersion: getStateFormVersion(context.state),
             referenceNumber: context.referenceNumber,
-            submittedAt: applicationData.metadata?.submittedAt
+            submittedAt: applicationData.metadata?.submittedAt,
+            submittedAsAgent: submittedBy.submittedAsAgent
           })
         }
 
@@ -125,6 +158,10 @@ export default class DeclarationPageController extends SummaryPageController {
       } catch (error) {
         request.logger.error(error, 'Failed to submit form')
 
+        if (error.name === 'SubmissionValidationError') {
+          return handleSubmissionValidationError(h, context, error, this.model.pages, request.path)
+        }
+
         if (error.name === 'GrantApplicationServiceApiError') {
           return handleGasApiError(h, context, error)
         }
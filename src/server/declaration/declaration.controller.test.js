@@ -1,15 +1,18 @@
 import { SummaryPageController } from '@defra/forms-engine-plugin/controllers/SummaryPageController.js'
 import * as formSlugHelper from '~/src/server/common/helpers/form-slug-helper.js'
-import { submitGrantApplication } from '~/src/server/common/services/grant-application/grant-application.service.js'
+import { submitViaOutbox } from '~/src/server/common/services/submission-outbox/submission-outbox.service.js'
 import { transformStateObjectToGasApplication } from '~/src/server/common/helpers/grant-application-service/state-to-gas-payload-mapper.js'
 import DeclarationPageController from './declaration-page.controller.js'
 import { transformAnswerKeysToText } from './state-to-gas-answers-mapper.js'
 import { vi } from 'vitest'
 import { mockFormsCacheService, mockHapiRequest } from '~/src/__mocks__'
-import { statusCodes } from '~/src/server/common/constants/status-codes.js'
 import { handleGasApiError } from '~/src/server/common/helpers/gas-error-messages.js'
+import { handleSubmissionValidationError } from '~/src/server/common/helpers/submission-answers-error.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { resetClock, setClock } from '~/src/server/common/helpers/clock.js'
 
 vi.mock('~/src/server/common/helpers/gas-error-messages.js')
+vi.mock('~/src/server/common/helpers/submission-answers-error.js')
 
 const mockCacheService = mockFormsCacheService({
   getState: vi.fn().mockReturnValue({
@@ -31,9 +34,13 @@ vi.mock('@defra/forms-engine-plugin/controllers/SummaryPageController.js', () =>
     }
   }
 })
-vi.mock('~/src/server/common/services/grant-application/grant-application.service.js')
+vi.mock('~/src/server/common/services/submission-outbox/submission-outbox.service.js')
 vi.mock('~/src/server/common/helpers/grant-application-service/state-to-gas-payload-mapper.js')
 vi.mock('./state-to-gas-answers-mapper.js')
+vi.mock('~/src/server/common/helpers/logging/log.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  log: vi.fn()
+}))
 
 describe('DeclarationPageController', () => {
   let controller
@@ -54,7 +61,8 @@ describe('DeclarationPageController', () => {
         }
       },
       componentDefMap: {},
-      listDefIdMap: {}
+      listDefIdMap: {},
+      pages: [{ path: '/business-name' }]
     }
     mockPageDef = {}
 
@@ -103,8 +111,9 @@ describe('DeclarationPageController', () => {
         submittedAt: '2025-01-01T00:00:00.000Z'
       }
     })
-    submitGrantApplication.mockResolvedValue({
-      status: statusCodes.noContent
+    submitViaOutbox.mockResolvedValue({
+      status: 'DELIVERED',
+      duplicate: false
     })
 
     // Mock the form-slug-helper functions
@@ -146,6 +155,29 @@ describe('DeclarationPageController', () => {
     })
   })
 
+  describe('getSummaryViewModel', () => {
+    beforeEach(() => {
+      SummaryPageController.prototype.getSummaryViewModel = vi.fn().mockReturnValue({ pageTitle: 'Confirm and send' })
+    })
+
+    afterEach(() => {
+      delete SummaryPageController.prototype.getSummaryViewModel
+    })
+
+    test('should show the agent declaration to agents', () => {
+      mockRequest.auth.credentials.role = 'Agent'
+
+      expect(controller.getSummaryViewModel(mockRequest, mockContext)).toEqual({
+        pageTitle: 'Confirm and send',
+        submittingAsAgent: true
+      })
+    })
+
+    test('should not show the agent declaration to the business', () => {
+      expect(controller.getSummaryViewModel(mockRequest, mockContext).submittingAsAgent).toBe(false)
+    })
+  })
+
   describe('makeGetRouteHandler', () => {
     test('should return a function that wraps the parent handler', () => {
       const handler = controller.makeGetRouteHandler()
@@ -217,12 +249,42 @@ describe('DeclarationPageController', () => {
         expect.any(Function)
       )
 
-      expect(submitGrantApplication).toHaveBeenCalledWith('adding-value', {
-        transformedApp: true,
-        metadata: {
-          submittedAt: '2025-01-01T00:00:00.000Z'
-        }
-      })
+      expect(submitViaOutbox).toHaveBeenCalledWith(
+        'adding-value',
+        {
+          transformedApp: true,
+          metadata: {
+            submittedAt: '2025-01-01T00:00:00.000Z'
+          }
+        },
+        mockContext.state
+      )
+      expect(mockCacheService.setState).toHaveBeenCalledWith(
+        mockRequest,
+        expect.objectContaining({ applicationStatus: 'SUBMITTED' })
+      )
+      expect(mockH.redirect).toHaveBeenCalledWith('/adding-value/confirmation')
+    })
+
+    test('should record that an agent submitted on behalf of the business', async () => {
+      mockRequest.auth.credentials.role = 'Agent'
+
+      const handler = controller.makePostRouteHandler()
+      await handler(mockRequest, mockContext, mockH)
+
+      expect(mockCacheService.setState).toHaveBeenCalledWith(
+        mockRequest,
+        expect.objectContaining({ submittedBy: '1234567890', submittedAsAgent: true })
+      )
+    })
+
+    test('should redirect without updating state when the submission was already made', async () => {
+      submitViaOutbox.mockResolvedValue({ status: 'PENDING', duplicate: true })
+
+      const handler = controller.makePostRouteHandler()
+      await handler(mockRequest, mockContext, mockH)
+
+      expect(mockCacheService.setState).not.toHaveBeenCalled()
       expect(mockH.redirect).toHaveBeenCalledWith('/adding-value/confirmation')
     })
 
@@ -255,7 +317,7 @@ describe('DeclarationPageController', () => {
 
     test('should handle submission errors', async () => {
       const error = new Error('Submission failed')
-      submitGrantApplication.mockRejectedValue(error)
+      submitViaOutbox.mockRejectedValue(error)
 
       const handler = controller.makePostRouteHandler()
 
@@ -267,8 +329,8 @@ describe('DeclarationPageController', () => {
     test('should handle GrantApplicationServiceApiError and show custom error page', async () => {
       const gasError = new Error('GAS API Error')
       gasError.name = 'GrantApplicationServiceApiError'
-      gasError.status = 429
-      submitGrantApplication.mockRejectedValue(gasError)
+      gasError.status = 422
+      submitViaOutbox.mockRejectedValue(gasError)
 
       const mockErrorView = {
         code: vi.fn().mockReturnThis()
@@ -284,10 +346,30 @@ describe('DeclarationPageController', () => {
       expect(result).toBe(mockErrorView)
     })
 
+    test('should show the answers to fix when the submission does not match its schema', async () => {
+      const validationError = new Error('Submission answers do not match its schema')
+      validationError.name = 'SubmissionValidationError'
+      submitViaOutbox.mockRejectedValue(validationError)
+      handleSubmissionValidationError.mockReturnValue('answers error view')
+
+      const handler = controller.makePostRouteHandler()
+      const result = await handler(mockRequest, mockContext, mockH)
+
+      expect(handleSubmissionValidationError).toHaveBeenCalledWith(
+        mockH,
+        mockContext,
+        validationError,
+        mockModel.pages,
+        '/adding-value/declaration'
+      )
+      expect(result).toBe('answers error view')
+      expect(mockCacheService.setState).not.toHaveBeenCalled()
+    })
+
     test('should re-throw non-GAS errors', async () => {
       const error = new Error('Some other error')
       error.name = 'SomeOtherError'
-      submitGrantApplication.mockRejectedValue(error)
+      submitViaOutbox.mockRejectedValue(error)
 
       const handler = controller.makePostRouteHandler()
 
@@ -296,5 +378,44 @@ describe('DeclarationPageController', () => {
       expect(mockRequest.logger.error).toHaveBeenCalledWith(error, 'Failed to submit form')
       expect(handleGasApiError).not.toHaveBeenCalled()
     })
+
+    describe('when the grant has a schedule', () => {
+      beforeEach(() => {
+        mockModel.def.metadata.schedule = {
+          closesAt: '2026-06-30T17:00:00.000Z',
+          submissionCutoff: '2026-07-07T17:00:00.000Z'
+        }
+        formSlugHelper.getFormSlug.mockReturnValue('adding-value')
+      })
+
+      afterEach(() => {
+        resetClock()
+      })
+
+      test('should submit applications before the submission cut-off', async () => {
+        setClock('2026-07-07T16:59:59.000Z')
+
+        const handler = controller.makePostRouteHandler()
+        await handler(mockRequest, mockContext, mockH)
+
+        expect(submitViaOutbox).toHaveBeenCalled()
+        expect(mockH.redirect).toHaveBeenCalledWith('/adding-value/confirmation')
+      })
+
+      test('should refuse applications after the submission cut-off', async () => {
+        setClock('2026-07-07T17:00:00.000Z')
+
+        const handler = controller.makePostRouteHandler()
+        await handler(mockRequest, mockContext, mockH)
+
+        expect(submitViaOutbox).not.toHaveBeenCalled()
+        expect(mockCacheService.setState).not.toHaveBeenCalled()
+        expect(log).toHaveBeenCalledWith(LogCodes.SUBMISSION.SUBMISSION_CLOSED, {
+          grantType: 'adding-value',
+          referenceNumber: 'REF123'
+        })
+        expect(mockH.redirect).toHaveBeenCalledWith('/adding-value/closed')
+      })
+    })
   })
 })
@@ -0,0 +1,60 @@
+import { getFormsCache } from '~/src/server/common/forms/services/form.js'
+import { now } from '~/src/server/common/helpers/clock.js'
+import { getScheduleState, getDraftDeadline } from './grant-schedule.js'
+
+const HTTP_STATUS_NOT_FOUND = 404
+
+/**
+ * Builds a handler for a page explaining why a grant cannot be applied for. Applicants are sent back to the grant
+ * once it is open to them.
+ * @param {ScheduleState} pageState - The state of the schedule the page is about
+ * @param {string} heading
+ * @returns {Partial<ServerRoute>}
+ */
+function createSchedulePageController(pageState, heading) {
+  return {
+    handler(request, h) {
+      const { slug } = request.params
+      const form = getFormsCache().find((f) => f.slug === slug)
+      if (!form) {
+        return h.response('Form not found').code(HTTP_STATUS_NOT_FOUND)
+      }
+
+      /** @type {GrantSchedule | undefined} */
+      const schedule = form.metadata?.schedule
+      if (getScheduleState(schedule) !== pageState) {
+        return h.redirect(`/${slug}`)
+      }
+
+      // Drafts can be finished until this, which is also when the grant stops taking submissions
+      const draftDeadline = schedule && getDraftDeadline(schedule)
+
+      return h.view(`grant-schedule/views/${pageState}`, {
+        pageTitle: heading,
+        heading,
+        formTitle: form.title,
+        opensAt: schedule?.opensAt,
+        closesAt: schedule?.closesAt,
+        draftDeadline,
+        draftDeadlinePassed: Boolean(draftDeadline && draftDeadline <= now())
+      })
+    }
+  }
+}
+
+/**
+ * Shows when a grant opens to applicants who arrive before it does
+ * @satisfies {Partial<ServerRoute>}
+ */
+export const notOpenController = createSchedulePageController('not-open', 'This grant is not open yet')
+
+/**
+ * Tells applicants that a grant has closed
+ * @satisfies {Partial<ServerRoute>}
+ */
+export const closedController = createSchedulePageController('closed', 'This grant has closed')
+
+/**
+ * @import { ServerRoute } from '@hapi/hapi'
+ * @import { GrantSchedule, ScheduleState } from './grant-schedule.js'
+ */
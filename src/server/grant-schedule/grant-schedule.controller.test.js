@@ -0,0 +1,151 @@
+import { vi } from 'vitest'
+import hapi from '@hapi/hapi'
+import { load } from 'cheerio'
+import { nunjucksConfig } from '~/src/config/nunjucks/nunjucks.js'
+import { mockHapiRequest, mockHapiResponseToolkit } from '~/src/__mocks__/hapi-mocks.js'
+import { resetClock, setClock } from '~/src/server/common/helpers/clock.js'
+import { closedController, notOpenController } from './grant-schedule.controller.js'
+
+vi.mock('~/src/server/common/forms/services/form.js', () => ({
+  getFormsCache: vi.fn(() => [
+    {
+      slug: 'example-grant',
+      title: 'Example grant',
+      metadata: {
+        schedule: {
+          opensAt: '2026-04-01T09:00:00.000Z',
+          closesAt: '2026-06-30T17:00:00.000Z',
+          submissionCutoff: '2026-07-07T17:00:00.000Z'
+        }
+      }
+    },
+    {
+      slug: 'grace-period-grant',
+      title: 'Grace period grant',
+      metadata: {
+        schedule: {
+          closesAt: '2026-06-01T00:00:00.000Z',
+          draftGracePeriodDays: 7,
+          submissionCutoff: '2026-07-01T00:00:00.000Z'
+        }
+      }
+    },
+    { slug: 'always-open', title: 'Always open', metadata: {} }
+  ])
+}))
+
+describe('grant schedule controllers', () => {
+  let h
+
+  beforeEach(() => {
+    h = mockHapiResponseToolkit()
+  })
+
+  afterEach(() => {
+    resetClock()
+  })
+
+  describe('notOpenController', () => {
+    test('shows when the grant opens', () => {
+      setClock('2026-03-01T09:00:00.000Z')
+
+      notOpenController.handler(mockHapiRequest({ params: { slug: 'example-grant' } }), h)
+
+      expect(h.view).toHaveBeenCalledWith('grant-schedule/views/not-open', {
+        pageTitle: 'This grant is not open yet',
+        heading: 'This grant is not open yet',
+        formTitle: 'Example grant',
+        opensAt: '2026-04-01T09:00:00.000Z',
+        closesAt: '2026-06-30T17:00:00.000Z',
+        draftDeadline: new Date('2026-07-07T17:00:00.000Z'),
+        draftDeadlinePassed: false
+      })
+    })
+
+    test('sends applicants to the grant once it is open', () => {
+      setClock('2026-05-01T09:00:00.000Z')
+
+      notOpenController.handler(mockHapiRequest({ params: { slug: 'example-grant' } }), h)
+
+      expect(h.redirect).toHaveBeenCalledWith('/example-grant')
+      expect(h.view).not.toHaveBeenCalled()
+    })
+
+    test('returns not found for an unknown grant', () => {
+      notOpenController.handler(mockHapiRequest({ params: { slug: 'unknown' } }), h)
+
+      expect(h.response).toHaveBeenCalledWith('Form not found')
+      expect(h.code).toHaveBeenCalledWith(404)
+    })
+  })
+
+  describe('closedController', () => {
+    test('shows when the grant closed', () => {
+      setClock('2026-07-01T09:00:00.000Z')
+
+      closedController.handler(mockHapiRequest({ params: { slug: 'example-grant' } }), h)
+
+      expect(h.view).toHaveBeenCalledWith(
+        'grant-schedule/views/closed',
+        expect.objectContaining({
+          heading: 'This grant has closed',
+          closesAt: '2026-06-30T17:00:00.000Z',
+          draftDeadline: new Date('2026-07-07T17:00:00.000Z'),
+          draftDeadlinePassed: false
+        })
+      )
+    })
+
+    test('says when the submission deadline has passed', () => {
+      setClock('2026-07-08T09:00:00.000Z')
+
+      closedController.handler(mockHapiRequest({ params: { slug: 'example-grant' } }), h)
+
+      expect(h.view).toHaveBeenCalledWith(
+        'grant-schedule/views/closed',
+        expect.objectContaining({ draftDeadlinePassed: true })
+      )
+    })
+
+    test('sends applicants to grants without a schedule', () => {
+      closedController.handler(mockHapiRequest({ params: { slug: 'always-open' } }), h)
+
+      expect(h.redirect).toHaveBeenCalledWith('/always-open')
+    })
+  })
+
+  describe('closed page', () => {
+    let server
+
+    beforeEach(async () => {
+      server = hapi.server()
+      await server.register({
+        ...nunjucksConfig,
+        options: { ...nunjucksConfig.options, context: { getAssetPath: (asset) => `/public/${asset}` } }
+      })
+      server.route({ method: 'GET', path: '/{slug}/closed', ...closedController })
+    })
+
+    test.each([
+      ['2026-07-01T09:00:00.000Z', 'Applications that have already been started must be submitted by 7 July 2026'],
+      ['2026-07-08T09:00:00.000Z', 'Applications had to be submitted by 7 July 2026']
+    ])('describes the submission deadline in the right tense at %s', async (clock, expected) => {
+      setClock(clock)
+
+      const { payload } = await server.inject('/example-grant/closed')
+      const $ = load(payload)
+
+      expect($('.govuk-body').text()).toContain(expected)
+    })
+
+    test('gives the end of the grace period when the submission cut-off is later', async () => {
+      setClock('2026-06-15T09:00:00.000Z')
+
+      const { payload } = await server.inject('/grace-period-grant/closed')
+      const text = load(payload)('.govuk-body').text()
+
+      expect(text).toContain('Applications had to be submitted by 8 June 2026')
+      expect(text).not.toContain('July')
+    })
+  })
+})
@@ -0,0 +1,110 @@
+import { now as clockNow } from '~/src/server/common/helpers/clock.js'
+
+const ONE_DAY_MS = 86400000
+
+/**
+ * When a grant takes applications, from `metadata.schedule` in its form definition. Times are ISO 8601.
+ * @typedef {object} GrantSchedule
+ * @property {string | Date} [opensAt] - When applications can first be started
+ * @property {string | Date} [closesAt] - When no more applications can be started
+ * @property {number} [draftGracePeriodDays] - How many days after closing applicants can finish the drafts they started.
+ *   Defaults to until the submission cut-off.
+ * @property {string | Date} [submissionCutoff] - When no more applications can be submitted. Defaults to the end
+ *   of the grace period, and cannot be after it.
+ */
+
+/**
+ * @typedef {'not-open' | 'open' | 'closed'} ScheduleState
+ */
+
+/**
+ * Pages shown to applicants outside a grant's schedule, under the grant's slug
+ */
+export const SchedulePaths = /** @type {const} */ ({
+  NOT_OPEN: 'not-open',
+  CLOSED: 'closed'
+})
+
+/**
+ * @param {string | Date | undefined} time
+ * @returns {Date | null}
+ */
+const toDate = (time) => (time ? new Date(time) : null)
+
+/**
+ * Returns when the grace period for finishing drafts ends, or null when the grant has none
+ * @param {GrantSchedule} schedule
+ * @returns {Date | null}
+ */
+export function getGracePeriodEnd(schedule) {
+  const closesAt = toDate(schedule.closesAt)
+  if (!closesAt || schedule.draftGracePeriodDays === undefined) {
+    return null
+  }
+
+  return new Date(closesAt.getTime() + schedule.draftGracePeriodDays * ONE_DAY_MS)
+}
+
+/**
+ * Returns when applicants with a draft must have submitted it: the submission cut-off or the end of the grace
+ * period, whichever comes first. Without either, drafts cannot be finished once the grant closes.
+ * @param {GrantSchedule} schedule
+ * @returns {Date | null}
+ */
+export function getDraftDeadline(schedule) {
+  const deadlines = [toDate(schedule.submissionCutoff), getGracePeriodEnd(schedule)].filter((date) => date !== null)
+  if (!deadlines.length) {
+    return toDate(schedule.closesAt)
+  }
+
+  return new Date(Math.min(...deadlines.map((date) => date.getTime())))
+}
+
+/**
+ * Works out whether an applicant can use a grant's form. Once the grant closes, applicants who started a draft can
+ * carry on with it for the grace period, but nobody can after the submission cut-off.
+ * @param {GrantSchedule | undefined} schedule - Grants without a schedule are always open
+ * @param {{ hasDraft?: boolean }} [options]
+ * @param {Date} [now] - Defaults to the app clock
+ * @returns {ScheduleState}
+ */
+export function getScheduleState(schedule, { hasDraft = false } = {}, now = clockNow()) {
+  if (!schedule) {
+    return 'open'
+  }
+
+  const opensAt = toDate(schedule.opensAt)
+  if (opensAt && now < opensAt) {
+    return 'not-open'
+  }
+
+  const deadlines = [hasDraft ? null : toDate(schedule.closesAt), getDraftDeadline(schedule)]
+  return deadlines.some((deadline) => deadline && now >= deadline) ? 'closed' : 'open'
+}
+
+/**
+ * Whether a grant accepts submissions
+ * @param {GrantSchedule | undefined} schedule
+ * @param {Date} [now] - Defaults to the app clock
+ * @returns {boolean}
+ */
+export function isSubmissionOpen(schedule, now = clockNow()) {
+  return getScheduleState(schedule, { hasDraft: true }, now) === 'open'
+}
+
+/**
+ * Returns the page to send an applicant to when a grant is not open to them, or null when it is
+ * @param {string} slug
+ * @param {GrantSchedule | undefined} schedule
+ * @param {{ hasDraft?: boolean }} [options]
+ * @returns {string | null}
+ */
+export function getScheduleRedirectPath(slug, schedule, options) {
+  const state = getScheduleState(schedule, options)
+
+  if (state === 'not-open') {
+    return `/${slug}/${SchedulePaths.NOT_OPEN}`
+  }
+
+  return state === 'closed' ? `/${slug}/${SchedulePaths.CLOSED}` : null
+}
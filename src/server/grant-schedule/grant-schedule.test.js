@@ -0,0 +1,125 @@
+import { resetClock, setClock } from '~/src/server/common/helpers/clock.js'
+import {
+  getDraftDeadline,
+  getGracePeriodEnd,
+  getScheduleRedirectPath,
+  getScheduleState,
+  isSubmissionOpen
+} from './grant-schedule.js'
+
+const schedule = {
+  opensAt: '2026-04-01T09:00:00.000Z',
+  closesAt: '2026-06-30T17:00:00.000Z',
+  draftGracePeriodDays: 7
+}
+
+describe('grant schedule', () => {
+  afterEach(() => {
+    resetClock()
+  })
+
+  describe('getScheduleState', () => {
+    test('is always open without a schedule', () => {
+      expect(getScheduleState(undefined)).toBe('open')
+    })
+
+    test.each([
+      ['before it opens', '2026-04-01T08:59:59.999Z', false, 'not-open'],
+      ['when it opens', '2026-04-01T09:00:00.000Z', false, 'open'],
+      ['when it closes', '2026-06-30T17:00:00.000Z', false, 'closed'],
+      ['to drafts when it closes', '2026-06-30T17:00:00.000Z', true, 'open'],
+      ['to drafts at the end of the grace period', '2026-07-07T17:00:00.000Z', true, 'closed']
+    ])('works out the state %s', (_description, time, hasDraft, expected) => {
+      expect(getScheduleState(schedule, { hasDraft }, new Date(time))).toBe(expected)
+    })
+
+    test('closes to drafts at the submission cut-off', () => {
+      const withCutoff = { ...schedule, submissionCutoff: '2026-07-01T12:00:00.000Z' }
+
+      expect(getScheduleState(withCutoff, { hasDraft: true }, new Date('2026-07-01T12:00:00.000Z'))).toBe('closed')
+    })
+
+    test('lets drafts be finished until the submission cut-off without a grace period', () => {
+      const withCutoff = { closesAt: schedule.closesAt, submissionCutoff: '2026-07-01T12:00:00.000Z' }
+      const time = new Date('2026-07-01T11:59:59.999Z')
+
+      expect(getScheduleState(withCutoff, { hasDraft: true }, time)).toBe('open')
+      expect(getScheduleState(withCutoff, { hasDraft: false }, time)).toBe('closed')
+    })
+
+    test('reads the app clock by default', () => {
+      setClock('2026-03-01T09:00:00.000Z')
+
+      expect(getScheduleState(schedule)).toBe('not-open')
+    })
+  })
+
+  describe('getGracePeriodEnd', () => {
+    test('is the number of grace days after the grant closes', () => {
+      expect(getGracePeriodEnd(schedule)).toEqual(new Date('2026-07-07T17:00:00.000Z'))
+    })
+
+    test('is null without a grace period', () => {
+      expect(getGracePeriodEnd({ closesAt: schedule.closesAt })).toBeNull()
+    })
+  })
+
+  describe('getDraftDeadline', () => {
+    test('is the submission cut-off when it comes before the end of the grace period', () => {
+      expect(getDraftDeadline({ ...schedule, submissionCutoff: '2026-07-01T12:00:00.000Z' })).toEqual(
+        new Date('2026-07-01T12:00:00.000Z')
+      )
+    })
+
+    test('is the end of the grace period when the cut-off is later', () => {
+      const withLaterCutoff = {
+        closesAt: '2026-06-01T00:00:00.000Z',
+        draftGracePeriodDays: 7,
+        submissionCutoff: '2026-07-01T00:00:00.000Z'
+      }
+
+      expect(getDraftDeadline(withLaterCutoff)).toEqual(new Date('2026-06-08T00:00:00.000Z'))
+      expect(isSubmissionOpen(withLaterCutoff, new Date('2026-06-15T00:00:00.000Z'))).toBe(false)
+    })
+
+    test('is otherwise the end of the grace period, the cut-off or the closing time', () => {
+      expect(getDraftDeadline(schedule)).toEqual(new Date('2026-07-07T17:00:00.000Z'))
+      expect(getDraftDeadline({ closesAt: schedule.closesAt, submissionCutoff: '2026-07-01T12:00:00.000Z' })).toEqual(
+        new Date('2026-07-01T12:00:00.000Z')
+      )
+      expect(getDraftDeadline({ closesAt: schedule.closesAt })).toEqual(new Date(schedule.closesAt))
+    })
+
+    test('is null for grants that do not close', () => {
+      expect(getDraftDeadline({ opensAt: schedule.opensAt })).toBeNull()
+    })
+  })
+
+  describe('isSubmissionOpen', () => {
+    test.each([
+      ['before the grant opens', '2026-03-01T09:00:00.000Z', false],
+      ['during the grace period', '2026-07-01T09:00:00.000Z', true],
+      ['after the grace period', '2026-07-08T09:00:00.000Z', false]
+    ])('works out whether submissions are accepted %s', (_description, time, expected) => {
+      setClock(time)
+
+      expect(isSubmissionOpen(schedule)).toBe(expected)
+    })
+
+    test('always accepts submissions without a schedule', () => {
+      expect(isSubmissionOpen(undefined)).toBe(true)
+    })
+  })
+
+  describe('getScheduleRedirectPath', () => {
+    test.each([
+      ['2026-03-01T09:00:00.000Z', '/example-grant/not-open'],
+      ['2026-05-01T09:00:00.000Z', null],
+      ['2026-07-01T09:00:00.000Z', '/example-grant/closed']
+    ])('at %s returns %s', (time, expected) => {
+      setClock(time)
+
+      expect(getScheduleRedirectPath('example-grant', schedule)).toBe(expected)
+    })
+  })
+})
@@ -0,0 +1,31 @@
+import { SchedulePaths } from './grant-schedule.js'
+import { closedController, notOpenController } from './grant-schedule.controller.js'
+
+/**
+ * Sets up the routes for the pages shown outside a grant's opening and closing times.
+ * These routes are registered in src/server/router.js.
+ * @satisfies {ServerRegisterPluginObject<void>}
+ */
+export const grantSchedule = {
+  plugin: {
+    name: 'grant-schedule',
+    register(server) {
+      server.route([
+        {
+          method: 'GET',
+          path: `/{slug}/${SchedulePaths.NOT_OPEN}`,
+          ...notOpenController
+        },
+        {
+          method: 'GET',
+          path: `/{slug}/${SchedulePaths.CLOSED}`,
+          ...closedController
+        }
+      ])
+    }
+  }
+}
+
+/**
+ * @import { ServerRegisterPluginObject } from '@hapi/hapi'
+ */
@@ -7,7 +7,6 @@ import hapi from '@hapi/hapi'
 import inert from '@hapi/inert'
 import Scooter from '@hapi/scooter'
 
-import { SummaryPageController } from '@defra/forms-engine-plugin/controllers/SummaryPageController.js'
 import path from 'node:path'
 import { fileURLToPath } from 'node:url'
 import { config } from '~/src/config/config.js'
@@ -17,36 +16,34 @@ import auth from '~/src/plugins/auth.js'
 import sso from '~/src/plugins/sso.js'
 import { contentSecurityPolicy } from '~/src/plugins/content-security-policy.js'
 import { formsStatusCallback } from '~/src/server/status/status-helper.js'
-import CheckResponsesPageController from '~/src/server/check-responses/check-responses.controller.js'
+import { saveAndExit } from '~/src/server/save-and-return/save-and-return.js'
 import { formsService } from '~/src/server/common/forms/services/form.js'
 import { outputService } from '~/src/server/common/forms/services/output.js'
 import { loadSubmissionSchemaValidators } from '~/src/server/common/forms/services/submission.js'
+import { loadStateMigrations } from '~/src/server/common/forms/services/state-migrations.js'
 import { catchAll } from '~/src/server/common/helpers/errors.js'
 import { requestLogger } from '~/src/server/common/helpers/logging/request-logger.js'
 import { setupProxy } from '~/src/server/common/helpers/proxy/setup-proxy.js'
+import { applyClockOverride } from '~/src/server/common/helpers/clock-override.js'
 import { pulse } from '~/src/server/common/helpers/pulse.js'
 import { requestTracing } from '~/src/server/common/helpers/request-tracing.js'
 import { secureContext } from '~/src/server/common/helpers/secure-context/index.js'
 import { getCacheEngine } from '~/src/server/common/helpers/session-cache/cache-engine.js'
 import { sessionCache } from '~/src/server/common/helpers/session-cache/session-cache.js'
-import ConfirmationPageController from '~/src/server/confirmation/confirmation-page.controller.js'
-import DeclarationPageController from '~/src/server/declaration/declaration-page.controller.js'
-import ConfirmFarmDetailsController from '~/src/server/land-grants/controllers/confirm-farm-details.controller.js'
-import LandActionsCheckPageController from '~/src/server/land-grants/controllers/land-actions-check-page.controller.js'
-import SelectLandParcelPageController from '~/src/server/land-grants/controllers/select-land-parcel-page.controller.js'
-import SelectLandActionsPageController from '~/src/server/land-grants/controllers/select-land-actions-page.controller.js'
-import SubmissionPageController from '~/src/server/land-grants/controllers/submission-page.controller.js'
-import FlyingPigsSubmissionPageController from '~/src/server/non-land-grants/pigs-might-fly/controllers/flying-pigs-submission-page.controller.js'
-import { PotentialFundingController } from '~/src/server/non-land-grants/pigs-might-fly/controllers/potential-funding.controller.js'
+import { formVersionPinning } from '~/src/server/plugins/form-version-pinning.js'
+import { FORM_ACCESS_SCOPE, formPermissions } from '~/src/server/plugins/form-permissions.js'
+import { submissionOutbox } from '~/src/server/plugins/submission-outbox.js'
 import { tasklistBackButton } from '~/src/server/plugins/tasklist-back-button.js'
-import { sbiStore } from '~/src/server/sbi/state.js'
+import { landGrantsCache } from '~/src/server/land-grants/services/land-grants-cache.js'
+import { permissionsCache } from '~/src/server/auth/permissions/permissions-cache.js'
+import { getPermissions } from '~/src/server/auth/get-permissions.js'
+import { getSessionExpiresAt } from '~/src/server/auth/session-timeout.js'
+import { getMockSessionSbi } from '~/src/server/sbi/state.js'
 import { formatCurrency } from '../config/nunjucks/filters/format-currency.js'
 import { StatePersistenceService } from './common/services/state-persistence/state-persistence.service.js'
-import RemoveActionPageController from './land-grants/controllers/remove-action-page.controller.js'
 import { router } from './router.js'
-import SectionEndController from './section-end/section-end.controller.js'
+import { controllers } from './controllers.js'
 import whitelist from '~/src/server/common/helpers/whitelist/whitelist.js'
-import ConfirmMethaneDetailsController from '~/src/server/non-land-grants/methane/controllers/confirm-methane-details.controller.js'
 
 const SESSION_CACHE_NAME = 'session.cache.name'
 
@@ -68,6 +65,7 @@ const getViewPaths = () => {
     path.join(serverDir, 'section-end/views'),
     path.join(serverDir, 'tasklist/views'),
     path.join(serverDir, 'check-responses/views'),
+    path.join(serverDir, 'save-and-return/views'),
     path.join(serverDir, 'common/components'),
     ...grantsUiPaths
   ]
@@ -84,7 +82,8 @@ const createHapiServer = () => {
       },
       auth: {
         mode: 'required',
-        strategy: 'session'
+        strategy: 'session',
+        scope: [FORM_ACCESS_SCOPE]
       },
       files: {
         relativeTo: path.resolve(config.get('root'), '.public')
@@ -128,6 +127,7 @@ const registerFormsPlugin = async (server, prefix = '') => {
       cache: new StatePersistenceService({ server }),
       baseUrl: config.get('baseUrl'),
       onRequest: formsStatusCallback,
+      saveAndExit,
       services: {
         formsService: await formsService(),
         outputService
@@ -140,22 +140,7 @@ const registerFormsPlugin = async (server, prefix = '') => {
         paths: getViewPaths()
       },
       viewContext: context,
-      controllers: {
-        ConfirmationPageController,
-        DeclarationPageController,
-        SubmissionPageController,
-        ConfirmFarmDetailsController,
-        SelectLandParcelPageController,
-        SelectLandActionsPageController,
-        LandActionsCheckPageController,
-        RemoveActionPageController,
-        SectionEndController,
-        FlyingPigsSubmissionPageController,
-        PotentialFundingController,
-        SummaryPageController,
-        CheckResponsesPageController,
-        ConfirmMethaneDetailsController
-      }
+      controllers
     }
   })
 }
@@ -177,16 +162,45 @@ const registerPlugins = async (server) => {
     nunjucksConfig,
     sso,
     contentSecurityPolicy,
-    whitelist
+    whitelist,
+    formPermissions,
+    submissionOutbox,
+    landGrantsCache,
+    permissionsCache
   ])
 
   await server.register([router])
 }
 
+/**
+ * Relationships of the mock session, a comma-separated list in `landGrants.mockSessionRelationships`
+ * @param {string} sbi - The development SBI
+ * @returns {string[]}
+ */
+const getMockRelationships = (sbi) => {
+  const relationships = config.get('landGrants.mockSessionRelationships')
+  return relationships ? relationships.split(',') : [`${sbi}1234:${sbi}:Farm ${sbi}:1:External:0`]
+}
+
+/**
+ * The mock session acts for the business with the development SBI when it is one of the relationships
+ * @param {string} sbi - The development SBI
+ * @param {string[]} relationships
+ * @returns {string}
+ */
+const getMockCurrentRelationshipId = (sbi, relationships) => {
+  const current = relationships.find((relationship) => relationship.split(':')[1] === sbi)
+  return current?.split(':')[0] || config.get('landGrants.mockSessionCurrentRelationshipId') || `${sbi}1234`
+}
+
 const mockSessionData = async (request, log, LogCodes) => {
   try {
     const crypto = await import('node:crypto')
     const sessionId = request.state.sid?.sessionId || crypto.randomUUID()
+    const crn = String(config.get('landGrants.customerReferenceNumber'))
+    const organisationId = getMockSessionSbi(request)
+    const relationships = getMockRelationships(organisationId)
+    const { role, scope } = await getPermissions(request, { crn, organisationId })
 
     const sessionData = {
       isAuthenticated: true,
@@ -195,16 +209,14 @@ const mockSessionData = async (request, log, LogCodes) => {
       firstName: 'Anonymous',
       lastName: 'User',
       name: 'Anonymous User',
-      role: 'user',
-      scope: ['user'],
-      sbi: `${sbiStore.get('sbi')}`,
-      organisationId: `${sbiStore.get('sbi')}`,
-      crn: String(config.get('landGrants.customerReferenceNumber')),
-      currentRelationshipId: config.get('landGrants.mockSessionCurrentRelationshipId') || `${sbiStore.get('sbi')}1234`,
-      relationships: [
-        config.get('landGrants.mockSessionRelationships') ||
-          `${sbiStore.get('sbi')}1234:${sbiStore.get('sbi')}:Farm ${sbiStore.get('sbi')}:1:External:0`
-      ]
+      role,
+      scope,
+      sbi: organisationId,
+      organisationId,
+      crn,
+      currentRelationshipId: getMockCurrentRelationshipId(organisationId, relationships),
+      relationships,
+      expiresAt: getSessionExpiresAt()
     }
 
     await request.server.app.cache.set(sessionId, sessionData)
@@ -214,8 +226,8 @@ const mockSessionData = async (request, log, LogCodes) => {
     log(LogCodes.AUTH.SIGN_IN_SUCCESS, {
       userId: 'anonymous-user-id',
       sessionId,
-      role: 'user',
-      scope: 'user',
+      role,
+      scope: scope.join(', '),
       authMethod: 'auto-session'
     })
   } catch (error) {
@@ -260,6 +272,8 @@ export async function createServer() {
     status: 'complete'
   })
 
+  applyClockOverride()
+
   const server = createHapiServer()
   log(LogCodes.SYSTEM.STARTUP_PHASE, {
     phase: 'hapi_server_creation',
@@ -283,6 +297,7 @@ export async function createServer() {
 
   await registerFormsPlugin(server)
   await server.register(tasklistBackButton)
+  await server.register(formVersionPinning)
 
   log(LogCodes.SYSTEM.STARTUP_PHASE, {
     phase: 'forms_plugin',
@@ -295,6 +310,12 @@ export async function createServer() {
     status: 'loaded'
   })
 
+  loadStateMigrations()
+  log(LogCodes.SYSTEM.STARTUP_PHASE, {
+    phase: 'state_migrations',
+    status: 'loaded'
+  })
+
   server.ext('onPreHandler', (request, h) => {
     /** @type {string[]} */
     const prev = request.yar.get('visitedSubSections') || []
@@ -0,0 +1,337 @@
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import LandGrantsQuestionWithAuthCheckController from '~/src/server/land-grants/controllers/auth/land-grants-question-with-auth-check.controller.js'
+import { fetchParcelsWithActions, validateApplication } from '~/src/server/land-grants/services/land-grants.service.js'
+import { findExclusiveGroupConflicts, getActionGroupsConfig } from '~/src/server/land-grants/utils/action-groups.js'
+import { stringifyParcel } from '~/src/server/land-grants/utils/format-parcel.js'
+
+const checkSelectedLandActionsPath = '/check-selected-land-actions'
+const addActionToParcelsPath = '/add-action-to-parcels'
+
+const fetchErrorMessage =
+  'Unable to find actions information for your land parcels, please try again later or contact the Rural Payments Agency.'
+
+/**
+ * Adds one action to several land parcels in a single step. The applicant picks an action, then the parcels to
+ * add it to. Each parcel gets the action on all of its available area, stored the same way as on the select
+ * actions page so it can be changed or removed from the check page.
+ */
+export default class AddActionToParcelsPageController extends LandGrantsQuestionWithAuthCheckController {
+  viewName = 'add-action-to-parcels'
+  actionField = 'actionCode'
+  parcelsField = 'selectedParcels'
+
+  /**
+   * @param {FormModel} model
+   * @param {PageQuestion} pageDef
+   */
+  constructor(model, pageDef) {
+    super(model, pageDef)
+    this.model = model
+  }
+
+  /**
+   * Fetch the business's parcels with the actions available on them
+   * @param {AnyFormRequest} request
+   * @returns {Promise<{parcels: Parcel[], actionGroups: ActionGroupConfig[]} | null>} - null if they could not be fetched
+   */
+  async fetchParcels(request) {
+    try {
+      return await fetchParcelsWithActions(request)
+    } catch (error) {
+      log(LogCodes.SYSTEM.EXTERNAL_API_ERROR, {
+        endpoint: `Land grants API`,
+        error: `error fetching parcel actions for sbi ${request.auth?.credentials?.sbi} - ${error.message}`
+      })
+      return null
+    }
+  }
+
+  /**
+   * Every action available on at least one parcel, as radio items
+   * @param {Parcel[]} parcels
+   * @returns {Array<{value: string, text: string, hint: {text: string}}>}
+   */
+  getActionOptions(parcels) {
+    const actions = new Map()
+    for (const action of parcels.flatMap((parcel) => parcel.actions ?? [])) {
+      const option = actions.get(action.code) ?? { value: action.code, text: action.description, parcelCount: 0 }
+      option.parcelCount++
+      actions.set(action.code, option)
+    }
+
+    return [...actions.values()]
+      .sort((a, b) => a.value.localeCompare(b.value))
+      .map(({ parcelCount, ...option }) => ({
+        ...option,
+        hint: { text: `Available on ${parcelCount} land parcel${parcelCount > 1 ? 's' : ''}` }
+      }))
+  }
+
+  /**
+   * The parcels an action is available on, with the action's details for each
+   * @param {Parcel[]} parcels
+   * @param {string} code - Action code
+   * @returns {Array<{key: string, parcel: Parcel, action: ActionOption}>}
+   */
+  getParcelsForAction(parcels, code) {
+    return parcels.flatMap((parcel) => {
+      const action = parcel.actions?.find((a) => a.code === code)
+      return action ? [{ key: stringifyParcel(parcel), parcel, action }] : []
+    })
+  }
+
+  /**
+   * Get the selected parcel keys. Checkboxes submit a list when more than one is checked.
+   * @param {object} payload - The form payload
+   * @returns {string[]}
+   */
+  getSelectedParcels(payload) {
+    return [payload[this.parcelsField] ?? []].flat().filter(Boolean)
+  }
+
+  /**
+   * Build new state with the action added to each selected parcel, keeping the parcel's other actions
+   * @param {object} state - Current state
+   * @param {Array<{key: string, parcel: Parcel, action: ActionOption}>} selected - Parcels to add the action to
+   * @returns {object} - Updated state
+   */
+  buildNewState(state, selected) {
+    const landParcels = { ...state.landParcels }
+
+    for (const { key, parcel, action } of selected) {
+      const existing = landParcels[key]
+      landParcels[key] = {
+        size: existing?.size ?? parcel.size,
+        actionsObj: {
+          ...existing?.actionsObj,
+          [action.code]: {
+            description: action.description,
+            value: action.availableArea?.value ?? '',
+            unit: action.availableArea?.unit ?? '',
+            ...(action.availableArea && { availableArea: action.availableArea })
+          }
+        }
+      }
+    }
+
+    return { ...state, landParcels }
+  }
+
+  /**
+   * Validate the parcels selected for an action. No selected parcel can already have an action from the same
+   * exclusive group.
+   * @param {string[]} selectedKeys - Selected parcel keys
+   * @param {ActionOption} action - The action being added
+   * @param {object} landParcels - Parcels with actions added, from the form state
+   * @param {ActionGroupConfig[]} actionGroups - How actions are grouped
+   * @returns {Array<{text: string, href: string}>} - Errors, linked to the parcels field
+   */
+  validateSelectedParcels(selectedKeys, action, landParcels, actionGroups) {
+    const href = `#${this.parcelsField}`
+    if (selectedKeys.length === 0) {
+      return [{ text: `Select the land parcels to add ${action.code} to`, href }]
+    }
+
+    return selectedKeys.flatMap((key) => {
+      const codes = [...Object.keys(landParcels?.[key]?.actionsObj ?? {}), action.code]
+      return findExclusiveGroupConflicts(codes, actionGroups).map(({ group }) => ({
+        text: `Land parcel ${key.replace('-', ' ')} already has an action from ${group.name}, so ${action.code} cannot be added to it`,
+        href
+      }))
+    })
+  }
+
+  /**
+   * Build the view model for choosing an action, or the parcels to add the chosen action to
+   * @param {AnyFormRequest} request
+   * @param {FormContext} context
+   * @param {Parcel[]} parcels
+   * @param {string} [code] - The chosen action code
+   * @param {object} [submitted] - A submission being shown again with errors
+   * @returns {object}
+   */
+  buildViewModel(request, context, parcels, code, submitted) {
+    const landParcels = context.state?.landParcels ?? {}
+    const parcelsForAction = code ? this.getParcelsForAction(parcels, code) : []
+    const action = parcelsForAction[0]?.action
+    const selectedKeys = submitted ? this.getSelectedParcels(submitted.payload) : []
+    const hasAction = (key) => Boolean(landParcels[key]?.actionsObj?.[code ?? ''])
+
+    return {
+      ...this.getViewModel(request, context),
+      actionField: this.actionField,
+      parcelsField: this.parcelsField,
+      actionOptions: action ? [] : this.getActionOptions(parcels),
+      action,
+      parcelItems: parcelsForAction
+        .filter(({ key }) => !hasAction(key))
+        .map(({ key, parcel, action: parcelAction }) => ({
+          value: key,
+          text: `${parcel.sheetId} ${parcel.parcelId}`,
+          hint: parcelAction.availableArea && {
+            text: `Available area: ${parcelAction.availableArea.value} ${parcelAction.availableArea.unit}`
+          },
+          checked: selectedKeys.includes(key)
+        })),
+      parcelsWithAction: parcelsForAction
+        .filter(({ key }) => hasAction(key))
+        .map(({ parcel }) => `${parcel.sheetId} ${parcel.parcelId}`),
+      existingLandParcels: Object.keys(landParcels).length > 0,
+      errors: submitted?.errors ?? []
+    }
+  }
+
+  /**
+   * Render the page with an error that stops it being used
+   */
+  renderFetchErrorView(h, request, context) {
+    return h.view(this.viewName, {
+      ...this.buildViewModel(request, context, []),
+      errors: [{ text: fetchErrorMessage }]
+    })
+  }
+
+  /**
+   * Handle GET requests to the page
+   */
+  makeGetRouteHandler() {
+    return async (request, context, h) => {
+      const result = await this.fetchParcels(request)
+      if (!result) {
+        return this.renderFetchErrorView(h, request, context)
+      }
+
+      return h.view(this.viewName, this.buildViewModel(request, context, result.parcels, request.query?.action))
+    }
+  }
+
+  /**
+   * Add the chosen action to the selected parcels, validating the application first when asked to
+   */
+  async addActionToParcels(request, context, h, { parcels, actionGroups }, code) {
+    const { state } = context
+    const payload = request.payload ?? {}
+    const parcelsForAction = this.getParcelsForAction(parcels, code)
+    const action = parcelsForAction[0]?.action
+    const selectedKeys = this.getSelectedParcels(payload)
+    const selected = parcelsForAction.filter(({ key }) => selectedKeys.includes(key))
+
+    if (selected.length < selectedKeys.length) {
+      log(LogCodes.LAND_GRANTS.UNAUTHORISED_PARCEL, {
+        sbi: request.auth?.credentials?.sbi,
+        selectedLandParcel: selectedKeys.filter((key) => !selected.some((s) => s.key === key)).join(', '),
+        landParcelsForSbi: parcelsForAction.map(({ key }) => key)
+      })
+      return this.renderUnauthorisedView(h)
+    }
+
+    const groups = actionGroups.length ? actionGroups : getActionGroupsConfig(this.model?.def)
+    const errors = this.validateSelectedParcels(selectedKeys, action, state.landParcels, groups)
+    if (errors.length) {
+      return h.view(this.viewName, this.buildViewModel(request, context, parcels, code, { payload, errors }))
+    }
+
+    const newState = this.buildNewState(state, selected)
+
+    if (payload.action === 'validate') {
+      const validationErrors = await this.validateNewState(request, context, newState)
+      if (validationErrors.length) {
+        return h.view(
+          this.viewName,
+          this.buildViewModel(request, context, parcels, code, { payload, errors: validationErrors })
+        )
+      }
+    }
+
+    await this.setState(request, newState)
+    return this.proceed(request, h, checkSelectedLandActionsPath)
+  }
+
+  /**
+   * Validate the application with the Land Grants API, as the select actions page does
+   * @param {AnyFormRequest} request
+   * @param {FormContext} context
+   * @param {object} state - State with the action added
+   * @returns {Promise<Array<{text: string, href: string}>>} - Errors, linked to the parcels field
+   */
+  async validateNewState(request, context, state) {
+    const { sbi, crn } = request.auth.credentials
+    const href = `#${this.parcelsField}`
+
+    try {
+      const { valid, errorMessages = [] } = await validateApplication({
+        applicationId: context.referenceNumber,
+        sbi,
+        crn,
+        state
+      })
+      if (valid) {
+        return []
+      }
+
+      return errorMessages
+        .filter((e) => !e.passed)
+        .map((e) => ({
+          text: `${e.description}${e.code ? ': ' + e.code : ''}${e.sheetId ? ` on land parcel ${e.sheetId} ${e.parcelId}` : ''}`,
+          href
+        }))
+    } catch (e) {
+      log(LogCodes.LAND_GRANTS.VALIDATE_APPLICATION_ERROR, { parcelId: '', sheetId: '', message: e.message })
+      return [
+        {
+          text: 'There has been an issue validating the application, please try again later or contact the Rural Payments Agency.',
+          href: ''
+        }
+      ]
+    }
+  }
+
+  /**
+   * Handle POST requests to the page. Choosing an action shows the parcels it can be added to, and choosing
+   * parcels adds the action to them.
+   */
+  makePostRouteHandler() {
+    /**
+     * @param {AnyFormRequest} request
+     * @param {FormContext} context
+     * @param {Pick<ResponseToolkit, 'redirect' | 'view'>} h
+     * @returns {Promise<ResponseObject>}
+     */
+    const fn = async (request, context, h) => {
+      const payload = request.payload ?? {}
+      const result = await this.fetchParcels(request)
+      if (!result) {
+        return this.renderFetchErrorView(h, request, context)
+      }
+
+      const code = request.query?.action
+      if (code && this.getParcelsForAction(result.parcels, code).length) {
+        return this.addActionToParcels(request, context, h, result, code)
+      }
+
+      const chosenCode = payload[this.actionField]
+      if (!chosenCode || !this.getParcelsForAction(result.parcels, chosenCode).length) {
+        return h.view(
+          this.viewName,
+          this.buildViewModel(request, context, result.parcels, undefined, {
+            payload,
+            errors: [{ text: 'Select an action to add to land parcels', href: `#${this.actionField}` }]
+          })
+        )
+      }
+
+      return this.proceed(request, h, `${addActionToParcelsPath}?action=${encodeURIComponent(chosenCode)}`)
+    }
+
+    return fn
+  }
+}
+
+/**
+ * @import { FormContext, AnyFormRequest } from '@defra/forms-engine-plugin/engine/types.js'
+ * @import { FormModel } from '@defra/forms-engine-plugin/engine/models/index.js'
+ * @import { PageQuestion } from '@defra/forms-model'
+ * @import { ResponseObject, ResponseToolkit } from '@hapi/hapi'
+ * @import { ActionOption, Parcel } from '~/src/server/land-grants/types/land-grants.client.d.js'
+ * @import { ActionGroupConfig } from '~/src/server/land-grants/utils/action-groups.js'
+ */
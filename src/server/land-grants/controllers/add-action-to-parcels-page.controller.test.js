@@ -0,0 +1,403 @@
+import { QuestionPageController } from '@defra/forms-engine-plugin/controllers/QuestionPageController.js'
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { fetchParcelsWithActions, validateApplication } from '~/src/server/land-grants/services/land-grants.service.js'
+import AddActionToParcelsPageController from './add-action-to-parcels-page.controller.js'
+
+vi.mock('~/src/server/common/helpers/logging/log.js', () => ({
+  log: vi.fn(),
+  LogCodes: {
+    SYSTEM: { EXTERNAL_API_ERROR: { level: 'error', messageFunc: vi.fn() } },
+    LAND_GRANTS: {
+      UNAUTHORISED_PARCEL: { level: 'error', messageFunc: vi.fn() },
+      VALIDATE_APPLICATION_ERROR: { level: 'error', messageFunc: vi.fn() }
+    }
+  }
+}))
+vi.mock('~/src/server/land-grants/services/land-grants.service.js')
+
+const cmor1 = (value) => ({
+  code: 'CMOR1',
+  description: 'Assess moorland and produce a written record: CMOR1',
+  availableArea: { unit: 'ha', value }
+})
+const upl1 = (value) => ({
+  code: 'UPL1',
+  description: 'Moderate livestock grazing on moorland: UPL1',
+  availableArea: { unit: 'ha', value }
+})
+const upl2 = (value) => ({
+  code: 'UPL2',
+  description: 'Heavy livestock grazing on moorland: UPL2',
+  availableArea: { unit: 'ha', value }
+})
+
+const mockParcels = [
+  { sheetId: 'SD6743', parcelId: '8083', size: { unit: 'ha', value: 10 }, actions: [cmor1(8), upl1(8), upl2(8)] },
+  { sheetId: 'SD6944', parcelId: '0085', size: { unit: 'ha', value: 5 }, actions: [cmor1(4.5), upl1(4.5)] },
+  { sheetId: 'SD7045', parcelId: '1234', size: { unit: 'ha', value: 2 }, actions: [upl1(2)] }
+]
+
+const actionGroups = [
+  { name: 'Assess moorland', actions: ['CMOR1'] },
+  { name: 'Livestock grazing on moorland', exclusive: true, actions: ['UPL1', 'UPL2', 'UPL3'] }
+]
+
+describe('AddActionToParcelsPageController', () => {
+  let controller
+  let mockRequest
+  let mockContext
+  let mockH
+
+  beforeEach(() => {
+    QuestionPageController.prototype.getViewModel = vi.fn().mockReturnValue({ pageTitle: 'Add action' })
+
+    controller = new AddActionToParcelsPageController()
+    controller.model = { def: { metadata: { landActionGroups: actionGroups } } }
+    controller.setState = vi.fn().mockResolvedValue(true)
+    controller.proceed = vi.fn().mockReturnValue('redirected')
+
+    mockRequest = {
+      query: {},
+      payload: {},
+      auth: { isAuthenticated: true, credentials: { sbi: '106284736', crn: '1102838829' } }
+    }
+    mockContext = {
+      referenceNumber: 'REF123',
+      state: {
+        landParcels: {
+          'SD6944-0085': {
+            size: { unit: 'ha', value: 5 },
+            actionsObj: { UPL1: { description: 'Moderate livestock grazing on moorland: UPL1', value: 3, unit: 'ha' } }
+          }
+        }
+      }
+    }
+    mockH = {
+      view: vi.fn().mockReturnValue('rendered view'),
+      response: vi.fn().mockReturnValue({ code: vi.fn().mockReturnValue('forbidden response') })
+    }
+
+    fetchParcelsWithActions.mockResolvedValue({ parcels: mockParcels, actionGroups: [] })
+    validateApplication.mockResolvedValue({ valid: true, errorMessages: [] })
+  })
+
+  afterEach(() => {
+    vi.clearAllMocks()
+  })
+
+  test('should have the correct viewName', () => {
+    expect(controller.viewName).toBe('add-action-to-parcels')
+  })
+
+  describe('getActionOptions', () => {
+    test('should list each action once, with the number of parcels it is available on', () => {
+      expect(controller.getActionOptions(mockParcels)).toEqual([
+        {
+          value: 'CMOR1',
+          text: 'Assess moorland and produce a written record: CMOR1',
+          hint: { text: 'Available on 2 land parcels' }
+        },
+        {
+          value: 'UPL1',
+          text: 'Moderate livestock grazing on moorland: UPL1',
+          hint: { text: 'Available on 3 land parcels' }
+        },
+        {
+          value: 'UPL2',
+          text: 'Heavy livestock grazing on moorland: UPL2',
+          hint: { text: 'Available on 1 land parcel' }
+        }
+      ])
+    })
+  })
+
+  describe('buildNewState', () => {
+    test('should add the action on all of its available area, keeping other actions', () => {
+      const selected = controller
+        .getParcelsForAction(mockParcels, 'CMOR1')
+        .filter(({ key }) => ['SD6743-8083', 'SD6944-0085'].includes(key))
+
+      expect(controller.buildNewState(mockContext.state, selected)).toEqual({
+        landParcels: {
+          'SD6743-8083': {
+            size: { unit: 'ha', value: 10 },
+            actionsObj: {
+              CMOR1: {
+                description: 'Assess moorland and produce a written record: CMOR1',
+                value: 8,
+                unit: 'ha',
+                availableArea: { unit: 'ha', value: 8 }
+              }
+            }
+          },
+          'SD6944-0085': {
+            size: { unit: 'ha', value: 5 },
+            actionsObj: {
+              UPL1: { description: 'Moderate livestock grazing on moorland: UPL1', value: 3, unit: 'ha' },
+              CMOR1: {
+                description: 'Assess moorland and produce a written record: CMOR1',
+                value: 4.5,
+                unit: 'ha',
+                availableArea: { unit: 'ha', value: 4.5 }
+              }
+            }
+          }
+        }
+      })
+    })
+
+    test('should not change the current state', () => {
+      const state = structuredClone(mockContext.state)
+
+      controller.buildNewState(state, controller.getParcelsForAction(mockParcels, 'CMOR1'))
+
+      expect(state).toEqual(mockContext.state)
+    })
+  })
+
+  describe('GET route handler', () => {
+    test('should show the actions to choose from', async () => {
+      await controller.makeGetRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(mockH.view).toHaveBeenCalledWith(
+        'add-action-to-parcels',
+        expect.objectContaining({
+          actionOptions: expect.arrayContaining([expect.objectContaining({ value: 'CMOR1' })]),
+          action: undefined,
+          parcelItems: [],
+          existingLandParcels: true,
+          errors: []
+        })
+      )
+    })
+
+    test('should show the parcels the chosen action can be added to', async () => {
+      mockRequest.query.action = 'UPL1'
+
+      await controller.makeGetRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(mockH.view).toHaveBeenCalledWith(
+        'add-action-to-parcels',
+        expect.objectContaining({
+          actionOptions: [],
+          action: upl1(8),
+          parcelItems: [
+            { value: 'SD6743-8083', text: 'SD6743 8083', hint: { text: 'Available area: 8 ha' }, checked: false },
+            { value: 'SD7045-1234', text: 'SD7045 1234', hint: { text: 'Available area: 2 ha' }, checked: false }
+          ],
+          parcelsWithAction: ['SD6944 0085']
+        })
+      )
+    })
+
+    test('should show the actions to choose from when the chosen action is not available', async () => {
+      mockRequest.query.action = 'XYZ1'
+
+      await controller.makeGetRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(mockH.view).toHaveBeenCalledWith(
+        'add-action-to-parcels',
+        expect.objectContaining({ action: undefined, actionOptions: expect.any(Array) })
+      )
+    })
+
+    test('should log and show an error when the parcels cannot be fetched', async () => {
+      fetchParcelsWithActions.mockRejectedValue(new Error('API down'))
+
+      await controller.makeGetRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(log).toHaveBeenCalledWith(LogCodes.SYSTEM.EXTERNAL_API_ERROR, {
+        endpoint: 'Land grants API',
+        error: 'error fetching parcel actions for sbi 106284736 - API down'
+      })
+      expect(mockH.view).toHaveBeenCalledWith(
+        'add-action-to-parcels',
+        expect.objectContaining({
+          actionOptions: [],
+          errors: [
+            {
+              text: 'Unable to find actions information for your land parcels, please try again later or contact the Rural Payments Agency.'
+            }
+          ]
+        })
+      )
+    })
+  })
+
+  describe('POST route handler', () => {
+    test('should go on to choosing parcels for the chosen action', async () => {
+      mockRequest.payload = { actionCode: 'CMOR1' }
+
+      const result = await controller.makePostRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(result).toBe('redirected')
+      expect(controller.proceed).toHaveBeenCalledWith(mockRequest, mockH, '/add-action-to-parcels?action=CMOR1')
+    })
+
+    test.each([
+      ['no action is chosen', {}],
+      ['the chosen action is not available', { actionCode: 'XYZ1' }]
+    ])('should show an error when %s', async (_, payload) => {
+      mockRequest.payload = payload
+
+      await controller.makePostRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(controller.proceed).not.toHaveBeenCalled()
+      expect(mockH.view).toHaveBeenCalledWith(
+        'add-action-to-parcels',
+        expect.objectContaining({
+          errors: [{ text: 'Select an action to add to land parcels', href: '#actionCode' }]
+        })
+      )
+    })
+
+    test('should add the action to every selected parcel in one step', async () => {
+      mockRequest.query.action = 'CMOR1'
+      mockRequest.payload = { selectedParcels: ['SD6743-8083', 'SD6944-0085'], action: 'validate' }
+
+      const result = await controller.makePostRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(result).toBe('redirected')
+      expect(controller.setState).toHaveBeenCalledTimes(1)
+      const newState = controller.setState.mock.calls[0][1]
+      expect(Object.keys(newState.landParcels['SD6743-8083'].actionsObj)).toEqual(['CMOR1'])
+      expect(Object.keys(newState.landParcels['SD6944-0085'].actionsObj)).toEqual(['UPL1', 'CMOR1'])
+      expect(validateApplication).toHaveBeenCalledWith({
+        applicationId: 'REF123',
+        sbi: '106284736',
+        crn: '1102838829',
+        state: newState
+      })
+      expect(controller.proceed).toHaveBeenCalledWith(mockRequest, mockH, '/check-selected-land-actions')
+    })
+
+    test('should accept a single selected parcel', async () => {
+      mockRequest.query.action = 'CMOR1'
+      mockRequest.payload = { selectedParcels: 'SD6743-8083' }
+
+      await controller.makePostRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(Object.keys(controller.setState.mock.calls[0][1].landParcels)).toEqual(['SD6944-0085', 'SD6743-8083'])
+      expect(validateApplication).not.toHaveBeenCalled()
+    })
+
+    test('should show an error when no parcels are selected', async () => {
+      mockRequest.query.action = 'CMOR1'
+
+      await controller.makePostRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(controller.setState).not.toHaveBeenCalled()
+      expect(mockH.view).toHaveBeenCalledWith(
+        'add-action-to-parcels',
+        expect.objectContaining({
+          errors: [{ text: 'Select the land parcels to add CMOR1 to', href: '#selectedParcels' }]
+        })
+      )
+    })
+
+    test('should not add an action to a parcel that already has one from the same exclusive group', async () => {
+      mockRequest.query.action = 'UPL2'
+      mockContext.state.landParcels['SD6743-8083'] = { actionsObj: { UPL1: { value: 8 } } }
+      mockRequest.payload = { selectedParcels: ['SD6743-8083'] }
+
+      await controller.makePostRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(controller.setState).not.toHaveBeenCalled()
+      expect(mockH.view).toHaveBeenCalledWith(
+        'add-action-to-parcels',
+        expect.objectContaining({
+          errors: [
+            {
+              text: 'Land parcel SD6743 8083 already has an action from Livestock grazing on moorland, so UPL2 cannot be added to it',
+              href: '#selectedParcels'
+            }
+          ],
+          parcelItems: [expect.objectContaining({ value: 'SD6743-8083', checked: true })]
+        })
+      )
+    })
+
+    test('should use the action groups from the Land Grants API when it returns them', async () => {
+      fetchParcelsWithActions.mockResolvedValue({ parcels: mockParcels, actionGroups: [] })
+      controller.model = { def: { metadata: {} } }
+      mockRequest.query.action = 'UPL2'
+      mockContext.state.landParcels['SD6743-8083'] = { actionsObj: { UPL1: { value: 8 } } }
+      mockRequest.payload = { selectedParcels: ['SD6743-8083'] }
+
+      await controller.makePostRouteHandler()(mockRequest, mockContext, mockH)
+      expect(controller.setState).toHaveBeenCalled()
+
+      vi.clearAllMocks()
+      fetchParcelsWithActions.mockResolvedValue({ parcels: mockParcels, actionGroups })
+
+      await controller.makePostRouteHandler()(mockRequest, mockContext, mockH)
+      expect(controller.setState).not.toHaveBeenCalled()
+    })
+
+    test('should refuse parcels the action is not available on', async () => {
+      mockRequest.query.action = 'CMOR1'
+      mockRequest.payload = { selectedParcels: ['SD6743-8083', 'SD7045-1234'] }
+
+      const result = await controller.makePostRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(result).toBe('forbidden response')
+      expect(mockH.view).toHaveBeenCalledWith('unauthorised')
+      expect(log).toHaveBeenCalledWith(
+        LogCodes.LAND_GRANTS.UNAUTHORISED_PARCEL,
+        expect.objectContaining({ sbi: '106284736', selectedLandParcel: 'SD7045-1234' })
+      )
+      expect(controller.setState).not.toHaveBeenCalled()
+    })
+
+    test('should show the errors when the application is not valid', async () => {
+      validateApplication.mockResolvedValue({
+        valid: false,
+        errorMessages: [
+          { code: 'CMOR1', description: 'Action is not available', sheetId: 'SD6743', parcelId: '8083', passed: false },
+          { code: 'CMOR1', description: 'Passed rule', sheetId: 'SD6944', parcelId: '0085', passed: true }
+        ]
+      })
+      mockRequest.query.action = 'CMOR1'
+      mockRequest.payload = { selectedParcels: ['SD6743-8083'], action: 'validate' }
+
+      await controller.makePostRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(controller.setState).not.toHaveBeenCalled()
+      expect(mockH.view).toHaveBeenCalledWith(
+        'add-action-to-parcels',
+        expect.objectContaining({
+          errors: [{ text: 'Action is not available: CMOR1 on land parcel SD6743 8083', href: '#selectedParcels' }]
+        })
+      )
+    })
+
+    test('should show an error when the application cannot be validated', async () => {
+      validateApplication.mockRejectedValue(new Error('API down'))
+      mockRequest.query.action = 'CMOR1'
+      mockRequest.payload = { selectedParcels: ['SD6743-8083'], action: 'validate' }
+
+      await controller.makePostRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(log).toHaveBeenCalledWith(
+        LogCodes.LAND_GRANTS.VALIDATE_APPLICATION_ERROR,
+        expect.objectContaining({ message: 'API down' })
+      )
+      expect(controller.setState).not.toHaveBeenCalled()
+    })
+
+    test('should show an error when the parcels cannot be fetched', async () => {
+      fetchParcelsWithActions.mockRejectedValue(new Error('API down'))
+      mockRequest.query.action = 'CMOR1'
+      mockRequest.payload = { selectedParcels: ['SD6743-8083'] }
+
+      await controller.makePostRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(controller.setState).not.toHaveBeenCalled()
+      expect(mockH.view).toHaveBeenCalledWith(
+        'add-action-to-parcels',
+        expect.objectContaining({ errors: [expect.objectContaining({ text: expect.stringContaining('Unable') })] })
+      )
+    })
+  })
+})
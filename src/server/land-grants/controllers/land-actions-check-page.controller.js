@@ -1,11 +1,24 @@
 import { QuestionPageController } from '@defra/forms-engine-plugin/controllers/QuestionPageController.js'
-import { formatCurrency } from '~/src/config/nunjucks/filters/filters.js'
 import { landActionWithCode } from '~/src/server/land-grants/utils/land-action-with-code.js'
 import { sbiStore } from '~/src/server/sbi/state.js'
-import { actionGroups, calculateGrantPayment } from '../services/land-grants.service.js'
+import { calculateGrantPayment, validateApplication } from '../services/land-grants.service.js'
+import { getActionGroupsConfig } from '../utils/action-groups.js'
 import { stringifyParcel } from '../utils/format-parcel.js'
+import { formatPence } from '../utils/format-pence.js'
 import { log, LogCodes } from '../../common/helpers/logging/log.js'
 
+const submitApplicationPath = '/submit-your-application'
+
+const VALIDATION_UNAVAILABLE_WARNING =
+  'We could not check your land actions against the eligibility rules. They will be checked when you submit your application.'
+
+/**
+ * Describes a failed validation rule, with the action it is about when there is one
+ * @param {ErrorItem} failure
+ * @returns {string}
+ */
+const describeFailure = (failure) => `${failure.description}${failure.code ? ': ' + failure.code : ''}`
+
 const createLinks = (data) => {
   const parcelParam = stringifyParcel({
     parcelId: data.parcelId,
@@ -27,6 +40,15 @@ const createLinks = (data) => {
 export default class LandActionsCheckPageController extends QuestionPageController {
   viewName = 'land-actions-check'
 
+  /**
+   * @param {FormModel} model
+   * @param {PageQuestion} pageDef
+   */
+  constructor(model, pageDef) {
+    super(model, pageDef)
+    this.model = model
+  }
+
   /**
    * Check if parcel data has valid actions
    * @param {object} parcelData - Parcel data
@@ -63,7 +85,7 @@ export default class LandActionsCheckPageController extends QuestionPageControll
    * @returns {string} - Formatted currency string
    */
   getPrice(value) {
-    return formatCurrency(value / 100, 'en-GB', 'GBP', 2, 'currency')
+    return formatPence(value)
   }
 
   /**
@@ -121,9 +143,10 @@ export default class LandActionsCheckPageController extends QuestionPageControll
       )
     ]
 
+    const actionGroups = getActionGroupsConfig(this.model?.def)
     const hasActionFromGroup = actionGroups.map((group) => uniqueCodes.some((code) => group.actions.includes(code)))
 
-    if (hasActionFromGroup.every(Boolean)) {
+    if (actionGroups.length > 0 && hasActionFromGroup.every(Boolean)) {
       return {}
     }
 
@@ -134,16 +157,35 @@ export default class LandActionsCheckPageController extends QuestionPageControll
     }
   }
 
-  getParcelItems = (paymentInfo) => {
+  /**
+   * Validation failures on a parcel, each with a link to change the actions on it
+   * @param {ErrorItem[]} failures - Failed validation rules for the application
+   * @param {string} sheetId
+   * @param {string} parcelId
+   * @returns {Array<{text: string, href: string, hiddenTextValue: string}>}
+   */
+  buildParcelErrors(failures, sheetId, parcelId) {
+    return failures
+      .filter((failure) => failure.sheetId === sheetId && failure.parcelId === parcelId)
+      .map((failure) => ({
+        text: describeFailure(failure),
+        href: `select-actions-for-land-parcel?parcelId=${sheetId}-${parcelId}`,
+        hiddenTextValue: `land actions for parcel ${sheetId} ${parcelId}`
+      }))
+  }
+
+  getParcelItems = (paymentInfo, failures = []) => {
     const groupedByParcel = Object.values(paymentInfo?.parcelItems || {}).reduce((acc, data) => {
       const parcelKey = `${data.sheetId} ${data.parcelId}`
 
       if (!acc[parcelKey]) {
         acc[parcelKey] = {
+          id: `parcel-${data.sheetId}-${data.parcelId}`,
           cardTitle: `Land parcel ${parcelKey}`,
           headerActions: this.buildLandParcelHeaderActions(data.sheetId, data.parcelId),
           footerActions: this.buildLandParcelFooterActions(paymentInfo?.parcelItems, data.sheetId, data.parcelId),
           parcelId: parcelKey,
+          errors: this.buildParcelErrors(failures, data.sheetId, data.parcelId),
           items: []
         }
       }
@@ -179,7 +221,69 @@ export default class LandActionsCheckPageController extends QuestionPageControll
    * @returns {string} - Next path
    */
   getNextPathFromSelection(addMoreActions) {
-    return addMoreActions === 'true' ? '/select-land-parcel' : '/submit-your-application'
+    return addMoreActions === 'true' ? '/select-land-parcel' : submitApplicationPath
+  }
+
+  /**
+   * Validate the land actions with the Land Grants API, as submitting the application does. Results are cached by the
+   * land actions, so the API is only called again once they change.
+   * @param {AnyFormRequest} request
+   * @param {FormContext} context
+   * @returns {Promise<ErrorItem[] | null>} - The rules the application fails, or null when the API cannot validate it,
+   *   as submitting the application validates it again
+   */
+  async getValidationFailures(request, context) {
+    const { sbi, crn } = request.auth?.credentials ?? {}
+    if (!Object.keys(context.state.landParcels ?? {}).length) {
+      return []
+    }
+
+    try {
+      const { valid, errorMessages = [] } = await validateApplication(
+        {
+          applicationId: context.referenceNumber,
+          sbi,
+          crn,
+          state: context.state
+        },
+        request
+      )
+      if (valid) {
+        return []
+      }
+
+      const failures = errorMessages.filter((e) => !e.passed)
+      return failures.length
+        ? failures
+        : [
+            {
+              code: '',
+              description: 'Your land actions do not meet the eligibility rules for this grant',
+              sheetId: '',
+              parcelId: '',
+              passed: false
+            }
+          ]
+    } catch (e) {
+      log(LogCodes.LAND_GRANTS.VALIDATE_APPLICATION_ERROR, { parcelId: '', sheetId: '', message: e.message })
+      return null
+    }
+  }
+
+  /**
+   * Build the error summary for validation failures, linking each to the card of the parcel it is about
+   * @param {ErrorItem[]} failures
+   * @returns {{text: string; href?: string}[]}
+   */
+  buildValidationErrors(failures) {
+    return failures.map((failure) =>
+      failure.sheetId
+        ? {
+            text: `Land parcel ${failure.sheetId} ${failure.parcelId}: ${describeFailure(failure)}`,
+            href: `#parcel-${failure.sheetId}-${failure.parcelId}`
+          }
+        : { text: describeFailure(failure) }
+    )
   }
 
   /**
@@ -206,16 +310,46 @@ export default class LandActionsCheckPageController extends QuestionPageControll
     })
   }
 
+  /**
+   * Render the page with the validation failures, so the applicant can resolve them before submitting
+   * @param {Pick<ResponseToolkit, 'view'>} h - Response toolkit
+   * @param {AnyFormRequest} request - Request object
+   * @param {FormContext} context - Form context
+   * @param {ErrorItem[]} failures - Validation failures
+   * @returns {Promise<ResponseObject>} - Page with the failures
+   */
+  async renderValidationFailures(h, request, context, failures) {
+    try {
+      const { payment, parcelItems, additionalYearlyPayments } = await this.processPaymentCalculation(
+        context.state,
+        request,
+        failures
+      )
+      return h.view(
+        this.viewName,
+        this.buildGetViewModel(request, context, payment, parcelItems, additionalYearlyPayments, failures)
+      )
+    } catch (error) {
+      log(LogCodes.SYSTEM.EXTERNAL_API_ERROR, {
+        endpoint: `Land grants API`,
+        error: `error fetching payment data for validation failures - ${error.message}`
+      })
+      return this.renderErrorView(h, request, context, this.buildValidationErrors(failures))
+    }
+  }
+
   /**
    * Process payment calculation
    * @param {object} state - Current state
+   * @param {AnyFormRequest} request
+   * @param {ErrorItem[]} [failures] - Validation failures to show on the parcel cards
    * @returns {Promise<object>} - Payment information with parcel and payment items
    */
-  async processPaymentCalculation(state) {
-    const paymentResult = await calculateGrantPayment(state)
+  async processPaymentCalculation(state, request, failures = []) {
+    const paymentResult = await calculateGrantPayment(state, request)
     const { payment } = paymentResult
 
-    const parcelItems = this.getParcelItems(payment)
+    const parcelItems = this.getParcelItems(payment, failures)
     const additionalYearlyPayments = this.getAdditionalYearlyPayments(payment)
 
     return { payment, parcelItems, additionalYearlyPayments }
@@ -228,9 +362,11 @@ export default class LandActionsCheckPageController extends QuestionPageControll
    * @param {object} payment - Payment information
    * @param {Array} parcelItems - Parcel items to display
    * @param {Array} additionalYearlyPayments - Additional payments to display
+   * @param {ErrorItem[] | null} [failures] - Validation failures for the error summary, or null when the application
+   *   could not be validated
    * @returns {object} - Complete view model
    */
-  buildGetViewModel(request, context, payment, parcelItems, additionalYearlyPayments) {
+  buildGetViewModel(request, context, payment, parcelItems, additionalYearlyPayments, failures = []) {
     const { state } = context
 
     return {
@@ -238,7 +374,9 @@ export default class LandActionsCheckPageController extends QuestionPageControll
       ...state,
       parcelItems,
       additionalYearlyPayments,
-      totalYearlyPayment: this.getPrice(payment?.annualTotalPence || 0)
+      totalYearlyPayment: this.getPrice(payment?.annualTotalPence || 0),
+      validationErrors: this.buildValidationErrors(failures ?? []),
+      ...(failures === null && { warning: VALIDATION_UNAVAILABLE_WARNING })
     }
   }
 
@@ -252,10 +390,11 @@ export default class LandActionsCheckPageController extends QuestionPageControll
       let payment = {}
       let parcelItems = []
       let additionalYearlyPayments = []
+      const failures = await this.getValidationFailures(request, context)
 
       // Fetch payment information and update current state
       try {
-        const result = await this.processPaymentCalculation(state)
+        const result = await this.processPaymentCalculation(state, request, failures ?? [])
         payment = result.payment
         parcelItems = result.parcelItems
         additionalYearlyPayments = result.additionalYearlyPayments
@@ -278,7 +417,14 @@ export default class LandActionsCheckPageController extends QuestionPageControll
         ])
       }
 
-      const viewModel = this.buildGetViewModel(request, context, payment, parcelItems, additionalYearlyPayments)
+      const viewModel = this.buildGetViewModel(
+        request,
+        context,
+        payment,
+        parcelItems,
+        additionalYearlyPayments,
+        failures
+      )
       return h.view(viewName, viewModel)
     }
   }
@@ -304,7 +450,7 @@ export default class LandActionsCheckPageController extends QuestionPageControll
         let parcelItems = []
         let additionalYearlyPayments = []
         try {
-          const result = await this.processPaymentCalculation(state)
+          const result = await this.processPaymentCalculation(state, request)
           parcelItems = result.parcelItems
           additionalYearlyPayments = result.additionalYearlyPayments
         } catch (error) {
@@ -318,6 +464,14 @@ export default class LandActionsCheckPageController extends QuestionPageControll
 
       const { addMoreActions } = payload
       const nextPath = this.getNextPathFromSelection(addMoreActions)
+
+      if (nextPath === submitApplicationPath) {
+        const failures = await this.getValidationFailures(request, context)
+        if (failures?.length) {
+          return this.renderValidationFailures(h, request, context, failures)
+        }
+      }
+
       return this.proceed(request, h, nextPath)
     }
 
@@ -328,4 +482,7 @@ export default class LandActionsCheckPageController extends QuestionPageControll
 /**
  * @import { FormContext, AnyFormRequest } from '@defra/forms-engine-plugin/engine/types.js'
  * @import { ResponseObject, ResponseToolkit } from '@hapi/hapi'
+ * @import { FormModel } from '@defra/forms-engine-plugin/engine/models/index.js'
+ * @import { PageQuestion } from '@defra/forms-model'
+ * @import { ErrorItem } from '~/src/server/land-grants/types/land-grants.client.d.js'
  */
@@ -2,12 +2,18 @@ import { QuestionPageController } from '@defra/forms-engine-plugin/controllers/Q
 import { vi } from 'vitest'
 import { mockRequestLogger } from '~/src/__mocks__/logger-mocks.js'
 import { sbiStore } from '~/src/server/sbi/state.js'
-import { calculateGrantPayment } from '../services/land-grants.service.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { calculateGrantPayment, validateApplication } from '../services/land-grants.service.js'
 import LandActionsCheckPageController from './land-actions-check-page.controller.js'
 
 vi.mock('~/src/server/land-grants/services/land-grants.service.js', () => ({
-  actionGroups: [{ actions: ['CMOR1'] }, { actions: ['UPL1', 'UPL2', 'UPL3'] }],
-  calculateGrantPayment: vi.fn()
+  calculateGrantPayment: vi.fn(),
+  validateApplication: vi.fn()
+}))
+
+vi.mock('~/src/server/common/helpers/logging/log.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  log: vi.fn()
 }))
 
 vi.mock('~/src/server/land-grants/utils/format-parcel.js', () => ({
@@ -64,8 +70,18 @@ describe('LandActionsCheckPageController', () => {
       .fn()
       .mockReturnValue([[{ text: 'sheet1-parcel1' }, { text: 'Test Action' }, { text: '10 hectares' }]])
 
-    // actionGroups.mockReturnValue([{ actions: ['CMOR1'] }, { actions: ['UPL1', 'UPL2', 'UPL3'] }])
+    controller.model = {
+      def: {
+        metadata: {
+          landActionGroups: [
+            { name: 'Assess moorland', actions: ['CMOR1'] },
+            { name: 'Livestock grazing on moorland', exclusive: true, actions: ['UPL1', 'UPL2', 'UPL3'] }
+          ]
+        }
+      }
+    }
     calculateGrantPayment.mockResolvedValue(mockPaymentResponse)
+    validateApplication.mockResolvedValue({ id: 'validation-123', valid: true, errorMessages: [] })
     sbiStore.get = vi.fn().mockReturnValue('106284736')
 
     mockRequest = {
@@ -186,6 +202,183 @@ describe('LandActionsCheckPageController', () => {
     })
   })
 
+  describe('Validation failures', () => {
+    const failedValidation = {
+      id: 'validation-123',
+      valid: false,
+      errorMessages: [
+        {
+          code: 'CMOR1',
+          description: 'Area is larger than the parcel',
+          sheetId: 'SD6743',
+          parcelId: '8083',
+          passed: false
+        },
+        { code: 'UPL1', description: 'Passed rule', sheetId: 'SD6743', parcelId: '8083', passed: true },
+        { code: '', description: 'Application has no SBI', sheetId: '', parcelId: '', passed: false }
+      ]
+    }
+
+    beforeEach(() => {
+      mockRequest.auth = { credentials: { sbi: '106284736', crn: '1100014934' } }
+      mockContext.referenceNumber = 'REF-123'
+    })
+
+    test('should validate the application on the check page', async () => {
+      const handler = controller.makeGetRouteHandler()
+      await handler(mockRequest, mockContext, mockH)
+
+      expect(validateApplication).toHaveBeenCalledWith(
+        {
+          applicationId: 'REF-123',
+          sbi: '106284736',
+          crn: '1100014934',
+          state: mockContext.state
+        },
+        mockRequest
+      )
+      expect(mockH.view).toHaveBeenCalledWith('land-actions-check', expect.objectContaining({ validationErrors: [] }))
+      expect(mockH.view.mock.calls[0][1].warning).toBeUndefined()
+    })
+
+    test('should show each failure in the error summary, linked to its parcel card', async () => {
+      validateApplication.mockResolvedValue(failedValidation)
+
+      const handler = controller.makeGetRouteHandler()
+      await handler(mockRequest, mockContext, mockH)
+
+      expect(mockH.view).toHaveBeenCalledWith(
+        'land-actions-check',
+        expect.objectContaining({
+          validationErrors: [
+            { text: 'Land parcel SD6743 8083: Area is larger than the parcel: CMOR1', href: '#parcel-SD6743-8083' },
+            { text: 'Application has no SBI' }
+          ]
+        })
+      )
+    })
+
+    test('should show failures on the card of their parcel with a change link', async () => {
+      validateApplication.mockResolvedValue(failedValidation)
+
+      const handler = controller.makeGetRouteHandler()
+      await handler(mockRequest, mockContext, mockH)
+
+      const { parcelItems } = mockH.view.mock.calls[0][1]
+      expect(parcelItems[0].id).toBe('parcel-SD6743-8083')
+      expect(parcelItems[0].errors).toEqual([
+        {
+          text: 'Area is larger than the parcel: CMOR1',
+          href: 'select-actions-for-land-parcel?parcelId=SD6743-8083',
+          hiddenTextValue: 'land actions for parcel SD6743 8083'
+        }
+      ])
+    })
+
+    test('should show a general failure when validation fails without saying which rule', async () => {
+      validateApplication.mockResolvedValue({ id: 'validation-123', valid: false, errorMessages: [] })
+
+      const handler = controller.makeGetRouteHandler()
+      await handler(mockRequest, mockContext, mockH)
+
+      expect(mockH.view).toHaveBeenCalledWith(
+        'land-actions-check',
+        expect.objectContaining({
+          validationErrors: [{ text: 'Your land actions do not meet the eligibility rules for this grant' }]
+        })
+      )
+    })
+
+    test('should still show the page, with a warning, when the application cannot be validated', async () => {
+      validateApplication.mockRejectedValue(new Error('Service unavailable'))
+
+      const handler = controller.makeGetRouteHandler()
+      await handler(mockRequest, mockContext, mockH)
+
+      expect(log).toHaveBeenCalledWith(LogCodes.LAND_GRANTS.VALIDATE_APPLICATION_ERROR, {
+        parcelId: '',
+        sheetId: '',
+        message: 'Service unavailable'
+      })
+      expect(mockH.view).toHaveBeenCalledWith(
+        'land-actions-check',
+        expect.objectContaining({
+          validationErrors: [],
+          totalYearlyPayment: '£320.06',
+          warning:
+            'We could not check your land actions against the eligibility rules. They will be checked when you submit your application.'
+        })
+      )
+    })
+
+    test('should let the applicant continue to submit when the application cannot be validated', async () => {
+      validateApplication.mockRejectedValue(new Error('Service unavailable'))
+      mockRequest.payload = { addMoreActions: 'false' }
+
+      const handler = controller.makePostRouteHandler()
+      await handler(mockRequest, mockContext, mockH)
+
+      expect(controller.proceed).toHaveBeenCalledWith(mockRequest, mockH, '/submit-your-application')
+    })
+
+    test('should not validate an application with no land parcels', async () => {
+      mockContext.state = { landParcels: {} }
+
+      const handler = controller.makeGetRouteHandler()
+      await handler(mockRequest, mockContext, mockH)
+
+      expect(validateApplication).not.toHaveBeenCalled()
+    })
+
+    test('should block continuing to submit while there are failures', async () => {
+      validateApplication.mockResolvedValue(failedValidation)
+      mockRequest.payload = { addMoreActions: 'false' }
+
+      const handler = controller.makePostRouteHandler()
+      await handler(mockRequest, mockContext, mockH)
+
+      expect(controller.proceed).not.toHaveBeenCalled()
+      expect(mockH.view).toHaveBeenCalledWith(
+        'land-actions-check',
+        expect.objectContaining({
+          validationErrors: expect.arrayContaining([
+            { text: 'Land parcel SD6743 8083: Area is larger than the parcel: CMOR1', href: '#parcel-SD6743-8083' }
+          ]),
+          totalYearlyPayment: '£320.06'
+        })
+      )
+    })
+
+    test('should show the failures without payments when the payment cannot be calculated', async () => {
+      validateApplication.mockResolvedValue(failedValidation)
+      calculateGrantPayment.mockRejectedValue(new Error('Service unavailable'))
+      mockRequest.payload = { addMoreActions: 'false' }
+
+      const handler = controller.makePostRouteHandler()
+      await handler(mockRequest, mockContext, mockH)
+
+      expect(controller.proceed).not.toHaveBeenCalled()
+      expect(mockH.view).toHaveBeenCalledWith(
+        'land-actions-check',
+        expect.objectContaining({
+          errorMessages: expect.arrayContaining([{ text: 'Application has no SBI' }]),
+          parcelItems: []
+        })
+      )
+    })
+
+    test('should let the applicant add more actions while there are failures', async () => {
+      validateApplication.mockResolvedValue(failedValidation)
+      mockRequest.payload = { addMoreActions: 'true' }
+
+      const handler = controller.makePostRouteHandler()
+      await handler(mockRequest, mockContext, mockH)
+
+      expect(validateApplication).not.toHaveBeenCalled()
+      expect(controller.proceed).toHaveBeenCalledWith(mockRequest, mockH, '/select-land-parcel')
+    })
+  })
+
   describe('Data Formatting', () => {
     test('should format currency correctly', () => {
       expect(controller.getPrice(32006)).toBe('£320.06')
@@ -307,6 +500,26 @@ describe('LandActionsCheckPageController', () => {
 
         expect(result[0].footerActions).toEqual({})
       })
+
+      test('should display Add another action when no action groups are configured', () => {
+        controller.model = { def: { metadata: {} } }
+        const paymentData = {
+          parcelItems: {
+            1: {
+              code: 'CMOR1',
+              description: 'CMOR1',
+              quantity: 5,
+              annualPaymentPence: 1000,
+              sheetId: 'SD01',
+              parcelId: '001'
+            }
+          }
+        }
+
+        const result = controller.getParcelItems(paymentData)
+
+        expect(result[0].footerActions).toEqual(expect.objectContaining({ text: 'Add another action' }))
+      })
     })
 
     describe('"Remove parcel" links', () => {
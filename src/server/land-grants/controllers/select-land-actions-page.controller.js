@@ -1,25 +1,68 @@
 import {
   fetchAvailableActionsForParcel,
+  fetchCommittedArea,
   validateApplication
 } from '~/src/server/land-grants/services/land-grants.service.js'
 import LandGrantsQuestionWithAuthCheckController from '~/src/server/land-grants/controllers/auth/land-grants-question-with-auth-check.controller.js'
 import { parseLandParcel, stringifyParcel } from '~/src/server/land-grants/utils/format-parcel.js'
 import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { findExclusiveGroupConflicts, getActionGroupsConfig } from '~/src/server/land-grants/utils/action-groups.js'
 
 export default class SelectLandActionsPageController extends LandGrantsQuestionWithAuthCheckController {
   viewName = 'select-actions-for-land-parcel'
   actionFieldPrefix = 'landAction_'
+  actionAreaFieldPrefix = 'landActionArea_'
+  maxAreaDecimalPlaces = 4
+
+  /**
+   * @param {FormModel} model
+   * @param {PageQuestion} pageDef
+   */
+  constructor(model, pageDef) {
+    super(model, pageDef)
+    this.model = model
+  }
 
   extractLandActionFieldsFromPayload(payload) {
     return Object.keys(payload).filter((key) => key.startsWith(this.actionFieldPrefix))
   }
 
-  mapActionToViewModel(action, addedActions) {
-    const existingActions = addedActions.map((a) => a.code)
+  /**
+   * Get the selected action codes. Groups shown as checkboxes submit a list when more than one is checked.
+   * @param {object} payload - The form payload
+   * @returns {string[]} - The selected action codes
+   */
+  getSelectedActionCodes(payload) {
+    return this.extractLandActionFieldsFromPayload(payload)
+      .flatMap((field) => payload[field])
+      .filter(Boolean)
+  }
+
+  /**
+   * Map an action to a checkbox or radio item, with the area to apply it to
+   * @param {ActionOption} action - The action
+   * @param {Array} addedActions - Actions already added to the parcel
+   * @param {object} [submitted] - A submission being shown again with errors
+   * @param {object} submitted.payload - The submitted form payload
+   * @param {Array} submitted.errors - The errors in the submission
+   * @returns {object} - The item view model
+   */
+  mapActionToViewModel(action, addedActions, submitted) {
+    const addedAction = addedActions.find((a) => a.code === action.code)
+    const areaField = this.actionAreaFieldPrefix + action.code
+    const submittedCodes = submitted ? this.getSelectedActionCodes(submitted.payload) : []
+
     return {
       value: action.code,
       text: action.description,
-      checked: existingActions.includes(action.code),
+      checked: submitted ? submittedCodes.includes(action.code) : Boolean(addedAction),
+      area: {
+        id: areaField,
+        value: submitted ? submitted.payload[areaField] : (addedAction?.value ?? action.availableArea?.value),
+        unit: action.availableArea?.unit,
+        availableArea: action.availableArea?.value,
+        errorMessage: submitted?.errors.find((e) => e.href === `#${areaField}`)?.text
+      },
       hint: {
         html:
           `Payment rate per year: <strong>£${action.ratePerUnitGbp?.toFixed(2)} per ha</strong>` +
@@ -36,26 +79,28 @@ export default class SelectLandActionsPageController extends LandGrantsQuestionW
    * @param {FormContext} context - The form context
    * @param {Array} groupedActions - The grouped actions
    * @param {Array} addedActions - The added actions
+   * @param {object} [submitted] - A submission being shown again with errors, see `mapActionToViewModel`
    * @returns {object} - The view model for the page
    */
-  getViewModelWithActions(request, context, groupedActions, addedActions) {
+  getViewModelWithActions(request, context, groupedActions, addedActions, submitted) {
     return {
       ...super.getViewModel(request, context),
       actionFieldPrefix: this.actionFieldPrefix,
       addedActions,
       groupedActions: groupedActions.map((group) => ({
         ...group,
-        actions: group.actions.map((action) => this.mapActionToViewModel(action, addedActions))
+        actions: group.actions.map((action) => this.mapActionToViewModel(action, addedActions, submitted))
       }))
     }
   }
 
   /**
-   * Validate the user input submitted from the page
+   * Validate the selected actions: at least one must be selected, and no more than one from an exclusive group
    * @param {object} payload - The form payload
-   * @returns {object} - An object containing errors and error summary
+   * @param {ActionGroup[]} [groupedActions] - The actions available for the parcel, to check exclusive groups
+   * @returns {Array} - Errors, linked to the group fields
    */
-  validateUserInput(payload) {
+  validateUserInput(payload, groupedActions = []) {
     const errors = []
     const landActionFields = this.extractLandActionFieldsFromPayload(payload)
 
@@ -64,9 +109,80 @@ export default class SelectLandActionsPageController extends LandGrantsQuestionW
       errors.push({ text: 'Select an action to do on this land parcel', href: `#${firstActionInput}` })
     }
 
+    for (const { group, index } of findExclusiveGroupConflicts(this.getSelectedActionCodes(payload), groupedActions)) {
+      errors.push({
+        text: `Select only one action from ${group.name}`,
+        href: `#${this.actionFieldPrefix}${index + 1}`
+      })
+    }
+
+    return errors
+  }
+
+  /**
+   * Validate the area entered for each selected action against the area available for the action
+   * and the size of the parcel. Actions submitted without an area field apply to all the available area.
+   * @param {object} payload - The form payload
+   * @param {ActionGroup[]} groupedActions - The actions available for the parcel
+   * @param {{ size?: Size }} parcel - The selected land parcel
+   * @returns {Array} - Errors, linked to the area fields
+   */
+  validateActionAreas(payload, groupedActions, parcel) {
+    const errors = []
+    const allActions = groupedActions.flatMap((g) => g.actions)
+
+    for (const code of this.getSelectedActionCodes(payload)) {
+      const action = allActions.find((a) => a.code === code)
+      const areaField = this.actionAreaFieldPrefix + code
+      if (!action || !(areaField in payload)) {
+        continue
+      }
+
+      const error = this.validateActionArea(payload[areaField], action, parcel?.size)
+      if (error) {
+        errors.push({ text: error, href: `#${areaField}` })
+      }
+    }
+
     return errors
   }
 
+  /**
+   * Validate the area entered for an action
+   * @param {string} value - The area entered
+   * @param {ActionOption} action - The action
+   * @param {Size} [parcelSize] - The size of the parcel
+   * @returns {string | null} - The error message, or null if the area is valid
+   */
+  validateActionArea(value, action, parcelSize) {
+    const { code, availableArea } = action
+    const area = String(value ?? '').trim()
+    const unit = availableArea?.unit ?? parcelSize?.unit ?? ''
+
+    if (!area) {
+      return `Enter the area to apply ${code} to`
+    }
+    if (!/^\d*\.?\d+$/.test(area)) {
+      return `Area to apply ${code} to must be a number, like 3.2`
+    }
+    if ((area.split('.')[1] ?? '').length > this.maxAreaDecimalPlaces) {
+      return `Area to apply ${code} to must have no more than ${this.maxAreaDecimalPlaces} decimal places`
+    }
+
+    const quantity = Number(area)
+    if (quantity <= 0) {
+      return `Area to apply ${code} to must be more than 0 ${unit}`
+    }
+    if (availableArea?.value != null && quantity > availableArea.value) {
+      return `Area to apply ${code} to must be ${availableArea.value} ${unit} or less, the area available for this action`
+    }
+    if (parcelSize?.value && quantity > parcelSize.value) {
+      return `Area to apply ${code} to must be ${parcelSize.value} ${unit} or less, the size of the parcel`
+    }
+
+    return null
+  }
+
   /**
    * Build new state by adding actions
    * @param {object} state - The state object
@@ -88,21 +204,22 @@ export default class SelectLandActionsPageController extends LandGrantsQuestionW
   }
 
   createNewStateFromPayload(state, payload, groupedActions, parcel) {
-    const landActionFields = this.extractLandActionFieldsFromPayload(payload)
-    if (landActionFields.length === 0) {
+    const actionCodes = this.getSelectedActionCodes(payload)
+    if (actionCodes.length === 0) {
       return {}
     }
 
     const actionsObj = {}
     const allActions = groupedActions.flatMap((g) => g.actions)
-    for (const fieldName of landActionFields) {
-      const actionCode = payload[fieldName]
+    for (const actionCode of actionCodes) {
       const actionInfo = allActions.find((a) => a.code === actionCode)
       if (actionCode && actionInfo) {
+        const enteredArea = payload[this.actionAreaFieldPrefix + actionCode]
         actionsObj[actionCode] = {
           description: actionInfo.description,
-          value: actionInfo?.availableArea?.value ?? '',
-          unit: actionInfo?.availableArea?.unit ?? ''
+          value: enteredArea == null ? (actionInfo?.availableArea?.value ?? '') : Number(enteredArea),
+          unit: actionInfo?.availableArea?.unit ?? '',
+          ...(actionInfo.availableArea && { availableArea: actionInfo.availableArea })
         }
       }
     }
@@ -124,7 +241,8 @@ export default class SelectLandActionsPageController extends LandGrantsQuestionW
       Object.keys(parcelData).forEach((code) => {
         addedActions.push({
           code,
-          description: parcelData[code].description
+          description: parcelData[code].description,
+          value: parcelData[code].value
         })
       })
     }
@@ -136,12 +254,23 @@ export default class SelectLandActionsPageController extends LandGrantsQuestionW
    * Render error view
    */
   renderErrorView(h, request, context, options) {
-    const { errors, selectedLandParcel, actions = [], addedActions = [], additionalState = {} } = options
+    const {
+      errors,
+      selectedLandParcel,
+      actions = [],
+      addedActions = [],
+      additionalState = {},
+      payload,
+      committedArea = null
+    } = options
     const [sheetId = '', parcelId = ''] = parseLandParcel(selectedLandParcel)
+    const submitted = payload ? { payload, errors } : undefined
     return h.view(this.viewName, {
-      ...this.getViewModelWithActions(request, context, actions, addedActions),
+      ...this.getViewModelWithActions(request, context, actions, addedActions, submitted),
       ...additionalState,
+      selectedLandParcel,
       parcelName: `${sheetId} ${parcelId}`,
+      committedArea,
       errors
     })
   }
@@ -151,7 +280,11 @@ export default class SelectLandActionsPageController extends LandGrantsQuestionW
    */
   async fetchActions(request, sheetId, parcelId) {
     try {
-      return await fetchAvailableActionsForParcel({ parcelId, sheetId })
+      return await fetchAvailableActionsForParcel(
+        { parcelId, sheetId },
+        getActionGroupsConfig(this.model?.def),
+        request
+      )
     } catch (error) {
       const { sbi } = request.auth.credentials
       log(LogCodes.LAND_GRANTS.FETCH_ACTIONS_ERROR, {
@@ -164,6 +297,29 @@ export default class SelectLandActionsPageController extends LandGrantsQuestionW
     }
   }
 
+  /**
+   * Fetch the land on the parcel already committed to existing agreements. The page is shown without it when it
+   * cannot be fetched.
+   * @param {AnyFormRequest} request
+   * @param {{ sheetId: string, parcelId: string, size?: Size }} parcel - The parcel, with its size
+   * @returns {Promise<CommittedArea | null>}
+   */
+  async getCommittedArea(request, parcel) {
+    if (!parcel?.size) {
+      return null
+    }
+
+    try {
+      return await fetchCommittedArea(request, { ...parcel, size: parcel.size })
+    } catch (error) {
+      log(LogCodes.SYSTEM.EXTERNAL_API_ERROR, {
+        endpoint: `Consolidated view`,
+        error: `fetch committed area for parcel ${parcel.sheetId}-${parcel.parcelId}: ${error.message}`
+      })
+      return null
+    }
+  }
+
   /**
    * Fetch and prepare actions data for display
    */
@@ -178,8 +334,16 @@ export default class SelectLandActionsPageController extends LandGrantsQuestionW
 
   /**
    * Render success view with actions
+   * @param {ResponseToolkit} h
+   * @param {AnyFormRequest} request
+   * @param {FormContext} context
+   * @param {ActionGroup[]} groupedActions - The actions available for the parcel
+   * @param {Array} addedActions - Actions already added to the parcel
+   * @param {string} sheetId
+   * @param {string} parcelId
+   * @param {CommittedArea | null} [committedArea] - Land on the parcel already in existing agreements
    */
-  renderSuccessView(h, request, context, groupedActions, addedActions, sheetId, parcelId) {
+  renderSuccessView(h, request, context, groupedActions, addedActions, sheetId, parcelId, committedArea = null) {
     const { state } = context
 
     if (!groupedActions.length) {
@@ -189,8 +353,10 @@ export default class SelectLandActionsPageController extends LandGrantsQuestionW
     return h.view(this.viewName, {
       ...this.getViewModelWithActions(request, context, groupedActions, addedActions),
       ...state,
+      selectedLandParcel: stringifyParcel({ sheetId, parcelId }),
       parcelName: `${sheetId} ${parcelId}`,
       existingLandParcels: Object.keys(state.landParcels || {}).length > 0,
+      committedArea,
       errors: []
     })
   }
@@ -235,7 +401,8 @@ export default class SelectLandActionsPageController extends LandGrantsQuestionW
       }
 
       // Render success view
-      return this.renderSuccessView(h, request, context, groupedActions, addedActions, sheetId, parcelId)
+      const committedArea = await this.getCommittedArea(request, result.parcel)
+      return this.renderSuccessView(h, request, context, groupedActions, addedActions, sheetId, parcelId, committedArea)
     }
   }
 
@@ -374,6 +541,22 @@ export default class SelectLandActionsPageController extends LandGrantsQuestionW
       }
 
       const { actions, parcel } = result
+      const selectionErrors = [
+        ...this.validateUserInput(payload, actions),
+        ...this.validateActionAreas(payload, actions, parcel)
+      ]
+      if (selectionErrors.length > 0) {
+        return this.renderErrorView(h, request, context, {
+          errors: selectionErrors,
+          selectedLandParcel,
+          actions,
+          addedActions: this.getAddedActionsForStateParcel(prevState, selectedLandParcel),
+          additionalState: prevState,
+          payload,
+          committedArea: await this.getCommittedArea(request, parcel)
+        })
+      }
+
       const state = this.createNewStateFromPayload(prevState, payload, actions, parcel)
 
       if (payload.action === 'validate') {
@@ -402,5 +585,8 @@ export default class SelectLandActionsPageController extends LandGrantsQuestionW
 
 /**
  * @import { FormContext, AnyFormRequest } from '@defra/forms-engine-plugin/engine/types.js'
- * @import { Parcel } from '~/src/server/land-grants/types/land-grants.client.d.js'
+ * @import { ActionGroup, ActionOption, CommittedArea, Parcel, Size } from '~/src/server/land-grants/types/land-grants.client.d.js'
+ * @import { FormModel } from '@defra/forms-engine-plugin/engine/models/index.js'
+ * @import { PageQuestion } from '@defra/forms-model'
+ * @import { ResponseToolkit } from '@hapi/hapi'
  */
@@ -3,6 +3,7 @@ import { beforeEach, describe, expect, test, vi, afterEach } from 'vitest'
 import { mockRequestLogger } from '~/src/__mocks__/logger-mocks.js'
 import {
   fetchAvailableActionsForParcel,
+  fetchCommittedArea,
   fetchParcels,
   validateApplication
 } from '~/src/server/land-grants/services/land-grants.service.js'
@@ -68,6 +69,13 @@ describe('SelectLandActionsPageController', () => {
     }
   ]
 
+  const mockCommittedArea = {
+    parcelArea: { unit: 'ha', value: 10 },
+    agreements: [{ reference: 'SFI654321987', scheme: 'SFI', actionCode: 'CSAM1', area: 1.2 }],
+    committedArea: 1.2,
+    remainingArea: 8.8
+  }
+
   beforeEach(() => {
     QuestionPageController.prototype.getViewModel = vi.fn().mockReturnValue({
       pageTitle: 'Land Actions'
@@ -124,6 +132,7 @@ describe('SelectLandActionsPageController', () => {
       parcel: { parcelId: 'parcel1', sheetId: 'sheet1', size: 10 }
     })
     validateApplication.mockResolvedValue({ valid: true, errorMessages: [] })
+    fetchCommittedArea.mockResolvedValue(mockCommittedArea)
   })
 
   afterEach(() => {
@@ -169,6 +178,13 @@ describe('SelectLandActionsPageController', () => {
         value: 'CMOR1',
         text: 'Assess moorland and produce a written record: CMOR1',
         checked: false,
+        area: {
+          id: 'landActionArea_CMOR1',
+          value: 10,
+          unit: 'ha',
+          availableArea: 10,
+          errorMessage: undefined
+        },
         hint: {
           html: 'Payment rate per year: <strong>£16.00 per ha</strong> and <strong>£272</strong> per agreement'
         }
@@ -185,6 +201,13 @@ describe('SelectLandActionsPageController', () => {
         value: 'UPL1',
         text: 'Moderate livestock grazing on moorland: UPL1',
         checked: false,
+        area: {
+          id: 'landActionArea_UPL1',
+          value: 5,
+          unit: 'ha',
+          availableArea: 5,
+          errorMessage: undefined
+        },
         hint: {
           html: 'Payment rate per year: <strong>£33.00 per ha</strong>'
         }
@@ -200,6 +223,44 @@ describe('SelectLandActionsPageController', () => {
       expect(result.checked).toBe(true)
     })
 
+    test('should show the area already added for the action', () => {
+      const addedActions = [{ code: 'CMOR1', description: 'Test', value: 4.5 }]
+      const action = mockGroupedActions[0].actions[0]
+
+      const result = controller.mapActionToViewModel(action, addedActions)
+
+      expect(result.area.value).toBe(4.5)
+    })
+
+    test('should show the submitted selection, area and error when shown again with errors', () => {
+      const addedActions = [{ code: 'CMOR1', description: 'Test', value: 4.5 }]
+      const action = mockGroupedActions[1].actions[0]
+      const submitted = {
+        payload: { landAction_2: 'UPL1', landActionArea_UPL1: '12' },
+        errors: [{ text: 'Area too big', href: '#landActionArea_UPL1' }]
+      }
+
+      const result = controller.mapActionToViewModel(action, addedActions, submitted)
+
+      expect(result.checked).toBe(true)
+      expect(result.area).toEqual({
+        id: 'landActionArea_UPL1',
+        value: '12',
+        unit: 'ha',
+        availableArea: 5,
+        errorMessage: 'Area too big'
+      })
+    })
+
+    test('should not check an added action the submission did not select', () => {
+      const addedActions = [{ code: 'CMOR1', description: 'Test', value: 4.5 }]
+      const action = mockGroupedActions[0].actions[0]
+
+      const result = controller.mapActionToViewModel(action, addedActions, { payload: {}, errors: [] })
+
+      expect(result.checked).toBe(false)
+    })
+
     test('should handle missing ratePerUnitGbp', () => {
       const action = { code: 'TEST1', description: 'Test Action' }
       const addedActions = []
@@ -230,6 +291,105 @@ describe('SelectLandActionsPageController', () => {
     })
   })
 
+  describe('validateUserInput with exclusive groups', () => {
+    const exclusiveGroups = [mockGroupedActions[0], { ...mockGroupedActions[1], exclusive: true }]
+
+    test('should return an error when more than one action from an exclusive group is selected', () => {
+      const result = controller.validateUserInput(
+        { landAction_1: 'CMOR1', landAction_2: ['UPL1', 'UPL2'] },
+        exclusiveGroups
+      )
+
+      expect(result).toEqual([
+        { text: 'Select only one action from Livestock grazing on moorland', href: '#landAction_2' }
+      ])
+    })
+
+    test('should allow more than one action from a group that is not exclusive', () => {
+      const result = controller.validateUserInput({ landAction_2: ['UPL1', 'UPL2'] }, mockGroupedActions)
+
+      expect(result).toEqual([])
+    })
+
+    test('should allow one action from an exclusive group', () => {
+      const result = controller.validateUserInput({ landAction_1: 'CMOR1', landAction_2: 'UPL2' }, exclusiveGroups)
+
+      expect(result).toEqual([])
+    })
+  })
+
+  describe('getSelectedActionCodes', () => {
+    test('should include every action checked in a group', () => {
+      const result = controller.getSelectedActionCodes({
+        landAction_1: 'CMOR1',
+        landAction_2: ['UPL1', 'UPL2'],
+        other: 'x'
+      })
+
+      expect(result).toEqual(['CMOR1', 'UPL1', 'UPL2'])
+    })
+
+    test('should ignore empty fields', () => {
+      expect(controller.getSelectedActionCodes({ landAction_1: '' })).toEqual([])
+    })
+  })
+
+  describe('validateActionAreas', () => {
+    const parcel = { parcelId: 'parcel1', sheetId: 'sheet1', size: { unit: 'ha', value: 4 } }
+
+    test('should accept an area up to the available area and parcel size', () => {
+      const payload = {
+        landAction_1: 'CMOR1',
+        landActionArea_CMOR1: ' 3.5 ',
+        landAction_2: 'UPL2',
+        landActionArea_UPL2: '3'
+      }
+
+      expect(controller.validateActionAreas(payload, mockGroupedActions, parcel)).toEqual([])
+    })
+
+    test('should skip selected actions submitted without an area', () => {
+      expect(controller.validateActionAreas({ landAction_1: 'CMOR1' }, mockGroupedActions, parcel)).toEqual([])
+    })
+
+    test('should ignore areas for actions that are not selected', () => {
+      const payload = { landAction_2: 'UPL2', landActionArea_UPL2: '2', landActionArea_UPL1: '' }
+
+      expect(controller.validateActionAreas(payload, mockGroupedActions, parcel)).toEqual([])
+    })
+
+    test.each([
+      ['', 'Enter the area to apply UPL2 to'],
+      ['abc', 'Area to apply UPL2 to must be a number, like 3.2'],
+      ['-1', 'Area to apply UPL2 to must be a number, like 3.2'],
+      ['1.23456', 'Area to apply UPL2 to must have no more than 4 decimal places'],
+      ['0', 'Area to apply UPL2 to must be more than 0 ha'],
+      ['3.0001', 'Area to apply UPL2 to must be 3 ha or less, the area available for this action']
+    ])('should reject an area of "%s"', (area, text) => {
+      const payload = { landAction_2: 'UPL2', landActionArea_UPL2: area }
+
+      expect(controller.validateActionAreas(payload, mockGroupedActions, parcel)).toEqual([
+        { text, href: '#landActionArea_UPL2' }
+      ])
+    })
+
+    test('should reject an area larger than the parcel', () => {
+      const payload = { landAction_1: 'CMOR1', landActionArea_CMOR1: '5' }
+
+      expect(controller.validateActionAreas(payload, mockGroupedActions, parcel)).toEqual([
+        { text: 'Area to apply CMOR1 to must be 4 ha or less, the size of the parcel', href: '#landActionArea_CMOR1' }
+      ])
+    })
+
+    test('should skip the parcel size check when the size is not known', () => {
+      const payload = { landAction_1: 'CMOR1', landActionArea_CMOR1: '5' }
+
+      expect(controller.validateActionAreas(payload, mockGroupedActions, { size: { unit: 'ha', value: 0 } })).toEqual(
+        []
+      )
+    })
+  })
+
   describe('buildNewState', () => {
     test('should create new parcel when it does not exist', () => {
       const state = { landParcels: {} }
@@ -279,11 +439,26 @@ describe('SelectLandActionsPageController', () => {
         CMOR1: {
           description: 'Assess moorland and produce a written record: CMOR1',
           value: 10,
-          unit: 'ha'
+          unit: 'ha',
+          availableArea: { unit: 'ha', value: 10 }
         }
       })
     })
 
+    test('should use the area entered for an action', () => {
+      const payload = { landAction_1: 'CMOR1', landActionArea_CMOR1: '2.75' }
+      const parcel = { parcelId: 'parcel1', sheetId: 'sheet1', size: 10 }
+
+      const result = controller.createNewStateFromPayload({}, payload, mockGroupedActions, parcel)
+
+      expect(result.landParcels['sheet1-parcel1'].actionsObj.CMOR1).toEqual({
+        description: 'Assess moorland and produce a written record: CMOR1',
+        value: 2.75,
+        unit: 'ha',
+        availableArea: { unit: 'ha', value: 10 }
+      })
+    })
+
     test('should return empty object when no action fields', () => {
       const state = {}
       const payload = {}
@@ -349,8 +524,8 @@ describe('SelectLandActionsPageController', () => {
         landParcels: {
           'sheet1-parcel1': {
             actionsObj: {
-              CMOR1: { description: 'Action 1' },
-              UPL1: { description: 'Action 2' }
+              CMOR1: { description: 'Action 1', value: 2, unit: 'ha' },
+              UPL1: { description: 'Action 2', value: 5, unit: 'ha' }
             }
           }
         }
@@ -360,8 +535,8 @@ describe('SelectLandActionsPageController', () => {
       const result = controller.getAddedActionsForStateParcel(state, selectedLandParcel)
 
       expect(result).toEqual([
-        { code: 'CMOR1', description: 'Action 1' },
-        { code: 'UPL1', description: 'Action 2' }
+        { code: 'CMOR1', description: 'Action 1', value: 2 },
+        { code: 'UPL1', description: 'Action 2', value: 5 }
       ])
     })
 
@@ -405,6 +580,7 @@ describe('SelectLandActionsPageController', () => {
       expect(mockH.view).toHaveBeenCalledWith(
         'select-actions-for-land-parcel',
         expect.objectContaining({
+          selectedLandParcel: 'sheet1-parcel1',
           parcelName: 'sheet1 parcel1',
           errors
         })
@@ -480,10 +656,23 @@ describe('SelectLandActionsPageController', () => {
       expect(controller.performAuthCheck).toHaveBeenCalledWith(mockRequest, mockH, 'sheet2-parcel2')
 
       expect(parseLandParcel).toHaveBeenCalledWith('sheet2-parcel2')
-      expect(fetchAvailableActionsForParcel).toHaveBeenCalledWith({
-        parcelId: 'parcel2',
-        sheetId: 'sheet2'
-      })
+      expect(fetchAvailableActionsForParcel).toHaveBeenCalledWith(
+        {
+          parcelId: 'parcel2',
+          sheetId: 'sheet2'
+        },
+        [],
+        mockRequest
+      )
+    })
+
+    test('should group actions using the land action groups in the form definition', async () => {
+      const landActionGroups = [{ name: 'Livestock grazing on moorland', exclusive: true, actions: ['UPL1', 'UPL2'] }]
+      controller.model = { def: { metadata: { landActionGroups } } }
+
+      await controller.makeGetRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(fetchAvailableActionsForParcel).toHaveBeenCalledWith(expect.any(Object), landActionGroups, mockRequest)
     })
 
     test('should use state parcel when query not present', async () => {
@@ -492,10 +681,14 @@ describe('SelectLandActionsPageController', () => {
       const handler = controller.makeGetRouteHandler()
       await handler(mockRequest, mockContext, mockH)
 
-      expect(fetchAvailableActionsForParcel).toHaveBeenCalledWith({
-        parcelId: 'parcel1',
-        sheetId: 'sheet1'
-      })
+      expect(fetchAvailableActionsForParcel).toHaveBeenCalledWith(
+        {
+          parcelId: 'parcel1',
+          sheetId: 'sheet1'
+        },
+        [],
+        mockRequest
+      )
     })
 
     test('should render view with correct data', async () => {
@@ -513,6 +706,18 @@ describe('SelectLandActionsPageController', () => {
       )
     })
 
+    test('should render the parcel from the query for the payment estimate', async () => {
+      mockRequest.query.parcelId = 'sheet2-parcel2'
+      parseLandParcel.mockReturnValue(['sheet2', 'parcel2'])
+
+      await controller.makeGetRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(mockH.view).toHaveBeenCalledWith(
+        'select-actions-for-land-parcel',
+        expect.objectContaining({ selectedLandParcel: 'sheet2-parcel2' })
+      )
+    })
+
     test('should extract added actions from state', async () => {
       mockContext.state.selectedLandParcel = 'sheet1-parcel1'
       mockContext.state.landParcels = {
@@ -587,6 +792,53 @@ describe('SelectLandActionsPageController', () => {
       )
     })
 
+    test('should show the land on the parcel already in agreements', async () => {
+      await controller.makeGetRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(fetchCommittedArea).toHaveBeenCalledWith(mockRequest, {
+        parcelId: 'parcel1',
+        sheetId: 'sheet1',
+        size: 10
+      })
+      expect(mockH.view).toHaveBeenCalledWith(
+        'select-actions-for-land-parcel',
+        expect.objectContaining({ committedArea: mockCommittedArea })
+      )
+    })
+
+    test('should show the page without land in agreements when it cannot be fetched', async () => {
+      fetchCommittedArea.mockRejectedValue(new Error('Consolidated view unavailable'))
+
+      await controller.makeGetRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(mockH.view).toHaveBeenCalledWith(
+        'select-actions-for-land-parcel',
+        expect.objectContaining({ committedArea: null, groupedActions: expect.any(Array) })
+      )
+      expect(log).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({
+          endpoint: 'Consolidated view',
+          error: 'fetch committed area for parcel sheet1-parcel1: Consolidated view unavailable'
+        })
+      )
+    })
+
+    test('should not fetch land in agreements when the parcel size is unknown', async () => {
+      fetchAvailableActionsForParcel.mockResolvedValue({
+        actions: mockGroupedActions,
+        parcel: { parcelId: 'parcel1', sheetId: 'sheet1' }
+      })
+
+      await controller.makeGetRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(fetchCommittedArea).not.toHaveBeenCalled()
+      expect(mockH.view).toHaveBeenCalledWith(
+        'select-actions-for-land-parcel',
+        expect.objectContaining({ committedArea: null })
+      )
+    })
+
     describe('when the user does not own the land parcel', () => {
       it('should return unauthorized response when user does not own the selected land parcel', async () => {
         controller.performAuthCheck.mockResolvedValue('failed auth check')
@@ -633,6 +885,100 @@ describe('SelectLandActionsPageController', () => {
       expect(result).toBe('redirected')
     })
 
+    test('should save the area entered for an action', async () => {
+      mockRequest.payload = { landAction_1: 'CMOR1', landActionArea_CMOR1: '6.5' }
+
+      const handler = controller.makePostRouteHandler()
+      await handler(mockRequest, mockContext, mockH)
+
+      expect(controller.setState).toHaveBeenCalledWith(
+        mockRequest,
+        expect.objectContaining({
+          landParcels: {
+            'sheet1-parcel1': expect.objectContaining({
+              actionsObj: { CMOR1: expect.objectContaining({ value: 6.5, unit: 'ha' }) }
+            })
+          }
+        })
+      )
+      expect(controller.proceed).toHaveBeenCalled()
+    })
+
+    test('should show area errors with the submitted answers and not update state', async () => {
+      mockRequest.payload = { landAction_1: 'CMOR1', landActionArea_CMOR1: '11' }
+
+      const handler = controller.makePostRouteHandler()
+      await handler(mockRequest, mockContext, mockH)
+
+      expect(controller.setState).not.toHaveBeenCalled()
+      expect(validateApplication).not.toHaveBeenCalled()
+      expect(mockH.view).toHaveBeenCalledWith(
+        'select-actions-for-land-parcel',
+        expect.objectContaining({
+          errors: [
+            {
+              text: 'Area to apply CMOR1 to must be 10 ha or less, the area available for this action',
+              href: '#landActionArea_CMOR1'
+            }
+          ],
+          groupedActions: expect.arrayContaining([
+            expect.objectContaining({
+              actions: [
+                expect.objectContaining({
+                  value: 'CMOR1',
+                  checked: true,
+                  area: expect.objectContaining({
+                    value: '11',
+                    errorMessage: 'Area to apply CMOR1 to must be 10 ha or less, the area available for this action'
+                  })
+                })
+              ]
+            })
+          ])
+        })
+      )
+    })
+
+    test('should keep showing the land already in agreements with area errors', async () => {
+      mockRequest.payload = { landAction_1: 'CMOR1', landActionArea_CMOR1: '11' }
+
+      await controller.makePostRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(mockH.view).toHaveBeenCalledWith(
+        'select-actions-for-land-parcel',
+        expect.objectContaining({ committedArea: mockCommittedArea })
+      )
+    })
+
+    test('should show an error and not update state when actions from an exclusive group are selected', async () => {
+      fetchAvailableActionsForParcel.mockResolvedValue({
+        actions: [mockGroupedActions[0], { ...mockGroupedActions[1], exclusive: true }],
+        parcel: { parcelId: 'parcel1', sheetId: 'sheet1', size: 10 }
+      })
+      mockRequest.payload = { landAction_2: ['UPL1', 'UPL2'] }
+
+      const handler = controller.makePostRouteHandler()
+      await handler(mockRequest, mockContext, mockH)
+
+      expect(controller.setState).not.toHaveBeenCalled()
+      expect(mockH.view).toHaveBeenCalledWith(
+        'select-actions-for-land-parcel',
+        expect.objectContaining({
+          errors: [{ text: 'Select only one action from Livestock grazing on moorland', href: '#landAction_2' }]
+        })
+      )
+    })
+
+    test('should save every action checked in a group that is not exclusive', async () => {
+      mockRequest.payload = { landAction_2: ['UPL1', 'UPL2'] }
+
+      const handler = controller.makePostRouteHandler()
+      await handler(mockRequest, mockContext, mockH)
+
+      const stateArg = controller.setState.mock.calls[0][1]
+      expect(Object.keys(stateArg.landParcels['sheet1-parcel1'].actionsObj)).toEqual(['UPL1', 'UPL2'])
+    })
+
     test('should show errors when no actions selected', async () => {
       mockRequest.payload = {}
 
@@ -1,5 +1,6 @@
 import { logger } from '~/src/server/common/helpers/logging/log.js'
 import { fetchParcels } from '../services/land-grants.service.js'
+import { buildParcelMap } from '../utils/parcel-map.js'
 import LandGrantsQuestionWithAuthCheckController from '~/src/server/land-grants/controllers/auth/land-grants-question-with-auth-check.controller.js'
 
 export default class SelectLandParcelPageController extends LandGrantsQuestionWithAuthCheckController {
@@ -26,6 +27,23 @@ export default class SelectLandParcelPageController extends LandGrantsQuestionWi
     }
   }
 
+  /**
+   * Builds the parcel radio items, and the map of the parcels when the Land Grants API has their geometry
+   * @param {Parcel[]} fetchedParcels - Parcels for the business
+   * @param {object} [landParcels] - Parcels with actions added, from the form state
+   * @returns {{ parcels: object[], parcelMap: ParcelMap | null }}
+   */
+  buildParcelsViewModel(fetchedParcels, landParcels) {
+    const parcels = fetchedParcels.map((parcel) => {
+      const parcelKey = `${parcel.sheetId}-${parcel.parcelId}`
+      const parcelData = landParcels?.[parcelKey]
+      const actionsForParcel = parcelData?.actionsObj ? Object.keys(parcelData.actionsObj).length : 0
+      return this.formatParcelForView(parcel, actionsForParcel)
+    })
+
+    return { parcels, parcelMap: buildParcelMap(fetchedParcels, landParcels) }
+  }
+
   makePostRouteHandler() {
     /**
      * @param {AnyFormRequest} request
@@ -39,16 +57,11 @@ export default class SelectLandParcelPageController extends LandGrantsQuestionWi
       const { selectedLandParcel, action } = payload
 
       if (action === 'validate' && !selectedLandParcel) {
-        let parcels = []
+        /** @type {{ parcels: object[], parcelMap: ParcelMap | null }} */
+        let parcelsViewModel = { parcels: [], parcelMap: null }
         try {
           const fetchedParcels = await fetchParcels(request)
-          const { landParcels } = state || {}
-          parcels = fetchedParcels.map((parcel) => {
-            const parcelKey = `${parcel.sheetId}-${parcel.parcelId}`
-            const parcelData = landParcels?.[parcelKey]
-            const actionsForParcel = parcelData?.actionsObj ? Object.keys(parcelData.actionsObj).length : 0
-            return this.formatParcelForView(parcel, actionsForParcel)
-          })
+          parcelsViewModel = this.buildParcelsViewModel(fetchedParcels, state?.landParcels)
         } catch (error) {
           logger.error({ err: error }, 'Error fetching parcels for validation error rendering')
         }
@@ -56,7 +69,7 @@ export default class SelectLandParcelPageController extends LandGrantsQuestionWi
         return h.view(this.viewName, {
           ...super.getViewModel(request, context),
           ...state,
-          parcels,
+          ...parcelsViewModel,
           errorMessage: 'Please select a land parcel from the list'
         })
       }
@@ -99,12 +112,7 @@ export default class SelectLandParcelPageController extends LandGrantsQuestionWi
 
       try {
         const fetchedParcels = await fetchParcels(request)
-        const parcels = fetchedParcels.map((parcel) => {
-          const parcelKey = `${parcel.sheetId}-${parcel.parcelId}`
-          const parcelData = landParcels?.[parcelKey]
-          const actionsForParcel = parcelData?.actionsObj ? Object.keys(parcelData.actionsObj).length : 0
-          return this.formatParcelForView(parcel, actionsForParcel)
-        })
+        const { parcels, parcelMap } = this.buildParcelsViewModel(fetchedParcels, landParcels)
 
         if (!parcels?.length) {
           logger.warn(`No land parcels for sbi = ${sbi}`)
@@ -122,6 +130,7 @@ export default class SelectLandParcelPageController extends LandGrantsQuestionWi
         const viewModel = {
           ...baseViewModel,
           parcels,
+          parcelMap,
           existingLandParcels
         }
 
@@ -150,4 +159,6 @@ export default class SelectLandParcelPageController extends LandGrantsQuestionWi
 /**
  * @import { FormContext, AnyFormRequest } from '@defra/forms-engine-plugin/engine/types.js'
  * @import { ResponseObject, ResponseToolkit } from '@hapi/hapi'
+ * @import { Parcel } from '~/src/server/land-grants/types/land-grants.client.d.js'
+ * @import { ParcelMap } from '~/src/server/land-grants/utils/parcel-map.js'
  */
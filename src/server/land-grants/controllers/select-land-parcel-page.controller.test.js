@@ -201,6 +201,47 @@ describe('SelectLandParcelPageController', () => {
       expect(result).toBe(renderedViewMock)
     })
 
+    it('does not show a map when parcels have no geometry', async () => {
+      await controller.makeGetRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(mockH.view).toHaveBeenCalledWith('select-land-parcel', expect.objectContaining({ parcelMap: null }))
+    })
+
+    it('shows a map of parcels with geometry, highlighting parcels with actions', async () => {
+      const square = (x, y) => ({
+        type: 'Polygon',
+        coordinates: [
+          [
+            [x, y],
+            [x + 100, y],
+            [x + 100, y + 100],
+            [x, y + 100],
+            [x, y]
+          ]
+        ]
+      })
+      fetchParcels.mockResolvedValue([
+        { ...mockParcelsResponse[0], geometry: square(0, 0) },
+        { ...mockParcelsResponse[1], geometry: square(100, 0) }
+      ])
+      mockContext.state.landParcels = { 'SD7846-4509': { actionsObj: { CMOR1: { value: 1 } } } }
+
+      await controller.makeGetRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(mockH.view).toHaveBeenCalledWith(
+        'select-land-parcel',
+        expect.objectContaining({
+          parcelMap: {
+            viewBox: '0 0 208 108',
+            parcels: [
+              expect.objectContaining({ value: 'SD7946-0155', hasActions: false }),
+              expect.objectContaining({ value: 'SD7846-4509', hasActions: true })
+            ]
+          }
+        })
+      )
+    })
+
     it('handles missing parcels info', async () => {
       fetchParcels.mockRejectedValue(new Error('not found'))
 
@@ -311,6 +352,34 @@ describe('SelectLandParcelPageController', () => {
       expect(result).toBe('mock-rendered-view')
     })
 
+    it('shows the parcel list and map again if selectedLandParcel is not defined', async () => {
+      const geometry = {
+        type: 'Polygon',
+        coordinates: [
+          [
+            [0, 0],
+            [10, 0],
+            [10, 10],
+            [0, 0]
+          ]
+        ]
+      }
+      fetchParcels.mockResolvedValue([{ ...mockParcelsResponse[0], geometry }])
+      mockRequest.payload = { action: 'validate' }
+
+      await controller.makePostRouteHandler()(mockRequest, mockContext, mockH)
+
+      expect(mockH.view).toHaveBeenCalledWith(
+        'select-land-parcel',
+        expect.objectContaining({
+          parcels: [controllerParcelsResponse[0]],
+          parcelMap: expect.objectContaining({
+            parcels: [expect.objectContaining({ value: 'SD7946-0155' })]
+          })
+        })
+      )
+    })
+
     it('handles missing selectedLandParcel in payload', async () => {
       mockRequest.payload = {}
       mockContext = setupContext({})
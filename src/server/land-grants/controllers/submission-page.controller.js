@@ -2,27 +2,42 @@ import { SummaryPageController } from '@defra/forms-engine-plugin/controllers/Su
 import { config } from '~/src/config/config.js'
 import { getFormsCacheService } from '~/src/server/common/helpers/forms-cache/forms-cache.js'
 import { transformStateObjectToGasApplication } from '~/src/server/common/helpers/grant-application-service/state-to-gas-payload-mapper.js'
-import { submitGrantApplication } from '~/src/server/common/services/grant-application/grant-application.service.js'
+import { submitViaOutbox } from '~/src/server/common/services/submission-outbox/submission-outbox.service.js'
 import { stateToLandGrantsGasAnswers } from '~/src/server/land-grants/mappers/state-to-gas-answers-mapper.js'
 import { validateApplication } from '~/src/server/land-grants/services/land-grants.service.js'
-import { statusCodes } from '~/src/server/common/constants/status-codes.js'
 import { ApplicationStatus } from '~/src/server/common/constants/application-status.js'
-import { persistSubmissionToApi } from '~/src/server/common/helpers/state/persist-submission-helper.js'
-import { getConfirmationPath } from '~/src/server/common/helpers/form-slug-helper.js'
+import { getStateAdapter } from '~/src/server/common/services/state-persistence/state-adapter.js'
+import { getStateFormVersion } from '~/src/server/common/forms/services/form-versions.js'
+import { appendStatusHistory, STATUS_HISTORY_STATE_KEY } from '~/src/server/status/status-transitions.js'
+import { getConfirmationPath, getFormSlug } from '~/src/server/common/helpers/form-slug-helper.js'
+import { handleSubmissionValidationError } from '~/src/server/common/helpers/submission-answers-error.js'
 import { log } from '~/src/server/common/helpers/logging/log.js'
 import { LogCodes } from '~/src/server/common/helpers/logging/log-codes.js'
+import { getSubmittedBy } from '~/src/server/common/helpers/agent-helper.js'
+import { isSubmissionOpen, SchedulePaths } from '~/src/server/grant-schedule/grant-schedule.js'
+
+const checkSelectedLandActionsPath = '/check-selected-land-actions'
 
 export default class SubmissionPageController extends SummaryPageController {
   viewName = 'submit-your-application'
   grantCode = config.get('landGrants.grantCode')
 
+  /**
+   * @param {FormModel} model
+   * @param {PageSummary} pageDef
+   */
+  constructor(model, pageDef) {
+    super(model, pageDef)
+    this.model = model
+  }
+
   /**
    * Submits the land grant application
    * @param {object} data
    * @param {object} data.identifiers - User identifiers
    * @param {object} data.state - Form application state
    * @param {string} data.validationId - Land grants validation ID
-   * @returns {Promise<object>} - The result of the grant application submission
+   * @returns {Promise<object>} - The submission, see `submitViaOutbox`
    */
   async submitGasApplication(data) {
     const { identifiers, state, validationId } = data
@@ -32,7 +47,7 @@ export default class SubmissionPageController extends SummaryPageController {
       stateToLandGrantsGasAnswers
     )
 
-    return submitGrantApplication(this.grantCode, applicationData)
+    return submitViaOutbox(this.grantCode, applicationData, state)
   }
 
   /**
@@ -70,27 +85,66 @@ export default class SubmissionPageController extends SummaryPageController {
     })
   }
 
+  /**
+   * Sends the applicant back to the check page when the land actions fail validation, which shows each failure on
+   * the parcel it is about. The application is not submitted until they are resolved.
+   * @param {AnyFormRequest} request - Request object
+   * @param {Pick<ResponseToolkit, 'redirect' | 'view'>} h - Response toolkit
+   * @param {FormContext} context - Form context
+   * @param {string} validationId - Validation ID
+   * @returns {ResponseObject} - Redirect to the check page
+   */
+  handleInvalidApplication(request, h, context, validationId) {
+    log(LogCodes.SUBMISSION.SUBMISSION_VALIDATION_ERROR, {
+      grantType: this.grantCode,
+      referenceNumber: context.referenceNumber,
+      validationId
+    })
+
+    const slug = getFormSlug(request, context, 'SubmissionPageController')
+    return h.redirect(slug ? `/${slug}${checkSelectedLandActionsPath}` : checkSelectedLandActionsPath)
+  }
+
+  /**
+   * Sends the applicant to the closed page when the grant no longer accepts submissions
+   * @param {AnyFormRequest} request - Request object
+   * @param {Pick<ResponseToolkit, 'redirect' | 'view'>} h - Response toolkit
+   * @param {FormContext} context - Form context
+   * @returns {ResponseObject} - Redirect to the closed page
+   */
+  handleClosedSubmission(request, h, context) {
+    log(LogCodes.SUBMISSION.SUBMISSION_CLOSED, {
+      grantType: this.grantCode,
+      referenceNumber: context.referenceNumber
+    })
+
+    const slug = getFormSlug(request, context, 'SubmissionPageController')
+    return h.redirect(`/${slug}/${SchedulePaths.CLOSED}`)
+  }
+
   /**
    * Handles successful submission
    * @private
    * @param {object} request - Request object
    * @param {object} context - Form context
-   * @param {number} submissionStatus - Submission status code
    * @param {object} h - Response toolkit
+   * @param {{ duplicate: boolean, status: string }} submission - The submission, see `submitViaOutbox`
    * @returns {Promise<object>} - Redirect response
    */
-  async handleSuccessfulSubmission(request, context, h, submissionStatus) {
-    const { credentials: { sbi, crn } = {} } = request.auth ?? {}
+  async handleSuccessfulSubmission(request, context, h, submission) {
+    const { credentials } = request.auth ?? {}
+    const { sbi, crn } = credentials ?? {}
+    const submittedBy = getSubmittedBy(credentials)
     const submittedAt = new Date().toISOString()
     const cacheService = getFormsCacheService(request.server)
 
-    // Log submission details if available
-    if (submissionStatus === statusCodes.noContent) {
+    // A repeated post of a submission already made leaves the state as the first one set it
+    if (!submission.duplicate) {
       log(LogCodes.SUBMISSION.SUBMISSION_COMPLETED, {
         grantType: this.grantCode,
         referenceNumber: context.referenceNumber,
         numberOfFields: context.relevantState ? Object.keys(context.relevantState).length : 0,
-        status: submissionStatus
+        status: submission.status
       })
 
       const currentState = await cacheService.getState(request)
@@ -100,17 +154,24 @@ export default class SubmissionPageController extends SummaryPageController {
         ...currentState,
         applicationStatus: ApplicationStatus.SUBMITTED,
         submittedAt,
-        submittedBy: crn
+        ...submittedBy,
+        [STATUS_HISTORY_STATE_KEY]: appendStatusHistory(currentState, {
+          from: currentState?.applicationStatus,
+          to: ApplicationStatus.SUBMITTED,
+          crn,
+          timestamp: submittedAt
+        })
       })
 
       // Add to submissions collection
-      await persistSubmissionToApi({
+      await getStateAdapter().saveSubmission({
         crn,
         sbi,
         grantCode: this.grantCode,
-        grantVersion: context.grantVersion,
+        grantVersion: getStateFormVersion(context.state),
         referenceNumber: context.referenceNumber,
-        submittedAt
+        submittedAt,
+        submittedAsAgent: submittedBy.submittedAsAgent
       })
     }
 
@@ -134,14 +195,18 @@ export default class SubmissionPageController extends SummaryPageController {
       const { state, referenceNumber } = context
       const frn = state.applicant ? state.applicant['business']?.reference : undefined
 
+      if (!isSubmissionOpen(this.model.def.metadata?.schedule)) {
+        return this.handleClosedSubmission(request, h, context)
+      }
+
       try {
         const validationResult = await validateApplication({ applicationId: referenceNumber, crn, sbi, state })
         const { id: validationId, valid } = validationResult
         if (!valid) {
-          return this.handleSubmissionError(h, request, context, validationId)
+          return this.handleInvalidApplication(request, h, context, validationId)
         }
 
-        const result = await this.submitGasApplication({
+        const submission = await this.submitGasApplication({
           identifiers: { sbi, crn, frn, clientRef: referenceNumber?.toLowerCase() },
           state,
           validationId
@@ -152,8 +217,12 @@ export default class SubmissionPageController extends SummaryPageController {
           referenceNumber: context.referenceNumber
         })
 
-        return await this.handleSuccessfulSubmission(request, context, h, result.status)
+        return await this.handleSuccessfulSubmission(request, context, h, submission)
       } catch (error) {
+        if (error.name === 'SubmissionValidationError') {
+          return handleSubmissionValidationError(h, context, error, this.model.pages, request.path)
+        }
+
         log(LogCodes.SYSTEM.EXTERNAL_API_ERROR, {
           endpoint: `Land grants submission`,
           error: `submitting application for sbi: ${sbi} and crn: ${crn} - ${error.message}`
@@ -169,4 +238,6 @@ export default class SubmissionPageController extends SummaryPageController {
 /**
  * @import { FormContext, AnyFormRequest } from '@defra/forms-engine-plugin/engine/types.js'
  * @import { ResponseObject, type ResponseToolkit } from '@hapi/hapi'
+ * @import { FormModel } from '@defra/forms-engine-plugin/engine/models/index.js'
+ * @import { PageSummary } from '@defra/forms-model'
  */
@@ -1,7 +1,7 @@
 import { vi } from 'vitest'
 import { config } from '~/src/config/config.js'
 import { getFormsCacheService } from '~/src/server/common/helpers/forms-cache/forms-cache.js'
-import { submitGrantApplication } from '~/src/server/common/services/grant-application/grant-application.service.js'
+import { submitViaOutbox } from '~/src/server/common/services/submission-outbox/submission-outbox.service.js'
 import { transformStateObjectToGasApplication } from '../../common/helpers/grant-application-service/state-to-gas-payload-mapper.js'
 import { stateToLandGrantsGasAnswers } from '../mappers/state-to-gas-answers-mapper.js'
 import { validateApplication } from '../services/land-grants.service.js'
@@ -9,12 +9,15 @@ import SubmissionPageController from './submission-page.controller.js'
 import { mockRequestLogger } from '~/src/__mocks__/logger-mocks.js'
 import { log } from '~/src/server/common/helpers/logging/log.js'
 import { LogCodes } from '../../common/helpers/logging/log-codes.js'
+import { handleSubmissionValidationError } from '~/src/server/common/helpers/submission-answers-error.js'
+import { resetClock, setClock } from '~/src/server/common/helpers/clock.js'
 
-vi.mock('~/src/server/common/services/grant-application/grant-application.service.js')
+vi.mock('~/src/server/common/services/submission-outbox/submission-outbox.service.js')
 vi.mock('~/src/server/common/helpers/grant-application-service/state-to-gas-payload-mapper.js')
 vi.mock('../mappers/state-to-gas-answers-mapper.js')
 vi.mock('~/src/server/common/helpers/forms-cache/forms-cache.js')
 vi.mock('../services/land-grants.service.js')
+vi.mock('~/src/server/common/helpers/submission-answers-error.js')
 vi.mock('~/src/server/common/helpers/logging/log.js')
 vi.mock('@defra/forms-engine-plugin/controllers/SummaryPageController.js', () => ({
   SummaryPageController: class {
@@ -35,7 +38,7 @@ describe('SubmissionPageController', () => {
   beforeEach(() => {
     vi.resetAllMocks()
 
-    mockModel = {}
+    mockModel = { def: { metadata: {} } }
     mockPageDef = {}
     mockCacheService = {
       setState: vi.fn().mockResolvedValue(),
@@ -79,10 +82,10 @@ describe('SubmissionPageController', () => {
       const mockState = { key: 'value' }
       const validationId = 'validation-123'
       const mockApplicationData = { transformed: 'data' }
-      const mockResult = { success: true }
+      const mockResult = { status: 'DELIVERED', duplicate: false }
 
       transformStateObjectToGasApplication.mockReturnValue(mockApplicationData)
-      submitGrantApplication.mockResolvedValue(mockResult)
+      submitViaOutbox.mockResolvedValue(mockResult)
 
       const result = await controller.submitGasApplication(mockGasApplicationData)
 
@@ -91,7 +94,7 @@ describe('SubmissionPageController', () => {
         { ...mockState, applicationValidationRunId: validationId },
         stateToLandGrantsGasAnswers
       )
-      expect(submitGrantApplication).toHaveBeenCalledWith(code, mockApplicationData)
+      expect(submitViaOutbox).toHaveBeenCalledWith(code, mockApplicationData, mockState)
       expect(result).toEqual(mockResult)
     })
   })
@@ -120,20 +123,59 @@ describe('SubmissionPageController', () => {
       const mockRequest = { server: {} }
       const mockContext = { referenceNumber: 'REF123' }
       const mockH = { redirect: vi.fn().mockResolvedValue() }
-      const statusCode = 204
       vi.spyOn(controller, 'getNextPath').mockReturnValue('/next-path')
       mockRequest.logger = mockRequestLogger()
 
-      await controller.handleSuccessfulSubmission(mockRequest, mockContext, mockH, statusCode)
+      await controller.handleSuccessfulSubmission(mockRequest, mockContext, mockH, {
+        status: 'DELIVERED',
+        duplicate: false
+      })
 
       expect(mockCacheService.setState).toHaveBeenCalledWith(
         mockRequest,
         expect.objectContaining({
-          applicationStatus: 'SUBMITTED'
+          applicationStatus: 'SUBMITTED',
+          $$__statusHistory: [
+            { from: null, to: 'SUBMITTED', gasStatus: null, timestamp: expect.any(String), crn: null }
+          ]
         })
       )
       expect(mockH.redirect).toHaveBeenCalledWith('/confirmation')
     })
+
+    it('should record that an agent submitted on behalf of the business', async () => {
+      const mockRequest = {
+        server: {},
+        logger: mockRequestLogger(),
+        auth: { credentials: { sbi: '106284736', crn: '1109990001', role: 'Agent' } }
+      }
+      const mockContext = { referenceNumber: 'REF123' }
+      const mockH = { redirect: vi.fn().mockResolvedValue() }
+
+      await controller.handleSuccessfulSubmission(mockRequest, mockContext, mockH, {
+        status: 'DELIVERED',
+        duplicate: false
+      })
+
+      expect(mockCacheService.setState).toHaveBeenCalledWith(
+        mockRequest,
+        expect.objectContaining({ submittedBy: '1109990001', submittedAsAgent: true })
+      )
+    })
+
+    it('should leave the state alone for a duplicate submission', async () => {
+      const mockRequest = { server: {}, logger: mockRequestLogger() }
+      const mockContext = { referenceNumber: 'REF123' }
+      const mockH = { redirect: vi.fn().mockResolvedValue() }
+
+      await controller.handleSuccessfulSubmission(mockRequest, mockContext, mockH, {
+        status: 'PENDING',
+        duplicate: true
+      })
+
+      expect(mockCacheService.setState).not.toHaveBeenCalled()
+      expect(mockH.redirect).toHaveBeenCalledWith('/confirmation')
+    })
   })
 
   describe('getStatusPath', () => {
@@ -176,8 +218,7 @@ describe('SubmissionPageController', () => {
         view: vi.fn()
       }
       const mockValidationResult = { id: 'validation-123', valid: true }
-      const statusCode = 204
-      const mockSubmitResult = { success: true, status: statusCode }
+      const mockSubmitResult = { status: 'DELIVERED', duplicate: false }
       validateApplication.mockResolvedValue(mockValidationResult)
 
       vi.spyOn(controller, 'submitGasApplication').mockResolvedValue(mockSubmitResult)
@@ -201,16 +242,19 @@ describe('SubmissionPageController', () => {
         state: mockContext.state,
         validationId: 'validation-123'
       })
-      expect(controller.handleSuccessfulSubmission).toHaveBeenCalledWith(mockRequest, mockContext, mockH, statusCode)
+      expect(controller.handleSuccessfulSubmission).toHaveBeenCalledWith(
+        mockRequest,
+        mockContext,
+        mockH,
+        mockSubmitResult
+      )
       expect(result).toBe('proceeded')
     })
 
-    it('should return error view when validation fails', async () => {
+    it('should send the applicant back to the check page when validation fails', async () => {
       const mockRequest = {
-        logger: {
-          info: vi.fn(),
-          error: vi.fn()
-        },
+        logger: mockRequestLogger(),
+        params: { slug: 'farm-payments' },
         auth: {
           credentials: {
             sbi: '123456789',
@@ -225,21 +269,25 @@ describe('SubmissionPageController', () => {
       }
       const mockH = {
         view: vi.fn().mockReturnValue('error-view'),
-        redirect: vi.fn()
+        redirect: vi.fn().mockReturnValue('redirected')
       }
 
       const mockValidationResult = { id: 'validation-123', valid: false }
 
       validateApplication.mockResolvedValue(mockValidationResult)
-      vi.spyOn(controller, 'handleSubmissionError').mockReturnValue('error-view')
       vi.spyOn(controller, 'submitGasApplication').mockResolvedValue({ success: true })
 
       const handler = controller.makePostRouteHandler()
       const result = await handler(mockRequest, mockContext, mockH)
 
-      expect(controller.handleSubmissionError).toHaveBeenCalledWith(mockH, mockRequest, mockContext, 'validation-123')
+      expect(mockH.redirect).toHaveBeenCalledWith('/farm-payments/check-selected-land-actions')
+      expect(log).toHaveBeenCalledWith(LogCodes.SUBMISSION.SUBMISSION_VALIDATION_ERROR, {
+        grantType: controller.grantCode,
+        referenceNumber: 'REF123',
+        validationId: 'validation-123'
+      })
       expect(controller.submitGasApplication).not.toHaveBeenCalled()
-      expect(result).toBe('error-view')
+      expect(result).toBe('redirected')
     })
 
     it('should handle validation errors', async () => {
@@ -328,6 +376,37 @@ describe('SubmissionPageController', () => {
       )
     })
 
+    it('should show the answers to fix when the submission does not match its schema', async () => {
+      const validationError = new Error('Submission answers do not match its schema')
+      validationError.name = 'SubmissionValidationError'
+      const mockRequest = {
+        logger: mockRequestLogger(),
+        auth: { credentials: { sbi: '123456789', crn: 'crn123' } },
+        path: '/farm-payments/submit-your-application',
+        server: {}
+      }
+      const mockContext = { state: {}, referenceNumber: 'REF123' }
+      const mockH = { redirect: vi.fn(), view: vi.fn() }
+
+      controller.model = { def: { metadata: {} }, pages: [] }
+      validateApplication.mockResolvedValue({ id: 'validation-123', valid: true })
+      vi.spyOn(controller, 'submitGasApplication').mockRejectedValue(validationError)
+      handleSubmissionValidationError.mockReturnValue('answers error view')
+
+      const handler = controller.makePostRouteHandler()
+      const result = await handler(mockRequest, mockContext, mockH)
+
+      expect(handleSubmissionValidationError).toHaveBeenCalledWith(
+        mockH,
+        mockContext,
+        validationError,
+        [],
+        '/farm-payments/submit-your-application'
+      )
+      expect(result).toBe('answers error view')
+      expect(mockH.view).not.toHaveBeenCalledWith('submission-error', expect.anything())
+    })
+
     it('should use empty object for landParcels if not present in state', async () => {
       const mockRequest = {
         logger: {
@@ -443,5 +522,55 @@ describe('SubmissionPageController', () => {
         })
       )
     })
+
+    describe('when the grant has a schedule', () => {
+      const mockRequest = {
+        logger: mockRequestLogger(),
+        params: { slug: 'farm-payments' },
+        auth: { credentials: { sbi: '123456789', crn: 'crn123' } },
+        server: {}
+      }
+      const mockContext = { state: { landParcels: {} }, referenceNumber: 'REF123' }
+      let mockH
+
+      beforeEach(() => {
+        mockModel.def.metadata.schedule = {
+          closesAt: '2026-06-30T17:00:00.000Z',
+          draftGracePeriodDays: 7
+        }
+        mockH = { view: vi.fn(), redirect: vi.fn().mockReturnValue('redirected') }
+        validateApplication.mockResolvedValue({ id: 'validation-123', valid: true })
+        vi.spyOn(controller, 'submitGasApplication').mockResolvedValue({ status: 'DELIVERED', duplicate: false })
+        vi.spyOn(controller, 'handleSuccessfulSubmission').mockResolvedValue('proceeded')
+      })
+
+      afterEach(() => {
+        resetClock()
+      })
+
+      it('should submit applications during the draft grace period', async () => {
+        setClock('2026-07-07T16:59:59.000Z')
+
+        const result = await controller.makePostRouteHandler()(mockRequest, mockContext, mockH)
+
+        expect(controller.submitGasApplication).toHaveBeenCalled()
+        expect(result).toBe('proceeded')
+      })
+
+      it('should send the applicant to the closed page after the grace period', async () => {
+        setClock('2026-07-07T17:00:00.000Z')
+
+        const result = await controller.makePostRouteHandler()(mockRequest, mockContext, mockH)
+
+        expect(validateApplication).not.toHaveBeenCalled()
+        expect(controller.submitGasApplication).not.toHaveBeenCalled()
+        expect(log).toHaveBeenCalledWith(LogCodes.SUBMISSION.SUBMISSION_CLOSED, {
+          grantType: controller.grantCode,
+          referenceNumber: 'REF123'
+        })
+        expect(mockH.redirect).toHaveBeenCalledWith('/farm-payments/closed')
+        expect(result).toBe('redirected')
+      })
+    })
   })
 })
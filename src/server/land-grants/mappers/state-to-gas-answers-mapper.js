@@ -117,7 +117,7 @@ function createAction(actionCode, actionData, sheetId, parcelId, paymentData) {
   }
 
   if (actionData) {
-    action.eligible = createUnitQuantity(actionData, 'value')
+    action.eligible = createUnitQuantity(actionData.availableArea ?? actionData, 'value')
     action.appliedFor = createUnitQuantity(actionData, 'value')
   }
 
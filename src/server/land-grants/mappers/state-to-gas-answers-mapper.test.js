@@ -312,6 +312,29 @@ describe('stateToLandGrantsGasAnswers', () => {
     })
   })
 
+  it('should use the available area as eligible when part of it is applied for', () => {
+    const input = {
+      payment,
+      landParcels: {
+        'SX0679-9238': {
+          actionsObj: {
+            CSAM1: {
+              value: 12.5,
+              unit: 'ha',
+              availableArea: { unit: 'ha', value: 20.25 }
+            }
+          }
+        }
+      },
+      applicationValidationRunId: '12345678'
+    }
+
+    const result = stateToLandGrantsGasAnswers(input)
+
+    expect(result.parcels[0].actions[0].eligible).toEqual({ unit: 'ha', quantity: 20.25 })
+    expect(result.parcels[0].actions[0].appliedFor).toEqual({ unit: 'ha', quantity: 12.5 })
+  })
+
   it('should omit unit in appliedFor when unit is missing', () => {
     const input = {
       payment,
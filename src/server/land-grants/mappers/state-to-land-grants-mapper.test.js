@@ -123,6 +123,22 @@ describe('stateToLandActionsMapper', () => {
     expect(typeof result[0].actions[0].quantity).toBe('number')
   })
 
+  it('should use the applied for area rather than the available area', () => {
+    const state = {
+      landParcels: {
+        'SD1234-5678': {
+          actionsObj: {
+            CMOR1: { value: 2.5, unit: 'ha', availableArea: { unit: 'ha', value: 10 } }
+          }
+        }
+      }
+    }
+
+    const result = stateToLandActionsMapper(state)
+
+    expect(result[0].actions[0].quantity).toBe(2.5)
+  })
+
   it('should handle zero quantity values', () => {
     const state = {
       landParcels: {
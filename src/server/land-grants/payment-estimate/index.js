@@ -0,0 +1,23 @@
+import { paymentEstimateController } from './payment-estimate.controller.js'
+
+/**
+ * Sets up the route estimating the payment for land actions while they are being selected.
+ * These routes are registered in src/server/router.js.
+ * @satisfies {ServerRegisterPluginObject<void>}
+ */
+export const paymentEstimate = {
+  plugin: {
+    name: 'land-grants-payment-estimate',
+    register(server) {
+      server.route({
+        method: 'POST',
+        path: '/{slug}/payment-estimate',
+        ...paymentEstimateController
+      })
+    }
+  }
+}
+
+/**
+ * @import { ServerRegisterPluginObject } from '@hapi/hapi'
+ */
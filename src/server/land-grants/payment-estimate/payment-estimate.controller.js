@@ -0,0 +1,113 @@
+import { statusCodes } from '~/src/server/common/constants/status-codes.js'
+import { getFormsCacheService } from '~/src/server/common/helpers/forms-cache/forms-cache.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { calculateGrantPayment } from '~/src/server/land-grants/services/land-grants.service.js'
+import { stringifyParcel } from '~/src/server/land-grants/utils/format-parcel.js'
+import { formatPence } from '~/src/server/land-grants/utils/format-pence.js'
+
+/**
+ * An action selected on the select actions page, with the area to apply it to
+ * @typedef {object} DraftAction
+ * @property {string} code - Action code
+ * @property {number} quantity - Area to apply the action to, in hectares
+ */
+
+/**
+ * Checks the request payload is a parcel and a list of actions with a positive area
+ * @param {any} payload
+ * @returns {payload is { parcel: string, actions: DraftAction[] }}
+ */
+function isValidPayload(payload) {
+  return (
+    typeof payload?.parcel === 'string' &&
+    Array.isArray(payload.actions) &&
+    payload.actions.every(
+      (action) =>
+        typeof action?.code === 'string' &&
+        action.code !== '' &&
+        typeof action.quantity === 'number' &&
+        Number.isFinite(action.quantity) &&
+        action.quantity > 0
+    )
+  )
+}
+
+/**
+ * Replaces the actions saved for a parcel with the unsaved ones being selected.
+ * The parcel is left out when no actions are selected, as it would be if they were saved.
+ * @param {object} state - Saved form state
+ * @param {string} parcel - Parcel key, like SD6743-8083
+ * @param {DraftAction[]} actions - Actions being selected for the parcel
+ * @returns {object} - The state as it would be if the actions were saved
+ */
+export function buildDraftState(state, parcel, actions) {
+  const { [parcel]: savedParcel, ...otherParcels } = state.landParcels ?? {}
+
+  if (!actions.length) {
+    return { ...state, landParcels: otherParcels }
+  }
+
+  const actionsObj = Object.fromEntries(actions.map(({ code, quantity }) => [code, { value: quantity }]))
+  return { ...state, landParcels: { ...otherParcels, [parcel]: { ...savedParcel, actionsObj } } }
+}
+
+/**
+ * Totals the annual payment for the actions on a parcel
+ * @param {PaymentCalculation | undefined} payment
+ * @param {string} parcel - Parcel key, like SD6743-8083
+ * @returns {number} - Annual payment in pence
+ */
+export function getParcelTotalPence(payment, parcel) {
+  return Object.values(payment?.parcelItems ?? {})
+    .filter((/** @type {ParcelItem} */ item) => stringifyParcel(item) === parcel)
+    .reduce((total, item) => total + (item.annualPaymentPence ?? 0), 0)
+}
+
+/**
+ * Estimates the annual payment for the actions being selected on a parcel, without saving them.
+ * Only parcels already selected in the application can be estimated.
+ * @satisfies {Partial<ServerRoute>}
+ */
+export const paymentEstimateController = {
+  async handler(request, h) {
+    const { payload } = request
+    if (!isValidPayload(payload)) {
+      return h.response({ error: 'Invalid payment estimate request' }).code(statusCodes.badRequest)
+    }
+
+    const state = await getFormsCacheService(request.server).getState(request)
+    const { parcel, actions } = payload
+    if (parcel !== state.selectedLandParcel && !state.landParcels?.[parcel]) {
+      return h.response({ error: 'Land parcel is not part of this application' }).code(statusCodes.badRequest)
+    }
+
+    const draftState = buildDraftState(state, parcel, actions)
+    if (!Object.keys(draftState.landParcels).length) {
+      return h.response({ parcelTotal: formatPence(0), applicationTotal: formatPence(0) })
+    }
+
+    try {
+      const { payment } = await calculateGrantPayment(draftState, request)
+      if (payment?.annualTotalPence == null) {
+        throw new Error('no annual total in payment response')
+      }
+
+      return h.response({
+        parcelTotal: formatPence(getParcelTotalPence(payment, parcel)),
+        applicationTotal: formatPence(payment.annualTotalPence)
+      })
+    } catch (error) {
+      const sbi = request.auth?.credentials?.sbi
+      log(LogCodes.SYSTEM.EXTERNAL_API_ERROR, {
+        endpoint: `Land grants API`,
+        error: `error estimating payment for sbi ${sbi} - ${error.message}`
+      })
+      return h.response({ error: 'Unable to estimate payment' }).code(statusCodes.badGateway)
+    }
+  }
+}
+
+/**
+ * @import { ServerRoute } from '@hapi/hapi'
+ * @import { ParcelItem, PaymentCalculation } from '~/src/server/land-grants/types/payment.d.js'
+ */
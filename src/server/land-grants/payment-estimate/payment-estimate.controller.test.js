@@ -0,0 +1,186 @@
+import { vi } from 'vitest'
+import { mockHapiRequest, mockHapiResponseToolkit } from '~/src/__mocks__/hapi-mocks.js'
+import { getFormsCacheService } from '~/src/server/common/helpers/forms-cache/forms-cache.js'
+import { log } from '~/src/server/common/helpers/logging/log.js'
+import { calculateGrantPayment } from '~/src/server/land-grants/services/land-grants.service.js'
+import { buildDraftState, getParcelTotalPence, paymentEstimateController } from './payment-estimate.controller.js'
+
+vi.mock('~/src/server/common/helpers/forms-cache/forms-cache.js', () => ({
+  getFormsCacheService: vi.fn()
+}))
+vi.mock('~/src/server/land-grants/services/land-grants.service.js', () => ({
+  calculateGrantPayment: vi.fn()
+}))
+vi.mock('~/src/server/common/helpers/logging/log.js', () => ({
+  log: vi.fn(),
+  LogCodes: {
+    SYSTEM: { EXTERNAL_API_ERROR: { level: 'error', messageFunc: vi.fn() } }
+  }
+}))
+
+const savedState = {
+  selectedLandParcel: 'SD6743-8083',
+  landParcels: {
+    'SD6843-7039': { actionsObj: { CMOR1: { value: 2, unit: 'ha' } } }
+  }
+}
+
+const payment = {
+  annualTotalPence: 31234,
+  parcelItems: {
+    1: { code: 'CMOR1', sheetId: 'SD6843', parcelId: '7039', annualPaymentPence: 2120 },
+    2: { code: 'CMOR1', sheetId: 'SD6743', parcelId: '8083', annualPaymentPence: 2650 },
+    3: { code: 'UPL1', sheetId: 'SD6743', parcelId: '8083', annualPaymentPence: 1464 }
+  },
+  agreementLevelItems: {
+    1: { code: 'CMOR1', annualPaymentPence: 27200 }
+  }
+}
+
+describe('buildDraftState', () => {
+  test('replaces the saved actions for the parcel', () => {
+    const state = {
+      landParcels: {
+        'SD6743-8083': { actionsObj: { UPL1: { value: 5 } } },
+        'SD6843-7039': { actionsObj: { CMOR1: { value: 2 } } }
+      }
+    }
+
+    expect(buildDraftState(state, 'SD6743-8083', [{ code: 'CMOR1', quantity: 1.5 }])).toEqual({
+      landParcels: {
+        'SD6743-8083': { actionsObj: { CMOR1: { value: 1.5 } } },
+        'SD6843-7039': { actionsObj: { CMOR1: { value: 2 } } }
+      }
+    })
+  })
+
+  test('adds a parcel with no saved actions', () => {
+    expect(buildDraftState(savedState, 'SD6743-8083', [{ code: 'UPL1', quantity: 3 }]).landParcels).toEqual({
+      'SD6843-7039': { actionsObj: { CMOR1: { value: 2, unit: 'ha' } } },
+      'SD6743-8083': { actionsObj: { UPL1: { value: 3 } } }
+    })
+  })
+
+  test('leaves the parcel out when no actions are selected', () => {
+    expect(buildDraftState(savedState, 'SD6843-7039', []).landParcels).toEqual({})
+  })
+
+  test('does not change the saved state', () => {
+    const state = structuredClone(savedState)
+
+    buildDraftState(state, 'SD6843-7039', [{ code: 'UPL1', quantity: 1 }])
+
+    expect(state).toEqual(savedState)
+  })
+})
+
+describe('getParcelTotalPence', () => {
+  test('totals the payments for actions on the parcel', () => {
+    expect(getParcelTotalPence(payment, 'SD6743-8083')).toBe(4114)
+  })
+
+  test('returns 0 when the parcel has no payments', () => {
+    expect(getParcelTotalPence(payment, 'SD0000-0000')).toBe(0)
+    expect(getParcelTotalPence(undefined, 'SD6743-8083')).toBe(0)
+  })
+})
+
+describe('payment estimate controller', () => {
+  let h
+  let cacheService
+
+  const estimate = (payload) =>
+    paymentEstimateController.handler(
+      mockHapiRequest({
+        method: 'POST',
+        params: { slug: 'farm-payments' },
+        payload,
+        auth: { isAuthenticated: true, credentials: { sbi: '106284736' } }
+      }),
+      h
+    )
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    cacheService = { getState: vi.fn().mockResolvedValue(savedState) }
+    getFormsCacheService.mockReturnValue(cacheService)
+    calculateGrantPayment.mockResolvedValue({ payment })
+    h = mockHapiResponseToolkit()
+  })
+
+  test('returns the parcel and application totals for the unsaved actions', async () => {
+    await estimate({ parcel: 'SD6743-8083', actions: [{ code: 'UPL1', quantity: 4.5 }] })
+
+    expect(calculateGrantPayment).toHaveBeenCalledWith(
+      {
+        selectedLandParcel: 'SD6743-8083',
+        landParcels: {
+          'SD6843-7039': { actionsObj: { CMOR1: { value: 2, unit: 'ha' } } },
+          'SD6743-8083': { actionsObj: { UPL1: { value: 4.5 } } }
+        }
+      },
+      expect.objectContaining({ auth: expect.objectContaining({ credentials: { sbi: '106284736' } }) })
+    )
+    expect(h.response).toHaveBeenCalledWith({ parcelTotal: '£41.14', applicationTotal: '£312.34' })
+    expect(h.code).not.toHaveBeenCalled()
+  })
+
+  test('estimates a parcel already in the application', async () => {
+    await estimate({ parcel: 'SD6843-7039', actions: [{ code: 'CMOR1', quantity: 2 }] })
+
+    expect(h.response).toHaveBeenCalledWith({ parcelTotal: '£21.20', applicationTotal: '£312.34' })
+  })
+
+  test('returns zero without calling the API when no actions are selected anywhere', async () => {
+    cacheService.getState.mockResolvedValue({ selectedLandParcel: 'SD6743-8083' })
+
+    await estimate({ parcel: 'SD6743-8083', actions: [] })
+
+    expect(calculateGrantPayment).not.toHaveBeenCalled()
+    expect(h.response).toHaveBeenCalledWith({ parcelTotal: '£0.00', applicationTotal: '£0.00' })
+  })
+
+  test.each([
+    ['no payload', null],
+    ['no parcel', { actions: [] }],
+    ['no list of actions', { parcel: 'SD6743-8083', actions: 'UPL1' }],
+    ['an action with no code', { parcel: 'SD6743-8083', actions: [{ quantity: 1 }] }],
+    ['an area that is not a number', { parcel: 'SD6743-8083', actions: [{ code: 'UPL1', quantity: '1' }] }],
+    ['an area of 0', { parcel: 'SD6743-8083', actions: [{ code: 'UPL1', quantity: 0 }] }]
+  ])('rejects a request with %s', async (_, payload) => {
+    await estimate(payload)
+
+    expect(h.response).toHaveBeenCalledWith({ error: 'Invalid payment estimate request' })
+    expect(h.code).toHaveBeenCalledWith(400)
+    expect(calculateGrantPayment).not.toHaveBeenCalled()
+  })
+
+  test('rejects a parcel that is not part of the application', async () => {
+    await estimate({ parcel: 'SD0000-0000', actions: [{ code: 'UPL1', quantity: 1 }] })
+
+    expect(h.response).toHaveBeenCalledWith({ error: 'Land parcel is not part of this application' })
+    expect(h.code).toHaveBeenCalledWith(400)
+    expect(calculateGrantPayment).not.toHaveBeenCalled()
+  })
+
+  test('logs and returns an error when the payment cannot be calculated', async () => {
+    calculateGrantPayment.mockRejectedValue(new Error('API down'))
+
+    await estimate({ parcel: 'SD6743-8083', actions: [{ code: 'UPL1', quantity: 1 }] })
+
+    expect(log).toHaveBeenCalledWith(expect.any(Object), {
+      endpoint: 'Land grants API',
+      error: 'error estimating payment for sbi 106284736 - API down'
+    })
+    expect(h.response).toHaveBeenCalledWith({ error: 'Unable to estimate payment' })
+    expect(h.code).toHaveBeenCalledWith(502)
+  })
+
+  test('returns an error when the API returns no payment', async () => {
+    calculateGrantPayment.mockResolvedValue({ payment: undefined })
+
+    await estimate({ parcel: 'SD6743-8083', actions: [{ code: 'UPL1', quantity: 1 }] })
+
+    expect(h.code).toHaveBeenCalledWith(502)
+  })
+})
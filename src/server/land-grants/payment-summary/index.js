@@ -0,0 +1,23 @@
+import { paymentSummaryController } from './payment-summary.controller.js'
+
+/**
+ * Sets up the route downloading the land actions and payments in an application as a CSV or PDF.
+ * These routes are registered in src/server/router.js.
+ * @satisfies {ServerRegisterPluginObject<void>}
+ */
+export const paymentSummary = {
+  plugin: {
+    name: 'land-grants-payment-summary',
+    register(server) {
+      server.route({
+        method: 'GET',
+        path: '/{slug}/land-actions-and-payments.{format}',
+        ...paymentSummaryController
+      })
+    }
+  }
+}
+
+/**
+ * @import { ServerRegisterPluginObject } from '@hapi/hapi'
+ */
@@ -0,0 +1,44 @@
+import { statusCodes } from '~/src/server/common/constants/status-codes.js'
+import { getFormsCache } from '~/src/server/common/forms/services/form.js'
+import { getFormsCacheService } from '~/src/server/common/helpers/forms-cache/forms-cache.js'
+import { buildPaymentSummary, paymentSummaryToCsv, paymentSummaryToPdf } from './payment-summary.js'
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', build: paymentSummaryToCsv },
+  pdf: { contentType: 'application/pdf', build: paymentSummaryToPdf }
+}
+
+/**
+ * Downloads the land actions and payments shown on the check page, as a CSV or a printable PDF.
+ * Uses the payment calculation the check page saved, so the amounts match what the applicant saw.
+ * @satisfies {Partial<ServerRoute>}
+ */
+export const paymentSummaryController = {
+  async handler(request, h) {
+    const { slug, format } = request.params
+    const download = FORMATS[format]
+    if (!download || !getFormsCache().some((f) => f.slug === slug)) {
+      return h.response('Not found').code(statusCodes.notFound)
+    }
+
+    const state = await getFormsCacheService(request.server).getState(request)
+    if (state.payment?.annualTotalPence == null) {
+      return h.response('No land actions to download').code(statusCodes.notFound)
+    }
+
+    const referenceNumber = state.$$__referenceNumber
+    const summary = buildPaymentSummary(state.payment)
+    const body = await download.build(summary, { referenceNumber, sbi: request.auth?.credentials?.sbi })
+    const filename = `land-actions-and-payments${referenceNumber ? `-${referenceNumber}` : ''}.${format}`
+
+    return h
+      .response(body)
+      .type(download.contentType)
+      .header('Content-Disposition', `attachment; filename="${filename}"`)
+      .header('Cache-Control', 'no-store')
+  }
+}
+
+/**
+ * @import { ServerRoute } from '@hapi/hapi'
+ */
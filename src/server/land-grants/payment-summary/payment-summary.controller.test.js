@@ -0,0 +1,106 @@
+import { vi } from 'vitest'
+import { mockHapiRequest, mockHapiResponseToolkit } from '~/src/__mocks__/hapi-mocks.js'
+import { getFormsCacheService } from '~/src/server/common/helpers/forms-cache/forms-cache.js'
+import { paymentSummaryController } from './payment-summary.controller.js'
+
+vi.mock('~/src/server/common/forms/services/form.js', () => ({
+  getFormsCache: vi.fn(() => [{ id: 'form-1', slug: 'farm-payments', title: 'Farm payments' }])
+}))
+vi.mock('~/src/server/common/helpers/forms-cache/forms-cache.js', () => ({
+  getFormsCacheService: vi.fn()
+}))
+
+const state = {
+  $$__referenceNumber: 'FPTT-AB12-CD34',
+  payment: {
+    annualTotalPence: 10000,
+    parcelItems: {
+      1: {
+        code: 'CMOR1',
+        description: 'Assess moorland and produce a written record',
+        quantity: 4.53,
+        unit: 'ha',
+        annualPaymentPence: 8000,
+        sheetId: 'SD6743',
+        parcelId: '8083'
+      }
+    },
+    agreementLevelItems: {
+      1: { code: 'CMOR1', description: 'Assess moorland and produce a written record', annualPaymentPence: 2000 }
+    }
+  }
+}
+
+describe('payment summary controller', () => {
+  let h
+  let cacheService
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    cacheService = { getState: vi.fn().mockResolvedValue(state) }
+    getFormsCacheService.mockReturnValue(cacheService)
+    h = mockHapiResponseToolkit()
+  })
+
+  const download = (format, slug = 'farm-payments') =>
+    paymentSummaryController.handler(
+      mockHapiRequest({ params: { slug, format }, auth: { credentials: { sbi: '106284736' } } }),
+      h
+    )
+
+  it('downloads the land actions and payments as a CSV', async () => {
+    await download('csv')
+
+    expect(h.response).toHaveBeenCalledWith(expect.stringContaining('SD6743 8083,CMOR1'))
+    expect(h.type).toHaveBeenCalledWith('text/csv; charset=utf-8')
+    expect(h.header).toHaveBeenCalledWith(
+      'Content-Disposition',
+      'attachment; filename="land-actions-and-payments-FPTT-AB12-CD34.csv"'
+    )
+    expect(h.header).toHaveBeenCalledWith('Cache-Control', 'no-store')
+  })
+
+  it('downloads the land actions and payments as a PDF', async () => {
+    await download('pdf')
+
+    const [body] = h.response.mock.calls[0]
+    expect(body.subarray(0, 5).toString()).toBe('%PDF-')
+    expect(h.type).toHaveBeenCalledWith('application/pdf')
+    expect(h.header).toHaveBeenCalledWith(
+      'Content-Disposition',
+      'attachment; filename="land-actions-and-payments-FPTT-AB12-CD34.pdf"'
+    )
+  })
+
+  it('leaves the reference number out of the filename before the application has one', async () => {
+    cacheService.getState.mockResolvedValue({ payment: state.payment })
+
+    await download('csv')
+
+    expect(h.header).toHaveBeenCalledWith('Content-Disposition', 'attachment; filename="land-actions-and-payments.csv"')
+  })
+
+  it('returns 404 for an unknown format', async () => {
+    await download('xlsx')
+
+    expect(h.response).toHaveBeenCalledWith('Not found')
+    expect(h.code).toHaveBeenCalledWith(404)
+    expect(cacheService.getState).not.toHaveBeenCalled()
+  })
+
+  it('returns 404 for an unknown form', async () => {
+    await download('csv', 'unknown-grant')
+
+    expect(h.response).toHaveBeenCalledWith('Not found')
+    expect(h.code).toHaveBeenCalledWith(404)
+  })
+
+  it('returns 404 when no payment has been calculated', async () => {
+    cacheService.getState.mockResolvedValue({})
+
+    await download('pdf')
+
+    expect(h.response).toHaveBeenCalledWith('No land actions to download')
+    expect(h.code).toHaveBeenCalledWith(404)
+  })
+})
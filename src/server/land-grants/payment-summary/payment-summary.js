@@ -0,0 +1,162 @@
+import { format } from 'date-fns'
+import PDFDocument from 'pdfkit'
+import { toCsv } from '~/src/server/common/helpers/csv.js'
+import { formatPence } from '~/src/server/land-grants/utils/format-pence.js'
+import { landActionWithCode } from '~/src/server/land-grants/utils/land-action-with-code.js'
+
+const TITLE = 'Land actions and payments'
+
+/**
+ * The land actions and payments in an application, formatted as they are on the check page
+ * @typedef {object} PaymentSummary
+ * @property {Array<{parcel: string, code: string, description: string, quantity: number, unit: string, annualPayment: string}>} parcelItems
+ *   - Actions on each parcel, grouped by parcel
+ * @property {Array<{code: string, description: string, annualPayment: string}>} agreementLevelItems
+ *   - One-off payments per agreement per year
+ * @property {string} totalAnnualPayment
+ */
+
+/**
+ * Details of the application shown at the top of the PDF
+ * @typedef {object} PaymentSummaryDetails
+ * @property {string} [referenceNumber]
+ * @property {string} [sbi]
+ * @property {Date} [createdAt]
+ */
+
+/**
+ * Builds the summary from the payment calculation saved by the check page
+ * @param {PaymentCalculation} payment
+ * @returns {PaymentSummary}
+ */
+export function buildPaymentSummary(payment) {
+  /** @type {ParcelItem[]} */
+  const parcelItems = Object.values(payment?.parcelItems ?? {})
+  const parcels = [...new Set(parcelItems.map((item) => `${item.sheetId} ${item.parcelId}`))]
+
+  return {
+    parcelItems: parcels.flatMap((parcel) =>
+      parcelItems
+        .filter((item) => `${item.sheetId} ${item.parcelId}` === parcel)
+        .map((item) => ({
+          parcel,
+          code: item.code,
+          description: item.description,
+          quantity: item.quantity,
+          unit: item.unit,
+          annualPayment: formatPence(item.annualPaymentPence)
+        }))
+    ),
+    agreementLevelItems: Object.values(payment?.agreementLevelItems ?? {}).map((item) => ({
+      code: item.code,
+      description: `One-off payment per agreement per year for ${item.description}`,
+      annualPayment: formatPence(item.annualPaymentPence)
+    })),
+    totalAnnualPayment: formatPence(payment?.annualTotalPence || 0)
+  }
+}
+
+/**
+ * Builds a CSV of the summary, with a row for each action and agreement-level payment, then the total
+ * @param {PaymentSummary} summary
+ * @returns {string}
+ */
+export function paymentSummaryToCsv(summary) {
+  return toCsv([
+    ['Land parcel', 'Action code', 'Action', 'Quantity', 'Unit', 'Annual payment'],
+    ...summary.parcelItems.map((item) => [
+      item.parcel,
+      item.code,
+      item.description,
+      item.quantity,
+      item.unit,
+      item.annualPayment
+    ]),
+    ...summary.agreementLevelItems.map((item) => ['', item.code, item.description, '', '', item.annualPayment]),
+    ['Total annual payment', '', '', '', '', summary.totalAnnualPayment]
+  ])
+}
+
+const MARGIN = 50
+const REGULAR = 'Helvetica'
+const BOLD = 'Helvetica-Bold'
+const DESCRIPTION_WIDTH = 280
+const QUANTITY_COLUMN = { x: 340, width: 100 }
+const PAYMENT_COLUMN = { x: 450, width: 95 }
+
+/**
+ * Builds a printable PDF of the summary, laid out like the check page
+ * @param {PaymentSummary} summary
+ * @param {PaymentSummaryDetails} [details]
+ * @returns {Promise<Buffer>}
+ */
+export function paymentSummaryToPdf(summary, { referenceNumber, sbi, createdAt = new Date() } = {}) {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: TITLE } })
+  /** @type {Buffer[]} */
+  const chunks = []
+  const pdf = new Promise((resolve, reject) => {
+    doc.on('data', (chunk) => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+  })
+
+  /**
+   * @param {string} text
+   * @param {number} size
+   */
+  const heading = (text, size) => {
+    doc.moveDown(1).font(BOLD).fontSize(size).text(text, MARGIN).moveDown(0.3).font(REGULAR).fontSize(10)
+  }
+
+  /**
+   * Adds a row, moving it to a new page if the wrapped description does not fit
+   * @param {string} description
+   * @param {string} quantity
+   * @param {string} annualPayment
+   * @param {string} [font]
+   */
+  const row = (description, quantity, annualPayment, font = REGULAR) => {
+    doc.font(font)
+    if (doc.y + doc.heightOfString(description, { width: DESCRIPTION_WIDTH }) > doc.page.maxY()) {
+      doc.addPage()
+    }
+    const { y } = doc
+    doc.text(quantity, QUANTITY_COLUMN.x, y, { width: QUANTITY_COLUMN.width, align: 'right' })
+    doc.text(annualPayment, PAYMENT_COLUMN.x, y, { width: PAYMENT_COLUMN.width, align: 'right' })
+    doc.text(description, MARGIN, y, { width: DESCRIPTION_WIDTH }).moveDown(0.3).font(REGULAR)
+  }
+
+  doc.font(BOLD).fontSize(18).text(TITLE).moveDown(0.5).font(REGULAR).fontSize(10)
+  if (referenceNumber) {
+    doc.text(`Application reference: ${referenceNumber}`)
+  }
+  if (sbi) {
+    doc.text(`SBI: ${sbi}`)
+  }
+  doc.text(`Created: ${format(createdAt, 'd MMMM yyyy')}`)
+
+  for (const parcel of [...new Set(summary.parcelItems.map((item) => item.parcel))]) {
+    heading(`Land parcel ${parcel}`, 13)
+    row('Action', 'Quantity', 'Yearly payment', BOLD)
+    for (const item of summary.parcelItems.filter((i) => i.parcel === parcel)) {
+      row(landActionWithCode(item.description, item.code), `${item.quantity} ${item.unit}`.trim(), item.annualPayment)
+    }
+  }
+
+  if (summary.agreementLevelItems.length) {
+    heading('Additional yearly payments', 13)
+    for (const item of summary.agreementLevelItems) {
+      row(landActionWithCode(item.description, item.code), '', item.annualPayment)
+    }
+  }
+
+  doc.moveDown(1).fontSize(12)
+  row('Total annual payment', '', summary.totalAnnualPayment, BOLD)
+
+  doc.end()
+  return pdf
+}
+
+/**
+ * @import { ParcelItem, PaymentCalculation } from '~/src/server/land-grants/types/payment.d.js'
+ */
@@ -0,0 +1,131 @@
+import PDFDocument from 'pdfkit'
+import { buildPaymentSummary, paymentSummaryToCsv, paymentSummaryToPdf } from './payment-summary.js'
+
+const parcelItem = (id, sheetId, parcelId, code, annualPaymentPence) => [
+  id,
+  { code, description: `${code} description`, quantity: 4.53, unit: 'ha', annualPaymentPence, sheetId, parcelId }
+]
+
+const payment = {
+  annualTotalPence: 123456,
+  parcelItems: Object.fromEntries([
+    parcelItem(1, 'SD6743', '8083', 'CMOR1', 1000),
+    parcelItem(2, 'SD6743', '8084', 'UPL1', 2000),
+    parcelItem(3, 'SD6743', '8083', 'UPL2', 3000)
+  ]),
+  agreementLevelItems: {
+    1: { code: 'CMOR1', description: 'Assess moorland and produce a written record', annualPaymentPence: 27200 }
+  }
+}
+
+describe('buildPaymentSummary', () => {
+  it('should group actions by parcel and format the amounts', () => {
+    expect(buildPaymentSummary(payment)).toEqual({
+      parcelItems: [
+        {
+          parcel: 'SD6743 8083',
+          code: 'CMOR1',
+          description: 'CMOR1 description',
+          quantity: 4.53,
+          unit: 'ha',
+          annualPayment: '£10.00'
+        },
+        {
+          parcel: 'SD6743 8083',
+          code: 'UPL2',
+          description: 'UPL2 description',
+          quantity: 4.53,
+          unit: 'ha',
+          annualPayment: '£30.00'
+        },
+        {
+          parcel: 'SD6743 8084',
+          code: 'UPL1',
+          description: 'UPL1 description',
+          quantity: 4.53,
+          unit: 'ha',
+          annualPayment: '£20.00'
+        }
+      ],
+      agreementLevelItems: [
+        {
+          code: 'CMOR1',
+          description: 'One-off payment per agreement per year for Assess moorland and produce a written record',
+          annualPayment: '£272.00'
+        }
+      ],
+      totalAnnualPayment: '£1,234.56'
+    })
+  })
+
+  it('should build an empty summary when there is no payment', () => {
+    expect(buildPaymentSummary(undefined)).toEqual({
+      parcelItems: [],
+      agreementLevelItems: [],
+      totalAnnualPayment: '£0.00'
+    })
+  })
+})
+
+describe('paymentSummaryToCsv', () => {
+  it('should have a row for each action, then the agreement-level payments and the total', () => {
+    const rows = paymentSummaryToCsv(buildPaymentSummary(payment)).trim().split('\r\n')
+
+    expect(rows).toEqual([
+      'Land parcel,Action code,Action,Quantity,Unit,Annual payment',
+      'SD6743 8083,CMOR1,CMOR1 description,4.53,ha,£10.00',
+      'SD6743 8083,UPL2,UPL2 description,4.53,ha,£30.00',
+      'SD6743 8084,UPL1,UPL1 description,4.53,ha,£20.00',
+      ',CMOR1,One-off payment per agreement per year for Assess moorland and produce a written record,,,£272.00',
+      'Total annual payment,,,,,"£1,234.56"'
+    ])
+  })
+})
+
+describe('paymentSummaryToPdf', () => {
+  const writtenText = () => PDFDocument.prototype.text.mock.calls.map(([text]) => text)
+
+  beforeEach(() => {
+    vi.spyOn(PDFDocument.prototype, 'text')
+    vi.spyOn(PDFDocument.prototype, 'addPage')
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should build a PDF with the application details, actions and total', async () => {
+    const pdf = await paymentSummaryToPdf(buildPaymentSummary(payment), {
+      referenceNumber: 'FPTT-AB12-CD34',
+      sbi: '106284736',
+      createdAt: new Date('2026-03-01T10:00:00.000Z')
+    })
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-')
+    expect(writtenText()).toEqual(
+      expect.arrayContaining([
+        'Land actions and payments',
+        'Application reference: FPTT-AB12-CD34',
+        'SBI: 106284736',
+        'Created: 1 March 2026',
+        'Land parcel SD6743 8083',
+        'Land parcel SD6743 8084',
+        '4.53 ha',
+        'Additional yearly payments',
+        'Total annual payment',
+        '£1,234.56'
+      ])
+    )
+  })
+
+  it('should start a new page when the actions do not fit on one', async () => {
+    const parcelItems = Object.fromEntries(
+      Array.from({ length: 60 }, (_, i) => parcelItem(i, 'SD6743', String(8000 + i), 'CMOR1', 1000))
+    )
+
+    await paymentSummaryToPdf(buildPaymentSummary({ annualTotalPence: 60000, parcelItems }))
+
+    expect(PDFDocument.prototype.addPage).toHaveBeenCalled()
+    expect(writtenText()).toContain('Land parcel SD6743 8059')
+  })
+})
@@ -0,0 +1,95 @@
+import { createHash } from 'node:crypto'
+import { config } from '~/src/config/config.js'
+import { metricsCounter } from '~/src/server/common/helpers/metrics.js'
+
+const PLUGIN_NAME = 'land-grants-cache'
+
+/**
+ * A cached call to the Land Grants API or Consolidated View
+ * @typedef {object} CachedCall
+ * @property {string} id - Cache key
+ * @property {number} ttl - How long to keep the response, in milliseconds
+ * @property {() => Promise<any>} fetch - Makes the call when the response is not cached
+ */
+
+/**
+ * Caches Land Grants API and Consolidated View responses in the server's catbox cache, so moving between the
+ * land grants pages does not repeat the same slow calls. Concurrent calls with the same key share one request.
+ * @satisfies {ServerRegisterPluginObject<void>}
+ */
+export const landGrantsCache = {
+  plugin: {
+    name: PLUGIN_NAME,
+    register(server) {
+      server.expose(
+        'policy',
+        server.cache({
+          cache: config.get('session.cache.name'),
+          segment: 'land-grants-api',
+          expiresIn: config.get('landGrants.cache.parcelsTtl'),
+          generateTimeout: false,
+          getDecoratedValue: true,
+          /**
+           * @param {Id} id
+           * @param {{ ttl?: number }} flags
+           */
+          generateFunc: (id, flags) => {
+            const call = /** @type {CachedCall} */ (id)
+            flags.ttl = call.ttl
+            return call.fetch()
+          }
+        })
+      )
+    }
+  }
+}
+
+/**
+ * Builds a cache key for a business, from the values a response depends on
+ * @param {string} name - The call being cached
+ * @param {string | number | undefined} sbi
+ * @param {unknown} [values] - Parcel list, land actions or anything else the response depends on
+ * @returns {string}
+ */
+export function buildCacheKey(name, sbi, values = null) {
+  const hash = createHash('sha256').update(JSON.stringify(values)).digest('hex')
+  return `${name}:${sbi}:${hash}`
+}
+
+/**
+ * Returns a cached response for a business, or makes the call and caches it. Calls are not cached without a request,
+ * a signed in business or the cache plugin, or when `landGrants.cache.enabled` is off. Failed calls are not cached.
+ * @template T
+ * @param {Request | undefined} request
+ * @param {object} options
+ * @param {string} options.name - The call being cached, used in the key
+ * @param {unknown} [options.key] - Values the response depends on, such as the parcel list or land actions
+ * @param {'parcels' | 'payment'} options.ttl - Which `landGrants.cache` TTL to use
+ * @param {() => Promise<T>} fetch - Makes the call
+ * @returns {Promise<T>}
+ */
+export async function withLandGrantsCache(request, { name, key, ttl }, fetch) {
+  const sbi = /** @type {string | undefined} */ (request?.auth?.credentials?.sbi)
+  /** @type {Policy<any, any> | undefined} */
+  const policy = request?.server?.plugins?.[PLUGIN_NAME]?.policy
+
+  if (!policy || !sbi || !config.get('landGrants.cache.enabled')) {
+    return fetch()
+  }
+
+  /** @type {CachedCall} */
+  const call = {
+    id: buildCacheKey(name, sbi, key),
+    ttl: config.get(ttl === 'payment' ? 'landGrants.cache.paymentTtl' : 'landGrants.cache.parcelsTtl'),
+    fetch
+  }
+  const { value, cached } = await policy.get(call)
+  metricsCounter(cached ? 'LandGrantsApiCacheHit' : 'LandGrantsApiCacheMiss')
+
+  return value
+}
+
+/**
+ * @import { Request, ServerRegisterPluginObject } from '@hapi/hapi'
+ * @import { Id, Policy } from '@hapi/catbox'
+ */
@@ -0,0 +1,128 @@
+import { vi } from 'vitest'
+import hapi from '@hapi/hapi'
+import { Engine as CatboxMemory } from '@hapi/catbox-memory'
+import { config } from '~/src/config/config.js'
+import { metricsCounter } from '~/src/server/common/helpers/metrics.js'
+import { buildCacheKey, landGrantsCache, withLandGrantsCache } from './land-grants-cache.js'
+
+vi.mock('~/src/server/common/helpers/metrics.js', () => ({
+  metricsCounter: vi.fn()
+}))
+
+describe('land grants cache', () => {
+  let server
+  let request
+
+  beforeEach(async () => {
+    vi.clearAllMocks()
+    server = hapi.server({
+      cache: [{ name: config.get('session.cache.name'), provider: { constructor: CatboxMemory } }]
+    })
+    await server.register(landGrantsCache)
+    await server.initialize()
+    request = { server, auth: { credentials: { sbi: '106284736' } } }
+  })
+
+  afterEach(async () => {
+    vi.restoreAllMocks()
+    await server.stop()
+  })
+
+  const options = { name: 'calculate', key: { landActions: ['SD6743 8083'] }, ttl: 'payment' }
+
+  describe('buildCacheKey', () => {
+    it('should key by call, business and values', () => {
+      const key = buildCacheKey('calculate', '106284736', ['SD6743 8083'])
+
+      expect(key).toMatch(/^calculate:106284736:[0-9a-f]{64}$/)
+      expect(buildCacheKey('calculate', '106284736', ['SD6743 8083'])).toBe(key)
+      expect(buildCacheKey('calculate', '106284736', ['SD6743 8084'])).not.toBe(key)
+      expect(buildCacheKey('calculate', '200000000', ['SD6743 8083'])).not.toBe(key)
+    })
+  })
+
+  describe('withLandGrantsCache', () => {
+    it('should make the call once and then use the cached response', async () => {
+      const fetch = vi.fn().mockResolvedValue({ payment: { annualTotalPence: 100 } })
+
+      expect(await withLandGrantsCache(request, options, fetch)).toEqual({ payment: { annualTotalPence: 100 } })
+      expect(await withLandGrantsCache(request, options, fetch)).toEqual({ payment: { annualTotalPence: 100 } })
+
+      expect(fetch).toHaveBeenCalledTimes(1)
+      expect(metricsCounter).toHaveBeenNthCalledWith(1, 'LandGrantsApiCacheMiss')
+      expect(metricsCounter).toHaveBeenNthCalledWith(2, 'LandGrantsApiCacheHit')
+    })
+
+    it('should share one call between concurrent requests for the same key', async () => {
+      const fetch = vi.fn().mockResolvedValue({ parcels: [] })
+
+      await Promise.all([withLandGrantsCache(request, options, fetch), withLandGrantsCache(request, options, fetch)])
+
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    it('should make the call again when the land actions change', async () => {
+      const fetch = vi.fn().mockResolvedValue({ payment: {} })
+
+      await withLandGrantsCache(request, options, fetch)
+      await withLandGrantsCache(request, { ...options, key: { landActions: ['SD6743 8084'] } }, fetch)
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+
+    it('should not share responses between businesses', async () => {
+      const fetch = vi.fn().mockResolvedValue({ parcels: [] })
+
+      await withLandGrantsCache(request, options, fetch)
+      await withLandGrantsCache({ ...request, auth: { credentials: { sbi: '200000000' } } }, options, fetch)
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+
+    it('should not cache failed calls', async () => {
+      const fetch = vi.fn().mockRejectedValueOnce(new Error('Gateway Timeout')).mockResolvedValue({ parcels: [] })
+
+      await expect(withLandGrantsCache(request, options, fetch)).rejects.toThrow('Gateway Timeout')
+      expect(await withLandGrantsCache(request, options, fetch)).toEqual({ parcels: [] })
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+
+    it('should keep responses for the configured TTL', async () => {
+      const ttl = config.get('landGrants.cache.paymentTtl')
+      const fetch = vi.fn().mockResolvedValue({ payment: {} })
+
+      await withLandGrantsCache(request, options, fetch)
+
+      const { cached } = await server.plugins['land-grants-cache'].policy.get(
+        buildCacheKey('calculate', '106284736', options.key)
+      )
+      expect(cached.ttl).toBeLessThanOrEqual(ttl)
+      expect(cached.ttl).toBeGreaterThan(ttl - 1000)
+    })
+
+    it.each([
+      ['there is no signed in business', () => ({ server })],
+      ['there is no request', () => undefined],
+      ['the cache plugin is not registered', () => ({ server: { plugins: {} }, auth: request.auth })]
+    ])('should make the call every time when %s', async (_, getRequest) => {
+      const fetch = vi.fn().mockResolvedValue({ parcels: [] })
+
+      await withLandGrantsCache(getRequest(), options, fetch)
+      await withLandGrantsCache(getRequest(), options, fetch)
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect(metricsCounter).not.toHaveBeenCalled()
+    })
+
+    it('should make the call every time when the cache is disabled', async () => {
+      const configGet = config.get.bind(config)
+      vi.spyOn(config, 'get').mockImplementation((key) => (key === 'landGrants.cache.enabled' ? false : configGet(key)))
+      const fetch = vi.fn().mockResolvedValue({ parcels: [] })
+
+      await withLandGrantsCache(request, options, fetch)
+      await withLandGrantsCache(request, options, fetch)
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+  })
+})
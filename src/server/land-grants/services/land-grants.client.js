@@ -60,6 +60,16 @@ export async function parcelsWithSize(parcelIds, baseUrl) {
   return parcelsWithFields(['size'], parcelIds, baseUrl)
 }
 
+/**
+ * Fetches the size and outline of parcels, for showing them on a map
+ * @param {string[]} parcelIds
+ * @param {string} baseUrl
+ * @returns {Promise<ParcelResponse>}
+ */
+export async function parcelsWithSizeAndGeometry(parcelIds, baseUrl) {
+  return parcelsWithFields(['size', 'geometry'], parcelIds, baseUrl)
+}
+
 /**
  *
  * @param {string[]} fields
@@ -1,5 +1,8 @@
 import { formatCurrency } from '~/src/config/nunjucks/filters/format-currency.js'
-import { fetchParcelsFromDal } from '~/src/server/common/services/consolidated-view/consolidated-view.service.js'
+import {
+  fetchParcelAgreementsFromDal,
+  fetchParcelsFromDal
+} from '~/src/server/common/services/consolidated-view/consolidated-view.service.js'
 import { landActionWithCode } from '~/src/server/land-grants/utils/land-action-with-code.js'
 import { stringifyParcel } from '../utils/format-parcel.js'
 import { stateToLandActionsMapper } from '../mappers/state-to-land-grants-mapper.js'
@@ -8,33 +11,26 @@ import { config } from '~/src/config/config.js'
 import {
   calculate,
   parcelsWithActionsAndSize,
-  parcelsWithSize,
+  parcelsWithSizeAndGeometry,
   validate
 } from '~/src/server/land-grants/services/land-grants.client.js'
+import { withLandGrantsCache } from '~/src/server/land-grants/services/land-grants-cache.js'
 
 const LAND_GRANTS_API_URL = config.get('landGrants.grantsServiceApiEndpoint')
 
-// NOSONAR TODO: Ideally this needs to come from the backend
-export const actionGroups = [
-  {
-    name: 'Assess moorland',
-    actions: ['CMOR1']
-  },
-  {
-    name: 'Livestock grazing on moorland',
-    actions: ['UPL1', 'UPL2', 'UPL3']
-  }
-]
-
 /**
- * Calculates grant payment for land actions.
+ * Calculates grant payment for land actions. Calculations are cached for the business by the land actions they are
+ * for, so a change to `state.landParcels` is always calculated again.
  * @param {LandActions[]} state
+ * @param {Request} [request] - Request of the business the calculation is for, to cache it
  * @returns {Promise<{payment: PaymentCalculation, errorMessage?: string, paymentTotal: string}>} - Payment calculation result
  * @throws {Error}
  */
-export async function calculateGrantPayment(state) {
+export async function calculateGrantPayment(state, request) {
   const payload = { landActions: stateToLandActionsMapper(state) }
-  const { payment } = await calculate(payload, LAND_GRANTS_API_URL)
+  const { payment } = await withLandGrantsCache(request, { name: 'calculate', key: payload, ttl: 'payment' }, () =>
+    calculate(payload, LAND_GRANTS_API_URL)
+  )
   const paymentTotal = formatCurrency(payment?.annualTotalPence / 100)
 
   return {
@@ -45,13 +41,15 @@ export async function calculateGrantPayment(state) {
 }
 
 /**
- * Creates a group with passed name and actions
- * @param {string} name
+ * Creates a group from its config and the actions in it available on the parcel
+ * @param {Pick<ActionGroupConfig, 'name' | 'hint' | 'exclusive'>} group
  * @param {ActionOption[]} groupActions
  * @returns {ActionGroup}- Parcel data with actions
  */
-const createGroup = (name, groupActions) => ({
+const createGroup = ({ name, hint, exclusive }, groupActions) => ({
   name,
+  hint,
+  exclusive: Boolean(exclusive),
   totalAvailableArea: {
     unit: groupActions[0]?.availableArea.unit,
     value: Math.max(...groupActions.map((item) => item.availableArea.value))
@@ -60,32 +58,37 @@ const createGroup = (name, groupActions) => ({
 })
 
 /**
- * Fetches available actions for a given parcel.
+ * Fetches available actions for a given parcel, grouped and ordered by the groups the Land Grants API returns,
+ * or by the given groups if it returns none. Actions in no group are shown last.
  * @param {{ parcelId: string, sheetId: string }} parcel
+ * @param {ActionGroupConfig[]} [actionGroups] - Groups from the form definition, see `getActionGroupsConfig`
+ * @param {Request} [request] - Request of the business the parcel belongs to, to cache the Land Grants API response
  * @returns {Promise<{actions: ActionGroup[], parcel: {parcelId: string, sheetId: string, size: Size}}>}- Parcel data with actions
  * @throws {Error}
  */
-export async function fetchAvailableActionsForParcel({ parcelId = '', sheetId = '' }) {
+export async function fetchAvailableActionsForParcel({ parcelId = '', sheetId = '' }, actionGroups = [], request) {
   const actions = []
   const parcelIds = [stringifyParcel({ sheetId, parcelId })]
-  const { parcels } = await parcelsWithActionsAndSize(parcelIds, LAND_GRANTS_API_URL)
+  const { parcels, actionGroups: apiActionGroups } = await fetchParcelsWithActionsAndSize(parcelIds, request)
   const foundParcel = parcels?.find((p) => p.parcelId === parcelId && p.sheetId === sheetId)
   const actionsForParcel = foundParcel?.actions?.map(mapAction) || []
   const usedCodes = new Set()
 
-  actionGroups.forEach((group) => {
-    const groupActions = actionsForParcel.filter((a) => group.actions.includes(a.code))
+  for (const group of apiActionGroups?.length ? apiActionGroups : actionGroups) {
+    const groupActions = group.actions
+      .map((code) => actionsForParcel.find((a) => a.code === code && !usedCodes.has(code)))
+      .filter((action) => action !== undefined)
     if (groupActions.length > 0) {
       for (const action of groupActions) {
         usedCodes.add(action.code)
       }
-      actions.push(createGroup(group.name, groupActions))
+      actions.push(createGroup(group, groupActions))
     }
-  })
+  }
 
   const ungroupedActions = actionsForParcel.filter((a) => !usedCodes.has(a.code))
   if (ungroupedActions.length > 0) {
-    actions.push(createGroup('', ungroupedActions))
+    actions.push(createGroup({ name: '' }, ungroupedActions))
   }
 
   return {
@@ -113,48 +116,131 @@ function mapAction(action) {
 }
 
 /**
- * Fetches parcel size for a list of parcel IDs.
+ * Fetches the parcels of the signed in business from Consolidated View, cached for the business
+ * @param {Request} request
+ * @returns {Promise<Array>}
+ * @throws {Error}
+ */
+function fetchBusinessParcels(request) {
+  return withLandGrantsCache(request, { name: 'business-parcels', ttl: 'parcels' }, () => fetchParcelsFromDal(request))
+}
+
+/**
+ * Fetches parcels with the actions available on them and their size, cached for the business by the parcel list
+ * @param {string[]} parcelIds
+ * @param {Request} [request]
+ * @returns {Promise<ParcelResponse>}
+ * @throws {Error}
+ */
+function fetchParcelsWithActionsAndSize(parcelIds, request) {
+  return withLandGrantsCache(request, { name: 'parcels-with-actions', key: parcelIds, ttl: 'parcels' }, () =>
+    parcelsWithActionsAndSize(parcelIds, LAND_GRANTS_API_URL)
+  )
+}
+
+/**
+ * Fetches parcel size and geometry for a list of parcel IDs.
  * @param {string[]} parcelIds
- * @returns {Promise<Object.<string, number>>}
+ * @param {Request} request
+ * @returns {Promise<Object.<string, Parcel>>}
  * @throws {Error}
  */
-async function fetchParcelsSize(parcelIds) {
-  const { parcels } = await parcelsWithSize(parcelIds, LAND_GRANTS_API_URL)
+async function fetchParcelsSizeAndGeometry(parcelIds, request) {
+  const { parcels } = await withLandGrantsCache(
+    request,
+    { name: 'parcels-with-geometry', key: parcelIds, ttl: 'parcels' },
+    () => parcelsWithSizeAndGeometry(parcelIds, LAND_GRANTS_API_URL)
+  )
 
   return parcels.reduce((acc, p) => {
-    acc[stringifyParcel(p)] = p.size
+    acc[stringifyParcel(p)] = p
     return acc
   }, {})
 }
 
 /**
- * Fetches parcels with area data for a given SBI.
+ * Fetches parcels with area data for a given SBI, and their geometry for the parcel map when the
+ * Land Grants API has it. Mock business data can include parcel geometry for local development.
  * @param {Request} request
  * @returns {Promise<Parcel[]>}
  * @throws {Error}
  */
 export async function fetchParcels(request) {
-  const parcels = await fetchParcelsFromDal(request)
+  const parcels = await fetchBusinessParcels(request)
   const parcelKeys = parcels.map(stringifyParcel)
-  const sizes = await fetchParcelsSize(parcelKeys)
-  const hydratedParcels = parcels.map((p) => ({
-    ...p,
-    area: sizes[stringifyParcel(p)] || {}
-  }))
+  const details = await fetchParcelsSizeAndGeometry(parcelKeys, request)
+  const hydratedParcels = parcels.map((p) => {
+    const { size, geometry } = details[stringifyParcel(p)] ?? {}
+    const parcelGeometry = geometry ?? p.geometry
+    return {
+      ...p,
+      area: size || {},
+      ...(parcelGeometry && { geometry: parcelGeometry })
+    }
+  })
   return hydratedParcels
 }
 
 /**
- * Validates the application
+ * Fetches every parcel for a given SBI with the actions available on it, for adding one action to many parcels
+ * @param {Request} request
+ * @returns {Promise<{parcels: Parcel[], actionGroups: ActionGroupConfig[]}>} - Parcels with actions, and how the
+ *   Land Grants API groups them when it does
+ * @throws {Error}
+ */
+export async function fetchParcelsWithActions(request) {
+  const parcelKeys = (await fetchBusinessParcels(request)).map(stringifyParcel)
+  const { parcels = [], actionGroups = [] } = await fetchParcelsWithActionsAndSize(parcelKeys, request)
+
+  return {
+    parcels: parcels.map((p) => ({ ...p, actions: p.actions?.map(mapAction) ?? [] })),
+    actionGroups
+  }
+}
+
+/**
+ * Rounds an area in hectares to the 4 decimal places the Land Grants API uses
+ * @param {number} area
+ * @returns {number}
+ */
+const roundArea = (area) => Math.round(area * 10000) / 10000
+
+/**
+ * Fetches the land on a parcel already committed to existing agreements from Consolidated View, to explain why the
+ * area available for actions is less than the parcel size
+ * @param {Request} request
+ * @param {{ sheetId: string, parcelId: string, size: Size }} parcel - The parcel, with its size from the Land Grants API
+ * @returns {Promise<CommittedArea>}
+ * @throws {Error}
+ */
+export async function fetchCommittedArea(request, { sheetId, parcelId, size }) {
+  const parcels = await withLandGrantsCache(request, { name: 'business-agreements', ttl: 'parcels' }, () =>
+    fetchParcelAgreementsFromDal(request)
+  )
+  const agreements = parcels.find((p) => p.sheetId === sheetId && p.parcelId === parcelId)?.agreements ?? []
+  const committedArea = roundArea(agreements.reduce((total, agreement) => total + agreement.area, 0))
+
+  return {
+    parcelArea: size,
+    agreements,
+    committedArea,
+    remainingArea: roundArea(Math.max(size.value - committedArea, 0))
+  }
+}
+
+/**
+ * Validates the application. Given a request, results are cached for the business by the land actions they are for,
+ * so pages that check the application as the applicant moves around do not validate the same actions again.
  * @param {object} data
  * @param {string} data.applicationId
  * @param {string} data.crn
  * @param {string} data.sbi
  * @param {object} data.state
+ * @param {Request} [request] - Request of the business the application is for, to cache the result
  * @returns {Promise<ValidateApplicationResponse>}
  * @throws {Error}
  */
-export async function validateApplication(data) {
+export async function validateApplication(data, request) {
   const { applicationId, crn, state, sbi } = data
 
   const payload = {
@@ -165,10 +251,14 @@ export async function validateApplication(data) {
     landActions: stateToLandActionsMapper(state)
   }
 
-  return validate(payload, LAND_GRANTS_API_URL)
+  return withLandGrantsCache(request, { name: 'validate', key: payload, ttl: 'payment' }, () =>
+    validate(payload, LAND_GRANTS_API_URL)
+  )
 }
 
 /**
- * @import { ActionOption, LandActions, ActionGroup, Parcel, ValidateApplicationResponse, Size } from '~/src/server/land-grants/types/land-grants.client.d.js'
+ * @import { Request } from '@hapi/hapi'
+ * @import { ActionOption, LandActions, ActionGroup, CommittedArea, Parcel, ParcelResponse, ValidateApplicationResponse, Size } from '~/src/server/land-grants/types/land-grants.client.d.js'
  * @import { PaymentCalculation } from '~/src/server/land-grants/types/payment.d.js'
+ * @import { ActionGroupConfig } from '~/src/server/land-grants/utils/action-groups.js'
  */
@@ -1,28 +1,48 @@
 // @ts-nocheck
 import { vi } from 'vitest'
 import { formatCurrency } from '~/src/config/nunjucks/filters/format-currency.js'
-import { fetchParcelsFromDal } from '~/src/server/common/services/consolidated-view/consolidated-view.service.js'
+import {
+  fetchParcelAgreementsFromDal,
+  fetchParcelsFromDal
+} from '~/src/server/common/services/consolidated-view/consolidated-view.service.js'
 import {
   calculateGrantPayment,
   fetchAvailableActionsForParcel,
+  fetchCommittedArea,
   fetchParcels,
+  fetchParcelsWithActions,
   validateApplication
 } from '~/src/server/land-grants/services/land-grants.service.js'
 import {
   calculate,
-  parcelsWithSize,
+  parcelsWithSizeAndGeometry,
   parcelsWithActionsAndSize,
   validate
 } from '~/src/server/land-grants/services/land-grants.client.js'
+import { withLandGrantsCache } from '~/src/server/land-grants/services/land-grants-cache.js'
 const mockApiEndpoint = 'https://land-grants-api'
 
+const actionGroups = [
+  { name: 'Assess moorland', actions: ['CMOR1'] },
+  {
+    name: 'Livestock grazing on moorland',
+    hint: 'You can only do one of these actions on a land parcel.',
+    exclusive: true,
+    actions: ['UPL1', 'UPL2', 'UPL3']
+  }
+]
+
 vi.mock('~/src/server/land-grants/services/land-grants.client.js', () => ({
   calculate: vi.fn(),
-  parcelsWithSize: vi.fn(),
+  parcelsWithSizeAndGeometry: vi.fn(),
   parcelsWithActionsAndSize: vi.fn(),
   validate: vi.fn()
 }))
 
+vi.mock('~/src/server/land-grants/services/land-grants-cache.js', () => ({
+  withLandGrantsCache: vi.fn((request, options, fetch) => fetch())
+}))
+
 vi.mock('~/src/config/nunjucks/filters/format-currency.js')
 vi.mock('~/src/config/config', async () => {
   const { mockConfig } = await import('~/src/__mocks__')
@@ -31,6 +51,7 @@ vi.mock('~/src/config/config', async () => {
   })
 })
 vi.mock('~/src/server/common/services/consolidated-view/consolidated-view.service.js', () => ({
+  fetchParcelAgreementsFromDal: vi.fn(),
   fetchParcelsFromDal: vi.fn()
 }))
 
@@ -172,10 +193,13 @@ describe('land-grants service', () => {
       }
       parcelsWithActionsAndSize.mockResolvedValueOnce(mockApiResponse)
 
-      const result = await fetchAvailableActionsForParcel({
-        parcelId: 'PARCEL456',
-        sheetId: 'SHEET123'
-      })
+      const result = await fetchAvailableActionsForParcel(
+        {
+          parcelId: 'PARCEL456',
+          sheetId: 'SHEET123'
+        },
+        actionGroups
+      )
 
       expect(parcelsWithActionsAndSize).toHaveBeenCalledWith(['SHEET123-PARCEL456'], mockApiEndpoint)
 
@@ -188,6 +212,7 @@ describe('land-grants service', () => {
         actions: [
           {
             name: 'Assess moorland',
+            exclusive: false,
             totalAvailableArea: {
               unit: 'ha',
               value: 10.5
@@ -202,6 +227,8 @@ describe('land-grants service', () => {
           },
           {
             name: 'Livestock grazing on moorland',
+            hint: 'You can only do one of these actions on a land parcel.',
+            exclusive: true,
             totalAvailableArea: {
               unit: 'ha',
               value: 20.75
@@ -253,10 +280,13 @@ describe('land-grants service', () => {
 
       parcelsWithActionsAndSize.mockResolvedValueOnce(mockApiResponse)
 
-      const result = await fetchAvailableActionsForParcel({
-        parcelId: 'PARCEL456',
-        sheetId: 'SHEET123'
-      })
+      const result = await fetchAvailableActionsForParcel(
+        {
+          parcelId: 'PARCEL456',
+          sheetId: 'SHEET123'
+        },
+        actionGroups
+      )
 
       expect(result).toEqual({
         parcel: {
@@ -267,6 +297,7 @@ describe('land-grants service', () => {
         actions: [
           {
             name: 'Assess moorland',
+            exclusive: false,
             totalAvailableArea: {
               unit: 'ha',
               value: 10.5
@@ -281,6 +312,7 @@ describe('land-grants service', () => {
           },
           {
             name: '',
+            exclusive: false,
             totalAvailableArea: {
               unit: 'ha',
               value: 5.0
@@ -319,10 +351,13 @@ describe('land-grants service', () => {
 
       parcelsWithActionsAndSize.mockResolvedValueOnce(mockApiResponse)
 
-      const result = await fetchAvailableActionsForParcel({
-        parcelId: 'PARCEL456',
-        sheetId: 'SHEET123'
-      })
+      const result = await fetchAvailableActionsForParcel(
+        {
+          parcelId: 'PARCEL456',
+          sheetId: 'SHEET123'
+        },
+        actionGroups
+      )
 
       expect(result).toEqual({
         parcel: {
@@ -333,6 +368,7 @@ describe('land-grants service', () => {
         actions: [
           {
             name: '',
+            exclusive: false,
             totalAvailableArea: {
               unit: 'ha',
               value: 5.0
@@ -346,6 +382,77 @@ describe('land-grants service', () => {
       })
     })
 
+    it('should order actions by their groups and put ungrouped actions last', async () => {
+      parcelsWithActionsAndSize.mockResolvedValueOnce({
+        parcels: [
+          {
+            parcelId: 'PARCEL456',
+            sheetId: 'SHEET123',
+            size: { value: 30, unit: 'ha' },
+            actions: [
+              { code: 'OTHER1', availableArea: { value: 1, unit: 'ha' }, description: 'Other' },
+              { code: 'UPL2', availableArea: { value: 2, unit: 'ha' }, description: 'Grazing' },
+              { code: 'UPL1', availableArea: { value: 3, unit: 'ha' }, description: 'Grazing' },
+              { code: 'CMOR1', availableArea: { value: 4, unit: 'ha' }, description: 'Assess' }
+            ]
+          }
+        ]
+      })
+
+      const result = await fetchAvailableActionsForParcel({ parcelId: 'PARCEL456', sheetId: 'SHEET123' }, actionGroups)
+
+      expect(result.actions.map((group) => [group.name, group.actions.map((a) => a.code)])).toEqual([
+        ['Assess moorland', ['CMOR1']],
+        ['Livestock grazing on moorland', ['UPL1', 'UPL2']],
+        ['', ['OTHER1']]
+      ])
+    })
+
+    it('should use the action groups from the Land Grants API when it returns them', async () => {
+      parcelsWithActionsAndSize.mockResolvedValueOnce({
+        actionGroups: [{ name: 'Moorland', hint: 'From the API', exclusive: true, actions: ['UPL1', 'CMOR1'] }],
+        parcels: [
+          {
+            parcelId: 'PARCEL456',
+            sheetId: 'SHEET123',
+            size: { value: 30, unit: 'ha' },
+            actions: [
+              { code: 'CMOR1', availableArea: { value: 4, unit: 'ha' }, description: 'Assess' },
+              { code: 'UPL1', availableArea: { value: 3, unit: 'ha' }, description: 'Grazing' }
+            ]
+          }
+        ]
+      })
+
+      const result = await fetchAvailableActionsForParcel({ parcelId: 'PARCEL456', sheetId: 'SHEET123' }, actionGroups)
+
+      expect(result.actions).toEqual([
+        expect.objectContaining({ name: 'Moorland', hint: 'From the API', exclusive: true })
+      ])
+      expect(result.actions[0].actions.map((a) => a.code)).toEqual(['UPL1', 'CMOR1'])
+    })
+
+    it('should not group actions when no groups are configured', async () => {
+      parcelsWithActionsAndSize.mockResolvedValueOnce({
+        parcels: [
+          {
+            parcelId: 'PARCEL456',
+            sheetId: 'SHEET123',
+            size: { value: 30, unit: 'ha' },
+            actions: [
+              { code: 'CMOR1', availableArea: { value: 4, unit: 'ha' }, description: 'Assess' },
+              { code: 'UPL1', availableArea: { value: 3, unit: 'ha' }, description: 'Grazing' }
+            ]
+          }
+        ]
+      })
+
+      const result = await fetchAvailableActionsForParcel({ parcelId: 'PARCEL456', sheetId: 'SHEET123' })
+
+      expect(result.actions).toEqual([expect.objectContaining({ name: '', exclusive: false })])
+      expect(result.actions[0].actions).toHaveLength(2)
+    })
+
     it('should handle empty parcel parameters', async () => {
       const mockApiResponse = { parcels: [] }
 
@@ -377,10 +484,13 @@ describe('land-grants service', () => {
 
       parcelsWithActionsAndSize.mockResolvedValueOnce(mockApiResponse)
 
-      const result = await fetchAvailableActionsForParcel({
-        parcelId: 'PARCEL456',
-        sheetId: 'SHEET123'
-      })
+      const result = await fetchAvailableActionsForParcel(
+        {
+          parcelId: 'PARCEL456',
+          sheetId: 'SHEET123'
+        },
+        actionGroups
+      )
 
       expect(result).toEqual({
         parcel: {
@@ -406,10 +516,13 @@ describe('land-grants service', () => {
 
       parcelsWithActionsAndSize.mockResolvedValueOnce(mockApiResponse)
 
-      const result = await fetchAvailableActionsForParcel({
-        parcelId: 'PARCEL456',
-        sheetId: 'SHEET123'
-      })
+      const result = await fetchAvailableActionsForParcel(
+        {
+          parcelId: 'PARCEL456',
+          sheetId: 'SHEET123'
+        },
+        actionGroups
+      )
 
       expect(result).toEqual({
         parcel: {
@@ -442,10 +555,13 @@ describe('land-grants service', () => {
 
       parcelsWithActionsAndSize.mockResolvedValueOnce(mockApiResponse)
 
-      const result = await fetchAvailableActionsForParcel({
-        parcelId: 'PARCEL456',
-        sheetId: 'SHEET123'
-      })
+      const result = await fetchAvailableActionsForParcel(
+        {
+          parcelId: 'PARCEL456',
+          sheetId: 'SHEET123'
+        },
+        actionGroups
+      )
 
       expect(result).toEqual({
         parcel: {
@@ -456,6 +572,8 @@ describe('land-grants service', () => {
         actions: [
           {
             name: 'Livestock grazing on moorland',
+            hint: 'You can only do one of these actions on a land parcel.',
+            exclusive: true,
             totalAvailableArea: {
               unit: 'ha',
               value: 20.75
@@ -502,10 +620,13 @@ describe('land-grants service', () => {
 
       parcelsWithActionsAndSize.mockResolvedValueOnce(mockApiResponse)
 
-      const result = await fetchAvailableActionsForParcel({
-        parcelId: 'PARCEL456',
-        sheetId: 'SHEET123'
-      })
+      const result = await fetchAvailableActionsForParcel(
+        {
+          parcelId: 'PARCEL456',
+          sheetId: 'SHEET123'
+        },
+        actionGroups
+      )
 
       expect(result).toEqual({
         parcel: {
@@ -516,6 +637,8 @@ describe('land-grants service', () => {
         actions: [
           {
             name: 'Livestock grazing on moorland',
+            hint: 'You can only do one of these actions on a land parcel.',
+            exclusive: true,
             totalAvailableArea: {
               unit: 'ha',
               value: 25.5
@@ -576,12 +699,12 @@ describe('land-grants service', () => {
       }
 
       fetchParcelsFromDal.mockResolvedValueOnce(mockParcels)
-      parcelsWithSize.mockResolvedValueOnce(mockSizeResponse)
+      parcelsWithSizeAndGeometry.mockResolvedValueOnce(mockSizeResponse)
 
       const result = await fetchParcels('106284736')
 
       expect(fetchParcelsFromDal).toHaveBeenCalledWith('106284736')
-      expect(parcelsWithSize).toHaveBeenCalledWith(['SHEET1-PARCEL1', 'SHEET2-PARCEL2'], mockApiEndpoint)
+      expect(parcelsWithSizeAndGeometry).toHaveBeenCalledWith(['SHEET1-PARCEL1', 'SHEET2-PARCEL2'], mockApiEndpoint)
       expect(result).toEqual([
         {
           parcelId: 'PARCEL1',
@@ -613,7 +736,7 @@ describe('land-grants service', () => {
       }
 
       fetchParcelsFromDal.mockResolvedValueOnce(mockParcels)
-      parcelsWithSize.mockResolvedValueOnce(mockSizeResponse)
+      parcelsWithSizeAndGeometry.mockResolvedValueOnce(mockSizeResponse)
 
       const result = await fetchParcels('106284736')
 
@@ -631,12 +754,56 @@ describe('land-grants service', () => {
       ])
     })
 
+    it('should include parcel geometry from the API', async () => {
+      const geometry = {
+        type: 'Polygon',
+        coordinates: [
+          [
+            [0, 0],
+            [100, 0],
+            [100, 100],
+            [0, 0]
+          ]
+        ]
+      }
+      fetchParcelsFromDal.mockResolvedValueOnce([{ parcelId: 'PARCEL1', sheetId: 'SHEET1' }])
+      parcelsWithSizeAndGeometry.mockResolvedValueOnce({
+        parcels: [{ parcelId: 'PARCEL1', sheetId: 'SHEET1', size: { value: 1, unit: 'ha' }, geometry }]
+      })
+
+      const result = await fetchParcels('106284736')
+
+      expect(result).toEqual([{ parcelId: 'PARCEL1', sheetId: 'SHEET1', area: { value: 1, unit: 'ha' }, geometry }])
+    })
+
+    it('should use mock business data geometry when the API has none', async () => {
+      const geometry = {
+        type: 'Polygon',
+        coordinates: [
+          [
+            [0, 0],
+            [100, 0],
+            [100, 100],
+            [0, 0]
+          ]
+        ]
+      }
+      fetchParcelsFromDal.mockResolvedValueOnce([{ parcelId: 'PARCEL1', sheetId: 'SHEET1', geometry }])
+      parcelsWithSizeAndGeometry.mockResolvedValueOnce({
+        parcels: [{ parcelId: 'PARCEL1', sheetId: 'SHEET1', size: { value: 1, unit: 'ha' }, geometry: null }]
+      })
+
+      const result = await fetchParcels('106284736')
+
+      expect(result[0].geometry).toEqual(geometry)
+    })
+
     it('should handle empty parcels list', async () => {
       const mockParcels = []
       const mockSizeResponse = { parcels: [] }
 
       fetchParcelsFromDal.mockResolvedValueOnce(mockParcels)
-      parcelsWithSize.mockResolvedValueOnce(mockSizeResponse)
+      parcelsWithSizeAndGeometry.mockResolvedValueOnce(mockSizeResponse)
 
       const result = await fetchParcels('106284736')
 
@@ -652,12 +819,217 @@ describe('land-grants service', () => {
     it('should handle size API error', async () => {
       const mockParcels = [{ parcelId: 'PARCEL1', sheetId: 'SHEET1' }]
       fetchParcelsFromDal.mockResolvedValueOnce(mockParcels)
-      parcelsWithSize.mockRejectedValueOnce(new Error('Size API error'))
+      parcelsWithSizeAndGeometry.mockRejectedValueOnce(new Error('Size API error'))
 
       await expect(fetchParcels('106284736')).rejects.toThrow('Size API error')
     })
   })
 
+  describe('fetchParcelsWithActions', () => {
+    it('should fetch the actions available on every parcel for the business', async () => {
+      fetchParcelsFromDal.mockResolvedValueOnce([
+        { parcelId: 'PARCEL1', sheetId: 'SHEET1' },
+        { parcelId: 'PARCEL2', sheetId: 'SHEET2' }
+      ])
+      parcelsWithActionsAndSize.mockResolvedValueOnce({
+        parcels: [
+          {
+            parcelId: 'PARCEL1',
+            sheetId: 'SHEET1',
+            size: { value: 10, unit: 'ha' },
+            actions: [{ code: 'CMOR1', description: 'Assess moorland', availableArea: { value: 8, unit: 'ha' } }]
+          },
+          { parcelId: 'PARCEL2', sheetId: 'SHEET2', size: { value: 4, unit: 'ha' }, actions: null }
+        ],
+        actionGroups
+      })
+
+      const result = await fetchParcelsWithActions('106284736')
+
+      expect(parcelsWithActionsAndSize).toHaveBeenCalledWith(['SHEET1-PARCEL1', 'SHEET2-PARCEL2'], mockApiEndpoint)
+      expect(result).toEqual({
+        parcels: [
+          {
+            parcelId: 'PARCEL1',
+            sheetId: 'SHEET1',
+            size: { value: 10, unit: 'ha' },
+            actions: [{ code: 'CMOR1', description: 'Assess moorland: CMOR1', availableArea: { value: 8, unit: 'ha' } }]
+          },
+          { parcelId: 'PARCEL2', sheetId: 'SHEET2', size: { value: 4, unit: 'ha' }, actions: [] }
+        ],
+        actionGroups
+      })
+    })
+
+    it('should return no action groups when the API has none', async () => {
+      fetchParcelsFromDal.mockResolvedValueOnce([])
+      parcelsWithActionsAndSize.mockResolvedValueOnce({ parcels: [] })
+
+      expect(await fetchParcelsWithActions('106284736')).toEqual({ parcels: [], actionGroups: [] })
+    })
+
+    it('should throw when the Land Grants API fails', async () => {
+      fetchParcelsFromDal.mockResolvedValueOnce([{ parcelId: 'PARCEL1', sheetId: 'SHEET1' }])
+      parcelsWithActionsAndSize.mockRejectedValueOnce(new Error('API error'))
+
+      await expect(fetchParcelsWithActions('106284736')).rejects.toThrow('API error')
+    })
+  })
+
+  describe('fetchCommittedArea', () => {
+    const request = { auth: { credentials: { sbi: '106284736' } } }
+    const parcel = { sheetId: 'SD6743', parcelId: '8083', size: { unit: 'ha', value: 5.2 } }
+
+    it('should total the area in agreements on the parcel and work out what remains', async () => {
+      fetchParcelAgreementsFromDal.mockResolvedValueOnce([
+        {
+          sheetId: 'SD6743',
+          parcelId: '8083',
+          agreements: [
+            { reference: 'SFI654321987', scheme: 'SFI', actionCode: 'CSAM1', area: 1.2 },
+            { reference: 'CSS2021-48213', scheme: 'CSS', actionCode: 'GS6', area: 0.7501 }
+          ]
+        },
+        {
+          sheetId: 'SD6743',
+          parcelId: '6292',
+          agreements: [{ reference: 'SFI654321987', scheme: 'SFI', actionCode: 'SAM2', area: 2.5 }]
+        }
+      ])
+
+      const result = await fetchCommittedArea(request, parcel)
+
+      expect(fetchParcelAgreementsFromDal).toHaveBeenCalledWith(request)
+      expect(result).toEqual({
+        parcelArea: { unit: 'ha', value: 5.2 },
+        agreements: [
+          { reference: 'SFI654321987', scheme: 'SFI', actionCode: 'CSAM1', area: 1.2 },
+          { reference: 'CSS2021-48213', scheme: 'CSS', actionCode: 'GS6', area: 0.7501 }
+        ],
+        committedArea: 1.9501,
+        remainingArea: 3.2499
+      })
+    })
+
+    it('should not show less than no remaining area', async () => {
+      fetchParcelAgreementsFromDal.mockResolvedValueOnce([
+        {
+          sheetId: 'SD6743',
+          parcelId: '8083',
+          agreements: [{ reference: 'SFI654321987', scheme: 'SFI', actionCode: 'CSAM1', area: 6 }]
+        }
+      ])
+
+      const result = await fetchCommittedArea(request, parcel)
+
+      expect(result).toEqual(expect.objectContaining({ committedArea: 6, remainingArea: 0 }))
+    })
+
+    it('should show no land in agreements when the parcel has none', async () => {
+      fetchParcelAgreementsFromDal.mockResolvedValueOnce([{ sheetId: 'SD6743', parcelId: '6292', agreements: [] }])
+
+      const result = await fetchCommittedArea(request, parcel)
+
+      expect(result).toEqual({
+        parcelArea: { unit: 'ha', value: 5.2 },
+        agreements: [],
+        committedArea: 0,
+        remainingArea: 5.2
+      })
+    })
+
+    it('should cache the business agreements', async () => {
+      fetchParcelAgreementsFromDal.mockResolvedValueOnce([])
+
+      await fetchCommittedArea(request, parcel)
+
+      expect(withLandGrantsCache).toHaveBeenCalledWith(
+        request,
+        { name: 'business-agreements', ttl: 'parcels' },
+        expect.any(Function)
+      )
+    })
+
+    it('should throw when Consolidated View fails', async () => {
+      fetchParcelAgreementsFromDal.mockRejectedValueOnce(new Error('Consolidated view unavailable'))
+
+      await expect(fetchCommittedArea(request, parcel)).rejects.toThrow('Consolidated view unavailable')
+    })
+  })
+
+  describe('caching', () => {
+    const request = { auth: { credentials: { sbi: '106284736' } } }
+
+    it('should cache payment calculations by the land actions', async () => {
+      calculate.mockResolvedValueOnce({ payment: { annualTotalPence: 100 } })
+
+      await calculateGrantPayment({ landParcels: { 'SD1234-5678': { actionsObj: { CMOR1: { value: 10 } } } } }, request)
+
+      expect(withLandGrantsCache).toHaveBeenCalledWith(
+        request,
+        {
+          name: 'calculate',
+          key: { landActions: [{ sheetId: 'SD1234', parcelId: '5678', actions: [{ code: 'CMOR1', quantity: 10 }] }] },
+          ttl: 'payment'
+        },
+        expect.any(Function)
+      )
+    })
+
+    it('should cache validation results by the application and its land actions', async () => {
+      validate.mockResolvedValueOnce({ id: 'validation-123', valid: true })
+      const state = { landParcels: { 'SD1234-5678': { actionsObj: { CMOR1: { value: 10 } } } } }
+
+      await validateApplication({ applicationId: 'REF-123', crn: '1100014934', sbi: '106284736', state }, request)
+
+      expect(withLandGrantsCache).toHaveBeenCalledWith(
+        request,
+        {
+          name: 'validate',
+          key: {
+            applicationId: 'ref-123',
+            requester: 'grants-ui',
+            sbi: '106284736',
+            applicantCrn: '1100014934',
+            landActions: [{ sheetId: 'SD1234', parcelId: '5678', actions: [{ code: 'CMOR1', quantity: 10 }] }]
+          },
+          ttl: 'payment'
+        },
+        expect.any(Function)
+      )
+    })
+
+    it('should cache the actions available on a parcel by the parcel', async () => {
+      parcelsWithActionsAndSize.mockResolvedValueOnce({ parcels: [] })
+
+      await fetchAvailableActionsForParcel({ sheetId: 'SD1234', parcelId: '5678' }, [], request)
+
+      expect(withLandGrantsCache).toHaveBeenCalledWith(
+        request,
+        { name: 'parcels-with-actions', key: ['SD1234-5678'], ttl: 'parcels' },
+        expect.any(Function)
+      )
+    })
+
+    it('should cache the parcels of the business and their size and geometry', async () => {
+      fetchParcelsFromDal.mockResolvedValueOnce([{ sheetId: 'SD1234', parcelId: '5678' }])
+      parcelsWithSizeAndGeometry.mockResolvedValueOnce({ parcels: [] })
+
+      await fetchParcels(request)
+
+      expect(withLandGrantsCache).toHaveBeenCalledWith(
+        request,
+        { name: 'business-parcels', ttl: 'parcels' },
+        expect.any(Function)
+      )
+      expect(withLandGrantsCache).toHaveBeenCalledWith(
+        request,
+        { name: 'parcels-with-geometry', key: ['SD1234-5678'], ttl: 'parcels' },
+        expect.any(Function)
+      )
+    })
+  })
+
   describe('validateApplication', () => {
     it('should call the validation application API', async () => {
       const mockApiResponse = { id: '123456' }
@@ -1,7 +1,9 @@
 /**
  * @typedef {Object} ActionData
- * @property {string} value - The value/quantity as a string
+ * @property {string} [description] - Action description
+ * @property {number | string} value - The area the action is applied to
  * @property {string} unit - Unit of measurement (e.g., "ha")
+ * @property {Size} [availableArea] - The area available for the action
  */
 
 /**
@@ -31,4 +33,5 @@
 /**
  * @import { PaymentCalculation } from '~/src/server/land-grants/types/payment.d.js'
  * @import { Applicant } from '~/src/server/land-grants/types/applicant.d.js'
+ * @import { Size } from '~/src/server/land-grants/types/land-grants.client.d.js'
  */
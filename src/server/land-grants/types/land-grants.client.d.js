@@ -14,6 +14,8 @@
 /**
  * @typedef ActionGroup
  * @property {string} name
+ * @property {string} [hint]
+ * @property {boolean} exclusive - Only one action in the group can be done on the parcel
  * @property {Size} totalAvailableArea
  * @property {ActionOption[]} actions
  */
@@ -39,11 +41,30 @@
  * @property {string} sheetId - The sheet identifier
  * @property {Size | null} size - The size of the parcel
  * @property {ActionOption[] | null} actions - Array of actions available for the parcel
+ * @property {ParcelGeometry | null} [geometry] - The outline of the parcel, when requested
+ */
+
+/**
+ * GeoJSON geometry of a parcel, in British National Grid (EPSG:27700) metres
+ * @typedef {object} ParcelGeometry
+ * @property {'Polygon' | 'MultiPolygon'} type
+ * @property {number[][][] | number[][][][]} coordinates
+ */
+
+/**
+ * Land on a parcel already committed to existing agreements, and the area left for new actions
+ * @typedef {object} CommittedArea
+ * @property {Size} parcelArea
+ * @property {Array<{reference: string, scheme: string, actionCode: string, area: number}>} agreements
+ *   - Each agreement and action the land is committed to, with its area
+ * @property {number} committedArea - Total area committed to existing agreements
+ * @property {number} remainingArea - Area of the parcel not committed to an existing agreement
  */
 
 /**
  * @typedef {object} ParcelResponse
  * @property {Parcel[]} parcels - Array of parcel details
+ * @property {ActionGroupConfig[]} [actionGroups] - How to group the actions, when the API provides it
  * @property {string} message - Indicates if the retrieval was successful
  */
 
@@ -72,3 +93,7 @@
  * @property {boolean} valid
  * @property {ErrorItem[]} errorMessages
  */
+
+/**
+ * @import { ActionGroupConfig } from '~/src/server/land-grants/utils/action-groups.js'
+ */
@@ -0,0 +1,73 @@
+/**
+ * How land actions are grouped on the select actions page, set in the `landActionGroups` metadata of a
+ * form definition or returned by the Land Grants API
+ * @typedef {object} ActionGroupConfig
+ * @property {string} name - Group heading
+ * @property {string} [hint] - Hint text shown under the heading
+ * @property {boolean} [exclusive] - Only one action in the group can be done on a parcel
+ * @property {string[]} actions - Action codes, in the order they are shown
+ */
+
+/**
+ * Returns the land action groups configured in a form definition, in the order they are shown
+ * @param {{ metadata?: { landActionGroups?: ActionGroupConfig[] } }} [definition]
+ * @returns {ActionGroupConfig[]}
+ */
+export function getActionGroupsConfig(definition) {
+  return definition?.metadata?.landActionGroups ?? []
+}
+
+/**
+ * Returns the exclusive groups more than one of the given actions belongs to
+ * @param {string[]} codes - Selected action codes
+ * @param {Array<Pick<ActionGroupConfig, 'name' | 'exclusive'> & { actions: Array<string | { code: string }> }>} groups
+ * @returns {Array<{ group: object, index: number, codes: string[] }>} - Each conflicting group, with its position
+ *   and the selected codes from it
+ */
+export function findExclusiveGroupConflicts(codes, groups) {
+  return groups
+    .map((group, index) => {
+      const groupCodes = group.actions.map((action) => (typeof action === 'string' ? action : action.code))
+      return { group, index, codes: codes.filter((code) => groupCodes.includes(code)) }
+    })
+    .filter(({ group, codes: selected }) => group.exclusive && selected.length > 1)
+}
+
+/**
+ * Checks land action groups for problems that would show an action twice or not at all
+ * @param {unknown} groups - The `landActionGroups` metadata
+ * @returns {string[]} problem messages
+ */
+export function lintActionGroups(groups) {
+  if (groups == null) {
+    return []
+  }
+  if (!Array.isArray(groups)) {
+    return ['metadata.landActionGroups must be a list of groups']
+  }
+
+  const problems = []
+  const seen = new Map()
+
+  groups.forEach((group, index) => {
+    const label = group?.name ? `Land action group ${group.name}` : `Land action group ${index + 1}`
+
+    if (!group?.name) {
+      problems.push(`${label} has no name`)
+    }
+    if (!Array.isArray(group?.actions) || group.actions.length === 0) {
+      problems.push(`${label} has no actions`)
+      return
+    }
+
+    for (const code of group.actions) {
+      if (seen.has(code)) {
+        problems.push(`${label} includes action ${code}, which is already in ${seen.get(code)}`)
+      } else {
+        seen.set(code, label)
+      }
+    }
+  })
+
+  return problems
+}
@@ -0,0 +1,64 @@
+import { findExclusiveGroupConflicts, getActionGroupsConfig, lintActionGroups } from './action-groups.js'
+
+describe('action-groups', () => {
+  describe('getActionGroupsConfig', () => {
+    it('should return the land action groups from the definition metadata', () => {
+      const landActionGroups = [{ name: 'Moorland', actions: ['CMOR1'] }]
+
+      expect(getActionGroupsConfig({ metadata: { landActionGroups } })).toBe(landActionGroups)
+    })
+
+    it('should return no groups when none are configured', () => {
+      expect(getActionGroupsConfig({ metadata: {} })).toEqual([])
+      expect(getActionGroupsConfig(undefined)).toEqual([])
+    })
+  })
+
+  describe('findExclusiveGroupConflicts', () => {
+    const groups = [
+      { name: 'Moorland', actions: ['CMOR1', 'CMOR2'] },
+      { name: 'Grazing', exclusive: true, actions: [{ code: 'UPL1' }, { code: 'UPL2' }, { code: 'UPL3' }] }
+    ]
+
+    it('should return exclusive groups with more than one selected action', () => {
+      expect(findExclusiveGroupConflicts(['CMOR1', 'UPL1', 'UPL3'], groups)).toEqual([
+        { group: groups[1], index: 1, codes: ['UPL1', 'UPL3'] }
+      ])
+    })
+
+    it('should allow more than one action from a group that is not exclusive', () => {
+      expect(findExclusiveGroupConflicts(['CMOR1', 'CMOR2', 'UPL2'], groups)).toEqual([])
+    })
+
+    it('should return no conflicts when there are no groups', () => {
+      expect(findExclusiveGroupConflicts(['UPL1', 'UPL2'], [])).toEqual([])
+    })
+  })
+
+  describe('lintActionGroups', () => {
+    it('should accept valid groups, or none', () => {
+      expect(lintActionGroups([{ name: 'Grazing', exclusive: true, actions: ['UPL1', 'UPL2'] }])).toEqual([])
+      expect(lintActionGroups(undefined)).toEqual([])
+    })
+
+    it('should report groups that are not a list', () => {
+      expect(lintActionGroups({ name: 'Grazing' })).toEqual(['metadata.landActionGroups must be a list of groups'])
+    })
+
+    it('should report groups without a name or actions', () => {
+      expect(lintActionGroups([{ actions: ['UPL1'] }, { name: 'Empty', actions: [] }])).toEqual([
+        'Land action group 1 has no name',
+        'Land action group Empty has no actions'
+      ])
+    })
+
+    it('should report actions in more than one group', () => {
+      expect(
+        lintActionGroups([
+          { name: 'Moorland', actions: ['CMOR1'] },
+          { name: 'Grazing', actions: ['UPL1', 'CMOR1'] }
+        ])
+      ).toEqual(['Land action group Grazing includes action CMOR1, which is already in Land action group Moorland'])
+    })
+  })
+})
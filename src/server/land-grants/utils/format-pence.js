@@ -0,0 +1,8 @@
+import { formatCurrency } from '~/src/config/nunjucks/filters/filters.js'
+
+/**
+ * Formats an amount in pence from the Land Grants API as pounds, the way payments are shown to applicants
+ * @param {number} pence
+ * @returns {string} - Like £1,234.56
+ */
+export const formatPence = (pence) => formatCurrency(pence / 100, 'en-GB', 'GBP', 2, 'currency')
@@ -0,0 +1,15 @@
+import { formatPence } from './format-pence.js'
+
+describe('formatPence', () => {
+  it('should format pence as pounds', () => {
+    expect(formatPence(123456)).toBe('£1,234.56')
+  })
+
+  it('should format whole pounds with pence', () => {
+    expect(formatPence(2000)).toBe('£20.00')
+  })
+
+  it('should format zero', () => {
+    expect(formatPence(0)).toBe('£0.00')
+  })
+})
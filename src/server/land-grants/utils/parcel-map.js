@@ -0,0 +1,91 @@
+import { stringifyParcel } from './format-parcel.js'
+
+const MAP_PADDING_RATIO = 0.02
+
+/**
+ * Returns the outer and inner rings of a parcel geometry
+ * @param {ParcelGeometry | null} [geometry]
+ * @returns {number[][][]}
+ */
+function getRings(geometry) {
+  if (geometry?.type === 'Polygon') {
+    return /** @type {number[][][]} */ (geometry.coordinates)
+  }
+  if (geometry?.type === 'MultiPolygon') {
+    return /** @type {number[][][][]} */ (geometry.coordinates).flat()
+  }
+  return []
+}
+
+/**
+ * Rounds a map coordinate to the nearest 10cm, which is more than precise enough to draw a parcel
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 10) / 10
+}
+
+/**
+ * Builds the view model for the parcel map, drawing each parcel with a geometry as an SVG path.
+ * Grid references increase northwards, so the y axis is flipped to match SVG coordinates.
+ * @param {Parcel[]} parcels - Parcels for the business, with geometry from the Land Grants API
+ * @param {object} [landParcels] - Parcels with actions added, from the form state
+ * @returns {ParcelMap | null} - The map, or null if no parcel has a geometry
+ */
+export function buildParcelMap(parcels, landParcels = {}) {
+  const drawable = parcels
+    .map((parcel) => ({ parcel, rings: getRings(parcel.geometry).filter((ring) => ring.length > 2) }))
+    .filter(({ rings }) => rings.length > 0)
+
+  if (drawable.length === 0) {
+    return null
+  }
+
+  const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity }
+  for (const [x, y] of drawable.flatMap(({ rings }) => rings.flat())) {
+    bounds.minX = Math.min(bounds.minX, x)
+    bounds.minY = Math.min(bounds.minY, y)
+    bounds.maxX = Math.max(bounds.maxX, x)
+    bounds.maxY = Math.max(bounds.maxY, y)
+  }
+
+  const { minX, maxY } = bounds
+  const width = bounds.maxX - minX
+  const height = maxY - bounds.minY
+  const padding = Math.max(width, height) * MAP_PADDING_RATIO || 1
+
+  const toPath = (ring) =>
+    `M${ring.map(([x, y]) => `${round(x - minX + padding)} ${round(maxY - y + padding)}`).join(' L')} Z`
+
+  return {
+    viewBox: `0 0 ${round(width + padding * 2)} ${round(height + padding * 2)}`,
+    parcels: drawable.map(({ parcel, rings }) => {
+      const value = stringifyParcel(parcel)
+      return {
+        value,
+        text: `${parcel.sheetId} ${parcel.parcelId}`,
+        path: rings.map(toPath).join(' '),
+        hasActions: Object.keys(landParcels?.[value]?.actionsObj ?? {}).length > 0
+      }
+    })
+  }
+}
+
+/**
+ * @typedef {object} ParcelMapParcel
+ * @property {string} value - The parcel key, matching the parcel radio value
+ * @property {string} text - The parcel reference
+ * @property {string} path - SVG path data for the parcel outline
+ * @property {boolean} hasActions - Whether actions have been added to the parcel
+ */
+
+/**
+ * @typedef {object} ParcelMap
+ * @property {string} viewBox - SVG view box containing every parcel, in metres
+ * @property {ParcelMapParcel[]} parcels
+ */
+
+/**
+ * @import { Parcel, ParcelGeometry } from '~/src/server/land-grants/types/land-grants.client.d.js'
+ */
@@ -0,0 +1,110 @@
+import { buildParcelMap } from './parcel-map.js'
+
+const square = (x, y, size = 100) => [
+  [x, y],
+  [x + size, y],
+  [x + size, y + size],
+  [x, y + size],
+  [x, y]
+]
+
+describe('buildParcelMap', () => {
+  it('should return null when no parcel has a geometry', () => {
+    expect(buildParcelMap([{ sheetId: 'SD6843', parcelId: '7039' }])).toBeNull()
+  })
+
+  it('should return null when there are no parcels', () => {
+    expect(buildParcelMap([])).toBeNull()
+  })
+
+  it('should draw polygons relative to the parcels, with north at the top', () => {
+    const result = buildParcelMap([
+      {
+        sheetId: 'SD6843',
+        parcelId: '7039',
+        geometry: { type: 'Polygon', coordinates: [square(368000, 443000)] }
+      },
+      {
+        sheetId: 'SD6843',
+        parcelId: '7139',
+        geometry: { type: 'Polygon', coordinates: [square(368100, 443100)] }
+      }
+    ])
+
+    expect(result).toEqual({
+      viewBox: '0 0 208 208',
+      parcels: [
+        {
+          value: 'SD6843-7039',
+          text: 'SD6843 7039',
+          path: 'M4 204 L104 204 L104 104 L4 104 L4 204 Z',
+          hasActions: false
+        },
+        {
+          value: 'SD6843-7139',
+          text: 'SD6843 7139',
+          path: 'M104 104 L204 104 L204 4 L104 4 L104 104 Z',
+          hasActions: false
+        }
+      ]
+    })
+  })
+
+  it('should draw every ring of a multi polygon', () => {
+    const result = buildParcelMap([
+      {
+        sheetId: 'SD6843',
+        parcelId: '7039',
+        geometry: { type: 'MultiPolygon', coordinates: [[square(0, 0, 10)], [square(20, 0, 10)]] }
+      }
+    ])
+
+    expect(result.parcels[0].path.match(/M/g)).toHaveLength(2)
+  })
+
+  it('should leave out parcels without a drawable geometry', () => {
+    const result = buildParcelMap([
+      { sheetId: 'SD6843', parcelId: '7039', geometry: { type: 'Polygon', coordinates: [square(0, 0)] } },
+      { sheetId: 'SD6843', parcelId: '7040', geometry: { type: 'Point', coordinates: [0, 0] } },
+      { sheetId: 'SD6843', parcelId: '7041' }
+    ])
+
+    expect(result.parcels.map((p) => p.value)).toEqual(['SD6843-7039'])
+  })
+
+  it('should mark parcels that have actions added', () => {
+    const result = buildParcelMap(
+      [
+        { sheetId: 'SD6843', parcelId: '7039', geometry: { type: 'Polygon', coordinates: [square(0, 0)] } },
+        { sheetId: 'SD6843', parcelId: '7139', geometry: { type: 'Polygon', coordinates: [square(100, 0)] } }
+      ],
+      {
+        'SD6843-7039': { actionsObj: { CMOR1: { value: 1 } } },
+        'SD6843-7139': { actionsObj: {} }
+      }
+    )
+
+    expect(result.parcels.map((p) => p.hasActions)).toEqual([true, false])
+  })
+
+  it('should pad a single point sized map so it can still be drawn', () => {
+    const result = buildParcelMap([
+      {
+        sheetId: 'SD6843',
+        parcelId: '7039',
+        geometry: {
+          type: 'Polygon',
+          coordinates: [
+            [
+              [5, 5],
+              [5, 5],
+              [5, 5]
+            ]
+          ]
+        }
+      }
+    ])
+
+    expect(result.viewBox).toBe('0 0 2 2')
+  })
+})
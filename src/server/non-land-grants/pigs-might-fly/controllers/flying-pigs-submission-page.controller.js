@@ -2,9 +2,10 @@ import { SummaryPageController } from '@defra/forms-engine-plugin/controllers/Su
 
 import { transformStateObjectToGasApplication } from '~/src/server/common/helpers/grant-application-service/state-to-gas-payload-mapper.js'
 import { stateToPigsMightFlyGasAnswers } from '~/src/server/non-land-grants/pigs-might-fly/mappers/state-to-gas-pigs-mapper.js'
-import { submitGrantApplication } from '~/src/server/common/services/grant-application/grant-application.service.js'
+import { submitViaOutbox } from '~/src/server/common/services/submission-outbox/submission-outbox.service.js'
 import { getConfirmationPath } from '~/src/server/common/helpers/form-slug-helper.js'
 import { getFormsCacheService } from '~/src/server/common/helpers/forms-cache/forms-cache.js'
+import { handleSubmissionValidationError } from '~/src/server/common/helpers/submission-answers-error.js'
 
 export default class FlyingPigsSubmissionPageController extends SummaryPageController {
   /**
@@ -13,6 +14,7 @@ export default class FlyingPigsSubmissionPageController extends SummaryPageContr
    */
   constructor(model, pageDef) {
     super(model, pageDef)
+    this.model = model
     this.grantCode = model.def.metadata.submission.grantCode
     this.viewName = 'submission'
   }
@@ -36,12 +38,20 @@ export default class FlyingPigsSubmissionPageController extends SummaryPageContr
       stateToPigsMightFlyGasAnswers
     )
 
-    return submitGrantApplication(this.grantCode, applicationData)
+    return submitViaOutbox(this.grantCode, applicationData, context.state)
   }
 
   makePostRouteHandler() {
     const fn = async (request, context, h) => {
-      const result = await this.submitPigTypesApplication(context)
+      let result
+      try {
+        result = await this.submitPigTypesApplication(context)
+      } catch (error) {
+        if (error.name === 'SubmissionValidationError') {
+          return handleSubmissionValidationError(h, context, error, this.model.pages, request.path)
+        }
+        throw error
+      }
 
       request.logger.info('Form submission completed', result)
       const cacheService = getFormsCacheService(request.server)
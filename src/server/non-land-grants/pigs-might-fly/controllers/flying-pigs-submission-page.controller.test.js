@@ -2,14 +2,16 @@ import { vi } from 'vitest'
 import FlyingPigsSubmissionPageController from '~/src/server/non-land-grants/pigs-might-fly/controllers/flying-pigs-submission-page.controller.js'
 import { stateToPigsMightFlyGasAnswers } from '~/src/server/non-land-grants/pigs-might-fly/mappers/state-to-gas-pigs-mapper.js'
 import { transformStateObjectToGasApplication } from '~/src/server/common/helpers/grant-application-service/state-to-gas-payload-mapper.js'
-import { submitGrantApplication } from '~/src/server/common/services/grant-application/grant-application.service.js'
+import { submitViaOutbox } from '~/src/server/common/services/submission-outbox/submission-outbox.service.js'
 import { getFormsCacheService } from '~/src/server/common/helpers/forms-cache/forms-cache.js'
 import { mockRequestLogger } from '~/src/__mocks__/logger-mocks.js'
+import { handleSubmissionValidationError } from '~/src/server/common/helpers/submission-answers-error.js'
 
 vi.mock('~/src/server/non-land-grants/pigs-might-fly/mappers/state-to-gas-pigs-mapper.js')
 vi.mock('~/src/server/common/helpers/grant-application-service/state-to-gas-payload-mapper.js')
-vi.mock('~/src/server/common/services/grant-application/grant-application.service.js')
+vi.mock('~/src/server/common/services/submission-outbox/submission-outbox.service.js')
 vi.mock('~/src/server/common/helpers/forms-cache/forms-cache.js')
+vi.mock('~/src/server/common/helpers/submission-answers-error.js')
 
 describe('FlyingPigsSubmissionPageController', () => {
   let controller
@@ -18,6 +20,7 @@ describe('FlyingPigsSubmissionPageController', () => {
   let mockContext
 
   beforeEach(() => {
+    vi.clearAllMocks()
     mockModel = {
       def: { metadata: { submission: { grantCode: 'pigs-might-fly' } } }
     }
@@ -64,7 +67,7 @@ describe('FlyingPigsSubmissionPageController', () => {
       mockContext.state,
       stateToPigsMightFlyGasAnswers
     )
-    expect(submitGrantApplication).toHaveBeenCalledWith('pigs-might-fly', mockApplicationData)
+    expect(submitViaOutbox).toHaveBeenCalledWith('pigs-might-fly', mockApplicationData, mockContext.state)
   })
 
   it('should handle POST route and redirect to /confirmation', async () => {
@@ -87,4 +90,37 @@ describe('FlyingPigsSubmissionPageController', () => {
     })
     expect(mockResponseToolkit.redirect).toHaveBeenCalledWith('/confirmation')
   })
+
+  it('should show the answers to fix when the submission does not match its schema', async () => {
+    const validationError = new Error('Submission answers do not match its schema')
+    validationError.name = 'SubmissionValidationError'
+    const mockRequest = { logger: mockRequestLogger(), path: '/flying-pigs/submit', server: {} }
+    const mockResponseToolkit = { redirect: vi.fn() }
+
+    submitViaOutbox.mockRejectedValueOnce(validationError)
+    handleSubmissionValidationError.mockReturnValue('answers error view')
+
+    const postHandler = controller.makePostRouteHandler()
+    const result = await postHandler(mockRequest, mockContext, mockResponseToolkit)
+
+    expect(handleSubmissionValidationError).toHaveBeenCalledWith(
+      mockResponseToolkit,
+      mockContext,
+      validationError,
+      controller.model.pages,
+      '/flying-pigs/submit'
+    )
+    expect(result).toBe('answers error view')
+    expect(mockResponseToolkit.redirect).not.toHaveBeenCalled()
+  })
+
+  it('should rethrow other submission errors', async () => {
+    const error = new Error('GAS unavailable')
+    submitViaOutbox.mockRejectedValueOnce(error)
+
+    const postHandler = controller.makePostRouteHandler()
+
+    await expect(postHandler({ logger: mockRequestLogger(), server: {} }, mockContext, {})).rejects.toThrow(error)
+    expect(handleSubmissionValidationError).not.toHaveBeenCalled()
+  })
 })
@@ -0,0 +1,125 @@
+import { statusCodes } from '../common/constants/status-codes.js'
+import { getFormsCache } from '../common/forms/services/form.js'
+import { log, LogCodes } from '../common/helpers/logging/log.js'
+
+/**
+ * Scope every route using the default auth requires. It is granted per request, to users holding the privileges the
+ * form declares for the page and method requested, so hapi answers everyone else with a 403.
+ */
+export const FORM_ACCESS_SCOPE = 'form-access:{params.slug}'
+
+const VIEW_METHODS = new Set(['get', 'head'])
+
+/**
+ * Privileges declared in a form's `metadata.permissions`. A user needs any one of the privileges in a list.
+ * @typedef {object} FormPermissions
+ * @property {string[]} [view] - Needed to open the form's pages
+ * @property {string[]} [submit] - Needed to submit the form's pages, the view privileges when not declared
+ * @property {Record<string, { view?: string[], submit?: string[] }>} [pages] - Overrides for pages, keyed by page path
+ */
+
+/**
+ * Returns the privileges needed for a request to a form page, any one of which is enough
+ * @param {FormPermissions | undefined} permissions
+ * @param {string | undefined} pagePath - Page path without the leading slash, undefined for the form's start
+ * @param {string} method - Request method
+ * @returns {string[]}
+ */
+export function getRequiredPrivileges(permissions, pagePath, method) {
+  if (!permissions) {
+    return []
+  }
+
+  const page = permissions.pages?.[`/${pagePath ?? ''}`] ?? {}
+
+  if (VIEW_METHODS.has(method)) {
+    return page.view ?? permissions.view ?? []
+  }
+
+  return page.submit ?? permissions.submit ?? page.view ?? permissions.view ?? []
+}
+
+/**
+ * @param {Request} request
+ * @returns {FormPermissions | undefined}
+ */
+function getFormPermissions(request) {
+  const slug = request.params?.slug
+  return slug ? getFormsCache().find((form) => form.slug === slug)?.metadata?.permissions : undefined
+}
+
+/**
+ * Grants the form access scope when the user's privileges allow the request
+ * @param {Request} request
+ * @param {ResponseToolkit} h
+ */
+export function grantFormAccess(request, h) {
+  const { credentials } = request.auth
+  if (!credentials) {
+    return h.continue
+  }
+
+  const scope = credentials.scope ?? []
+  const required = getRequiredPrivileges(getFormPermissions(request), request.params?.path, request.method)
+
+  if (required.length === 0 || required.some((privilege) => scope.includes(privilege))) {
+    request.auth.credentials = { ...credentials, scope: [...scope, `form-access:${request.params?.slug ?? ''}`] }
+  }
+
+  return h.continue
+}
+
+/**
+ * Shows the permission denied page in place of hapi's insufficient scope error
+ * @param {Request} request
+ * @param {ResponseToolkit} h
+ */
+export function renderPermissionDenied(request, h) {
+  const { response } = request
+  if (
+    !('isBoom' in response) ||
+    response.output.statusCode !== statusCodes.forbidden ||
+    response.message !== 'Insufficient scope'
+  ) {
+    return h.continue
+  }
+
+  const { credentials } = request.auth
+  const slug = request.params?.slug
+  const submitting = !VIEW_METHODS.has(request.method)
+
+  log(LogCodes.AUTH.PERMISSION_DENIED, {
+    path: request.path,
+    method: request.method,
+    userId: credentials?.crn ?? credentials?.contactId,
+    sbi: credentials?.sbi,
+    role: credentials?.role
+  })
+
+  return h
+    .view('permission-denied', {
+      pageTitle: 'You do not have permission',
+      grantName: getFormsCache().find((form) => form.slug === slug)?.title,
+      organisationName: credentials?.organisationName,
+      submitting
+    })
+    .code(statusCodes.forbidden)
+}
+
+/**
+ * Enforces the privileges forms declare through hapi scope, see {@link FORM_ACCESS_SCOPE}
+ * @satisfies {ServerRegisterPluginObject<void>}
+ */
+export const formPermissions = {
+  plugin: {
+    name: 'form-permissions',
+    register(server) {
+      server.ext('onCredentials', grantFormAccess)
+      server.ext('onPreResponse', renderPermissionDenied)
+    }
+  }
+}
+
+/**
+ * @import { Request, ResponseToolkit, ServerRegisterPluginObject } from '@hapi/hapi'
+ */
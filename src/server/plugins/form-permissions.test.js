@@ -0,0 +1,159 @@
+import { vi } from 'vitest'
+import { forbidden } from '@hapi/boom'
+import hapi from '@hapi/hapi'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+import { parse as parseYaml } from 'yaml'
+import { getFormsCache } from '../common/forms/services/form.js'
+import { log, LogCodes } from '../common/helpers/logging/log.js'
+import { FORM_ACCESS_SCOPE, formPermissions, getRequiredPrivileges } from './form-permissions.js'
+
+vi.mock('../common/forms/services/form.js', () => ({
+  getFormsCache: vi.fn()
+}))
+vi.mock('../common/helpers/logging/log.js', () => ({
+  log: vi.fn(),
+  LogCodes: {
+    AUTH: {
+      PERMISSION_DENIED: { level: 'info', messageFunc: vi.fn() }
+    }
+  }
+}))
+
+const permissions = {
+  view: ['Full permission - business', 'View - business', 'Submit - cs agree'],
+  pages: {
+    '/declaration': { submit: ['Full permission - business', 'Submit - cs agree'] }
+  }
+}
+
+describe('getRequiredPrivileges', () => {
+  test.each([
+    ['get', 'start', permissions.view],
+    ['post', 'start', permissions.view],
+    ['get', 'declaration', permissions.view],
+    ['head', 'declaration', permissions.view],
+    ['post', 'declaration', permissions.pages['/declaration'].submit],
+    ['get', undefined, permissions.view]
+  ])('requires the right privileges to %s the %s page', (method, pagePath, expected) => {
+    expect(getRequiredPrivileges(permissions, pagePath, method)).toEqual(expected)
+  })
+
+  test('requires the form submit privileges when the page has none', () => {
+    const withSubmit = { ...permissions, submit: ['Full permission - business'] }
+
+    expect(getRequiredPrivileges(withSubmit, 'start', 'post')).toEqual(['Full permission - business'])
+    expect(getRequiredPrivileges(withSubmit, 'declaration', 'post')).toEqual(permissions.pages['/declaration'].submit)
+  })
+
+  test('lets farm payments be viewed but not submitted with view privileges alone', async () => {
+    const definition = parseYaml(
+      await readFile(path.resolve(process.cwd(), 'src/server/common/forms/definitions/farm-payments.yaml'), 'utf8')
+    )
+    const { permissions: farmPayments } = definition.metadata
+
+    expect(getRequiredPrivileges(farmPayments, 'submit-your-application', 'get')).toContain('View - business')
+    expect(getRequiredPrivileges(farmPayments, 'submit-your-application', 'post')).not.toContain('View - business')
+    expect(getRequiredPrivileges(farmPayments, 'submit-your-application', 'post')).toContain(
+      'Full permission - business'
+    )
+  })
+
+  test('requires no privileges when the form declares no permissions', () => {
+    expect(getRequiredPrivileges(undefined, 'start', 'post')).toEqual([])
+    expect(getRequiredPrivileges({}, 'start', 'get')).toEqual([])
+  })
+})
+
+describe('formPermissions', () => {
+  let server
+
+  const inject = (method, url, scope) =>
+    server.inject({
+      method,
+      url,
+      auth: {
+        strategy: 'test',
+        credentials: { crn: '1109990001', sbi: '119000002', role: 'Agent', organisationName: 'Test Farm', scope }
+      }
+    })
+
+  beforeEach(async () => {
+    vi.clearAllMocks()
+    vi.mocked(getFormsCache).mockReturnValue([
+      { slug: 'example-grant-with-auth', title: 'Example grant with auth', metadata: { permissions } },
+      { slug: 'flying-pigs', title: 'Flying pigs', metadata: {} }
+    ])
+
+    server = hapi.server({ routes: { auth: { strategy: 'test', scope: [FORM_ACCESS_SCOPE] } } })
+    server.auth.scheme('test', () => ({ authenticate: (_request, h) => h.authenticated({ credentials: {} }) }))
+    server.auth.strategy('test', 'test')
+    server.decorate('toolkit', 'view', function (template, context) {
+      return this.response({ template, context })
+    })
+    await server.register(formPermissions)
+
+    const handler = () => 'ok'
+    server.route([
+      { method: ['GET', 'POST'], path: '/{slug}', handler },
+      { method: ['GET', 'POST'], path: '/{slug}/{path}/{itemId?}', handler },
+      { method: 'GET', path: '/home', handler }
+    ])
+  })
+
+  test.each([
+    ['GET', '/example-grant-with-auth', ['user', 'View - business']],
+    ['POST', '/example-grant-with-auth/start', ['user', 'View - business']],
+    ['GET', '/example-grant-with-auth/declaration', ['user', 'View - business']],
+    ['POST', '/example-grant-with-auth/declaration', ['user', 'Submit - cs agree']],
+    ['POST', '/flying-pigs/declaration', ['user']],
+    ['GET', '/home', ['user']],
+    ['GET', '/home', undefined]
+  ])('allows %s %s with %j', async (method, url, scope) => {
+    const response = await inject(method, url, scope)
+
+    expect(response.statusCode).toBe(200)
+    expect(response.result).toBe('ok')
+  })
+
+  test.each([
+    ['GET', '/example-grant-with-auth/start', ['user', 'Submit - bps'], false],
+    ['POST', '/example-grant-with-auth/declaration', ['user', 'View - business'], true]
+  ])('shows the permission denied page for %s %s with %j', async (method, url, scope, submitting) => {
+    const response = await inject(method, url, scope)
+
+    expect(response.statusCode).toBe(403)
+    expect(response.request.response.source).toEqual({
+      template: 'permission-denied',
+      context: {
+        pageTitle: 'You do not have permission',
+        grantName: 'Example grant with auth',
+        organisationName: 'Test Farm',
+        submitting
+      }
+    })
+    expect(log).toHaveBeenCalledWith(LogCodes.AUTH.PERMISSION_DENIED, {
+      path: url,
+      method: method.toLowerCase(),
+      userId: '1109990001',
+      sbi: '119000002',
+      role: 'Agent'
+    })
+  })
+
+  test('leaves other errors alone', async () => {
+    server.route({
+      method: 'GET',
+      path: '/forbidden',
+      handler: () => {
+        throw forbidden('Not your application')
+      }
+    })
+
+    const response = await inject('GET', '/forbidden', ['user'])
+
+    expect(response.statusCode).toBe(403)
+    expect(response.result.message).toBe('Not your application')
+    expect(log).not.toHaveBeenCalled()
+  })
+})
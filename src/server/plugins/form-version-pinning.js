@@ -0,0 +1,99 @@
+import { ApplicationStatus } from '../common/constants/application-status.js'
+import { getFormVersions } from '../common/forms/services/form.js'
+import {
+  FORM_VERSION_STATE_KEY,
+  getStateFormVersion,
+  migrateDraft,
+  pinFormVersion,
+  resetPinnedFormVersions
+} from '../common/forms/services/form-versions.js'
+import { getFormsCacheService } from '../common/helpers/forms-cache/forms-cache.js'
+import { log, LogCodes } from '../common/helpers/logging/log.js'
+
+const FORMS_ENGINE_PLUGIN = '@defra/forms-engine-plugin'
+
+/**
+ * Returns true if the request is for a forms engine page of a form with more than one loaded version
+ * @param {import('@hapi/hapi').Request} request
+ * @returns {boolean}
+ */
+export function isVersionedFormRequest(request) {
+  const slug = request.params?.slug
+  return (
+    Boolean(slug) &&
+    request.route?.realm?.plugin === FORMS_ENGINE_PLUGIN &&
+    Boolean(request.auth?.credentials) &&
+    getFormVersions(slug).length > 1
+  )
+}
+
+/**
+ * Returns true if a draft started on `version` should move to the latest definition rather than stay pinned
+ * @param {object} state
+ * @param {number} version
+ * @param {Array<{ version: number, metadata: object }>} versions - loaded versions, newest first
+ * @returns {boolean}
+ */
+export function shouldMigrateDraft(state, version, versions) {
+  const [latest] = versions
+
+  if (!versions.some((form) => form.version === version)) {
+    return true
+  }
+
+  const migrateDraftsFrom = latest.metadata?.migrateDraftsFrom ?? []
+  return !state.applicationStatus && migrateDraftsFrom.includes(version)
+}
+
+/**
+ * Serves an application the definition version it was started on, or moves an eligible draft to the latest version
+ * @param {import('@hapi/hapi').Request} request
+ * @param {import('@hapi/hapi').ResponseToolkit} h
+ */
+export async function pinRequestFormVersion(request, h) {
+  if (!isVersionedFormRequest(request)) {
+    return h.continue
+  }
+
+  const { slug } = request.params
+  const versions = getFormVersions(slug)
+  const cacheService = getFormsCacheService(request.server)
+  const state = await cacheService.getState(request)
+
+  if (!state || Object.keys(state).length === 0 || state.applicationStatus === ApplicationStatus.CLEARED) {
+    return h.continue
+  }
+
+  const version = getStateFormVersion(state)
+  const latestVersion = versions[0].version
+  const sbi = request.auth.credentials.sbi
+
+  if (version === latestVersion) {
+    return h.continue
+  }
+
+  if (!shouldMigrateDraft(state, version, versions)) {
+    pinFormVersion(slug, version)
+    log(LogCodes.FORMS.FORM_VERSION_PINNED, { formName: slug, version, sbi })
+    return h.continue
+  }
+
+  const migratedState = await migrateDraft({ slug, fromVersion: version, toVersion: latestVersion, state })
+  await cacheService.setState(request, { ...migratedState, [FORM_VERSION_STATE_KEY]: latestVersion })
+  log(LogCodes.FORMS.FORM_DRAFT_MIGRATED, { formName: slug, fromVersion: version, toVersion: latestVersion, sbi })
+
+  return h.continue
+}
+
+export const formVersionPinning = {
+  plugin: {
+    name: 'form-version-pinning',
+    register(server) {
+      server.ext('onRequest', (_request, h) => {
+        resetPinnedFormVersions()
+        return h.continue
+      })
+      server.ext('onPreHandler', pinRequestFormVersion)
+    }
+  }
+}
@@ -0,0 +1,202 @@
+import { vi } from 'vitest'
+import { getFormVersions } from '../common/forms/services/form.js'
+import {
+  getPinnedFormVersion,
+  pinFormVersion,
+  resetPinnedFormVersions,
+  setDraftMigrationHook
+} from '../common/forms/services/form-versions.js'
+import { getFormsCacheService } from '../common/helpers/forms-cache/forms-cache.js'
+import { log, LogCodes } from '../common/helpers/logging/log.js'
+import {
+  formVersionPinning,
+  isVersionedFormRequest,
+  pinRequestFormVersion,
+  shouldMigrateDraft
+} from './form-version-pinning.js'
+
+vi.mock('../common/forms/services/form.js', () => ({
+  getFormVersions: vi.fn()
+}))
+vi.mock('../common/helpers/forms-cache/forms-cache.js', () => ({
+  getFormsCacheService: vi.fn()
+}))
+vi.mock('../common/helpers/logging/log.js', () => ({
+  log: vi.fn(),
+  LogCodes: {
+    FORMS: {
+      FORM_VERSION_PINNED: { level: 'debug', messageFunc: vi.fn() },
+      FORM_DRAFT_MIGRATED: { level: 'info', messageFunc: vi.fn() }
+    }
+  }
+}))
+
+const versions = (migrateDraftsFrom) => [
+  { id: 'grant-v2', slug: 'grant', version: 2, metadata: { version: 2, migrateDraftsFrom } },
+  { id: 'grant-v1', slug: 'grant', version: 1, metadata: {} }
+]
+
+const createRequest = (overrides = {}) => ({
+  params: { slug: 'grant' },
+  route: { realm: { plugin: '@defra/forms-engine-plugin' } },
+  auth: { credentials: { sbi: '106284736' } },
+  server: {},
+  ...overrides
+})
+
+const h = { continue: Symbol('continue') }
+
+/**
+ * Runs the extension in its own async context, as hapi does for each request,
+ * and reports the version pinned within it
+ */
+const runExtension = (request) =>
+  new Promise((resolve, reject) => {
+    setImmediate(() => {
+      resetPinnedFormVersions()
+      pinRequestFormVersion(request, h)
+        .then((result) => resolve({ result, pinned: getPinnedFormVersion('grant') }))
+        .catch(reject)
+    })
+  })
+
+describe('form-version-pinning', () => {
+  const cacheService = { getState: vi.fn(), setState: vi.fn() }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    getFormsCacheService.mockReturnValue(cacheService)
+    getFormVersions.mockReturnValue(versions())
+  })
+
+  afterEach(() => {
+    setDraftMigrationHook()
+  })
+
+  it('registers request extensions', () => {
+    const server = { ext: vi.fn() }
+
+    formVersionPinning.plugin.register(server)
+
+    expect(server.ext).toHaveBeenCalledWith('onRequest', expect.any(Function))
+    expect(server.ext).toHaveBeenCalledWith('onPreHandler', pinRequestFormVersion)
+  })
+
+  it('clears pins left by an earlier request', () => {
+    const server = { ext: vi.fn() }
+    formVersionPinning.plugin.register(server)
+    const [, onRequest] = server.ext.mock.calls.find(([event]) => event === 'onRequest')
+
+    return new Promise((resolve) => {
+      setImmediate(() => {
+        pinFormVersion('grant', 1)
+        expect(onRequest({}, h)).toBe(h.continue)
+        expect(getPinnedFormVersion('grant')).toBeUndefined()
+        resolve()
+      })
+    })
+  })
+
+  describe('isVersionedFormRequest', () => {
+    it('is true for a forms engine page of a form with several versions', () => {
+      expect(isVersionedFormRequest(createRequest())).toBe(true)
+    })
+
+    it.each([
+      ['no slug', { params: {} }],
+      ['a route outside the forms engine', { route: { realm: { plugin: 'router' } } }],
+      ['an unauthenticated request', { auth: {} }]
+    ])('is false for %s', (_name, overrides) => {
+      expect(isVersionedFormRequest(createRequest(overrides))).toBe(false)
+    })
+
+    it('is false when only one version is loaded', () => {
+      getFormVersions.mockReturnValue(versions().slice(0, 1))
+
+      expect(isVersionedFormRequest(createRequest())).toBe(false)
+    })
+  })
+
+  describe('shouldMigrateDraft', () => {
+    it('migrates a state whose version is no longer loaded', () => {
+      expect(shouldMigrateDraft({ applicationStatus: 'SUBMITTED' }, 0, versions())).toBe(true)
+    })
+
+    it('migrates a draft from a version listed in migrateDraftsFrom', () => {
+      expect(shouldMigrateDraft({}, 1, versions([1]))).toBe(true)
+    })
+
+    it('keeps a draft on its version when the latest does not accept it', () => {
+      expect(shouldMigrateDraft({}, 1, versions())).toBe(false)
+    })
+
+    it('keeps a submitted application on its version', () => {
+      expect(shouldMigrateDraft({ applicationStatus: 'SUBMITTED' }, 1, versions([1]))).toBe(false)
+    })
+  })
+
+  describe('pinRequestFormVersion', () => {
+    it('does nothing for requests that are not for a versioned form', async () => {
+      const { result, pinned } = await runExtension(createRequest({ params: {} }))
+
+      expect(result).toBe(h.continue)
+      expect(pinned).toBeUndefined()
+      expect(cacheService.getState).not.toHaveBeenCalled()
+    })
+
+    it.each([
+      ['there is no saved state', {}],
+      ['the application was cleared', { applicationStatus: 'CLEARED', $$__grantVersion: 1 }],
+      ['the application is on the latest version', { $$__grantVersion: 2 }]
+    ])('serves the latest version when %s', async (_name, state) => {
+      cacheService.getState.mockResolvedValue(state)
+
+      const { result, pinned } = await runExtension(createRequest())
+
+      expect(result).toBe(h.continue)
+      expect(pinned).toBeUndefined()
+      expect(cacheService.setState).not.toHaveBeenCalled()
+    })
+
+    it('pins an application to the version it was started on', async () => {
+      cacheService.getState.mockResolvedValue({ applicationStatus: 'SUBMITTED', $$__grantVersion: 1 })
+
+      const { pinned } = await runExtension(createRequest())
+
+      expect(pinned).toBe(1)
+      expect(log).toHaveBeenCalledWith(LogCodes.FORMS.FORM_VERSION_PINNED, {
+        formName: 'grant',
+        version: 1,
+        sbi: '106284736'
+      })
+    })
+
+    it('pins unstamped state to the default version', async () => {
+      cacheService.getState.mockResolvedValue({ answer: 'yes' })
+
+      const { pinned } = await runExtension(createRequest())
+
+      expect(pinned).toBe(1)
+    })
+
+    it('moves an eligible draft to the latest version through the migration hook', async () => {
+      getFormVersions.mockReturnValue(versions([1]))
+      cacheService.getState.mockResolvedValue({ answer: 'yes', $$__grantVersion: 1 })
+      setDraftMigrationHook(({ state }) => ({ ...state, answer: 'migrated' }))
+
+      const { pinned } = await runExtension(createRequest())
+
+      expect(pinned).toBeUndefined()
+      expect(cacheService.setState).toHaveBeenCalledWith(expect.anything(), {
+        answer: 'migrated',
+        $$__grantVersion: 2
+      })
+      expect(log).toHaveBeenCalledWith(LogCodes.FORMS.FORM_DRAFT_MIGRATED, {
+        formName: 'grant',
+        fromVersion: 1,
+        toVersion: 2,
+        sbi: '106284736'
+      })
+    })
+  })
+})
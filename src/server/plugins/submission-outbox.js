@@ -0,0 +1,59 @@
+import { config } from '~/src/config/config.js'
+import { log, LogCodes } from '../common/helpers/logging/log.js'
+import {
+  deliverPendingSubmissions,
+  reportUndeliveredSubmissions
+} from '../common/services/submission-outbox/submission-outbox.service.js'
+
+/**
+ * Creates a task that delivers pending GAS submissions and then reports those that could not be delivered,
+ * skipping a run while the previous one is still going
+ * @returns {() => Promise<void>}
+ */
+export function createRedeliveryTask() {
+  let running = false
+
+  return async () => {
+    if (running) {
+      return
+    }
+
+    running = true
+    try {
+      await deliverPendingSubmissions()
+      await reportUndeliveredSubmissions()
+    } catch (error) {
+      log(LogCodes.SYSTEM.SERVER_ERROR, { error: `GAS submission redelivery failed: ${error.message}` })
+    } finally {
+      running = false
+    }
+  }
+}
+
+/**
+ * Delivers submissions GAS could not receive when they were made, on the `gas.submissionOutbox.redeliveryInterval`
+ * while the server is running
+ * @satisfies {ServerRegisterPluginObject<void>}
+ */
+export const submissionOutbox = {
+  plugin: {
+    name: 'submission-outbox',
+    register(server) {
+      /** @type {NodeJS.Timeout | undefined} */
+      let timer
+
+      server.ext('onPostStart', () => {
+        timer = setInterval(createRedeliveryTask(), config.get('gas.submissionOutbox.redeliveryInterval'))
+        timer.unref()
+      })
+
+      server.ext('onPreStop', () => {
+        clearInterval(timer)
+      })
+    }
+  }
+}
+
+/**
+ * @import { ServerRegisterPluginObject } from '@hapi/hapi'
+ */
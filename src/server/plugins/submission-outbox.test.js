@@ -0,0 +1,86 @@
+import { vi } from 'vitest'
+import { config } from '~/src/config/config.js'
+import { log, LogCodes } from '../common/helpers/logging/log.js'
+import {
+  deliverPendingSubmissions,
+  reportUndeliveredSubmissions
+} from '../common/services/submission-outbox/submission-outbox.service.js'
+import { createRedeliveryTask, submissionOutbox } from './submission-outbox.js'
+
+vi.mock('../common/services/submission-outbox/submission-outbox.service.js', () => ({
+  deliverPendingSubmissions: vi.fn(),
+  reportUndeliveredSubmissions: vi.fn()
+}))
+vi.mock('../common/helpers/logging/log.js', () => ({
+  log: vi.fn(),
+  LogCodes: {
+    SYSTEM: {
+      SERVER_ERROR: { level: 'error', messageFunc: vi.fn() }
+    }
+  }
+}))
+
+describe('submission-outbox plugin', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  describe('createRedeliveryTask', () => {
+    test('delivers pending submissions and then reports those never delivered', async () => {
+      await createRedeliveryTask()()
+
+      expect(deliverPendingSubmissions).toHaveBeenCalledTimes(1)
+      expect(reportUndeliveredSubmissions).toHaveBeenCalledTimes(1)
+      expect(vi.mocked(deliverPendingSubmissions).mock.invocationCallOrder[0]).toBeLessThan(
+        vi.mocked(reportUndeliveredSubmissions).mock.invocationCallOrder[0]
+      )
+    })
+
+    test('skips a run while the previous run is still going', async () => {
+      let finish
+      vi.mocked(deliverPendingSubmissions).mockReturnValueOnce(new Promise((resolve) => (finish = resolve)))
+      const task = createRedeliveryTask()
+
+      const first = task()
+      await task()
+      finish()
+      await first
+      await task()
+
+      expect(deliverPendingSubmissions).toHaveBeenCalledTimes(2)
+    })
+
+    test('logs a failed run', async () => {
+      vi.mocked(deliverPendingSubmissions).mockRejectedValueOnce(new Error('Redis unavailable'))
+
+      await createRedeliveryTask()()
+
+      expect(log).toHaveBeenCalledWith(LogCodes.SYSTEM.SERVER_ERROR, {
+        error: 'GAS submission redelivery failed: Redis unavailable'
+      })
+    })
+  })
+
+  describe('plugin', () => {
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    test('redelivers on the configured interval while the server is running', async () => {
+      vi.useFakeTimers()
+      const extensions = {}
+      const server = { ext: vi.fn((event, method) => (extensions[event] = method)) }
+
+      submissionOutbox.plugin.register(server)
+      extensions.onPostStart()
+      await vi.advanceTimersByTimeAsync(config.get('gas.submissionOutbox.redeliveryInterval'))
+
+      expect(deliverPendingSubmissions).toHaveBeenCalledTimes(1)
+
+      extensions.onPreStop()
+      await vi.advanceTimersByTimeAsync(config.get('gas.submissionOutbox.redeliveryInterval'))
+
+      expect(deliverPendingSubmissions).toHaveBeenCalledTimes(1)
+    })
+  })
+})
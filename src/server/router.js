@@ -9,6 +9,12 @@ import { createTasklistRoute } from '~/src/server/tasklist/tasklist.controller.j
 import { agreements } from '~/src/server/agreements/index.js'
 import { devTools } from '~/src/server/dev-tools/index.js'
 import { configConfirmation } from '~/src/server/confirmation/config-confirmation.js'
+import { applications } from '~/src/server/applications/index.js'
+import { businesses } from '~/src/server/businesses/index.js'
+import { applicationStatus } from '~/src/server/status/index.js'
+import { grantSchedule } from '~/src/server/grant-schedule/index.js'
+import { paymentEstimate } from '~/src/server/land-grants/payment-estimate/index.js'
+import { paymentSummary } from '~/src/server/land-grants/payment-summary/index.js'
 import { clearApplicationState } from './dev-tools/clear-application-state.js'
 
 const defraIdEnabled = config.get('defraId.enabled')
@@ -35,7 +41,17 @@ export const router = {
       await server.register([auth])
 
       // Application specific routes, add your own routes here
-      await server.register([home, agreements, configConfirmation])
+      await server.register([
+        home,
+        agreements,
+        configConfirmation,
+        applications,
+        businesses,
+        applicationStatus,
+        grantSchedule,
+        paymentEstimate,
+        paymentSummary
+      ])
 
       // Development tools (only available in development mode)
       if (
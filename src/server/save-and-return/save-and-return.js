@@ -0,0 +1,79 @@
+import { addDays, format } from 'date-fns'
+import { config } from '~/src/config/config.js'
+import { getApplicationPath } from '~/src/server/applications/applications.controller.js'
+import { getFormsCacheService } from '~/src/server/common/helpers/forms-cache/forms-cache.js'
+import { getCacheKey } from '~/src/server/common/helpers/state/get-cache-key-helper.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { fetchBusinessAndCustomerInformation } from '~/src/server/common/services/consolidated-view/consolidated-view.service.js'
+import { getNotifier } from '~/src/server/common/services/notifier/notifier.js'
+import { SAVE_AND_RETURN_STATE_KEY } from './saved-page.js'
+
+/**
+ * Emails the applicant a link back to the saved page. The page is still shown when the email cannot be sent, so the
+ * applicant can copy the link.
+ * @param {Request} request
+ * @param {Email['personalisation']} personalisation
+ * @param {string} [reference]
+ * @returns {Promise<string | null>} the email address the link was sent to
+ */
+async function sendSaveAndReturnLink(request, personalisation, reference) {
+  const { sbi } = request.auth.credentials
+  const formName = request.params.slug
+  try {
+    const { business } = await fetchBusinessAndCustomerInformation(request)
+    const emailAddress = business?.email?.address
+    if (!emailAddress) {
+      throw new Error('No email address for business')
+    }
+
+    const notifier = getNotifier()
+    await notifier.sendEmail({ emailAddress, personalisation, reference })
+    log(LogCodes.FORMS.SAVE_AND_RETURN_LINK_SENT, { formName, notifier: notifier.name, sbi })
+    return emailAddress
+  } catch (error) {
+    log(LogCodes.FORMS.SAVE_AND_RETURN_LINK_FAILED, { formName, sbi, error: error.message })
+    return null
+  }
+}
+
+/**
+ * Handles "Save and exit" on form pages. The forms engine has already saved the answers, so this records the page
+ * to come back to and emails the applicant a link back to the application.
+ * @param {Request} request
+ * @param {ResponseToolkit} h
+ * @param {FormContext} context
+ */
+export async function saveAndExit(request, h, context) {
+  const { slug, path } = request.params
+  const savedAt = new Date()
+  const expiresAt = addDays(savedAt, config.get('saveAndReturn.expiryDays'))
+  const savedPath = `/${path}`
+
+  const cacheService = getFormsCacheService(request.server)
+  const state = await cacheService.getState(request)
+  await cacheService.setState(request, {
+    ...state,
+    [SAVE_AND_RETURN_STATE_KEY]: { path: savedPath, savedAt: savedAt.toISOString(), expiresAt: expiresAt.toISOString() }
+  })
+  log(LogCodes.FORMS.FORM_SAVE, { formName: slug, userId: request.auth.credentials.crn })
+
+  // The link resumes the application the page belongs to, which then opens at the saved page
+  const link = `${config.get('baseUrl')}${getApplicationPath(slug, getCacheKey(request).instanceId)}/resume`
+  const savedUntil = format(expiresAt, 'd MMMM yyyy')
+  const grantName = /** @type {any} */ (request.app).model?.name ?? slug
+  const emailAddress = await sendSaveAndReturnLink(request, { grantName, link, savedUntil }, context.referenceNumber)
+
+  return h.view('application-saved', {
+    pageTitle: 'Your application has been saved',
+    grantName,
+    link,
+    savedUntil,
+    emailAddress
+  })
+}
+
+/**
+ * @import { FormContext } from '@defra/forms-engine-plugin/engine/types.js'
+ * @import { Request, ResponseToolkit } from '@hapi/hapi'
+ * @import { Email } from '~/src/server/common/services/notifier/notifier.js'
+ */
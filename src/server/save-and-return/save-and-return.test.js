@@ -0,0 +1,126 @@
+import { vi } from 'vitest'
+import { mockHapiRequest, mockHapiResponseToolkit } from '~/src/__mocks__/hapi-mocks.js'
+import { config } from '~/src/config/config.js'
+import { getFormsCacheService } from '~/src/server/common/helpers/forms-cache/forms-cache.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { fetchBusinessAndCustomerInformation } from '~/src/server/common/services/consolidated-view/consolidated-view.service.js'
+import { getNotifier } from '~/src/server/common/services/notifier/notifier.js'
+import { saveAndExit } from './save-and-return.js'
+
+vi.mock('~/src/server/common/helpers/logging/log.js')
+vi.mock('~/src/server/common/helpers/forms-cache/forms-cache.js', () => ({
+  getFormsCacheService: vi.fn()
+}))
+vi.mock('~/src/server/common/services/consolidated-view/consolidated-view.service.js', () => ({
+  fetchBusinessAndCustomerInformation: vi.fn()
+}))
+vi.mock('~/src/server/common/services/notifier/notifier.js', () => ({
+  getNotifier: vi.fn()
+}))
+
+describe('saveAndExit', () => {
+  const link = `${config.get('baseUrl')}/farm-payments/applications/default/resume`
+  let request
+  let h
+  let cacheService
+  let notifier
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers({ now: new Date('2026-03-01T10:00:00.000Z'), toFake: ['Date'] })
+
+    cacheService = { getState: vi.fn().mockResolvedValue({ landParcels: {} }), setState: vi.fn() }
+    vi.mocked(getFormsCacheService).mockReturnValue(cacheService)
+    notifier = { name: 'log', sendEmail: vi.fn() }
+    vi.mocked(getNotifier).mockReturnValue(notifier)
+    vi.mocked(fetchBusinessAndCustomerInformation).mockResolvedValue({
+      business: { email: { address: 'farm@example.com' } }
+    })
+
+    request = mockHapiRequest({
+      params: { slug: 'farm-payments', path: 'select-land-parcel' },
+      auth: { credentials: { sbi: '106284736', organisationId: '106284736', crn: '1102838829' } },
+      yar: { get: vi.fn() },
+      app: { model: { name: 'Farm payments' } }
+    })
+    h = mockHapiResponseToolkit()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should record the page the application was saved on', async () => {
+    await saveAndExit(request, h, { referenceNumber: 'FPTT-AB12-CD34' })
+
+    expect(cacheService.setState).toHaveBeenCalledWith(request, {
+      landParcels: {},
+      saveAndReturn: {
+        path: '/select-land-parcel',
+        savedAt: '2026-03-01T10:00:00.000Z',
+        expiresAt: '2026-03-29T10:00:00.000Z'
+      }
+    })
+  })
+
+  it('should email the applicant a link back to the page', async () => {
+    await saveAndExit(request, h, { referenceNumber: 'FPTT-AB12-CD34' })
+
+    expect(notifier.sendEmail).toHaveBeenCalledWith({
+      emailAddress: 'farm@example.com',
+      personalisation: { grantName: 'Farm payments', link, savedUntil: '29 March 2026' },
+      reference: 'FPTT-AB12-CD34'
+    })
+    expect(log).toHaveBeenCalledWith(LogCodes.FORMS.SAVE_AND_RETURN_LINK_SENT, {
+      formName: 'farm-payments',
+      notifier: 'log',
+      sbi: '106284736'
+    })
+    expect(h.view).toHaveBeenCalledWith('application-saved', {
+      pageTitle: 'Your application has been saved',
+      grantName: 'Farm payments',
+      link,
+      savedUntil: '29 March 2026',
+      emailAddress: 'farm@example.com'
+    })
+  })
+
+  it('should link to the application instance being worked on', async () => {
+    const instanceId = '5b3a4d6e-8f21-4c4b-9a7d-1e2f3a4b5c6d'
+    request.yar.get.mockReturnValue({ '106284736:farm-payments': instanceId })
+
+    await saveAndExit(request, h, { referenceNumber: 'FPTT-AB12-CD34' })
+
+    expect(notifier.sendEmail).toHaveBeenCalledWith(
+      expect.objectContaining({
+        personalisation: expect.objectContaining({
+          link: `${config.get('baseUrl')}/farm-payments/applications/${instanceId}/resume`
+        })
+      })
+    )
+  })
+
+  it.each([
+    [
+      'the email cannot be sent',
+      () => notifier.sendEmail.mockRejectedValue(new Error('Notify unavailable')),
+      'Notify unavailable'
+    ],
+    [
+      'the business has no email address',
+      () => vi.mocked(fetchBusinessAndCustomerInformation).mockResolvedValue({ business: {} }),
+      'No email address for business'
+    ]
+  ])('should show the link when %s', async (_, arrange, error) => {
+    arrange()
+
+    await saveAndExit(request, h, { referenceNumber: 'FPTT-AB12-CD34' })
+
+    expect(log).toHaveBeenCalledWith(LogCodes.FORMS.SAVE_AND_RETURN_LINK_FAILED, {
+      formName: 'farm-payments',
+      sbi: '106284736',
+      error
+    })
+    expect(h.view).toHaveBeenCalledWith('application-saved', expect.objectContaining({ link, emailAddress: null }))
+  })
+})
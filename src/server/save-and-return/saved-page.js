@@ -0,0 +1,35 @@
+export const SAVE_AND_RETURN_STATE_KEY = 'saveAndReturn'
+
+/**
+ * The page an application was saved on with "Save and exit"
+ * @typedef {object} SavedPage
+ * @property {string} path - Path of the page within the form
+ * @property {string} savedAt - ISO date and time it was saved
+ * @property {string} expiresAt - ISO date and time returning to the application stops resuming at the page
+ */
+
+/**
+ * Returns the page to resume an application at, if it has not expired
+ * @param {object} state - Saved form state
+ * @param {Date} [now]
+ * @returns {string | null} path of the page within the form
+ */
+export function getResumePath(state, now = new Date()) {
+  /** @type {SavedPage | undefined} */
+  const savedPage = state?.[SAVE_AND_RETURN_STATE_KEY]
+  if (!savedPage?.path || new Date(savedPage.expiresAt) <= now) {
+    return null
+  }
+
+  return savedPage.path
+}
+
+/**
+ * Returns the state without the saved page, once the application has been resumed at it
+ * @param {object} state - Saved form state
+ * @returns {object}
+ */
+export function clearSavedPage(state) {
+  const { [SAVE_AND_RETURN_STATE_KEY]: _savedPage, ...rest } = state
+  return rest
+}
@@ -0,0 +1,30 @@
+import { clearSavedPage, getResumePath } from './saved-page.js'
+
+describe('saved page', () => {
+  const now = new Date('2026-03-01T10:00:00.000Z')
+  const savedPage = { path: '/select-land-parcel', savedAt: '2026-02-20T10:00:00.000Z' }
+
+  describe('getResumePath', () => {
+    it('should return the saved page before it expires', () => {
+      const state = { saveAndReturn: { ...savedPage, expiresAt: '2026-03-20T10:00:00.000Z' } }
+
+      expect(getResumePath(state, now)).toBe('/select-land-parcel')
+    })
+
+    it('should not return the saved page once it has expired', () => {
+      const state = { saveAndReturn: { ...savedPage, expiresAt: '2026-03-01T10:00:00.000Z' } }
+
+      expect(getResumePath(state, now)).toBeNull()
+    })
+
+    it.each([[{}], [undefined], [{ saveAndReturn: {} }]])('should return null when nothing was saved', (state) => {
+      expect(getResumePath(state, now)).toBeNull()
+    })
+  })
+
+  describe('clearSavedPage', () => {
+    it('should remove the saved page and keep the answers', () => {
+      expect(clearSavedPage({ answer: 'yes', saveAndReturn: savedPage })).toEqual({ answer: 'yes' })
+    })
+  })
+})
@@ -1,2 +1,16 @@
 import { config } from '~/src/config/config.js'
 export const sbiStore = new Map().set('sbi', config.get('landGrants.defaultSbi'))
+
+/**
+ * Session key holding the business chosen on /businesses when Defra ID is disabled
+ */
+export const MOCK_SESSION_SBI_KEY = 'mockSessionSbi'
+
+/**
+ * Returns the SBI the mock session acts for: the business chosen in this session, or otherwise the development SBI
+ * @param {import('@hapi/hapi').Request} request
+ * @returns {string}
+ */
+export function getMockSessionSbi(request) {
+  return `${request.yar?.get(MOCK_SESSION_SBI_KEY) ?? sbiStore.get('sbi')}`
+}
@@ -0,0 +1,23 @@
+import { applicationStatusController } from './status.controller.js'
+
+/**
+ * Sets up the route for the page showing the status of a submitted application.
+ * These routes are registered in src/server/router.js.
+ * @satisfies {ServerRegisterPluginObject<void>}
+ */
+export const applicationStatus = {
+  plugin: {
+    name: 'application-status',
+    register(server) {
+      server.route({
+        method: 'GET',
+        path: '/{slug}/status',
+        ...applicationStatusController
+      })
+    }
+  }
+}
+
+/**
+ * @import { ServerRegisterPluginObject } from '@hapi/hapi'
+ */
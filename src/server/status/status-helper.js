@@ -1,102 +1,77 @@
 import { ApplicationStatus } from '../common/constants/application-status.js'
 import { statusCodes } from '../common/constants/status-codes.js'
 import { getFormsCacheService } from '../common/helpers/forms-cache/forms-cache.js'
-import { updateApplicationStatus } from '../common/helpers/status/update-application-status-helper.js'
+import { getStateAdapter } from '../common/services/state-persistence/state-adapter.js'
+import { getCacheKey } from '../common/helpers/state/get-cache-key-helper.js'
+import { buildSessionKey } from '../common/helpers/state/application-instance-helper.js'
 import { getApplicationStatus } from '../common/services/grant-application/grant-application.service.js'
 import { log, LogCodes } from '../common/helpers/logging/log.js'
 import agreements from '~/src/config/agreements.js'
+import { FORM_VERSION_STATE_KEY } from '~/src/server/common/forms/services/form-versions.js'
+import { APPLIED_MIGRATIONS_STATE_KEY } from '~/src/server/common/forms/services/state-migrations.js'
+import { clearSavedPage, getResumePath, SAVE_AND_RETURN_STATE_KEY } from '~/src/server/save-and-return/saved-page.js'
+import { getScheduleRedirectPath } from '~/src/server/grant-schedule/grant-schedule.js'
+import {
+  ANY_STATUS,
+  appendStatusHistory,
+  findStatusTransition,
+  isFormsStartPage,
+  isTasklistPage,
+  STATUS_HISTORY_STATE_KEY
+} from './status-transitions.js'
 
 /**
- * @typedef {Object} RedirectRule
- * @property {string} fromGrantsStatus - Grants UI status or comma-separated statuses or 'default'
- * @property {string} gasStatus - GAS status or 'default'
- * @property {string} toGrantsStatus - Grants UI status to update to
- * @property {string} toPath - URL path to redirect the user to
- */
-
-/**
- * Finds the first redirect rule that matches the given Grants UI status
- * and GAS (Grant Administration System) status.
- *
- * If a rule uses 'default', it matches any status for that field.
- *
- * @param {string} fromGrantsStatus - Current status in the Grants UI (previous state)
- * @param {string} gasStatus - Current status returned from GAS
- * @param {RedirectRule[]} redirectRules - Array of redirect rule objects to match against
- * @returns {RedirectRule} The first matching redirect rule
- * @throws {Error} If no matching rule is found
- *
- * @example
- * const rule = mapStatusToUrl('SUBMITTED', 'AWAITING_AMENDMENTS', redirectRules);
- * console.log(rule.toPath); // e.g., '/summary'
- */
-function mapStatusToUrl(fromGrantsStatus, gasStatus, redirectRules = []) {
-  const match = redirectRules.find((rule) => {
-    const fromStatuses = new Set((rule.fromGrantsStatus || 'default').split(',').map((s) => s.trim()))
-    const gasStatuses = new Set((rule.gasStatus || 'default').split(',').map((s) => s.trim()))
-
-    const fromMatch = fromStatuses.has(fromGrantsStatus) || fromStatuses.has('default')
-    const gasMatch = gasStatuses.has(gasStatus) || gasStatuses.has('default')
-
-    return fromMatch && gasMatch
-  })
-
-  if (!match) {
-    throw new Error(`No redirect rule found for fromGrantsStatus=${fromGrantsStatus} gasStatus=${gasStatus}`)
-  }
-
-  return match
-}
-
-/**
- * Persists the new status to the appropriate storage
- * Uses cache service for CLEARED status, otherwise updates application status
+ * Persists a status transition, recording it in the application's status history.
+ * A change of GAS status is recorded even when the Grants UI status stays the same.
+ * A transition with `clearState` replaces the saved answers, otherwise only the status is updated.
  * @param {object} request - The Hapi request object
- * @param {string} newStatus - The new status to persist
- * @param {string} previousStatus - The previous status for comparison
- * @param {string} grantId - The grant ID
+ * @param {object} context - The request context containing the saved state
+ * @param {StatusTransition} transition - The matched transition
+ * @param {string} gasStatus - The status from GAS that caused the transition
  * @returns {Promise<void>}
  */
-async function persistStatus(request, newStatus, previousStatus, grantId) {
-  if (newStatus === previousStatus) {
+async function persistStatus(request, context, transition, gasStatus) {
+  const previousStatus = context.state.applicationStatus
+  const newStatus = transition.toGrantsStatus
+  const history = context.state[STATUS_HISTORY_STATE_KEY] ?? []
+  const lastGasStatus = history.length ? history[history.length - 1].gasStatus : null
+  if (newStatus === previousStatus && gasStatus === lastGasStatus) {
     return
   }
 
-  const organisationId = request.auth.credentials?.sbi
-  if (newStatus === 'CLEARED') {
+  const statusHistory = appendStatusHistory(context.state, {
+    from: previousStatus,
+    to: newStatus,
+    gasStatus,
+    crn: request.auth.credentials?.crn
+  })
+
+  if (transition.clearState) {
     const cacheService = getFormsCacheService(request.server)
     await cacheService.setState(request, {
-      applicationStatus: ApplicationStatus.CLEARED
+      applicationStatus: newStatus,
+      [STATUS_HISTORY_STATE_KEY]: statusHistory
     })
   } else {
-    await updateApplicationStatus(newStatus, `${organisationId}:${grantId}`)
+    await getStateAdapter().updateApplicationStatus(buildSessionKey(getCacheKey(request)), newStatus, statusHistory)
   }
 }
 
-/**
- * Determines if the request should continue without redirecting
- * Handles special cases where status has already been transitioned
- * @param {string} gasStatus - The status from GAS API
- * @param {string} newStatus - The new Grants UI status
- * @param {string} previousStatus - The previous Grants UI status
- * @returns {boolean} True if request should continue without redirect
- */
-function shouldContinueDefault(gasStatus, newStatus, previousStatus) {
-  return (
-    (gasStatus === 'AWAITING_AMENDMENTS' && newStatus === 'REOPENED' && previousStatus !== 'SUBMITTED') ||
-    (gasStatus === 'APPLICATION_WITHDRAWN' &&
-      newStatus === 'CLEARED' &&
-      !['SUBMITTED', 'REOPENED'].includes(previousStatus))
-  )
-}
-
 /**
  * Determines if the state contains any meaningful values other than the base keys.
  * @param state - The state object to check
  * @returns {boolean} - True if state contains meaningful values, otherwise false
  */
 function hasMeaningfulState(state) {
-  const baseStateKeys = new Set(['$$__referenceNumber', 'applicationStatus', 'applicant'])
+  const baseStateKeys = new Set([
+    '$$__referenceNumber',
+    FORM_VERSION_STATE_KEY,
+    APPLIED_MIGRATIONS_STATE_KEY,
+    STATUS_HISTORY_STATE_KEY,
+    SAVE_AND_RETURN_STATE_KEY,
+    'applicationStatus',
+    'applicant'
+  ])
 
   // TODO remove workaround for state clearing bug when SFIR-647 and SFIR-648 are complete
   const farmPaymentsStateKeys = new Set(['selectedLandParcel', 'payment', 'draftApplicationAnnualTotalPence'])
@@ -112,46 +87,33 @@ function hasMeaningfulState(state) {
 }
 
 /**
- * Determines if the current request is for the start page of a grant.
- * @param request - The Hapi request object
- * @param context - The context object containing paths and state
- * @returns {boolean} - True if the current request is for the start page of a grant, otherwise false
- */
-function isFormsStartPage(request, context) {
-  const slug = request.params?.slug
-  const startPath = context.paths?.[0]
-  const currentPath = request.path
-
-  if (!slug || !startPath) {
-    return false
-  }
-
-  return currentPath === `/${slug}${startPath}`
-}
-
-/**
- * Determines if the current request is for a tasklist page.
- * @param request - The Hapi request object
- * @returns {boolean} - True if the current request is for a tasklist page, otherwise false
+ * Forgets the page the application was saved on with "Save and exit", once the application has been resumed.
+ * The context state is replaced too, as the forms engine saves it again when a page is posted.
+ *
+ * @param request - Hapi request object
+ * @param context - Current page context including form state
  */
-function isTasklistPage(request) {
-  return request.app.model?.def?.metadata?.tasklistId != null
+async function forgetSavedPage(request, context) {
+  context.state = clearSavedPage(context.state)
+  await getFormsCacheService(request.server).setState(request, context.state)
 }
 
 /**
  * Determines if a pre-submission request should redirect to the "check answers" page.
  *
- * If there is any meaningful state and the user has navigated to the "start" page, redirect to the "check answers" page
- * Otherwise just continue
+ * If there is any meaningful state and the user has navigated to the "start" page, redirect to the page the
+ * application was saved on with "Save and exit", or otherwise the "check answers" page
+ * Otherwise just continue, forgetting any saved page, as reaching another page (such as through an old emailed link)
+ * also resumes the application
  *
  * Tasklist journeys are not supported currently
  *
  * @param request - Hapi request object
  * @param h - Hapi response toolkit
  * @param context - { paths: ['/start'], state: { applicationStatus: 'CLEARED' } }
- * @returns {Symbol} - Symbol.for('continue') if no redirect is required, otherwise Symbol.for('redirect')
+ * @returns {Promise<Symbol>} - Symbol.for('continue') if no redirect is required, otherwise Symbol.for('redirect')
  */
-function preSubmissionRedirect(request, h, context) {
+async function preSubmissionRedirect(request, h, context) {
   const grantId = request.params?.slug
   const grantRedirectRules = request.app.model?.def?.metadata?.grantRedirectRules
   const preSubmissionRedirectRule = grantRedirectRules.preSubmission[0]
@@ -160,8 +122,17 @@ function preSubmissionRedirect(request, h, context) {
     : `/${grantId}/${preSubmissionRedirectRule.toPath}`
 
   if (hasMeaningfulState(context.state) && isFormsStartPage(request, context) && !isTasklistPage(request)) {
+    const resumePath = getResumePath(context.state)
+    if (resumePath) {
+      await forgetSavedPage(request, context)
+      return h.redirect(buildRedirectUrl(grantId, resumePath)).takeover()
+    }
     return h.redirect(preSubmissionRedirectUrl).takeover()
   }
+
+  if (context.state[SAVE_AND_RETURN_STATE_KEY]) {
+    await forgetSavedPage(request, context)
+  }
   return h.continue
 }
 
@@ -212,15 +183,16 @@ async function handlePostSubmission(request, h, context, previousStatus, grantCo
   const { status: gasStatus } = await response.json()
 
   const postSubmissionRules = grantRedirectRules?.postSubmission ?? []
-  const rule = mapStatusToUrl(previousStatus, gasStatus, postSubmissionRules)
+  const transition = findStatusTransition(postSubmissionRules, previousStatus, gasStatus, { request, context })
 
-  await persistStatus(request, rule.toGrantsStatus, previousStatus, grantId)
+  await persistStatus(request, context, transition, gasStatus)
 
-  if (shouldContinueDefault(gasStatus, rule.toGrantsStatus, previousStatus)) {
+  if (!transition.toPath) {
     return h.continue
   }
 
-  const redirectUrl = rule.toPath === agreements.get('baseUrl') ? rule.toPath : buildRedirectUrl(grantId, rule.toPath)
+  const redirectUrl =
+    transition.toPath === agreements.get('baseUrl') ? transition.toPath : buildRedirectUrl(grantId, transition.toPath)
   return request.path === redirectUrl ? h.continue : h.redirect(redirectUrl).takeover()
 }
 
@@ -248,7 +220,14 @@ function handlePostSubmissionError(err, request, h, context, grantId, grantCode,
     error: err.message
   })
 
-  const fallbackRule = mapStatusToUrl('default', 'default', grantRedirectRules?.postSubmission ?? [])
+  const fallbackRule = findStatusTransition(grantRedirectRules?.postSubmission ?? [], ANY_STATUS, ANY_STATUS, {
+    request,
+    context
+  })
+  if (!fallbackRule.toPath) {
+    return h.continue
+  }
+
   const fallbackUrl = buildRedirectUrl(grantId, fallbackRule.toPath)
 
   return request.path === fallbackUrl ? h.continue : h.redirect(fallbackUrl).takeover()
@@ -256,7 +235,7 @@ function handlePostSubmissionError(err, request, h, context, grantId, grantCode,
 
 /**
  * @typedef {object} GrantModel
- * @property {{ submission: { grantCode: string }, grantRedirectRules?: object }} metadata
+ * @property {{ submission: { grantCode: string }, grantRedirectRules?: object, schedule?: GrantSchedule }} metadata
  */
 
 /**
@@ -297,6 +276,16 @@ export const formsStatusCallback = async (request, h, context) => {
   const previousStatus = context.state.applicationStatus
   const grantRedirectRules = request.app.model?.def?.metadata?.grantRedirectRules
 
+  // Submitted applications can be viewed whatever the grant's schedule
+  if (previousStatus !== ApplicationStatus.SUBMITTED) {
+    const schedulePath = getScheduleRedirectPath(grantId, request.app.model?.def?.metadata?.schedule, {
+      hasDraft: hasMeaningfulState(context.state)
+    })
+    if (schedulePath) {
+      return h.redirect(schedulePath).takeover()
+    }
+  }
+
   if (shouldHandlePreSubmission(previousStatus)) {
     return preSubmissionRedirect(request, h, context)
   }
@@ -311,3 +300,8 @@ export const formsStatusCallback = async (request, h, context) => {
     return handlePostSubmissionError(err, request, h, context, grantId, grantCode, grantRedirectRules)
   }
 }
+
+/**
+ * @import { StatusTransition } from './status-transitions.js'
+ * @import { GrantSchedule } from '~/src/server/grant-schedule/grant-schedule.js'
+ */
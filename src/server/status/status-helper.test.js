@@ -1,10 +1,10 @@
-import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
 import { getApplicationStatus } from '../common/services/grant-application/grant-application.service.js'
-import { updateApplicationStatus } from '../common/helpers/status/update-application-status-helper.js'
 import { getFormsCacheService } from '../common/helpers/forms-cache/forms-cache.js'
 import { ApplicationStatus } from '../common/constants/application-status.js'
 import { formsStatusCallback } from './status-helper.js'
 import { log, LogCodes } from '../common/helpers/logging/log.js'
+import { resetClock, setClock } from '../common/helpers/clock.js'
 
 vi.mock('../common/helpers/logging/log.js', () => ({
   log: vi.fn(),
@@ -17,9 +17,12 @@ vi.mock('../common/helpers/logging/log.js', () => ({
 vi.mock('../common/services/grant-application/grant-application.service.js', () => ({
   getApplicationStatus: vi.fn()
 }))
-vi.mock('../common/helpers/status/update-application-status-helper.js', () => ({
+const mockStateAdapter = vi.hoisted(() => ({
   updateApplicationStatus: vi.fn()
 }))
+vi.mock('../common/services/state-persistence/state-adapter.js', () => ({
+  getStateAdapter: () => mockStateAdapter
+}))
 vi.mock('../common/helpers/forms-cache/forms-cache.js', () => ({
   getFormsCacheService: vi.fn()
 }))
@@ -55,6 +58,7 @@ describe('formsStatusCallback', () => {
                     fromGrantsStatus: 'SUBMITTED,REOPENED',
                     gasStatus: 'APPLICATION_WITHDRAWN',
                     toGrantsStatus: 'CLEARED',
+                    clearState: true,
                     toPath: '/start'
                   },
 
@@ -112,7 +116,7 @@ describe('formsStatusCallback', () => {
         }
       },
       path: '/grant-a/start',
-      auth: { credentials: { sbi: '12345', crn: 'CRN123' } },
+      auth: { credentials: { sbi: '12345', organisationId: '12345', crn: 'CRN123' } },
       server: { logger: { error: vi.fn() } }
     }
 
@@ -221,6 +225,61 @@ describe('formsStatusCallback', () => {
     expect(h.redirect).not.toHaveBeenCalled()
   })
 
+  it('resumes at the page the application was saved on and forgets it', async () => {
+    const state = {
+      someField: 'someValue',
+      saveAndReturn: { path: '/select-land-parcel', expiresAt: new Date(Date.now() + 60000).toISOString() }
+    }
+
+    const result = await formsStatusCallback(request, h, { referenceNumber: 'REF-002', state, paths: ['/start'] })
+
+    expect(h.redirect).toHaveBeenCalledWith('/grant-a/select-land-parcel')
+    expect(mockCacheService.setState).toHaveBeenCalledWith(request, { someField: 'someValue' })
+    expect(result).toEqual(expect.any(Symbol))
+  })
+
+  it('redirects to preSubmission path when the saved page has expired', async () => {
+    const state = {
+      someField: 'someValue',
+      saveAndReturn: { path: '/select-land-parcel', expiresAt: '2020-01-01T00:00:00.000Z' }
+    }
+
+    await formsStatusCallback(request, h, { referenceNumber: 'REF-002', state, paths: ['/start'] })
+
+    expect(h.redirect).toHaveBeenCalledWith('/grant-a/check-selected-land-actions')
+    expect(mockCacheService.setState).not.toHaveBeenCalled()
+  })
+
+  it('continues when the only state is the page the application was saved on', async () => {
+    const state = {
+      $$__referenceNumber: 'REF-003',
+      saveAndReturn: { path: '/select-land-parcel', expiresAt: new Date(Date.now() + 60000).toISOString() }
+    }
+
+    const result = await formsStatusCallback(request, h, { referenceNumber: 'REF-003', state, paths: ['/start'] })
+
+    expect(result).toBe(h.continue)
+  })
+
+  it('forgets the page the application was saved on when another page is reached', async () => {
+    request.path = '/grant-a/select-land-parcel'
+    const context = {
+      referenceNumber: 'REF-002',
+      state: {
+        someField: 'someValue',
+        saveAndReturn: { path: '/select-land-parcel', expiresAt: new Date(Date.now() + 60000).toISOString() }
+      },
+      paths: ['/start', '/select-land-parcel']
+    }
+
+    const result = await formsStatusCallback(request, h, context)
+
+    expect(result).toBe(h.continue)
+    expect(h.redirect).not.toHaveBeenCalled()
+    expect(mockCacheService.setState).toHaveBeenCalledWith(request, { someField: 'someValue' })
+    expect(context.state).toEqual({ someField: 'someValue' })
+  })
+
   it('continues when tasklist page is detected', async () => {
     request.app.model.def.metadata.tasklistId = 'tasklist-1'
     const preSubmissionContext = {
@@ -274,12 +333,18 @@ describe('formsStatusCallback', () => {
 
     const result = await formsStatusCallback(request, h, context)
 
-    expect(mockCacheService.setState).toHaveBeenCalledWith(
-      request,
-      expect.objectContaining({
-        applicationStatus: ApplicationStatus.CLEARED
-      })
-    )
+    expect(mockCacheService.setState).toHaveBeenCalledWith(request, {
+      applicationStatus: ApplicationStatus.CLEARED,
+      $$__statusHistory: [
+        {
+          from: 'SUBMITTED',
+          to: 'CLEARED',
+          gasStatus: 'APPLICATION_WITHDRAWN',
+          timestamp: expect.any(String),
+          crn: 'CRN123'
+        }
+      ]
+    })
     expect(result).toEqual(expect.any(Symbol))
   })
 
@@ -299,7 +364,110 @@ describe('formsStatusCallback', () => {
 
     await formsStatusCallback(request, h, context)
 
-    expect(updateApplicationStatus).toHaveBeenCalledWith('REOPENED', '12345:grant-a')
+    expect(mockStateAdapter.updateApplicationStatus).toHaveBeenCalledWith('12345:grant-a', 'REOPENED', [
+      {
+        from: 'SUBMITTED',
+        to: 'REOPENED',
+        gasStatus: 'AWAITING_AMENDMENTS',
+        timestamp: expect.any(String),
+        crn: 'CRN123'
+      }
+    ])
+    expect(mockCacheService.setState).not.toHaveBeenCalled()
+  })
+
+  it('appends to the existing status history', async () => {
+    const earlier = { from: null, to: 'SUBMITTED', gasStatus: null, timestamp: '2026-01-01T00:00:00.000Z', crn: 'CRN1' }
+    context.state.$$__statusHistory = [earlier]
+    getApplicationStatus.mockResolvedValue({
+      json: async () => ({ status: 'AWAITING_AMENDMENTS' })
+    })
+
+    await formsStatusCallback(request, h, context)
+
+    expect(mockStateAdapter.updateApplicationStatus).toHaveBeenCalledWith('12345:grant-a', 'REOPENED', [
+      earlier,
+      expect.objectContaining({ from: 'SUBMITTED', to: 'REOPENED' })
+    ])
+  })
+
+  it('records a new GAS status that keeps the Grants UI status', async () => {
+    getApplicationStatus.mockResolvedValue({ json: async () => ({ status: 'RECEIVED' }) })
+
+    await formsStatusCallback(request, h, context)
+
+    expect(mockStateAdapter.updateApplicationStatus).toHaveBeenCalledWith('12345:grant-a', 'SUBMITTED', [
+      expect.objectContaining({ from: 'SUBMITTED', to: 'SUBMITTED', gasStatus: 'RECEIVED' })
+    ])
+  })
+
+  it('does not record a GAS status that is already recorded', async () => {
+    context.state.$$__statusHistory = [
+      { from: 'SUBMITTED', to: 'SUBMITTED', gasStatus: 'RECEIVED', timestamp: '2026-01-01T00:00:00.000Z', crn: null }
+    ]
+    getApplicationStatus.mockResolvedValue({ json: async () => ({ status: 'RECEIVED' }) })
+
+    await formsStatusCallback(request, h, context)
+
+    expect(mockStateAdapter.updateApplicationStatus).not.toHaveBeenCalled()
+    expect(mockCacheService.setState).not.toHaveBeenCalled()
+  })
+
+  it('lets the user stay on the page when the transition has no path', async () => {
+    request.app.model.def.metadata.grantRedirectRules.postSubmission = [
+      { fromGrantsStatus: 'SUBMITTED', gasStatus: 'AWAITING_AMENDMENTS', toGrantsStatus: 'REOPENED' },
+      { fromGrantsStatus: 'default', gasStatus: 'default', toGrantsStatus: 'SUBMITTED', toPath: '/confirmation' }
+    ]
+    getApplicationStatus.mockResolvedValue({
+      json: async () => ({ status: 'AWAITING_AMENDMENTS' })
+    })
+
+    const result = await formsStatusCallback(request, h, context)
+
+    expect(result).toBe(h.continue)
+    expect(h.redirect).not.toHaveBeenCalled()
+    expect(mockStateAdapter.updateApplicationStatus).toHaveBeenCalledWith(
+      '12345:grant-a',
+      'REOPENED',
+      expect.any(Array)
+    )
+  })
+
+  it('only applies a guarded transition when its guard holds', async () => {
+    request.app.model.def.metadata.grantRedirectRules.postSubmission = [
+      {
+        fromGrantsStatus: 'SUBMITTED',
+        gasStatus: 'default',
+        toGrantsStatus: 'SUBMITTED',
+        toPath: '/tasks',
+        guard: 'isTasklist'
+      },
+      { fromGrantsStatus: 'default', gasStatus: 'default', toGrantsStatus: 'SUBMITTED', toPath: '/confirmation' }
+    ]
+    getApplicationStatus.mockResolvedValue({ json: async () => ({ status: 'RECEIVED' }) })
+
+    await formsStatusCallback(request, h, context)
+    expect(h.redirect).toHaveBeenCalledWith('/grant-a/confirmation')
+
+    request.app.model.def.metadata.tasklistId = 'tasklist-1'
+    await formsStatusCallback(request, h, context)
+    expect(h.redirect).toHaveBeenLastCalledWith('/grant-a/tasks')
+  })
+
+  it('updates the status of the application instance being viewed', async () => {
+    const instanceId = '5b3a4d6e-8f21-4c4b-9a7d-1e2f3a4b5c6d'
+    request.yar = { get: vi.fn().mockReturnValue({ '12345:grant-a': instanceId }) }
+    getApplicationStatus.mockResolvedValue({
+      json: async () => ({ status: 'AWAITING_AMENDMENTS' })
+    })
+
+    await formsStatusCallback(request, h, context)
+
+    expect(mockStateAdapter.updateApplicationStatus).toHaveBeenCalledWith(
+      `12345:grant-a:${instanceId}`,
+      'REOPENED',
+      expect.any(Array)
+    )
   })
 
   it('continues when gasStatus is AWAITING_AMENDMENTS and previousStatus is REOPENED', async () => {
@@ -310,7 +478,7 @@ describe('formsStatusCallback', () => {
 
     const result = await formsStatusCallback(request, h, context)
     expect(result).toBe(h.continue)
-    expect(updateApplicationStatus).not.toHaveBeenCalled()
+    expect(mockStateAdapter.updateApplicationStatus).not.toHaveBeenCalled()
   })
 
   it('converts reference number to lowercase when calling getApplicationStatus', async () => {
@@ -421,6 +589,78 @@ describe('formsStatusCallback', () => {
     expect(result).toEqual(expect.any(Symbol))
   })
 
+  describe('grant schedule', () => {
+    const schedule = {
+      opensAt: '2026-04-01T09:00:00.000Z',
+      closesAt: '2026-06-30T17:00:00.000Z',
+      draftGracePeriodDays: 7
+    }
+
+    beforeEach(() => {
+      request.app.model.def.metadata.schedule = schedule
+    })
+
+    afterEach(() => {
+      resetClock()
+    })
+
+    it('sends applicants to the not open page before the grant opens', async () => {
+      setClock('2026-03-31T09:00:00.000Z')
+      context.state = {}
+
+      await formsStatusCallback(request, h, context)
+
+      expect(h.redirect).toHaveBeenCalledWith('/grant-a/not-open')
+    })
+
+    it('lets applicants start an application while the grant is open', async () => {
+      setClock('2026-05-01T09:00:00.000Z')
+      context.state = {}
+
+      const result = await formsStatusCallback(request, h, context)
+
+      expect(result).toBe(h.continue)
+      expect(h.redirect).not.toHaveBeenCalled()
+    })
+
+    it('sends applicants without a draft to the closed page once the grant closes', async () => {
+      setClock('2026-07-01T09:00:00.000Z')
+      context.state = {}
+
+      await formsStatusCallback(request, h, context)
+
+      expect(h.redirect).toHaveBeenCalledWith('/grant-a/closed')
+    })
+
+    it('lets applicants carry on with a draft during the grace period', async () => {
+      setClock('2026-07-01T09:00:00.000Z')
+      request.path = '/grant-a/business-status'
+      context.state = { businessStatus: 'yes' }
+
+      const result = await formsStatusCallback(request, h, context)
+
+      expect(result).toBe(h.continue)
+    })
+
+    it('sends applicants with a draft to the closed page after the grace period', async () => {
+      setClock('2026-07-08T09:00:00.000Z')
+      context.state = { businessStatus: 'yes' }
+
+      await formsStatusCallback(request, h, context)
+
+      expect(h.redirect).toHaveBeenCalledWith('/grant-a/closed')
+    })
+
+    it('lets applicants view submitted applications after the grant closes', async () => {
+      setClock('2026-08-01T09:00:00.000Z')
+      getApplicationStatus.mockResolvedValue({ json: async () => ({ status: 'RECEIVED' }) })
+
+      await formsStatusCallback(request, h, context)
+
+      expect(h.redirect).toHaveBeenCalledWith('/grant-a/confirmation')
+    })
+  })
+
   describe('farm-payments agreements service redirect', () => {
     it.each(['OFFER_SENT', 'OFFER_WITHDRAWN', 'OFFER_ACCEPTED'])(
       'redirects farm-payments to /agreement when GAS status is %s',
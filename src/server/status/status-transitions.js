@@ -0,0 +1,259 @@
+import { ApplicationStatus } from '../common/constants/application-status.js'
+
+/**
+ * Value of `fromGrantsStatus` or `gasStatus` that matches any status
+ */
+export const ANY_STATUS = 'default'
+
+/**
+ * Key in the saved form state holding the application's status history
+ */
+export const STATUS_HISTORY_STATE_KEY = '$$__statusHistory'
+
+/**
+ * @typedef {object} StatusTransition
+ * @property {string} [fromGrantsStatus] - Grants UI status or comma-separated statuses or 'default'
+ * @property {string} [gasStatus] - GAS status or comma-separated statuses or 'default'
+ * @property {string} toGrantsStatus - Grants UI status to move to
+ * @property {string} [toPath] - URL path to redirect the user to. Without one the user stays on the page they asked for.
+ * @property {boolean} [clearState] - Replace the saved answers with the new status, so the applicant starts again
+ * @property {string} [guard] - Name of a guard that must also hold, or `!name` for one that must not
+ */
+
+/**
+ * @typedef {object} StatusHistoryEntry
+ * @property {string | null} from - Grants UI status before the transition
+ * @property {string} to - Grants UI status after the transition
+ * @property {string | null} gasStatus - GAS status that caused the transition, null if the applicant caused it
+ * @property {string} timestamp - ISO 8601 timestamp of the transition
+ * @property {string | null} crn - CRN of the user the transition happened for
+ */
+
+/**
+ * @typedef {object} GuardContext
+ * @property {import('@hapi/hapi').Request & { app: { model?: any } }} request
+ * @property {{ paths?: string[], state: object }} context - Forms engine page context
+ */
+
+/**
+ * Returns true if the request is for the start page of the grant
+ * @param {GuardContext['request']} request
+ * @param {GuardContext['context']} context
+ * @returns {boolean}
+ */
+export function isFormsStartPage(request, context) {
+  const slug = request.params?.slug
+  const startPath = context.paths?.[0]
+
+  if (!slug || !startPath) {
+    return false
+  }
+
+  return request.path === `/${slug}${startPath}`
+}
+
+/**
+ * Returns true if the request is for a tasklist page
+ * @param {GuardContext['request']} request
+ * @returns {boolean}
+ */
+export function isTasklistPage(request) {
+  return request.app.model?.def?.metadata?.tasklistId != null
+}
+
+/**
+ * Guards a transition can name, so rules can depend on more than the two statuses
+ * @type {Record<string, (guardContext: GuardContext) => boolean>}
+ */
+export const statusGuards = {
+  isStartPage: ({ request, context }) => isFormsStartPage(request, context),
+  isTasklist: ({ request }) => isTasklistPage(request)
+}
+
+/**
+ * @returns {string[]} every guard name a rule may use, including negated names
+ */
+export function getGuardNames() {
+  return Object.keys(statusGuards).flatMap((name) => [name, `!${name}`])
+}
+
+/**
+ * @param {string | undefined} statuses
+ * @returns {Set<string>}
+ */
+function parseStatuses(statuses) {
+  return new Set((statuses || ANY_STATUS).split(',').map((s) => s.trim()))
+}
+
+/**
+ * @param {StatusTransition} rule
+ * @param {string} fromGrantsStatus
+ * @param {string} gasStatus
+ * @returns {boolean}
+ */
+function matchesStatuses(rule, fromGrantsStatus, gasStatus) {
+  const fromStatuses = parseStatuses(rule.fromGrantsStatus)
+  const gasStatuses = parseStatuses(rule.gasStatus)
+
+  return (
+    (fromStatuses.has(fromGrantsStatus) || fromStatuses.has(ANY_STATUS)) &&
+    (gasStatuses.has(gasStatus) || gasStatuses.has(ANY_STATUS))
+  )
+}
+
+/**
+ * @param {string | undefined} guard
+ * @param {GuardContext} [guardContext]
+ * @returns {boolean}
+ */
+function guardHolds(guard, guardContext) {
+  if (!guard) {
+    return true
+  }
+
+  const negated = guard.startsWith('!')
+  const predicate = statusGuards[negated ? guard.slice(1) : guard]
+  if (!predicate) {
+    throw new Error(`Unknown status transition guard: ${guard}`)
+  }
+
+  return predicate(/** @type {GuardContext} */ (guardContext)) !== negated
+}
+
+/**
+ * Finds the first transition that matches the Grants UI status and GAS status and whose guard holds.
+ * A status of 'default' in a rule matches any status.
+ * @param {StatusTransition[]} rules - Transitions in priority order
+ * @param {string} fromGrantsStatus - Current Grants UI status
+ * @param {string} gasStatus - Current status returned from GAS
+ * @param {GuardContext} [guardContext] - Needed when a rule has a guard
+ * @returns {StatusTransition}
+ * @throws {Error} If no transition matches
+ */
+export function findStatusTransition(rules, fromGrantsStatus, gasStatus, guardContext) {
+  const match = rules.find(
+    (rule) => matchesStatuses(rule, fromGrantsStatus, gasStatus) && guardHolds(rule.guard, guardContext)
+  )
+
+  if (!match) {
+    throw new Error(`No redirect rule found for fromGrantsStatus=${fromGrantsStatus} gasStatus=${gasStatus}`)
+  }
+
+  return match
+}
+
+/**
+ * Returns true if every status in `inner` is also in `outer`, counting 'default' as every status
+ * @param {Set<string>} outer
+ * @param {Set<string>} inner
+ * @returns {boolean}
+ */
+function covers(outer, inner) {
+  if (outer.has(ANY_STATUS)) {
+    return true
+  }
+  return !inner.has(ANY_STATUS) && [...inner].every((status) => outer.has(status))
+}
+
+/**
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {string[]} statuses named in both sets, ignoring 'default'
+ */
+function sharedStatuses(a, b) {
+  return [...a].filter((status) => status !== ANY_STATUS && b.has(status))
+}
+
+/**
+ * @param {StatusTransition} a
+ * @param {StatusTransition} b
+ * @returns {boolean}
+ */
+function sameOutcome(a, b) {
+  return (
+    a.toGrantsStatus === b.toGrantsStatus && a.toPath === b.toPath && Boolean(a.clearState) === Boolean(b.clearState)
+  )
+}
+
+/**
+ * @param {number} index
+ * @param {StatusTransition} rule
+ * @returns {string}
+ */
+function describeRule(index, rule) {
+  return `rule ${index + 1} (${rule.fromGrantsStatus || ANY_STATUS} + ${rule.gasStatus || ANY_STATUS})`
+}
+
+/**
+ * Checks post-submission transitions for rules that can never be used and rules that contradict each other.
+ * - A rule is unreachable if an earlier rule without a guard matches every status pair it does.
+ * - Two rules conflict if they name the same Grants UI and GAS status pair with the same guard but lead to
+ *   different outcomes, so which one applies depends only on their order.
+ * @param {StatusTransition[]} rules - Transitions in priority order
+ * @returns {string[]} a description of each problem found
+ */
+export function findStatusTransitionProblems(rules) {
+  const problems = []
+
+  rules.forEach((rule, index) => {
+    const fromStatuses = parseStatuses(rule.fromGrantsStatus)
+    const gasStatuses = parseStatuses(rule.gasStatus)
+    const earlier = rules.slice(0, index)
+
+    const shadowedBy = earlier.findIndex(
+      (other) =>
+        !other.guard &&
+        covers(parseStatuses(other.fromGrantsStatus), fromStatuses) &&
+        covers(parseStatuses(other.gasStatus), gasStatuses)
+    )
+    if (shadowedBy !== -1) {
+      problems.push(
+        `${describeRule(index, rule)} is unreachable because ${describeRule(shadowedBy, earlier[shadowedBy])} always matches first`
+      )
+      return
+    }
+
+    earlier.forEach((other, otherIndex) => {
+      const sharedFrom = sharedStatuses(fromStatuses, parseStatuses(other.fromGrantsStatus))
+      const sharedGas = sharedStatuses(gasStatuses, parseStatuses(other.gasStatus))
+
+      if (sharedFrom.length && sharedGas.length && rule.guard === other.guard && !sameOutcome(rule, other)) {
+        problems.push(
+          `${describeRule(index, rule)} conflicts with ${describeRule(otherIndex, other)} for ${sharedFrom} + ${sharedGas}`
+        )
+      }
+    })
+  })
+
+  return problems
+}
+
+/**
+ * Returns true if the application was reopened because GAS never received its last submission. Only that reopening
+ * is recorded without a GAS status, as GAS reopens applications that need amendments.
+ * @param {object} [state] - Saved form state
+ * @returns {boolean}
+ */
+export function isUndeliveredSubmission(state) {
+  /** @type {StatusHistoryEntry[]} */
+  const history = state?.[STATUS_HISTORY_STATE_KEY] ?? []
+  const last = history[history.length - 1]
+  return (
+    state?.applicationStatus === ApplicationStatus.REOPENED &&
+    last?.to === ApplicationStatus.REOPENED &&
+    !last.gasStatus
+  )
+}
+
+/**
+ * Returns the status history of an application with a new entry appended
+ * @param {object} state - Saved form state
+ * @param {{ from?: string, to: string, gasStatus?: string, crn?: string, timestamp?: string }} transition
+ * @returns {StatusHistoryEntry[]}
+ */
+export function appendStatusHistory(state, { from, to, gasStatus, crn, timestamp = new Date().toISOString() }) {
+  return [
+    ...(state?.[STATUS_HISTORY_STATE_KEY] ?? []),
+    { from: from ?? null, to, gasStatus: gasStatus ?? null, timestamp, crn: crn ?? null }
+  ]
+}
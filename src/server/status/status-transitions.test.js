@@ -0,0 +1,223 @@
+import {
+  appendStatusHistory,
+  findStatusTransition,
+  findStatusTransitionProblems,
+  getGuardNames,
+  isUndeliveredSubmission,
+  statusGuards
+} from './status-transitions.js'
+
+const fallback = {
+  fromGrantsStatus: 'default',
+  gasStatus: 'default',
+  toGrantsStatus: 'SUBMITTED',
+  toPath: '/confirmation'
+}
+
+const createGuardContext = ({ path = '/grant-a/summary', tasklistId } = {}) => ({
+  request: { params: { slug: 'grant-a' }, path, app: { model: { def: { metadata: { tasklistId } } } } },
+  context: { paths: ['/start'], state: {} }
+})
+
+describe('status-transitions', () => {
+  describe('findStatusTransition', () => {
+    const rules = [
+      { fromGrantsStatus: 'SUBMITTED,REOPENED', gasStatus: 'APPLICATION_WITHDRAWN', toGrantsStatus: 'CLEARED' },
+      {
+        fromGrantsStatus: 'SUBMITTED',
+        gasStatus: 'default',
+        toGrantsStatus: 'SUBMITTED',
+        toPath: '/start',
+        guard: 'isStartPage'
+      },
+      {
+        fromGrantsStatus: 'SUBMITTED',
+        gasStatus: 'default',
+        toGrantsStatus: 'SUBMITTED',
+        toPath: '/tasks',
+        guard: '!isTasklist'
+      },
+      fallback
+    ]
+
+    it('returns the first transition matching both statuses', () => {
+      expect(findStatusTransition(rules, 'REOPENED', 'APPLICATION_WITHDRAWN', createGuardContext())).toBe(rules[0])
+    })
+
+    it('treats default as any status', () => {
+      expect(findStatusTransition(rules, 'CLEARED', 'RECEIVED', createGuardContext())).toBe(fallback)
+    })
+
+    it('skips a transition whose guard does not hold', () => {
+      expect(findStatusTransition(rules, 'SUBMITTED', 'RECEIVED', createGuardContext())).toBe(rules[2])
+      expect(findStatusTransition(rules, 'SUBMITTED', 'RECEIVED', createGuardContext({ path: '/grant-a/start' }))).toBe(
+        rules[1]
+      )
+    })
+
+    it('applies a negated guard only when the guard does not hold', () => {
+      expect(findStatusTransition(rules, 'SUBMITTED', 'RECEIVED', createGuardContext({ tasklistId: 'tasks' }))).toBe(
+        fallback
+      )
+    })
+
+    it('throws when nothing matches', () => {
+      expect(() => findStatusTransition(rules.slice(0, 1), 'SUBMITTED', 'RECEIVED')).toThrow(
+        'No redirect rule found for fromGrantsStatus=SUBMITTED gasStatus=RECEIVED'
+      )
+    })
+
+    it('throws for an unknown guard', () => {
+      expect(() => findStatusTransition([{ ...fallback, guard: 'isFullMoon' }], 'SUBMITTED', 'RECEIVED')).toThrow(
+        'Unknown status transition guard: isFullMoon'
+      )
+    })
+  })
+
+  describe('statusGuards', () => {
+    it('lists each guard and its negation', () => {
+      expect(getGuardNames()).toEqual(Object.keys(statusGuards).flatMap((name) => [name, `!${name}`]))
+    })
+
+    it('checks whether the request is for the start page', () => {
+      expect(statusGuards.isStartPage(createGuardContext({ path: '/grant-a/start' }))).toBe(true)
+      expect(statusGuards.isStartPage(createGuardContext())).toBe(false)
+    })
+
+    it('checks whether the form is a tasklist journey', () => {
+      expect(statusGuards.isTasklist(createGuardContext({ tasklistId: 'tasks' }))).toBe(true)
+      expect(statusGuards.isTasklist(createGuardContext())).toBe(false)
+    })
+  })
+
+  describe('findStatusTransitionProblems', () => {
+    it('finds nothing wrong with a consistent rule set', () => {
+      expect(
+        findStatusTransitionProblems([
+          { fromGrantsStatus: 'SUBMITTED,REOPENED', gasStatus: 'APPLICATION_WITHDRAWN', toGrantsStatus: 'CLEARED' },
+          { fromGrantsStatus: 'SUBMITTED', gasStatus: 'AWAITING_AMENDMENTS', toGrantsStatus: 'REOPENED' },
+          { fromGrantsStatus: 'REOPENED', gasStatus: 'default', toGrantsStatus: 'REOPENED', toPath: '/summary' },
+          fallback
+        ])
+      ).toEqual([])
+    })
+
+    it('reports a transition shadowed by an earlier one', () => {
+      expect(
+        findStatusTransitionProblems([
+          { fromGrantsStatus: 'SUBMITTED', gasStatus: 'default', toGrantsStatus: 'SUBMITTED' },
+          { fromGrantsStatus: 'SUBMITTED', gasStatus: 'RECEIVED', toGrantsStatus: 'REOPENED' },
+          fallback
+        ])
+      ).toEqual([
+        'rule 2 (SUBMITTED + RECEIVED) is unreachable because rule 1 (SUBMITTED + default) always matches first'
+      ])
+    })
+
+    it('reports every rule after the fallback as unreachable', () => {
+      expect(
+        findStatusTransitionProblems([
+          fallback,
+          { fromGrantsStatus: 'SUBMITTED', gasStatus: 'RECEIVED', toGrantsStatus: 'SUBMITTED' }
+        ])
+      ).toEqual([
+        'rule 2 (SUBMITTED + RECEIVED) is unreachable because rule 1 (default + default) always matches first'
+      ])
+    })
+
+    it('does not treat a guarded transition as shadowing later ones', () => {
+      expect(
+        findStatusTransitionProblems([
+          { fromGrantsStatus: 'SUBMITTED', gasStatus: 'default', toGrantsStatus: 'SUBMITTED', guard: 'isStartPage' },
+          { fromGrantsStatus: 'SUBMITTED', gasStatus: 'RECEIVED', toGrantsStatus: 'SUBMITTED' },
+          fallback
+        ])
+      ).toEqual([])
+    })
+
+    it('reports overlapping transitions with different outcomes', () => {
+      expect(
+        findStatusTransitionProblems([
+          { fromGrantsStatus: 'SUBMITTED,REOPENED', gasStatus: 'APPLICATION_WITHDRAWN', toGrantsStatus: 'CLEARED' },
+          {
+            fromGrantsStatus: 'SUBMITTED',
+            gasStatus: 'APPLICATION_WITHDRAWN,AWAITING_AMENDMENTS',
+            toGrantsStatus: 'REOPENED'
+          },
+          fallback
+        ])
+      ).toEqual([
+        'rule 2 (SUBMITTED + APPLICATION_WITHDRAWN,AWAITING_AMENDMENTS) conflicts with rule 1 (SUBMITTED,REOPENED + APPLICATION_WITHDRAWN) for SUBMITTED + APPLICATION_WITHDRAWN'
+      ])
+    })
+  })
+
+  describe('appendStatusHistory', () => {
+    it('starts a history for state without one', () => {
+      expect(
+        appendStatusHistory(
+          {},
+          { from: 'SUBMITTED', to: 'REOPENED', gasStatus: 'AWAITING_AMENDMENTS', crn: '1100014934' }
+        )
+      ).toEqual([
+        {
+          from: 'SUBMITTED',
+          to: 'REOPENED',
+          gasStatus: 'AWAITING_AMENDMENTS',
+          timestamp: expect.any(String),
+          crn: '1100014934'
+        }
+      ])
+    })
+
+    it('appends to an existing history, recording missing values as null', () => {
+      const earlier = { from: null, to: 'SUBMITTED', gasStatus: null, timestamp: '2026-01-01T00:00:00.000Z', crn: null }
+
+      expect(
+        appendStatusHistory(
+          { $$__statusHistory: [earlier] },
+          { to: 'SUBMITTED', timestamp: '2026-02-01T00:00:00.000Z' }
+        )
+      ).toEqual([
+        earlier,
+        { from: null, to: 'SUBMITTED', gasStatus: null, timestamp: '2026-02-01T00:00:00.000Z', crn: null }
+      ])
+    })
+  })
+  describe('isUndeliveredSubmission', () => {
+    const submitted = { from: null, to: 'SUBMITTED', gasStatus: null, timestamp: '2026-01-01T00:00:00.000Z', crn: null }
+
+    it('is true for an application reopened because GAS never received it', () => {
+      const reopened = {
+        from: 'SUBMITTED',
+        to: 'REOPENED',
+        gasStatus: null,
+        timestamp: '2026-01-01T01:00:00.000Z',
+        crn: null
+      }
+
+      expect(isUndeliveredSubmission({ applicationStatus: 'REOPENED', $$__statusHistory: [submitted, reopened] })).toBe(
+        true
+      )
+    })
+
+    it('is false for an application GAS reopened for amendments', () => {
+      const reopened = {
+        from: 'SUBMITTED',
+        to: 'REOPENED',
+        gasStatus: 'AWAITING_AMENDMENTS',
+        timestamp: '2026-01-01T01:00:00.000Z',
+        crn: null
+      }
+
+      expect(isUndeliveredSubmission({ applicationStatus: 'REOPENED', $$__statusHistory: [submitted, reopened] })).toBe(
+        false
+      )
+    })
+
+    it('is false once the application is submitted again', () => {
+      expect(isUndeliveredSubmission({ applicationStatus: 'SUBMITTED', $$__statusHistory: [submitted] })).toBe(false)
+      expect(isUndeliveredSubmission({})).toBe(false)
+    })
+  })
+})
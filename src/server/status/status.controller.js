@@ -0,0 +1,122 @@
+import { ApplicationStatus } from '~/src/server/common/constants/application-status.js'
+import { getFormsCache } from '~/src/server/common/forms/services/form.js'
+import { getFormsCacheService } from '~/src/server/common/helpers/forms-cache/forms-cache.js'
+import { getGasStatusMessage } from '~/src/server/common/helpers/gas-status-messages.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { getApplicationStatus } from '~/src/server/common/services/grant-application/grant-application.service.js'
+import { STATUS_HISTORY_STATE_KEY } from './status-transitions.js'
+
+const HTTP_STATUS_NOT_FOUND = 404
+
+const SUBMITTED_MESSAGE = {
+  heading: 'Application submitted',
+  message: 'You submitted your application.'
+}
+
+const NOT_SENT_MESSAGE = {
+  heading: 'Application not sent',
+  message: 'We could not send your application for processing. Check your answers and submit it again.'
+}
+
+const RESUBMITTED_MESSAGE = {
+  heading: 'Application submitted again',
+  message: 'You submitted the changes to your application.'
+}
+
+/**
+ * Describes an entry of the status history in words an applicant will understand
+ * @param {StatusHistoryEntry} entry
+ * @returns {{heading: string, message: string}}
+ */
+function describeHistoryEntry(entry) {
+  if (entry.to === ApplicationStatus.REOPENED && !entry.gasStatus) {
+    return NOT_SENT_MESSAGE
+  }
+  if (entry.gasStatus || entry.to !== ApplicationStatus.SUBMITTED) {
+    return getGasStatusMessage(entry.gasStatus)
+  }
+  return entry.from === ApplicationStatus.REOPENED ? RESUBMITTED_MESSAGE : SUBMITTED_MESSAGE
+}
+
+/**
+ * Builds the timeline of the status page from the saved state, newest first.
+ * Applications submitted before the status history was recorded only show their submission.
+ * @param {object} state - Saved form state
+ * @returns {{heading: string, message: string, timestamp: string}[]}
+ */
+export function buildStatusTimeline(state) {
+  /** @type {StatusHistoryEntry[]} */
+  const history = state[STATUS_HISTORY_STATE_KEY] ?? []
+
+  if (!history.length) {
+    return state.submittedAt ? [{ ...SUBMITTED_MESSAGE, timestamp: state.submittedAt }] : []
+  }
+
+  return history.map((entry) => ({ ...describeHistoryEntry(entry), timestamp: entry.timestamp })).reverse()
+}
+
+/**
+ * Fetches the current status of the application from GAS
+ * @param {string} grantCode
+ * @param {string} referenceNumber
+ * @returns {Promise<string | null>} the GAS status, or null if it could not be fetched
+ */
+async function fetchGasStatus(grantCode, referenceNumber) {
+  try {
+    const response = await getApplicationStatus(grantCode, referenceNumber.toLowerCase())
+    const { status } = await response.json()
+    return status ?? null
+  } catch (err) {
+    log(LogCodes.SUBMISSION.APPLICATION_STATUS_LOOKUP_FAILURE, {
+      grantType: grantCode,
+      referenceNumber,
+      error: err.message
+    })
+    return null
+  }
+}
+
+/**
+ * Shows the reference number, submission details and status history of the current application
+ * @satisfies {Partial<ServerRoute>}
+ */
+export const applicationStatusController = {
+  async handler(request, h) {
+    const { slug } = request.params
+    const form = getFormsCache().find((f) => f.slug === slug)
+    if (!form) {
+      return h.response('Form not found').code(HTTP_STATUS_NOT_FOUND)
+    }
+
+    const state = await getFormsCacheService(request.server).getState(request)
+    const referenceNumber = state.$$__referenceNumber
+    const viewModel = {
+      pageTitle: 'Application status',
+      heading: 'Application status',
+      formTitle: form.title,
+      slug
+    }
+
+    if (!state.applicationStatus || !referenceNumber) {
+      return h.view('status/views/status', { ...viewModel, submitted: false })
+    }
+
+    const gasStatus = await fetchGasStatus(form.metadata?.submission?.grantCode, referenceNumber)
+
+    return h.view('status/views/status', {
+      ...viewModel,
+      submitted: true,
+      referenceNumber,
+      submittedAt: state.submittedAt,
+      submittedBy: state.submittedBy,
+      submittedAsAgent: state.submittedAsAgent,
+      currentStatus: gasStatus ? getGasStatusMessage(gasStatus) : null,
+      timeline: buildStatusTimeline(state)
+    })
+  }
+}
+
+/**
+ * @import { ServerRoute } from '@hapi/hapi'
+ * @import { StatusHistoryEntry } from './status-transitions.js'
+ */
@@ -0,0 +1,162 @@
+import { vi } from 'vitest'
+import { mockHapiRequest, mockHapiResponseToolkit } from '~/src/__mocks__/hapi-mocks.js'
+import { getFormsCacheService } from '~/src/server/common/helpers/forms-cache/forms-cache.js'
+import { log, LogCodes } from '~/src/server/common/helpers/logging/log.js'
+import { getApplicationStatus } from '~/src/server/common/services/grant-application/grant-application.service.js'
+import { applicationStatusController, buildStatusTimeline } from './status.controller.js'
+
+vi.mock('~/src/server/common/forms/services/form.js', () => ({
+  getFormsCache: vi.fn(() => [
+    {
+      id: 'form-1',
+      slug: 'example-grant',
+      title: 'Example grant',
+      metadata: { submission: { grantCode: 'example-grant-code' } }
+    }
+  ])
+}))
+vi.mock('~/src/server/common/helpers/forms-cache/forms-cache.js', () => ({
+  getFormsCacheService: vi.fn()
+}))
+vi.mock('~/src/server/common/services/grant-application/grant-application.service.js', () => ({
+  getApplicationStatus: vi.fn()
+}))
+vi.mock('~/src/server/common/helpers/logging/log.js', () => ({
+  log: vi.fn(),
+  LogCodes: {
+    SUBMISSION: { APPLICATION_STATUS_LOOKUP_FAILURE: { level: 'error', messageFunc: vi.fn() } }
+  }
+}))
+
+const submittedState = {
+  applicationStatus: 'SUBMITTED',
+  $$__referenceNumber: 'EGWA-AB12-CD34',
+  submittedAt: '2026-03-01T10:00:00.000Z',
+  submittedBy: '1100014934',
+  $$__statusHistory: [
+    { from: null, to: 'SUBMITTED', gasStatus: null, timestamp: '2026-03-01T10:00:00.000Z', crn: '1100014934' },
+    {
+      from: 'SUBMITTED',
+      to: 'SUBMITTED',
+      gasStatus: 'RECEIVED',
+      timestamp: '2026-03-01T10:05:00.000Z',
+      crn: '1100014934'
+    }
+  ]
+}
+
+describe('application status controller', () => {
+  let request
+  let h
+  let cacheService
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    cacheService = { getState: vi.fn().mockResolvedValue(submittedState) }
+    getFormsCacheService.mockReturnValue(cacheService)
+    getApplicationStatus.mockResolvedValue({ json: async () => ({ status: 'OFFER_SENT' }) })
+    request = mockHapiRequest({ params: { slug: 'example-grant' } })
+    h = mockHapiResponseToolkit()
+  })
+
+  describe('buildStatusTimeline', () => {
+    it('describes each status change, newest first', () => {
+      expect(buildStatusTimeline(submittedState)).toEqual([
+        {
+          heading: 'Application received',
+          message: expect.any(String),
+          timestamp: '2026-03-01T10:05:00.000Z'
+        },
+        {
+          heading: 'Application submitted',
+          message: expect.any(String),
+          timestamp: '2026-03-01T10:00:00.000Z'
+        }
+      ])
+    })
+
+    it('describes a resubmission after amendments', () => {
+      const [resubmission] = buildStatusTimeline({
+        $$__statusHistory: [
+          { from: 'REOPENED', to: 'SUBMITTED', gasStatus: null, timestamp: '2026-03-02T10:00:00.000Z', crn: null }
+        ]
+      })
+
+      expect(resubmission.heading).toBe('Application submitted again')
+    })
+
+    it('describes an application reopened because it was not sent', () => {
+      const [reopened] = buildStatusTimeline({
+        $$__statusHistory: [
+          { from: 'SUBMITTED', to: 'REOPENED', gasStatus: null, timestamp: '2026-03-01T11:00:00.000Z', crn: null }
+        ]
+      })
+
+      expect(reopened.heading).toBe('Application not sent')
+    })
+
+    it('shows only the submission for an application without a status history', () => {
+      expect(buildStatusTimeline({ submittedAt: '2026-03-01T10:00:00.000Z' })).toEqual([
+        expect.objectContaining({ heading: 'Application submitted', timestamp: '2026-03-01T10:00:00.000Z' })
+      ])
+      expect(buildStatusTimeline({})).toEqual([])
+    })
+  })
+
+  describe('handler', () => {
+    it('shows the submission details, current GAS status and history', async () => {
+      await applicationStatusController.handler(request, h)
+
+      expect(getApplicationStatus).toHaveBeenCalledWith('example-grant-code', 'egwa-ab12-cd34')
+      expect(h.view).toHaveBeenCalledWith(
+        'status/views/status',
+        expect.objectContaining({
+          formTitle: 'Example grant',
+          submitted: true,
+          referenceNumber: 'EGWA-AB12-CD34',
+          submittedAt: '2026-03-01T10:00:00.000Z',
+          submittedBy: '1100014934',
+          currentStatus: expect.objectContaining({ heading: 'Offer sent' }),
+          timeline: [
+            expect.objectContaining({ heading: 'Application received' }),
+            expect.objectContaining({ heading: 'Application submitted' })
+          ]
+        })
+      )
+    })
+
+    it('still shows the history when GAS cannot be reached', async () => {
+      getApplicationStatus.mockRejectedValue(new Error('Service unavailable'))
+
+      await applicationStatusController.handler(request, h)
+
+      expect(log).toHaveBeenCalledWith(LogCodes.SUBMISSION.APPLICATION_STATUS_LOOKUP_FAILURE, {
+        grantType: 'example-grant-code',
+        referenceNumber: 'EGWA-AB12-CD34',
+        error: 'Service unavailable'
+      })
+      expect(h.view).toHaveBeenCalledWith(
+        'status/views/status',
+        expect.objectContaining({ currentStatus: null, timeline: expect.any(Array) })
+      )
+    })
+
+    it('explains that nothing has been submitted for a draft', async () => {
+      cacheService.getState.mockResolvedValue({ businessName: 'Test Farm' })
+
+      await applicationStatusController.handler(request, h)
+
+      expect(getApplicationStatus).not.toHaveBeenCalled()
+      expect(h.view).toHaveBeenCalledWith('status/views/status', expect.objectContaining({ submitted: false }))
+    })
+
+    it('returns not found for an unknown form', async () => {
+      request.params.slug = 'unknown'
+
+      await applicationStatusController.handler(request, h)
+
+      expect(h.response).toHaveBeenCalledWith('Form not found')
+      expect(h.code).toHaveBeenCalledWith(404)
+    })
+  })
+})
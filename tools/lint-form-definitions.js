@@ -0,0 +1,23 @@
+/* eslint-disable no-console */
+import { lintFormDefinitions } from '~/src/server/common/forms/services/form-linter.js'
+import { controllers } from '~/src/server/controllers.js'
+
+// usage: npm run lint:forms [-- --check-env]
+const checkEnv = process.argv.includes('--check-env')
+
+const problems = await lintFormDefinitions({
+  controllerNames: Object.keys(controllers),
+  checkEnv
+})
+
+for (const { file, message } of problems) {
+  console.error(`${file}: ${message}`)
+}
+
+if (problems.length) {
+  console.error(`\n${problems.length} problem(s) found in form definitions`)
+  process.exit(1)
+}
+
+console.log('No problems found in form definitions')
+process.exit(0)
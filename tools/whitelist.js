@@ -0,0 +1,56 @@
+/* eslint-disable no-console */
+import { userInfo } from 'node:os'
+import { parseArgs } from 'node:util'
+import {
+  addWhitelistEntry,
+  listWhitelistEntries,
+  removeWhitelistEntry
+} from '~/src/server/auth/whitelist/whitelist-admin.js'
+
+// usage: npm run whitelist -- list <grant>
+//        npm run whitelist -- add <grant> <crn|sbi> <value> [--cohort <label>] [--start YYYY-MM-DD] [--end YYYY-MM-DD]
+//        npm run whitelist -- remove <grant> <crn|sbi> <value>
+// add and remove take --by <name> to record who made the change, defaulting to the current user
+const usage =
+  'Usage: npm run whitelist -- list <grant> | add <grant> <crn|sbi> <value> | remove <grant> <crn|sbi> <value>'
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    cohort: { type: 'string' },
+    start: { type: 'string' },
+    end: { type: 'string' },
+    by: { type: 'string', default: userInfo().username }
+  }
+})
+
+const [command, slug, type, value] = positionals
+
+try {
+  if (command === 'list' && slug) {
+    const entries = await listWhitelistEntries(slug)
+    console.table(entries)
+  } else if (command === 'add' && value) {
+    const entry = await addWhitelistEntry({
+      slug,
+      type,
+      value,
+      cohort: values.cohort,
+      startDate: values.start,
+      endDate: values.end,
+      changedBy: values.by
+    })
+    console.log(`Added ${type} ${entry.value} to ${slug}`)
+  } else if (command === 'remove' && value) {
+    const removed = await removeWhitelistEntry({ slug, type, value, changedBy: values.by })
+    console.log(removed ? `Removed ${type} ${value} from ${slug}` : `${type} ${value} is not whitelisted for ${slug}`)
+  } else {
+    console.error(usage)
+    process.exit(1)
+  }
+} catch (error) {
+  console.error(error.message)
+  process.exit(1)
+}
+
+process.exit(0)